@@ -6,7 +6,6 @@ import { LoginComponent } from './components/auth/login/login';
 import { CustomerListComponent } from './components/customers/customer-list/customer-list';
 import { CustomerDetailComponent } from './components/customers/customer-detail/customer-detail';
 import { CustomerFormComponent } from './components/customers/customer-form/customer-form';
-import { TemplateListComponent } from './components/templates/template-list/template-list';
 import { ReportsComponent } from './components/reports/reports';
 import { SettingsComponent } from './components/settings/settings';
 import { AgentListComponent } from './components/agents/agent-list/agent-list';
@@ -52,8 +51,26 @@ export const routes: Routes = [
             { path: 'customers/new', component: CustomerFormComponent },
             { path: 'customers/:id', component: CustomerDetailComponent },
             { path: 'customers/:id/edit', component: CustomerFormComponent },
-            { path: 'templates', component: TemplateListComponent },
+            {
+                path: 'templates',
+                loadComponent: () => import('./components/templates/template-list/template-list').then(m => m.TemplateListComponent)
+            },
             { path: 'agents', component: AgentListComponent, canActivate: [adminGuard] },
+            {
+                path: 'queue',
+                loadComponent: () => import('./components/queue/waiting-queue/waiting-queue').then(m => m.WaitingQueueComponent),
+                canActivate: [adminGuard]
+            },
+            {
+                path: 'campaigns',
+                loadComponent: () => import('./components/campaigns/campaign-list/campaign-list').then(m => m.CampaignListComponent),
+                canActivate: [adminGuard]
+            },
+            {
+                path: 'campaigns/:id',
+                loadComponent: () => import('./components/campaigns/campaign-detail/campaign-detail').then(m => m.CampaignDetailComponent),
+                canActivate: [adminGuard]
+            },
             { path: 'reports', component: ReportsComponent, canActivate: [adminGuard] },
             { path: 'settings', component: SettingsComponent }
         ]
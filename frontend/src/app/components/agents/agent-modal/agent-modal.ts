@@ -34,7 +34,9 @@ export class AgentModalComponent implements OnInit, OnChanges {
     phoneNumber: '',
     maxConcurrentChats: 5,
     isActive: true,
-    permissions: ['view_conversations'] as string[]
+    permissions: ['view_conversations'] as string[],
+    skills: [] as string[],
+    languages: [] as string[]
   };
 
   // Available permissions
@@ -45,6 +47,21 @@ export class AgentModalComponent implements OnInit, OnChanges {
     { value: 'view_analytics', label: 'agents.permissions.viewAnalytics' }
   ];
 
+  // Skills match conversation categories, used for routing
+  availableSkills = [
+    { value: 'support', label: 'agents.skills.support' },
+    { value: 'sales', label: 'agents.skills.sales' },
+    { value: 'billing', label: 'agents.skills.billing' },
+    { value: 'technical', label: 'agents.skills.technical' },
+    { value: 'complaint', label: 'agents.skills.complaint' },
+    { value: 'other', label: 'agents.skills.other' }
+  ];
+
+  availableLanguages = [
+    { value: 'es', label: 'agents.languages.es' },
+    { value: 'en', label: 'agents.languages.en' }
+  ];
+
   // Validation errors
   errors: { [key: string]: string } = {};
 
@@ -97,7 +114,9 @@ export class AgentModalComponent implements OnInit, OnChanges {
       phoneNumber: '',
       maxConcurrentChats: 5,
       isActive: true,
-      permissions: ['view_conversations']
+      permissions: ['view_conversations'],
+      skills: [],
+      languages: []
     };
     this.loading = false;
   }
@@ -123,7 +142,9 @@ export class AgentModalComponent implements OnInit, OnChanges {
           phoneNumber: agent.phoneNumber || '',
           maxConcurrentChats: agent.maxConcurrentChats,
           isActive: agent.isActive,
-          permissions: agent.permissions
+          permissions: agent.permissions,
+          skills: agent.skills || [],
+          languages: agent.languages || []
         };
         this.loading = false;
         console.log('[AgentModal] Setting loading to false');
@@ -184,6 +205,16 @@ export class AgentModalComponent implements OnInit, OnChanges {
     return this.formData.permissions.includes(permission);
   }
 
+  toggleListValue(list: 'skills' | 'languages', value: string) {
+    const values = this.formData[list];
+    const index = values.indexOf(value);
+    if (index > -1) {
+      values.splice(index, 1);
+    } else {
+      values.push(value);
+    }
+  }
+
   validate(): boolean {
     this.errors = {};
 
@@ -252,7 +283,9 @@ export class AgentModalComponent implements OnInit, OnChanges {
       firstName: this.formData.firstName,
       lastName: this.formData.lastName,
       role: this.formData.role,
-      phoneNumber: this.formData.phoneNumber || undefined
+      phoneNumber: this.formData.phoneNumber || undefined,
+      skills: this.formData.skills,
+      languages: this.formData.languages
     };
 
     this.agentService.createAgent(data).subscribe({
@@ -279,7 +312,9 @@ export class AgentModalComponent implements OnInit, OnChanges {
       role: this.formData.role,
       isActive: this.formData.isActive,
       maxConcurrentChats: this.formData.maxConcurrentChats,
-      permissions: this.formData.permissions
+      permissions: this.formData.permissions,
+      skills: this.formData.skills,
+      languages: this.formData.languages
     };
 
     this.agentService.updateAgent(this.agentId, data).subscribe({
@@ -0,0 +1,218 @@
+import { Component, OnInit, OnDestroy, ChangeDetectorRef } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { ActivatedRoute, Router } from '@angular/router';
+import { TranslateModule, TranslateService } from '@ngx-translate/core';
+import { Subscription } from 'rxjs';
+import { debounceTime, filter } from 'rxjs/operators';
+import {
+  CampaignService,
+  Campaign,
+  CampaignStatus,
+  CampaignRecipient,
+  CampaignRecipientStatus,
+  CampaignFunnelStage
+} from '../../../services/campaign';
+import { ChatService } from '../../../services/chat';
+import { ToastService } from '../../../services/toast';
+import { CampaignFormComponent } from '../campaign-form/campaign-form';
+import { CAMPAIGN_ACTIONS, CampaignAction } from '../campaign-list/campaign-list';
+
+const PAGE_SIZE = 50;
+
+/**
+ * Campaign dashboard: funnel (queued → sent → delivered → read → replied), lifecycle actions
+ * and the state of every recipient
+ */
+@Component({
+  selector: 'app-campaign-detail',
+  standalone: true,
+  imports: [CommonModule, FormsModule, TranslateModule, CampaignFormComponent],
+  templateUrl: './campaign-detail.html',
+  styleUrls: ['./campaign-detail.css']
+})
+export class CampaignDetailComponent implements OnInit, OnDestroy {
+  campaignId = '';
+  campaign: Campaign | null = null;
+  loading = false;
+
+  recipients: CampaignRecipient[] = [];
+  recipientsTotal = 0;
+  recipientStatus: CampaignRecipientStatus | '' = '';
+  recipientStatuses: CampaignRecipientStatus[] = [
+    'pending', 'queued', 'sent', 'delivered', 'read', 'replied', 'failed', 'skipped', 'cancelled'
+  ];
+  page = 0;
+  pageSize = PAGE_SIZE;
+
+  showForm = false;
+
+  private subscription = new Subscription();
+
+  constructor(
+    private route: ActivatedRoute,
+    private router: Router,
+    private campaignService: CampaignService,
+    private chatService: ChatService,
+    private toastService: ToastService,
+    private translate: TranslateService,
+    private cdr: ChangeDetectorRef
+  ) {}
+
+  ngOnInit() {
+    this.campaignId = this.route.snapshot.paramMap.get('id') || '';
+    this.loadCampaign();
+    this.loadRecipients();
+
+    // Progress is pushed per message; refetch at most every few seconds
+    this.subscription.add(
+      this.chatService.onCampaignUpdate().pipe(
+        filter(update => update?.campaignId === this.campaignId),
+        debounceTime(3000)
+      ).subscribe(() => {
+        this.loadCampaign(false);
+        this.loadRecipients();
+      })
+    );
+  }
+
+  ngOnDestroy() {
+    this.subscription.unsubscribe();
+  }
+
+  loadCampaign(showLoading = true) {
+    this.loading = showLoading;
+    this.campaignService.getCampaign(this.campaignId).subscribe({
+      next: (response) => {
+        this.campaign = response.data;
+        this.loading = false;
+        this.cdr.detectChanges();
+      },
+      error: (error) => {
+        console.error('[Campaigns] Error loading campaign:', error);
+        this.toastService.error(this.translate.instant('campaigns.loadError'));
+        this.loading = false;
+        this.cdr.detectChanges();
+      }
+    });
+  }
+
+  loadRecipients() {
+    this.campaignService.getRecipients(this.campaignId, {
+      status: this.recipientStatus || undefined,
+      limit: this.pageSize,
+      skip: this.page * this.pageSize
+    }).subscribe({
+      next: (response) => {
+        this.recipients = response.data;
+        this.recipientsTotal = response.total;
+        this.cdr.detectChanges();
+      },
+      error: (error) => console.error('[Campaigns] Error loading recipients:', error)
+    });
+  }
+
+  onRecipientStatusChange() {
+    this.page = 0;
+    this.loadRecipients();
+  }
+
+  get pageCount(): number {
+    return Math.max(1, Math.ceil(this.recipientsTotal / this.pageSize));
+  }
+
+  goToPage(page: number) {
+    if (page < 0 || page >= this.pageCount) return;
+    this.page = page;
+    this.loadRecipients();
+  }
+
+  getFunnel(): CampaignFunnelStage[] {
+    return this.campaignService.getFunnel(this.campaign?.metrics);
+  }
+
+  getStatusClass(status: CampaignStatus): string {
+    return this.campaignService.getStatusClass(status);
+  }
+
+  getRecipientStatusClass(status: CampaignRecipientStatus): string {
+    return this.campaignService.getRecipientStatusClass(status);
+  }
+
+  getActions(): CampaignAction[] {
+    return this.campaign ? CAMPAIGN_ACTIONS[this.campaign.status] || [] : [];
+  }
+
+  canEdit(): boolean {
+    return !!this.campaign && ['draft', 'scheduled'].includes(this.campaign.status);
+  }
+
+  /**
+   * Share of the audience already handed to the outbound queue
+   */
+  getProgress(): number {
+    const metrics = this.campaign?.metrics;
+    if (!metrics) return 0;
+    const toSend = metrics.queued + metrics.pending;
+    return toSend ? Math.round((metrics.queued / toSend) * 100) : 0;
+  }
+
+  getAudienceFilters(): string[] {
+    const audience = this.campaign?.audience;
+    if (!audience) return [];
+
+    return [
+      ...audience.tags.map(tag => `#${tag}`),
+      ...audience.segments.map(segment => this.translate.instant(`customers.segments.${segment}`)),
+      ...audience.statuses.map(status => this.translate.instant(`customers.statuses.${status}`)),
+      ...audience.customFields.map(field => `${field.key} = ${field.value}`)
+    ];
+  }
+
+  getRecipientName(recipient: CampaignRecipient): string {
+    const customer = recipient.customerId;
+    const name = [customer?.firstName, customer?.lastName].filter(Boolean).join(' ');
+    return name || recipient.phoneNumber;
+  }
+
+  /**
+   * Time of the recipient's latest step
+   */
+  getRecipientTime(recipient: CampaignRecipient): string | undefined {
+    return recipient.repliedAt || recipient.failedAt || recipient.readAt ||
+      recipient.deliveredAt || recipient.sentAt || recipient.queuedAt;
+  }
+
+  runAction(action: CampaignAction) {
+    if (!this.campaign) return;
+    const name = this.campaign.name;
+    if (action === 'cancel' && !confirm(this.translate.instant('campaigns.cancelConfirm', { name }))) return;
+    if (action === 'start' && !confirm(this.translate.instant('campaigns.startConfirm', { name }))) return;
+
+    this.campaignService.runAction(this.campaignId, action).subscribe({
+      next: () => {
+        this.toastService.success(this.translate.instant(`campaigns.actionDone.${action}`));
+        this.loadCampaign(false);
+        this.loadRecipients();
+      },
+      error: (error) => {
+        console.error(`[Campaigns] Error running ${action}:`, error);
+        this.toastService.error(error.error?.errors?.join('; ') || error.error?.message || this.translate.instant('campaigns.actionError'));
+      }
+    });
+  }
+
+  onSaved() {
+    this.showForm = false;
+    this.loadCampaign(false);
+  }
+
+  goBack() {
+    this.router.navigate(['/campaigns']);
+  }
+
+  formatDate(date?: string | null): string {
+    if (!date) return '—';
+    return new Date(date).toLocaleString();
+  }
+}
@@ -0,0 +1,220 @@
+import { Component, EventEmitter, Input, OnInit, Output, ChangeDetectorRef } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { TranslateModule, TranslateService } from '@ngx-translate/core';
+import { CampaignService, Campaign, CampaignAudience, CampaignAudiencePreview, CampaignRequest } from '../../../services/campaign';
+import { TemplateService, Template } from '../../../services/template';
+import { CustomerService } from '../../../services/customer';
+import { ToastService } from '../../../services/toast';
+import { TemplateParametersComponent, TemplateParametersState } from '../../templates/template-parameters/template-parameters';
+
+/**
+ * Create or edit a campaign: template and values, audience filters, schedule and throttle.
+ * Values can be mapped to customer fields (campaigns have no recipients file).
+ */
+@Component({
+  selector: 'app-campaign-form',
+  standalone: true,
+  imports: [CommonModule, FormsModule, TranslateModule, TemplateParametersComponent],
+  templateUrl: './campaign-form.html',
+  styleUrls: ['./campaign-form.css']
+})
+export class CampaignFormComponent implements OnInit {
+  @Input() campaign: Campaign | null = null;
+  @Output() close = new EventEmitter<void>();
+  @Output() saved = new EventEmitter<Campaign>();
+
+  templates: Template[] = [];
+  segments: string[] = [];
+  statuses: string[] = [];
+
+  name = '';
+  description = '';
+  templateId = '';
+  tagsInput = '';
+  selectedSegments: string[] = [];
+  selectedStatuses: string[] = [];
+  customFields: Array<{ key: string; value: string }> = [];
+  scheduledAt = ''; // datetime-local value
+  throttlePerMinute = 60;
+
+  parameterState: TemplateParametersState | null = null;
+  // Editing: the saved values are kept until the template changes or new ones are entered
+  keepParameters = false;
+
+  audiencePreview: CampaignAudiencePreview | null = null;
+  loadingPreview = false;
+  saving = false;
+  errors: string[] = [];
+
+  constructor(
+    private campaignService: CampaignService,
+    private templateService: TemplateService,
+    private customerService: CustomerService,
+    private toast: ToastService,
+    private translate: TranslateService,
+    private cdr: ChangeDetectorRef
+  ) {}
+
+  ngOnInit() {
+    this.segments = this.customerService.getSegments();
+    this.statuses = this.customerService.getStatuses();
+
+    if (this.campaign) {
+      this.name = this.campaign.name;
+      this.description = this.campaign.description || '';
+      this.templateId = this.campaign.templateId;
+      this.tagsInput = this.campaign.audience.tags.join(', ');
+      this.selectedSegments = [...this.campaign.audience.segments];
+      this.selectedStatuses = [...this.campaign.audience.statuses];
+      this.customFields = this.campaign.audience.customFields.map(field => ({ ...field }));
+      this.scheduledAt = this.toLocalInput(this.campaign.scheduledAt);
+      this.throttlePerMinute = this.campaign.throttlePerMinute;
+      this.keepParameters = true;
+    }
+
+    this.templateService.getTemplates({ status: 'APPROVED' }).subscribe({
+      next: (response) => {
+        this.templates = response.data;
+        this.cdr.detectChanges();
+      },
+      error: (err) => console.error('Error loading templates:', err)
+    });
+  }
+
+  get selectedTemplate(): Template | null {
+    return this.templates.find(template => template._id === this.templateId) || null;
+  }
+
+  get isEditing(): boolean {
+    return !!this.campaign;
+  }
+
+  onTemplateChange() {
+    this.parameterState = null;
+    this.keepParameters = this.isEditing && this.templateId === this.campaign?.templateId;
+  }
+
+  onParametersChanged(state: TemplateParametersState) {
+    this.parameterState = state;
+  }
+
+  getParameterCount(template: Template): number {
+    return this.templateService.getParameterCount(template);
+  }
+
+  toggleSelection(list: string[], value: string) {
+    const index = list.indexOf(value);
+    if (index === -1) {
+      list.push(value);
+    } else {
+      list.splice(index, 1);
+    }
+    this.audiencePreview = null;
+  }
+
+  addCustomField() {
+    this.customFields.push({ key: '', value: '' });
+    this.audiencePreview = null;
+  }
+
+  removeCustomField(index: number) {
+    this.customFields.splice(index, 1);
+    this.audiencePreview = null;
+  }
+
+  onAudienceChange() {
+    this.audiencePreview = null;
+  }
+
+  getAudience(): CampaignAudience {
+    return {
+      tags: this.tagsInput.split(',').map(tag => tag.trim()).filter(Boolean),
+      segments: this.selectedSegments,
+      statuses: this.selectedStatuses,
+      customFields: this.customFields.filter(field => field.key.trim())
+    };
+  }
+
+  hasAudience(): boolean {
+    const audience = this.getAudience();
+    return audience.tags.length > 0 || audience.segments.length > 0 ||
+      audience.statuses.length > 0 || audience.customFields.length > 0;
+  }
+
+  loadAudiencePreview() {
+    if (!this.hasAudience()) return;
+
+    this.loadingPreview = true;
+    this.campaignService.previewAudience(this.getAudience()).subscribe({
+      next: (response) => {
+        this.audiencePreview = response.data;
+        this.loadingPreview = false;
+        this.cdr.detectChanges();
+      },
+      error: (err) => {
+        console.error('Error previewing audience:', err);
+        this.toast.error(this.translate.instant('campaigns.form.previewError'));
+        this.loadingPreview = false;
+        this.cdr.detectChanges();
+      }
+    });
+  }
+
+  canSave(): boolean {
+    if (!this.name.trim() || !this.selectedTemplate || !this.hasAudience()) return false;
+    if (this.throttlePerMinute < 1 || this.throttlePerMinute > 1000) return false;
+    if (this.keepParameters || this.getParameterCount(this.selectedTemplate) === 0) return true;
+    return !!this.parameterState?.valid;
+  }
+
+  save() {
+    if (!this.canSave()) return;
+
+    const request: CampaignRequest = {
+      name: this.name.trim(),
+      description: this.description.trim(),
+      templateId: this.templateId,
+      audience: this.getAudience(),
+      scheduledAt: this.scheduledAt ? new Date(this.scheduledAt).toISOString() : null,
+      throttlePerMinute: this.throttlePerMinute
+    };
+    if (!this.keepParameters) {
+      request.parameters = this.parameterState?.values || [];
+    }
+
+    this.saving = true;
+    this.errors = [];
+    const save$ = this.campaign
+      ? this.campaignService.updateCampaign(this.campaign._id, request)
+      : this.campaignService.createCampaign(request);
+
+    save$.subscribe({
+      next: (response) => {
+        this.saving = false;
+        this.toast.success(this.translate.instant(this.campaign ? 'campaigns.form.updated' : 'campaigns.form.created'));
+        this.saved.emit(response.data);
+      },
+      error: (err) => {
+        console.error('Error saving campaign:', err);
+        this.errors = err.error?.errors || [err.error?.message || this.translate.instant('campaigns.form.saveError')];
+        this.saving = false;
+        this.cdr.detectChanges();
+      }
+    });
+  }
+
+  onClose() {
+    this.close.emit();
+  }
+
+  /**
+   * ISO date as a datetime-local input value (local time)
+   */
+  private toLocalInput(date?: string | null): string {
+    if (!date) return '';
+    const local = new Date(date);
+    local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+    return local.toISOString().slice(0, 16);
+  }
+}
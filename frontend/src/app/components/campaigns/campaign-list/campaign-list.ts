@@ -0,0 +1,180 @@
+import { Component, OnInit, OnDestroy, ChangeDetectorRef } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { Router } from '@angular/router';
+import { TranslateModule, TranslateService } from '@ngx-translate/core';
+import { Subscription } from 'rxjs';
+import { debounceTime, filter } from 'rxjs/operators';
+import { CampaignService, Campaign, CampaignStatus, CampaignFunnelStage } from '../../../services/campaign';
+import { ChatService } from '../../../services/chat';
+import { ToastService } from '../../../services/toast';
+import { CampaignFormComponent } from '../campaign-form/campaign-form';
+
+export type CampaignAction = 'start' | 'pause' | 'resume' | 'cancel';
+
+// Actions offered per campaign status (mirrors the transitions allowed by the server)
+export const CAMPAIGN_ACTIONS: { [status: string]: CampaignAction[] } = {
+  draft: ['start', 'cancel'],
+  scheduled: ['pause', 'cancel'],
+  running: ['pause', 'cancel'],
+  paused: ['resume', 'cancel'],
+  completed: [],
+  cancelled: []
+};
+
+@Component({
+  selector: 'app-campaign-list',
+  standalone: true,
+  imports: [CommonModule, FormsModule, TranslateModule, CampaignFormComponent],
+  templateUrl: './campaign-list.html',
+  styleUrls: ['./campaign-list.css']
+})
+export class CampaignListComponent implements OnInit, OnDestroy {
+  campaigns: Campaign[] = [];
+  loading = false;
+  statusFilter: CampaignStatus | '' = '';
+  statuses: CampaignStatus[] = ['draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled'];
+
+  showForm = false;
+  editingCampaign: Campaign | null = null;
+
+  private subscription = new Subscription();
+
+  constructor(
+    private campaignService: CampaignService,
+    private chatService: ChatService,
+    private toastService: ToastService,
+    private translate: TranslateService,
+    private router: Router,
+    private cdr: ChangeDetectorRef
+  ) {}
+
+  ngOnInit() {
+    this.loadCampaigns();
+
+    // Progress is pushed per message; refetch at most every few seconds
+    this.subscription.add(
+      this.chatService.onCampaignUpdate().pipe(
+        filter(update => !!update),
+        debounceTime(3000)
+      ).subscribe(() => this.loadCampaigns(false))
+    );
+  }
+
+  ngOnDestroy() {
+    this.subscription.unsubscribe();
+  }
+
+  loadCampaigns(showLoading = true) {
+    this.loading = showLoading;
+    this.campaignService.getCampaigns(this.statusFilter || undefined).subscribe({
+      next: (response) => {
+        this.campaigns = response.data;
+        this.loading = false;
+        this.cdr.detectChanges();
+      },
+      error: (error) => {
+        console.error('[Campaigns] Error loading campaigns:', error);
+        this.toastService.error(this.translate.instant('campaigns.loadError'));
+        this.loading = false;
+        this.cdr.detectChanges();
+      }
+    });
+  }
+
+  /**
+   * Totals across the listed campaigns
+   */
+  get summary() {
+    const sum = (stage: 'queued' | 'delivered' | 'read' | 'replied') =>
+      this.campaigns.reduce((total, campaign) => total + (campaign.metrics?.[stage] || 0), 0);
+
+    return {
+      active: this.campaigns.filter(campaign => ['scheduled', 'running'].includes(campaign.status)).length,
+      queued: sum('queued'),
+      delivered: sum('delivered'),
+      read: sum('read'),
+      replied: sum('replied')
+    };
+  }
+
+  getFunnel(campaign: Campaign): CampaignFunnelStage[] {
+    return this.campaignService.getFunnel(campaign.metrics);
+  }
+
+  getStatusClass(status: CampaignStatus): string {
+    return this.campaignService.getStatusClass(status);
+  }
+
+  getActions(campaign: Campaign): CampaignAction[] {
+    return CAMPAIGN_ACTIONS[campaign.status] || [];
+  }
+
+  canEdit(campaign: Campaign): boolean {
+    return ['draft', 'scheduled'].includes(campaign.status);
+  }
+
+  canDelete(campaign: Campaign): boolean {
+    return ['draft', 'completed', 'cancelled'].includes(campaign.status);
+  }
+
+  openCampaign(campaign: Campaign) {
+    this.router.navigate(['/campaigns', campaign._id]);
+  }
+
+  newCampaign() {
+    this.editingCampaign = null;
+    this.showForm = true;
+  }
+
+  editCampaign(campaign: Campaign) {
+    this.editingCampaign = campaign;
+    this.showForm = true;
+  }
+
+  closeForm() {
+    this.showForm = false;
+    this.editingCampaign = null;
+  }
+
+  onSaved() {
+    this.closeForm();
+    this.loadCampaigns();
+  }
+
+  runAction(campaign: Campaign, action: CampaignAction) {
+    if (action === 'cancel' && !confirm(this.translate.instant('campaigns.cancelConfirm', { name: campaign.name }))) return;
+    if (action === 'start' && !confirm(this.translate.instant('campaigns.startConfirm', { name: campaign.name }))) return;
+
+    this.campaignService.runAction(campaign._id, action).subscribe({
+      next: () => {
+        this.toastService.success(this.translate.instant(`campaigns.actionDone.${action}`));
+        this.loadCampaigns(false);
+      },
+      error: (error) => {
+        console.error(`[Campaigns] Error running ${action}:`, error);
+        this.toastService.error(error.error?.errors?.join('; ') || error.error?.message || this.translate.instant('campaigns.actionError'));
+      }
+    });
+  }
+
+  deleteCampaign(campaign: Campaign) {
+    if (!confirm(this.translate.instant('campaigns.deleteConfirm', { name: campaign.name }))) return;
+
+    this.campaignService.deleteCampaign(campaign._id).subscribe({
+      next: () => {
+        this.toastService.success(this.translate.instant('campaigns.deleted'));
+        this.loadCampaigns(false);
+      },
+      error: (error) => {
+        console.error('[Campaigns] Error deleting campaign:', error);
+        this.toastService.error(error.error?.errors?.join('; ') || this.translate.instant('campaigns.actionError'));
+      }
+    });
+  }
+
+  formatDate(date?: string | null): string {
+    if (!date) return '—';
+    return new Date(date).toLocaleString();
+  }
+}
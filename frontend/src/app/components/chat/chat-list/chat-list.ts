@@ -3,8 +3,9 @@ import { CommonModule } from '@angular/common';
 import { TranslateModule } from '@ngx-translate/core';
 import { ChatService, Chat } from '../../../services/chat';
 import { AuthService, Agent } from '../../../services/auth';
-import { Observable } from 'rxjs';
-import { map } from 'rxjs/operators';
+import { WhatsAppNumberService, WhatsAppNumber } from '../../../services/whatsapp-number';
+import { BehaviorSubject, Observable, combineLatest, of } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
 
 @Component({
   selector: 'app-chat-list',
@@ -23,11 +24,31 @@ export class ChatListComponent implements OnInit {
   queueChats$: Observable<Chat[]>;
   myChats$: Observable<Chat[]>;
 
+  // Inbox filter by WhatsApp number (only shown when there is more than one number)
+  numbers$: Observable<WhatsAppNumber[]>;
+  private numbers: WhatsAppNumber[] = [];
+  private selectedNumberIdSubject = new BehaviorSubject<string>('');
+  selectedNumberId = '';
+
   constructor(
     private chatService: ChatService,
-    private authService: AuthService
+    private authService: AuthService,
+    private whatsappNumberService: WhatsAppNumberService
   ) {
-    this.chats$ = this.chatService.chats$;
+    this.numbers$ = this.whatsappNumberService.getNumbers().pipe(
+      catchError(() => of([] as WhatsAppNumber[]))
+    );
+
+    this.chats$ = combineLatest([
+      this.chatService.chats$,
+      this.selectedNumberIdSubject,
+      this.numbers$
+    ]).pipe(
+      map(([chats, numberId, numbers]) => {
+        this.numbers = numbers;
+        return numberId ? chats.filter(chat => this.getChatNumberId(chat) === numberId) : chats;
+      })
+    );
     this.selectedChatId$ = this.chatService.selectedChat$.pipe(
       map(chat => chat ? chat.id : null)
     );
@@ -66,6 +87,27 @@ export class ChatListComponent implements OnInit {
     this.activeTab = tab;
   }
 
+  setNumberFilter(numberId: string) {
+    this.selectedNumberId = numberId;
+    this.selectedNumberIdSubject.next(numberId);
+  }
+
+  /**
+   * Number a chat belongs to - conversations created before the number registry belong to the default number
+   */
+  getChatNumberId(chat: Chat): string | undefined {
+    return chat.phoneNumberId || this.numbers.find(n => n.isDefault)?.phoneNumberId;
+  }
+
+  /**
+   * Short label for the chat's number (shown only with several numbers)
+   */
+  getChatNumberName(chat: Chat): string | null {
+    if (this.numbers.length < 2) return null;
+    const numberId = this.getChatNumberId(chat);
+    return this.numbers.find(n => n.phoneNumberId === numberId)?.name || null;
+  }
+
   getDisplayChats(): Observable<Chat[]> {
     switch (this.activeTab) {
       case 'queue':
@@ -1,10 +1,11 @@
 import { Component, OnInit, ViewChild, ElementRef, AfterViewChecked } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { TranslateModule } from '@ngx-translate/core';
-import { ChatService, Chat } from '../../../services/chat';
+import { ChatService, Chat, Message, ConversationPriority } from '../../../services/chat';
 import { AuthService } from '../../../services/auth';
 import { ToastService } from '../../../services/toast';
 import { Observable } from 'rxjs';
+import { take } from 'rxjs/operators';
 import { MessageBubbleComponent } from '../message-bubble/message-bubble';
 import { MessageInputComponent } from '../message-input/message-input';
 import { CustomerModalComponent } from '../../customers/customer-modal/customer-modal';
@@ -44,6 +45,9 @@ export class ChatWindowComponent implements OnInit, AfterViewChecked {
   isClosingChat = false;
   isReopeningChat = false;
 
+  // Priority history panel
+  isPriorityTimelineOpen = false;
+
   constructor(
     private chatService: ChatService,
     private authService: AuthService,
@@ -87,6 +91,33 @@ export class ChatWindowComponent implements OnInit, AfterViewChecked {
     } catch (err) { }
   }
 
+  /**
+   * Quote a message in the next reply (only the assigned agent can reply)
+   */
+  onReplyTo(message: Message): void {
+    this.selectedChat$.pipe(take(1)).subscribe(chat => {
+      if (chat && this.isAssignedToMe(chat)) {
+        this.chatService.setReplyTo(message);
+      }
+    });
+  }
+
+  togglePriorityTimeline(): void {
+    this.isPriorityTimelineOpen = !this.isPriorityTimelineOpen;
+  }
+
+  /**
+   * Badge colors for a priority level
+   */
+  getPriorityClass(priority?: ConversationPriority): string {
+    switch (priority) {
+      case 'urgent': return 'bg-red-600 text-white';
+      case 'high': return 'bg-orange-500 text-white';
+      case 'low': return 'bg-gray-600 text-gray-200';
+      default: return 'bg-blue-600 text-white';
+    }
+  }
+
   /**
    * Go back to conversation list (mobile)
    */
@@ -1,7 +1,7 @@
-import { Component, Input } from '@angular/core';
+import { Component, EventEmitter, Input, Output } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { TranslateModule } from '@ngx-translate/core';
-import { Message } from '../../../services/chat';
+import { Message, QuotedMessage } from '../../../services/chat';
 
 @Component({
   selector: 'app-message-bubble',
@@ -12,6 +12,53 @@ import { Message } from '../../../services/chat';
 })
 export class MessageBubbleComponent {
   @Input() message!: Message;
+  @Output() reply = new EventEmitter<Message>();
+
+  // Content stored for media messages without a caption
+  private readonly mediaPlaceholders = ['[Image]', '[Audio]', '[Video]', '[Sticker]'];
+
+  /**
+   * Whether the text/caption block should be rendered
+   */
+  get showText(): boolean {
+    const text = this.message.text;
+    if (!text || this.message.type === 'location' || this.message.type === 'contact') return false;
+    if (this.mediaPlaceholders.includes(text)) return false;
+
+    // Documents without caption store the filename, which the preview card already shows
+    if (this.message.type === 'document' && text === this.message.attachments?.[0]?.filename) return false;
+
+    return true;
+  }
+
+  /**
+   * Only messages that reached WhatsApp can be quoted
+   */
+  get canReply(): boolean {
+    if (this.message.sender === 'other') return true;
+    return !!this.message.status && this.message.status !== 'pending' && this.message.status !== 'failed';
+  }
+
+  /**
+   * Text shown in the quoted snippet (media placeholders become a type icon only)
+   */
+  getQuotedText(quoted: QuotedMessage): string {
+    if (!quoted.text || this.mediaPlaceholders.includes(quoted.text)) return '';
+    return quoted.text;
+  }
+
+  getQuotedIcon(quoted: QuotedMessage): string | null {
+    switch (quoted.type) {
+      case 'image': return 'fa-camera';
+      case 'video': return 'fa-video';
+      case 'audio': return 'fa-microphone';
+      case 'document': return 'fa-file-alt';
+      case 'sticker': return 'fa-sticky-note';
+      case 'location': return 'fa-map-marker-alt';
+      case 'contact': return 'fa-user';
+      default: return null;
+    }
+  }
 
   /**
    * Get message text with template parameters replaced
@@ -57,6 +104,37 @@ export class MessageBubbleComponent {
     return text;
   }
 
+  /**
+   * Format media duration in seconds as m:ss
+   */
+  formatDuration(seconds: number): string {
+    const total = Math.round(seconds);
+    const mins = Math.floor(total / 60);
+    const secs = total % 60;
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Format file size in bytes as KB/MB
+   */
+  formatFileSize(bytes: number): string {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Font Awesome icon for a document MIME type
+   */
+  getDocumentIcon(mimeType?: string): string {
+    if (!mimeType) return 'fa-file text-gray-300';
+    if (mimeType.includes('pdf')) return 'fa-file-pdf text-red-400';
+    if (mimeType.includes('sheet') || mimeType.includes('excel') || mimeType.includes('csv')) return 'fa-file-excel text-green-400';
+    if (mimeType.includes('word') || mimeType.includes('document')) return 'fa-file-word text-blue-400';
+    if (mimeType.includes('zip') || mimeType.includes('compressed')) return 'fa-file-archive text-yellow-400';
+    return 'fa-file-alt text-gray-300';
+  }
+
   openImage(url: string) {
     window.open(url, '_blank');
   }
@@ -1,9 +1,32 @@
-import { Component, Input } from '@angular/core';
+import { Component, ElementRef, Input, OnDestroy, ViewChild } from '@angular/core';
+import { Observable } from 'rxjs';
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
-import { TranslateModule } from '@ngx-translate/core';
-import { ChatService, Chat } from '../../../services/chat';
+import { TranslateModule, TranslateService } from '@ngx-translate/core';
+import { ChatService, Chat, Message } from '../../../services/chat';
 import { AuthService } from '../../../services/auth';
+import { ToastService } from '../../../services/toast';
+
+// File types accepted by the WhatsApp Cloud API (validated again on the server)
+const ATTACHMENT_TYPES: { [type: string]: { mimeTypes: string[]; maxSize: number } } = {
+  image: { mimeTypes: ['image/jpeg', 'image/png'], maxSize: 5 * 1024 * 1024 },
+  audio: { mimeTypes: ['audio/aac', 'audio/amr', 'audio/mpeg', 'audio/mp4', 'audio/ogg'], maxSize: 16 * 1024 * 1024 },
+  video: { mimeTypes: ['video/mp4', 'video/3gpp'], maxSize: 16 * 1024 * 1024 },
+  document: {
+    mimeTypes: [
+      'application/pdf',
+      'text/plain',
+      'text/csv',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    ],
+    maxSize: 16 * 1024 * 1024
+  }
+};
 
 @Component({
   selector: 'app-message-input',
@@ -12,14 +35,35 @@ import { AuthService } from '../../../services/auth';
   templateUrl: './message-input.html',
   styleUrls: ['./message-input.css']
 })
-export class MessageInputComponent {
+export class MessageInputComponent implements OnDestroy {
   @Input() chat: Chat | null = null;
+  @ViewChild('fileInput') fileInput?: ElementRef<HTMLInputElement>;
+
   messageText = '';
+  selectedFile: File | null = null;
+  selectedFileType: string | null = null;
+  previewUrl: string | null = null;
+  isUploading = false;
+  replyingTo$: Observable<Message | null>;
+
+  readonly acceptedTypes = Object.values(ATTACHMENT_TYPES).flatMap(t => t.mimeTypes).join(',');
 
   constructor(
     private chatService: ChatService,
-    private authService: AuthService
-  ) { }
+    private authService: AuthService,
+    private toastService: ToastService,
+    private translate: TranslateService
+  ) {
+    this.replyingTo$ = this.chatService.replyingTo$;
+  }
+
+  cancelReply() {
+    this.chatService.clearReplyTo();
+  }
+
+  ngOnDestroy() {
+    this.clearAttachment();
+  }
 
   /**
    * Check if current agent can send messages (is assigned to chat)
@@ -46,9 +90,91 @@ export class MessageInputComponent {
       return;
     }
 
+    if (this.selectedFile) {
+      this.sendAttachment();
+      return;
+    }
+
     if (this.messageText.trim()) {
       this.chatService.sendMessage(this.messageText);
       this.messageText = '';
     }
   }
+
+  openFilePicker() {
+    if (!this.canSendMessage() || this.isUploading) return;
+    this.fileInput?.nativeElement.click();
+  }
+
+  onFileSelected(event: Event) {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    input.value = ''; // Allow selecting the same file again
+
+    if (!file) return;
+
+    const type = Object.keys(ATTACHMENT_TYPES).find(t => ATTACHMENT_TYPES[t].mimeTypes.includes(file.type));
+    if (!type) {
+      this.toastService.error(this.translate.instant('chat.attachmentUnsupported'));
+      return;
+    }
+
+    const maxSize = ATTACHMENT_TYPES[type].maxSize;
+    if (file.size > maxSize) {
+      this.toastService.error(this.translate.instant('chat.attachmentTooLarge', { size: maxSize / (1024 * 1024) }));
+      return;
+    }
+
+    this.clearAttachment();
+    this.selectedFile = file;
+    this.selectedFileType = type;
+    if (type === 'image') {
+      this.previewUrl = URL.createObjectURL(file);
+    }
+  }
+
+  clearAttachment() {
+    if (this.previewUrl) {
+      URL.revokeObjectURL(this.previewUrl);
+    }
+    this.selectedFile = null;
+    this.selectedFileType = null;
+    this.previewUrl = null;
+  }
+
+  getAttachmentIcon(): string {
+    switch (this.selectedFileType) {
+      case 'audio': return 'fa-file-audio';
+      case 'video': return 'fa-file-video';
+      default: return 'fa-file-alt';
+    }
+  }
+
+  formatFileSize(bytes: number): string {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  private sendAttachment() {
+    if (!this.selectedFile || this.isUploading) return;
+
+    // WhatsApp does not support captions on audio
+    const caption = this.selectedFileType === 'audio' ? '' : this.messageText.trim();
+
+    this.isUploading = true;
+    this.chatService.sendAttachment(this.selectedFile, caption).subscribe({
+      next: () => {
+        this.isUploading = false;
+        this.messageText = '';
+        this.clearAttachment();
+      },
+      error: (err) => {
+        this.isUploading = false;
+        console.error('Failed to send attachment:', err);
+        const errorMessage = err.error?.error || err.error?.message || err.message || 'Unknown error';
+        this.toastService.error(this.translate.instant('chat.attachmentFailed', { error: errorMessage }), 6000);
+      }
+    });
+  }
 }
@@ -3,7 +3,7 @@ import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
 import { ActivatedRoute, Router } from '@angular/router';
 import { TranslateModule } from '@ngx-translate/core';
-import { CustomerService, Customer, CustomerDetailResponse } from '../../../services/customer';
+import { CustomerService, Customer, CustomerDetailResponse, SharedContact } from '../../../services/customer';
 import { CustomerModalComponent } from '../customer-modal/customer-modal';
 import { ToastService } from '../../../services/toast';
 
@@ -18,6 +18,8 @@ export class CustomerDetailComponent implements OnInit {
   customer: Customer | null = null;
   statistics: any = null;
   recentConversations: any[] = [];
+  sharedContacts: SharedContact[] = [];
+  creatingContactKey: string | null = null;
   loading = true;
   error: string | null = null;
   activeTab: 'overview' | 'conversations' | 'activity' = 'overview';
@@ -54,6 +56,7 @@ export class CustomerDetailComponent implements OnInit {
         this.customer = response.customer;
         this.statistics = response.statistics;
         this.recentConversations = response.recentConversations;
+        this.sharedContacts = response.sharedContacts || [];
         this.loading = false;
       },
       error: (err) => {
@@ -135,6 +138,20 @@ export class CustomerDetailComponent implements OnInit {
     });
   }
 
+  toggleOptOut() {
+    if (!this.customer) return;
+
+    this.customerService.toggleOptOut(this.customer._id, !this.customer.optedOut).subscribe({
+      next: (response) => {
+        this.customer = response.customer;
+      },
+      error: (err) => {
+        console.error('Error toggling opt-out:', err);
+        this.toastService.error('Failed to update customer status');
+      }
+    });
+  }
+
   confirmBlockReason() {
     this.showBlockReasonModal = false;
     this.executeBlockToggle(true, this.blockReasonInput);
@@ -216,6 +233,36 @@ export class CustomerDetailComponent implements OnInit {
     });
   }
 
+  createCustomerFromContact(contact: SharedContact) {
+    this.creatingContactKey = `${contact.messageId}_${contact.contactIndex}`;
+
+    this.customerService.createCustomerFromContact(contact.messageId, contact.contactIndex).subscribe({
+      next: (response) => {
+        contact.existingCustomerId = response.customer._id;
+        this.creatingContactKey = null;
+        this.toastService.success(`Customer created: ${this.getCustomerDisplayName(response.customer)}`);
+      },
+      error: (err) => {
+        console.error('Error creating customer from contact:', err);
+        this.creatingContactKey = null;
+        if (err.status === 409 && err.error?.customer) {
+          contact.existingCustomerId = err.error.customer._id;
+          this.toastService.info('Customer already exists');
+        } else {
+          this.toastService.error(err.error?.error || 'Failed to create customer');
+        }
+      }
+    });
+  }
+
+  viewCustomer(customerId: string) {
+    this.router.navigate(['/customers', customerId]).then(() => this.loadCustomer(customerId));
+  }
+
+  getCustomerDisplayName(customer: Customer): string {
+    return this.customerService.getCustomerDisplayName(customer);
+  }
+
   viewConversation(conversationId: string) {
     this.router.navigate(['/'], { queryParams: { conversation: conversationId } });
   }
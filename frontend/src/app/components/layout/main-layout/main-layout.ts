@@ -22,7 +22,7 @@ export class MainLayoutComponent implements OnInit, OnDestroy {
   currentAgent: Agent | null = null;
   hasSelectedChat = false;
   showMenu = false;
-  currentView: 'chat' | 'customers' | 'templates' | 'agents' | 'reports' | 'settings' = 'chat';
+  currentView: 'chat' | 'customers' | 'templates' | 'agents' | 'queue' | 'campaigns' | 'reports' | 'settings' = 'chat';
   sidebarCollapsed = false;
   mobileMenuOpen = false;
 
@@ -217,6 +217,10 @@ export class MainLayoutComponent implements OnInit, OnDestroy {
       this.currentView = 'templates';
     } else if (url.includes('/agents')) {
       this.currentView = 'agents';
+    } else if (url.includes('/queue')) {
+      this.currentView = 'queue';
+    } else if (url.includes('/campaigns')) {
+      this.currentView = 'campaigns';
     } else if (url.includes('/reports')) {
       this.currentView = 'reports';
     } else if (url.includes('/settings')) {
@@ -246,6 +250,16 @@ export class MainLayoutComponent implements OnInit, OnDestroy {
     this.router.navigate(['/agents']);
   }
 
+  navigateToQueue() {
+    this.currentView = 'queue';
+    this.router.navigate(['/queue']);
+  }
+
+  navigateToCampaigns() {
+    this.currentView = 'campaigns';
+    this.router.navigate(['/campaigns']);
+  }
+
   navigateToReports() {
     this.currentView = 'reports';
     this.router.navigate(['/reports']);
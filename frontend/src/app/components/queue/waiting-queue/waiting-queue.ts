@@ -0,0 +1,175 @@
+import { Component, OnInit, OnDestroy, ChangeDetectorRef } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { TranslateModule, TranslateService } from '@ngx-translate/core';
+import { Subscription, interval } from 'rxjs';
+import { WaitingQueueService, WaitingQueue, WaitingQueueEntry } from '../../../services/waiting-queue';
+import { AgentService, Agent } from '../../../services/agent';
+import { ChatService, ConversationPriority } from '../../../services/chat';
+import { ToastService } from '../../../services/toast';
+
+@Component({
+  selector: 'app-waiting-queue',
+  standalone: true,
+  imports: [CommonModule, FormsModule, TranslateModule],
+  templateUrl: './waiting-queue.html',
+  styleUrls: ['./waiting-queue.css']
+})
+export class WaitingQueueComponent implements OnInit, OnDestroy {
+  queue: WaitingQueue | null = null;
+  loading = false;
+  processing = false;
+  onlineAgents: Agent[] = [];
+  selectedAgents: { [conversationId: string]: string } = {};
+  now = Date.now();
+
+  private subscription = new Subscription();
+
+  constructor(
+    private waitingQueueService: WaitingQueueService,
+    private agentService: AgentService,
+    private chatService: ChatService,
+    private toastService: ToastService,
+    private translate: TranslateService,
+    private cdr: ChangeDetectorRef
+  ) {}
+
+  ngOnInit() {
+    this.loadQueue();
+    this.loadOnlineAgents();
+
+    // Live updates pushed to supervisors when conversations enter or leave the queue
+    this.subscription.add(
+      this.chatService.onWaitingQueueUpdate().subscribe(queue => {
+        if (queue) {
+          this.queue = queue;
+          this.now = Date.now();
+          this.cdr.detectChanges();
+        }
+      })
+    );
+
+    // Keep waiting times ticking between updates
+    this.subscription.add(
+      interval(30000).subscribe(() => {
+        this.now = Date.now();
+        this.cdr.detectChanges();
+      })
+    );
+  }
+
+  ngOnDestroy() {
+    this.subscription.unsubscribe();
+  }
+
+  loadQueue() {
+    this.loading = true;
+    this.waitingQueueService.getQueue().subscribe({
+      next: (queue) => {
+        this.queue = queue;
+        this.now = Date.now();
+        this.loading = false;
+        this.cdr.detectChanges();
+      },
+      error: (error) => {
+        console.error('[WaitingQueue] Error loading queue:', error);
+        this.toastService.error(this.translate.instant('queue.loadError'));
+        this.loading = false;
+        this.cdr.detectChanges();
+      }
+    });
+  }
+
+  loadOnlineAgents() {
+    this.agentService.getAllAgents({ status: 'online', isActive: true }).subscribe({
+      next: (response) => {
+        this.onlineAgents = response.agents.filter(agent => agent.autoAssign);
+        this.cdr.detectChanges();
+      },
+      error: (error) => console.error('[WaitingQueue] Error loading agents:', error)
+    });
+  }
+
+  /**
+   * Assign queued conversations to available agents now
+   */
+  processQueue() {
+    this.processing = true;
+    this.waitingQueueService.processQueue().subscribe({
+      next: (result) => {
+        const { assigned, ...queue } = result;
+        this.queue = queue;
+        this.processing = false;
+        this.toastService.success(this.translate.instant('queue.processed', { count: assigned }));
+        this.loadOnlineAgents();
+        this.cdr.detectChanges();
+      },
+      error: (error) => {
+        console.error('[WaitingQueue] Error processing queue:', error);
+        this.toastService.error(error.error?.error || this.translate.instant('queue.processError'));
+        this.processing = false;
+        this.cdr.detectChanges();
+      }
+    });
+  }
+
+  assignToAgent(entry: WaitingQueueEntry) {
+    const agentId = this.selectedAgents[entry.conversationId];
+    if (!agentId) return;
+
+    this.waitingQueueService.assignToAgent(entry.conversationId, agentId).subscribe({
+      next: () => {
+        this.toastService.success(this.translate.instant('queue.assigned'));
+        delete this.selectedAgents[entry.conversationId];
+        this.loadQueue();
+        this.loadOnlineAgents();
+      },
+      error: (error) => {
+        console.error('[WaitingQueue] Error assigning conversation:', error);
+        this.toastService.error(error.error?.error || this.translate.instant('queue.assignError'));
+      }
+    });
+  }
+
+  removeFromQueue(entry: WaitingQueueEntry) {
+    if (!confirm(this.translate.instant('queue.removeConfirm'))) return;
+
+    this.waitingQueueService.removeFromQueue(entry.conversationId).subscribe({
+      next: () => {
+        this.toastService.success(this.translate.instant('queue.removed'));
+        this.loadQueue();
+      },
+      error: (error) => {
+        console.error('[WaitingQueue] Error removing conversation from queue:', error);
+        this.toastService.error(error.error?.error || this.translate.instant('queue.removeError'));
+      }
+    });
+  }
+
+  getWaitingTime(entry: WaitingQueueEntry): number {
+    return Math.max(0, this.now - new Date(entry.enteredAt).getTime());
+  }
+
+  /**
+   * Format a duration in ms as "1h 5m" / "12m"
+   */
+  formatDuration(ms: number | null): string {
+    if (ms === null || ms === undefined) return '—';
+
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return '< 1m';
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.floor(minutes / 60);
+    return `${hours}h ${minutes % 60}m`;
+  }
+
+  getPriorityClass(priority: ConversationPriority): string {
+    switch (priority) {
+      case 'urgent': return 'bg-red-600 text-white';
+      case 'high': return 'bg-orange-500 text-white';
+      case 'low': return 'bg-gray-600 text-gray-200';
+      default: return 'bg-blue-600 text-white';
+    }
+  }
+}
@@ -56,6 +56,26 @@ interface ConversationHistory {
   };
 }
 
+interface SLAMetrics {
+  total: number;
+  breaches: number;
+  firstResponse: SLAClockMetrics;
+  resolution: SLAClockMetrics;
+}
+
+interface SLAClockMetrics {
+  measured: number;
+  met: number;
+  complianceRate: number | null;
+  averageSeconds: number | null;
+}
+
+interface SLAReport {
+  summary: SLAMetrics;
+  byAgent: Array<SLAMetrics & { agentId: string; name: string; email?: string }>;
+  byCategory: Array<SLAMetrics & { category: string }>;
+}
+
 @Component({
   selector: 'app-reports',
   standalone: true,
@@ -66,7 +86,7 @@ interface ConversationHistory {
 export class ReportsComponent implements OnInit {
   private apiUrl = '/api/v2';
 
-  activeTab: 'agent-performance' | 'conversation-history' = 'agent-performance';
+  activeTab: 'agent-performance' | 'conversation-history' | 'sla' = 'agent-performance';
 
   // Agent Performance
   selectedAgentId: string = '';
@@ -79,6 +99,10 @@ export class ReportsComponent implements OnInit {
   conversationHistory: ConversationHistory | null = null;
   loadingHistory = false;
 
+  // SLA Compliance
+  slaReport: SLAReport | null = null;
+  loadingSLA = false;
+
   // Filters
   dateRange = {
     startDate: '',
@@ -281,8 +305,71 @@ export class ReportsComponent implements OnInit {
       });
   }
 
-  switchTab(tab: 'agent-performance' | 'conversation-history') {
+  loadSLAReport() {
+    this.loadingSLA = true;
+
+    let url = `${this.apiUrl}/conversations/sla/report`;
+    const params = new URLSearchParams();
+
+    if (this.dateRange.startDate) params.append('startDate', this.dateRange.startDate);
+    if (this.dateRange.endDate) params.append('endDate', this.dateRange.endDate);
+
+    if (params.toString()) {
+      url += '?' + params.toString();
+    }
+
+    console.log('[Reports] Loading SLA report from:', url);
+
+    this.http.get<SLAReport>(url)
+      .pipe(
+        timeout(30000),
+        catchError((err) => {
+          console.error('[Reports] Failed to load SLA report:', err);
+          let errorMessage = this.translate.instant('reports.loadError');
+          if (err.name === 'TimeoutError') {
+            errorMessage = this.translate.instant('reports.timeout');
+          } else if (err.error?.error) {
+            errorMessage = err.error.error;
+          }
+          this.toastService.error(errorMessage);
+          return throwError(() => err);
+        }),
+        finalize(() => {
+          this.loadingSLA = false;
+          this.cdr.detectChanges();
+        })
+      )
+      .subscribe({
+        next: (data) => {
+          this.slaReport = data;
+        },
+        error: () => {
+          this.slaReport = null;
+        }
+      });
+  }
+
+  switchTab(tab: 'agent-performance' | 'conversation-history' | 'sla') {
     this.activeTab = tab;
+
+    if (tab === 'sla' && !this.slaReport && !this.loadingSLA) {
+      this.loadSLAReport();
+    }
+  }
+
+  getComplianceColor(rate: number | null): string {
+    if (rate === null || rate === undefined) return 'text-gray-400';
+    if (rate >= 90) return 'text-green-500';
+    if (rate >= 75) return 'text-yellow-500';
+    return 'text-red-500';
+  }
+
+  formatCompliance(rate: number | null): string {
+    return rate === null || rate === undefined ? 'N/A' : `${rate}%`;
+  }
+
+  formatAverage(seconds: number | null): string {
+    return seconds === null || seconds === undefined ? 'N/A' : this.formatDuration(seconds);
   }
 
   getScoreColor(score: number): string {
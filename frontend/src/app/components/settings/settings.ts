@@ -4,7 +4,7 @@ import { FormsModule } from '@angular/forms';
 import { TranslateModule, TranslateService } from '@ngx-translate/core';
 import { AuthService } from '../../services/auth';
 import { ToastService } from '../../services/toast';
-import { CRMSettingsService, CRMSettings } from '../../services/crm-settings';
+import { CRMSettingsService, CRMSettings, RoutingStep, HandoffMode, TakeoverWeights, TakeoverPreview } from '../../services/crm-settings';
 import { AVAILABLE_LANGUAGES, LANGUAGE_STORAGE_KEY } from '../../config/translation.config';
 
 interface Language {
@@ -56,6 +56,36 @@ export class SettingsComponent implements OnInit {
   crmSettings: CRMSettings | null = null;
   isSavingCRM = false;
   isLoadingCRM = false;
+  readonly businessDays: Array<keyof CRMSettings['businessHours']['schedule']> = [
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'
+  ];
+  readonly routingSteps: Array<{ value: RoutingStep; label: string; description: string }> = [
+    { value: 'preferred_agent', label: 'Preferred agent', description: "The customer's preferred agent" },
+    { value: 'previous_agent', label: 'Previous agent', description: 'The last agent who handled this customer' },
+    { value: 'skill_and_language', label: 'Skill + language', description: 'Agents with the conversation category as a skill who speak the customer language' },
+    { value: 'language', label: 'Language', description: 'Agents who speak the customer language' },
+    { value: 'skill', label: 'Skill', description: 'Agents with the conversation category as a skill' },
+    { value: 'any', label: 'Any agent', description: 'Any available agent' }
+  ];
+  readonly handoffModes: Array<{ value: HandoffMode; label: string }> = [
+    { value: 'auto_assign', label: 'Assign explicit requests to an agent' },
+    { value: 'suggest_only', label: 'Only suggest a takeover to agents' }
+  ];
+  readonly takeoverWeights: Array<{ key: keyof TakeoverWeights; label: string }> = [
+    { key: 'aiDetection', label: 'AI detection (max)' },
+    { key: 'keyword', label: 'Handoff keyword' },
+    { key: 'aiUncertainty', label: 'AI uncertain' },
+    { key: 'maxAIMessages', label: 'Max AI messages reached' },
+    { key: 'negativeSentiment', label: 'Negative sentiment' },
+    { key: 'repeatedQuestions', label: 'Repeated questions' }
+  ];
+
+  // Takeover rules preview
+  takeoverPreviewMessage = '';
+  takeoverPreviewUseAI = false;
+  takeoverPreviewAIMessages = 0;
+  takeoverPreview: TakeoverPreview | null = null;
+  isPreviewingTakeover = false;
 
   constructor(
     private translate: TranslateService,
@@ -290,6 +320,88 @@ export class SettingsComponent implements OnInit {
     });
   }
 
+  getRoutingStep(value: RoutingStep) {
+    return this.routingSteps.find(step => step.value === value);
+  }
+
+  /**
+   * Routing steps that are not part of the routing order
+   */
+  getUnusedRoutingSteps() {
+    const order = this.crmSettings?.agentAssignment.routingOrder || [];
+    return this.routingSteps.filter(step => !order.includes(step.value));
+  }
+
+  addRoutingStep(value: RoutingStep) {
+    if (!this.crmSettings) return;
+    this.crmSettings.agentAssignment.routingOrder = [...this.crmSettings.agentAssignment.routingOrder, value];
+  }
+
+  removeRoutingStep(index: number) {
+    if (!this.crmSettings) return;
+    this.crmSettings.agentAssignment.routingOrder = this.crmSettings.agentAssignment.routingOrder.filter((_, i) => i !== index);
+  }
+
+  moveRoutingStep(index: number, offset: number) {
+    if (!this.crmSettings) return;
+    const order = [...this.crmSettings.agentAssignment.routingOrder];
+    const target = index + offset;
+    if (target < 0 || target >= order.length) return;
+    [order[index], order[target]] = [order[target], order[index]];
+    this.crmSettings.agentAssignment.routingOrder = order;
+  }
+
+  /**
+   * Test a message against the takeover rules currently on screen (saved or not)
+   */
+  previewTakeover() {
+    if (!this.crmSettings || !this.takeoverPreviewMessage.trim()) return;
+
+    this.isPreviewingTakeover = true;
+    this.crmSettingsService.previewTakeover(
+      this.takeoverPreviewMessage,
+      this.crmSettings.aiBehavior,
+      this.takeoverPreviewUseAI,
+      this.takeoverPreviewAIMessages
+    ).subscribe({
+      next: (preview) => {
+        this.takeoverPreview = preview;
+        this.isPreviewingTakeover = false;
+        this.cdr.detectChanges();
+      },
+      error: (err) => {
+        this.isPreviewingTakeover = false;
+        console.error('[Settings] Error previewing takeover rules:', err);
+        this.toastService.error(err.error?.error || 'Failed to test the message');
+        this.cdr.detectChanges();
+      }
+    });
+  }
+
+  getTakeoverActionLabel(action: TakeoverPreview['action']): string {
+    switch (action) {
+      case 'auto_assign': return 'Assigned to an agent';
+      case 'suggest': return 'Takeover suggested to agents';
+      default: return 'AI keeps handling the conversation';
+    }
+  }
+
+  /**
+   * Add a holiday / schedule exception (closed all day by default)
+   */
+  addHoliday() {
+    if (!this.crmSettings) return;
+    this.crmSettings.businessHours.holidays = [
+      ...(this.crmSettings.businessHours.holidays || []),
+      { date: '', name: '', closed: true, start: '09:00', end: '14:00', recurring: false }
+    ];
+  }
+
+  removeHoliday(index: number) {
+    if (!this.crmSettings) return;
+    this.crmSettings.businessHours.holidays = this.crmSettings.businessHours.holidays.filter((_, i) => i !== index);
+  }
+
   /**
    * Reset CRM settings to defaults
    */
@@ -0,0 +1,388 @@
+import { Component, Input, Output, EventEmitter, ChangeDetectorRef } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { TranslateModule, TranslateService } from '@ngx-translate/core';
+import { TemplateService, Template, TemplateComponent, TemplateButton, TemplateButtonType, CreateTemplateRequest } from '../../../services/template';
+import { ToastService } from '../../../services/toast';
+
+type HeaderFormat = '' | 'TEXT' | 'IMAGE' | 'VIDEO' | 'DOCUMENT';
+
+interface BuilderButton {
+  type: TemplateButtonType;
+  text: string;
+  url: string;
+  urlExample: string;
+  phoneNumber: string;
+  code: string;
+}
+
+// Meta's limits for template components (mirrored by the backend validation)
+const LIMITS = {
+  headerText: 60,
+  bodyText: 1024,
+  footerText: 60,
+  buttonText: 25,
+  buttons: 10,
+  urlButtons: 2,
+  phoneButtons: 1,
+  copyCodeButtons: 1,
+  copyCodeExample: 15
+};
+
+const HEADER_SAMPLE_ACCEPT: { [format: string]: string } = {
+  IMAGE: 'image/jpeg,image/png',
+  VIDEO: 'video/mp4',
+  DOCUMENT: 'application/pdf'
+};
+
+@Component({
+  selector: 'app-template-builder',
+  standalone: true,
+  imports: [CommonModule, FormsModule, TranslateModule],
+  templateUrl: './template-builder.html',
+  styleUrls: ['./template-builder.css']
+})
+export class TemplateBuilderComponent {
+  @Input() show = false;
+  @Output() close = new EventEmitter<void>();
+  @Output() created = new EventEmitter<Template>();
+
+  readonly limits = LIMITS;
+  readonly headerVariable = '{{1}}';
+  readonly categories: Array<'MARKETING' | 'UTILITY'> = ['MARKETING', 'UTILITY'];
+  readonly headerFormats: HeaderFormat[] = ['', 'TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT'];
+  readonly buttonTypes: TemplateButtonType[] = ['QUICK_REPLY', 'URL', 'PHONE_NUMBER', 'COPY_CODE'];
+  languages: Array<{ code: string; name: string }> = [];
+
+  form = this.getEmptyForm();
+  buttons: BuilderButton[] = [];
+  bodyExamples: string[] = [];
+
+  uploadingSample = false;
+  submitting = false;
+  submitted = false;
+  serverErrors: string[] = [];
+
+  constructor(
+    private templateService: TemplateService,
+    private toast: ToastService,
+    private translate: TranslateService,
+    private cdr: ChangeDetectorRef
+  ) {
+    this.languages = this.templateService.getLanguages();
+  }
+
+  private getEmptyForm() {
+    return {
+      name: '',
+      language: 'es_MX',
+      category: 'UTILITY' as 'MARKETING' | 'UTILITY',
+      description: '',
+      headerFormat: '' as HeaderFormat,
+      headerText: '',
+      headerExample: '',
+      headerHandle: '',
+      headerFileName: '',
+      body: '',
+      footer: ''
+    };
+  }
+
+  reset() {
+    this.form = this.getEmptyForm();
+    this.buttons = [];
+    this.bodyExamples = [];
+    this.submitted = false;
+    this.serverErrors = [];
+  }
+
+  onClose() {
+    if (this.submitting) return;
+    this.reset();
+    this.close.emit();
+  }
+
+  /**
+   * Template names: lowercase letters, numbers and underscores
+   */
+  onNameChange() {
+    this.form.name = this.form.name.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
+  }
+
+  onHeaderFormatChange() {
+    this.form.headerText = '';
+    this.form.headerExample = '';
+    this.form.headerHandle = '';
+    this.form.headerFileName = '';
+  }
+
+  getHeaderAccept(): string {
+    return HEADER_SAMPLE_ACCEPT[this.form.headerFormat] || '';
+  }
+
+  /**
+   * Upload the sample Meta reviews the media header with
+   */
+  onHeaderSampleSelected(event: Event) {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    const format = this.form.headerFormat;
+    if (!file || (format !== 'IMAGE' && format !== 'VIDEO' && format !== 'DOCUMENT')) return;
+
+    this.uploadingSample = true;
+    this.templateService.uploadHeaderSample(file, format).subscribe({
+      next: (response) => {
+        this.form.headerHandle = response.data.handle;
+        this.form.headerFileName = file.name;
+        this.uploadingSample = false;
+        this.cdr.detectChanges();
+      },
+      error: (err) => {
+        console.error('Error uploading header sample:', err);
+        this.toast.error(err.error?.error || err.error?.message || this.translate.instant('templates.builder.sampleUploadError'));
+        this.uploadingSample = false;
+        input.value = '';
+        this.cdr.detectChanges();
+      }
+    });
+  }
+
+  // ========== Variables ==========
+
+  private getVariableNumbers(text: string): number[] {
+    return (text.match(/\{\{(\d+)\}\}/g) || []).map(match => parseInt(match.slice(2, -2), 10));
+  }
+
+  getBodyVariableCount(): number {
+    return this.getVariableNumbers(this.form.body).length;
+  }
+
+  headerHasVariable(): boolean {
+    return this.form.headerFormat === 'TEXT' && this.getVariableNumbers(this.form.headerText).length > 0;
+  }
+
+  /**
+   * Keep one example input per body variable
+   */
+  onBodyChange() {
+    const count = this.getBodyVariableCount();
+    this.bodyExamples = Array.from({ length: count }, (_, i) => this.bodyExamples[i] || '');
+  }
+
+  /**
+   * Append the next numbered variable to the body
+   */
+  addBodyVariable() {
+    const next = this.getBodyVariableCount() + 1;
+    const separator = this.form.body && !this.form.body.endsWith(' ') ? ' ' : '';
+    this.form.body = `${this.form.body}${separator}{{${next}}}`;
+    this.onBodyChange();
+  }
+
+  trackByIndex(index: number): number {
+    return index;
+  }
+
+  // ========== Buttons ==========
+
+  addButton(type: TemplateButtonType) {
+    if (!this.canAddButton(type)) return;
+
+    const button: BuilderButton = { type, text: '', url: 'https://', urlExample: '', phoneNumber: '', code: '' };
+
+    // Quick replies stay grouped before the other buttons
+    if (type === 'QUICK_REPLY') {
+      const lastQuickReply = this.buttons.map(b => b.type).lastIndexOf('QUICK_REPLY');
+      this.buttons.splice(lastQuickReply + 1, 0, button);
+    } else {
+      this.buttons.push(button);
+    }
+  }
+
+  removeButton(index: number) {
+    this.buttons.splice(index, 1);
+  }
+
+  canAddButton(type: TemplateButtonType): boolean {
+    if (this.buttons.length >= LIMITS.buttons) return false;
+    const count = this.buttons.filter(button => button.type === type).length;
+    switch (type) {
+      case 'URL': return count < LIMITS.urlButtons;
+      case 'PHONE_NUMBER': return count < LIMITS.phoneButtons;
+      case 'COPY_CODE': return count < LIMITS.copyCodeButtons;
+      default: return true;
+    }
+  }
+
+  urlHasVariable(button: BuilderButton): boolean {
+    return this.getVariableNumbers(button.url).length > 0;
+  }
+
+  // ========== Validation ==========
+
+  /**
+   * Client-side checks against Meta's rules (the backend runs the same ones)
+   */
+  getErrors(): string[] {
+    const t = (key: string, params?: object) => this.translate.instant(`templates.builder.errors.${key}`, params);
+    const errors: string[] = [];
+    const form = this.form;
+
+    if (!/^[a-z0-9_]{1,512}$/.test(form.name)) errors.push(t('name'));
+
+    if (form.headerFormat === 'TEXT') {
+      const variables = this.getVariableNumbers(form.headerText);
+      if (!form.headerText.trim()) errors.push(t('headerRequired'));
+      if (form.headerText.length > LIMITS.headerText) errors.push(t('headerLength', { max: LIMITS.headerText }));
+      if (variables.length > 1 || (variables.length === 1 && variables[0] !== 1)) errors.push(t('headerVariables'));
+      if (variables.length === 1 && !form.headerExample.trim()) errors.push(t('headerExample'));
+    } else if (form.headerFormat && !form.headerHandle) {
+      errors.push(t('headerSample'));
+    }
+
+    const body = form.body.trim();
+    const bodyVariables = this.getVariableNumbers(body);
+    if (!body) errors.push(t('bodyRequired'));
+    if (body.length > LIMITS.bodyText) errors.push(t('bodyLength', { max: LIMITS.bodyText }));
+    if (bodyVariables.some((number, index) => number !== index + 1)) errors.push(t('bodyVariableOrder'));
+    if (bodyVariables.length > 0) {
+      if (/^\{\{\d+\}\}/.test(body) || /\{\{\d+\}\}$/.test(body)) errors.push(t('bodyVariableEdges'));
+      if (/\}\}\s*\{\{/.test(body)) errors.push(t('bodyVariablesAdjacent'));
+      if (this.bodyExamples.some(example => !example.trim())) errors.push(t('bodyExamples'));
+    }
+
+    if (form.footer.length > LIMITS.footerText) errors.push(t('footerLength', { max: LIMITS.footerText }));
+    if (/\{\{.*\}\}/.test(form.footer)) errors.push(t('footerVariables'));
+
+    this.buttons.forEach((button, index) => {
+      const n = index + 1;
+      if (button.type !== 'COPY_CODE') {
+        if (!button.text.trim()) errors.push(t('buttonText', { n }));
+        if (button.text.length > LIMITS.buttonText) errors.push(t('buttonTextLength', { n, max: LIMITS.buttonText }));
+      }
+      if (button.type === 'URL') {
+        const variables = this.getVariableNumbers(button.url);
+        if (!/^https?:\/\/\S+$/.test(button.url) || button.url === 'https://') errors.push(t('buttonUrl', { n }));
+        if (variables.length > 1 || (variables.length === 1 && !button.url.endsWith('{{1}}'))) errors.push(t('buttonUrlVariable', { n }));
+        if (variables.length === 1 && !button.urlExample.trim()) errors.push(t('buttonUrlExample', { n }));
+      }
+      if (button.type === 'PHONE_NUMBER' && !/^\+?[0-9]{6,20}$/.test(button.phoneNumber)) {
+        errors.push(t('buttonPhone', { n }));
+      }
+      if (button.type === 'COPY_CODE' && !/^[A-Za-z0-9]{1,15}$/.test(button.code)) {
+        errors.push(t('buttonCode', { n, max: LIMITS.copyCodeExample }));
+      }
+    });
+
+    return errors;
+  }
+
+  // ========== Submission ==========
+
+  /**
+   * Build the components in Meta's format
+   */
+  buildComponents(): TemplateComponent[] {
+    const components: TemplateComponent[] = [];
+    const form = this.form;
+
+    if (form.headerFormat === 'TEXT') {
+      components.push({
+        type: 'HEADER',
+        format: 'TEXT',
+        text: form.headerText.trim(),
+        ...(this.headerHasVariable() && { example: { header_text: [form.headerExample.trim()] } })
+      });
+    } else if (form.headerFormat) {
+      components.push({ type: 'HEADER', format: form.headerFormat, example: { header_handle: [form.headerHandle] } });
+    }
+
+    components.push({
+      type: 'BODY',
+      text: form.body.trim(),
+      ...(this.bodyExamples.length > 0 && { example: { body_text: [this.bodyExamples.map(example => example.trim())] } })
+    });
+
+    if (form.footer.trim()) {
+      components.push({ type: 'FOOTER', text: form.footer.trim() });
+    }
+
+    if (this.buttons.length > 0) {
+      components.push({
+        type: 'BUTTONS',
+        buttons: this.buttons.map((button): TemplateButton => {
+          switch (button.type) {
+            case 'URL':
+              return {
+                type: 'URL',
+                text: button.text.trim(),
+                url: button.url.trim(),
+                ...(this.urlHasVariable(button) && { example: [button.urlExample.trim()] })
+              };
+            case 'PHONE_NUMBER':
+              return { type: 'PHONE_NUMBER', text: button.text.trim(), phone_number: button.phoneNumber.trim() };
+            case 'COPY_CODE':
+              return { type: 'COPY_CODE', example: button.code.trim() };
+            default:
+              return { type: 'QUICK_REPLY', text: button.text.trim() };
+          }
+        })
+      });
+    }
+
+    return components;
+  }
+
+  submit() {
+    this.submitted = true;
+    this.serverErrors = [];
+    if (this.getErrors().length > 0) return;
+
+    const request: CreateTemplateRequest = {
+      name: this.form.name,
+      language: this.form.language,
+      category: this.form.category,
+      components: this.buildComponents(),
+      description: this.form.description.trim() || undefined
+    };
+
+    this.submitting = true;
+    this.templateService.createTemplate(request).subscribe({
+      next: (response) => {
+        this.submitting = false;
+        this.toast.success(this.translate.instant('templates.builder.submitted', { name: request.name }));
+        if (response.data) this.created.emit(response.data);
+        this.reset();
+        this.close.emit();
+      },
+      error: (err) => {
+        console.error('Error creating template:', err);
+        this.submitting = false;
+        this.serverErrors = err.error?.errors || [err.error?.error || err.error?.message || this.translate.instant('templates.builder.submitError')];
+        this.cdr.detectChanges();
+      }
+    });
+  }
+
+  // ========== Preview ==========
+
+  /**
+   * Body with the example values in place of the variables
+   */
+  getPreviewBody(): string {
+    return this.form.body.replace(/\{\{(\d+)\}\}/g, (match, number) => this.bodyExamples[parseInt(number, 10) - 1] || match);
+  }
+
+  getPreviewHeader(): string {
+    return this.form.headerText.replace('{{1}}', this.form.headerExample || '{{1}}');
+  }
+
+  getButtonIcon(type: TemplateButtonType): string {
+    switch (type) {
+      case 'URL': return 'fa-external-link-alt';
+      case 'PHONE_NUMBER': return 'fa-phone';
+      case 'COPY_CODE': return 'fa-copy';
+      default: return 'fa-reply';
+    }
+  }
+}
@@ -1,21 +1,49 @@
-import { Component, OnInit, ChangeDetectorRef } from '@angular/core';
+import { Component, OnInit, OnDestroy, ChangeDetectorRef } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
 import { Router } from '@angular/router';
-import { TranslateModule } from '@ngx-translate/core';
-import { TemplateService, Template, TemplateFilters, TemplateStats } from '../../../services/template';
+import { TranslateModule, TranslateService } from '@ngx-translate/core';
+import { Subscription } from 'rxjs';
+import {
+  TemplateService,
+  Template,
+  TemplateFilters,
+  TemplateStats,
+  TemplateStatusUpdate,
+  TemplateParameter,
+  TemplateParameterType,
+  TemplateRecipientsFile,
+  TemplateSendPreview,
+  SendTemplateBulkRequest
+} from '../../../services/template';
 import { CustomerService, Customer } from '../../../services/customer';
 import { ToastService } from '../../../services/toast';
+import { AuthService } from '../../../services/auth';
+import { ChatService } from '../../../services/chat';
+import { TemplateBuilderComponent } from '../template-builder/template-builder';
+import { TemplateParametersComponent, TemplateParametersState } from '../template-parameters/template-parameters';
+import { TemplateRecipientPreviewComponent } from '../template-recipient-preview/template-recipient-preview';
+
+// Language variants of one template (Meta stores one template per name and language)
+export interface TemplateGroup {
+  key: string;
+  name: string;
+  variants: Template[];
+}
+
 @Component({
   selector: 'app-template-list',
   standalone: true,
-  imports: [CommonModule, FormsModule, TranslateModule],
+  imports: [CommonModule, FormsModule, TranslateModule, TemplateBuilderComponent, TemplateParametersComponent, TemplateRecipientPreviewComponent],
   templateUrl: './template-list.html',
   styleUrls: ['./template-list.css']
 })
-export class TemplateListComponent implements OnInit {
+export class TemplateListComponent implements OnInit, OnDestroy {
   templates: Template[] = [];
   filteredTemplates: Template[] = [];
+  templateGroups: TemplateGroup[] = [];
+  // Variant shown on each group card, by group key
+  activeVariants: { [key: string]: string } = {};
   loading = false;
   syncing = false;
   // Filters
@@ -39,15 +67,29 @@ export class TemplateListComponent implements OnInit {
   // Bulk send properties
   customers: Customer[] = [];
   selectedCustomers: Set<string> = new Set();
-  bulkParameters: string[] = [];
+  bulkParameterState: TemplateParametersState | null = null;
   customerSearchTerm = '';
   filteredCustomers: Customer[] = [];
   isSendingBulk = false;
   bulkSendProgress = { sent: 0, total: 0 };
   showBulkProgress = false;
+  // Recipients file (parameter values per row; the recipient list when no customer is selected)
+  recipientsFile: TemplateRecipientsFile | null = null;
+  uploadingRecipients = false;
+  bulkPreview: TemplateSendPreview | null = null;
+  loadingBulkPreview = false;
+  // Template builder
+  showBuilder = false;
+  canCreateTemplates = false;
+  refreshingStatus = new Set<string>();
+  readonly bodyParameterTypes: TemplateParameterType[] = ['text', 'currency', 'date_time'];
+  private subscription = new Subscription();
   constructor(
     private templateService: TemplateService,
     private customerService: CustomerService,
+    private authService: AuthService,
+    private chatService: ChatService,
+    private translate: TranslateService,
     private router: Router,
     private cdr: ChangeDetectorRef,
     private toast: ToastService
@@ -57,8 +99,19 @@ export class TemplateListComponent implements OnInit {
     this.statuses = this.templateService.getStatuses();
     this.categories = this.templateService.getCategories();
     this.languages = this.templateService.getLanguages();
+    this.canCreateTemplates = this.authService.isAdminOrSupervisor();
     this.loadTemplates();
     this.loadStats();
+
+    // Review results pushed by the webhook
+    this.subscription.add(
+      this.chatService.onTemplateStatusUpdate().subscribe(update => {
+        if (update) this.onTemplateStatusUpdate(update);
+      })
+    );
+  }
+  ngOnDestroy() {
+    this.subscription.unsubscribe();
   }
   loadTemplates() {
     console.log('loadTemplates() called');
@@ -118,17 +171,117 @@ export class TemplateListComponent implements OnInit {
       }
     });
   }
+  openBuilder() {
+    this.showBuilder = true;
+  }
+  closeBuilder() {
+    this.showBuilder = false;
+  }
+  onTemplateCreated() {
+    this.loadTemplates();
+    this.loadStats();
+  }
+  /**
+   * Re-read a submitted template's review status from Meta
+   */
+  refreshStatus(template: Template) {
+    this.refreshingStatus.add(template._id);
+    this.templateService.refreshTemplateStatus(template._id).subscribe({
+      next: (response) => {
+        this.refreshingStatus.delete(template._id);
+        this.replaceTemplate(response.data);
+        this.loadStats();
+        this.cdr.detectChanges();
+      },
+      error: (err) => {
+        console.error('Error refreshing template status:', err);
+        this.refreshingStatus.delete(template._id);
+        this.toast.error(err.error?.error || this.translate.instant('templates.refreshStatusError'));
+        this.cdr.detectChanges();
+      }
+    });
+  }
+  /**
+   * Send a body variable as text, money or a date
+   */
+  setParameterType(parameter: TemplateParameter, type: TemplateParameterType) {
+    if (!this.selectedTemplate) return;
+
+    const parameters = [{ ...parameter, type }];
+    this.templateService.updateTemplate(this.selectedTemplate._id, { parameters }).subscribe({
+      next: (response) => {
+        this.replaceTemplate(response.data);
+        this.cdr.detectChanges();
+      },
+      error: (err) => {
+        console.error('Error updating parameter type:', err);
+        this.toast.error('Failed to update template');
+      }
+    });
+  }
+  private onTemplateStatusUpdate(update: TemplateStatusUpdate) {
+    const template = this.templates.find(t => t._id === update.templateId);
+    if (template) {
+      this.replaceTemplate({ ...template, status: update.status, rejectionReason: update.rejectionReason || undefined });
+    }
+
+    if (update.status === 'APPROVED') {
+      this.toast.success(this.translate.instant('templates.statusApproved', { name: update.name }));
+    } else if (update.status === 'REJECTED') {
+      this.toast.error(this.translate.instant('templates.statusRejected', { name: update.name, reason: update.rejectionReason || '-' }), 8000);
+    }
+    this.loadStats();
+    this.cdr.detectChanges();
+  }
+  private replaceTemplate(updated: Template) {
+    this.templates = this.templates.map(t => t._id === updated._id ? updated : t);
+    if (this.selectedTemplate?._id === updated._id) {
+      this.selectedTemplate = updated;
+    }
+    this.applySearch();
+  }
   applySearch() {
     if (!this.searchTerm) {
       this.filteredTemplates = this.templates;
-      return;
+    } else {
+      const term = this.searchTerm.toLowerCase();
+      this.filteredTemplates = this.templates.filter(template =>
+        template.name.toLowerCase().includes(term) ||
+        template.description?.toLowerCase().includes(term) ||
+        template.tags.some(tag => tag.toLowerCase().includes(term))
+      );
     }
-    const term = this.searchTerm.toLowerCase();
-    this.filteredTemplates = this.templates.filter(template =>
-      template.name.toLowerCase().includes(term) ||
-      template.description?.toLowerCase().includes(term) ||
-      template.tags.some(tag => tag.toLowerCase().includes(term))
-    );
+    this.groupTemplates();
+  }
+  /**
+   * Group language variants sharing a name (per WhatsApp Business Account) into one card
+   */
+  private groupTemplates() {
+    const groups = new Map<string, TemplateGroup>();
+    this.filteredTemplates.forEach(template => {
+      const key = `${template.businessAccountId || ''}|${template.name}`;
+      if (!groups.has(key)) {
+        groups.set(key, { key, name: template.name, variants: [] });
+      }
+      groups.get(key)!.variants.push(template);
+    });
+    groups.forEach(group => group.variants.sort((a, b) => a.language.localeCompare(b.language)));
+    this.templateGroups = Array.from(groups.values());
+  }
+  getActiveVariant(group: TemplateGroup): Template {
+    const activeId = this.activeVariants[group.key];
+    return group.variants.find(variant => variant._id === activeId) || group.variants[0];
+  }
+  selectVariant(group: TemplateGroup, variant: Template) {
+    this.activeVariants[group.key] = variant._id;
+  }
+  /**
+   * Approved languages of the template being sent (each customer gets their own)
+   */
+  getApprovedLanguages(template: Template): string[] {
+    return this.templates
+      .filter(t => t.name === template.name && t.businessAccountId === template.businessAccountId && t.status === 'APPROVED')
+      .map(t => t.language);
   }
   onSearchChange() {
     this.applySearch();
@@ -162,15 +315,17 @@ export class TemplateListComponent implements OnInit {
     this.selectedTemplate = template;
     this.showSendModal = true;
     this.loadCustomers();
-    this.initializeBulkParameters(template);
+    this.bulkParameterState = null;
   }
   closeSendModal() {
     this.showSendModal = false;
     this.selectedTemplate = null;
     this.selectedCustomers.clear();
-    this.bulkParameters = [];
+    this.bulkParameterState = null;
     this.customerSearchTerm = '';
     this.showBulkProgress = false;
+    this.recipientsFile = null;
+    this.bulkPreview = null;
   }
   loadCustomers() {
     this.customerService.listCustomers({ limit: 1000 }).subscribe({
@@ -184,9 +339,86 @@ export class TemplateListComponent implements OnInit {
       }
     });
   }
-  initializeBulkParameters(template: Template) {
-    const paramCount = this.getParameterCount(template);
-    this.bulkParameters = new Array(paramCount).fill('');
+  onBulkParametersChanged(state: TemplateParametersState) {
+    this.bulkParameterState = state;
+    this.bulkPreview = null;
+  }
+  onRecipientsFileSelected(event: Event) {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    this.uploadingRecipients = true;
+    this.templateService.uploadRecipientsFile(file).subscribe({
+      next: (response) => {
+        this.recipientsFile = response.data;
+        this.bulkPreview = null;
+        this.uploadingRecipients = false;
+        input.value = '';
+        this.cdr.detectChanges();
+      },
+      error: (err) => {
+        console.error('Error reading recipients file:', err);
+        this.toast.error(err.error?.message || this.translate.instant('templates.recipientsFile.uploadError'));
+        this.uploadingRecipients = false;
+        input.value = '';
+        this.cdr.detectChanges();
+      }
+    });
+  }
+  removeRecipientsFile() {
+    this.recipientsFile = null;
+    this.bulkPreview = null;
+  }
+  // Selected customers, else everyone in the recipients file
+  getBulkRecipientCount(): number {
+    return this.selectedCustomers.size || this.recipientsFile?.total || 0;
+  }
+  private getMappedColumns(): string[] {
+    const values = this.bulkParameterState?.values;
+    if (!values) return [];
+    return [values.header, ...values.body, ...Object.values(values.buttons || {})]
+      .filter((value): value is { source: 'column'; column: string } =>
+        !!value && typeof value === 'object' && 'source' in value && value.source === 'column' && !!value.column)
+      .map(value => value.column);
+  }
+  private getBulkRequest(): SendTemplateBulkRequest {
+    const request: SendTemplateBulkRequest = {
+      templateId: this.selectedTemplate!._id,
+      parameters: this.bulkParameterState?.values || []
+    };
+    if (this.selectedCustomers.size > 0) {
+      request.customerIds = Array.from(this.selectedCustomers);
+    }
+    if (this.recipientsFile) {
+      // Only the phone and mapped columns are sent back
+      const columns = [this.recipientsFile.phoneColumn, ...this.getMappedColumns()];
+      request.phoneColumn = this.recipientsFile.phoneColumn;
+      request.recipientRows = this.recipientsFile.rows.map(row => {
+        const values: { [column: string]: string } = {};
+        columns.forEach(column => values[column] = row[column]);
+        return values;
+      });
+    }
+    return request;
+  }
+  loadBulkPreview() {
+    if (!this.selectedTemplate || this.getBulkRecipientCount() === 0) return;
+
+    this.loadingBulkPreview = true;
+    this.templateService.previewTemplateSend(this.getBulkRequest()).subscribe({
+      next: (response) => {
+        this.bulkPreview = response.data;
+        this.loadingBulkPreview = false;
+        this.cdr.detectChanges();
+      },
+      error: (err) => {
+        console.error('Error previewing bulk send:', err);
+        this.toast.error(err.error?.message || 'Failed to preview bulk send');
+        this.loadingBulkPreview = false;
+        this.cdr.detectChanges();
+      }
+    });
   }
   onCustomerSearchChange() {
     if (!this.customerSearchTerm) {
@@ -202,6 +434,7 @@ export class TemplateListComponent implements OnInit {
     );
   }
   toggleCustomerSelection(customerId: string) {
+    this.bulkPreview = null;
     if (this.selectedCustomers.has(customerId)) {
       this.selectedCustomers.delete(customerId);
     } else {
@@ -209,6 +442,7 @@ export class TemplateListComponent implements OnInit {
     }
   }
   toggleAllCustomers() {
+    this.bulkPreview = null;
     if (this.selectedCustomers.size === this.filteredCustomers.length) {
       this.selectedCustomers.clear();
     } else {
@@ -222,35 +456,28 @@ export class TemplateListComponent implements OnInit {
   }
   sendBulkTemplate() {
     if (!this.selectedTemplate) return;
-    if (this.selectedCustomers.size === 0) {
+    const recipientCount = this.getBulkRecipientCount();
+    if (recipientCount === 0) {
       this.toast.warning('Please select at least one customer');
       return;
     }
     // Validate parameters
     const paramCount = this.getParameterCount(this.selectedTemplate);
-    if (paramCount > 0) {
-      for (let i = 0; i < paramCount; i++) {
-        if (!this.bulkParameters[i] || this.bulkParameters[i].trim() === '') {
-          this.toast.warning(`Please fill in all parameters. Parameter ${i + 1} is empty.`);
-          return;
-        }
-      }
+    if (paramCount > 0 && !this.bulkParameterState?.valid) {
+      this.toast.warning('Please fill in all template parameters.');
+      return;
     }
 
-    this.toast.info(`Sending template to ${this.selectedCustomers.size} customer(s)...`, 3000);
+    this.toast.info(`Sending template to ${recipientCount} customer(s)...`, 3000);
     this.isSendingBulk = true;
     this.showBulkProgress = true;
-    this.bulkSendProgress = { sent: 0, total: this.selectedCustomers.size };
-    const request = {
-      templateId: this.selectedTemplate._id,
-      customerIds: Array.from(this.selectedCustomers),
-      parameters: this.bulkParameters.filter(p => p.trim() !== '')
-    };
+    this.bulkSendProgress = { sent: 0, total: recipientCount };
+    const request = this.getBulkRequest();
     this.templateService.sendTemplateBulk(request).subscribe({
       next: (response) => {
         this.isSendingBulk = false;
         if (response.success) {
-          this.toast.success(`Bulk send completed: ${response.data.sent} sent, ${response.data.failed} failed`, 8000);
+          this.toast.success(`Bulk send queued: ${response.data.queued} queued, ${response.data.failed} failed`, 8000);
           this.closeSendModal();
           this.loadTemplates();
         } else {
@@ -262,7 +489,7 @@ export class TemplateListComponent implements OnInit {
       },
       error: (err) => {
         console.error('Error sending bulk templates:', err);
-        this.toast.error('Failed to send bulk templates');
+        this.toast.error(err.error?.errors?.length ? err.error.errors.join('; ') : 'Failed to send bulk templates');
         this.isSendingBulk = false;
         this.showBulkProgress = false;
       }
@@ -273,14 +500,18 @@ export class TemplateListComponent implements OnInit {
   }
   getBulkTemplatePreview(): string {
     if (!this.selectedTemplate) return '';
-    return this.templateService.getTemplatePreview(this.selectedTemplate, this.bulkParameters);
+    const body = this.templateService.getTemplatePreview(this.selectedTemplate, this.bulkParameterState?.body);
+    const header = this.bulkParameterState?.header;
+    return header ? `${header}\n\n${body}` : body;
   }
   getStatusClass(status: string): string {
     const classes: { [key: string]: string } = {
       'APPROVED': 'bg-green-100 text-green-800',
       'PENDING': 'bg-yellow-100 text-yellow-800',
       'REJECTED': 'bg-red-100 text-red-800',
-      'DISABLED': 'bg-gray-100 text-gray-800'
+      'DISABLED': 'bg-gray-100 text-gray-800',
+      'PAUSED': 'bg-orange-100 text-orange-800',
+      'IN_APPEAL': 'bg-blue-100 text-blue-800'
     };
     return classes[status] || 'bg-gray-100 text-gray-800';
   }
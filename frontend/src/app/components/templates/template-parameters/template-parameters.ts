@@ -0,0 +1,378 @@
+import { Component, Input, Output, EventEmitter, ChangeDetectorRef, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { TranslateModule, TranslateService } from '@ngx-translate/core';
+import {
+  TemplateService,
+  Template,
+  TemplateParameter,
+  TemplateParameterValues,
+  TemplateBodyValue,
+  TemplateParameterMapping
+} from '../../../services/template';
+import { ToastService } from '../../../services/toast';
+
+// Where a value comes from: typed once, or taken from each recipient
+interface ParameterSource {
+  source: 'value' | 'field' | 'column';
+  name: string; // Customer field path or file column
+  fallback: string;
+}
+
+interface BodyField {
+  slot: TemplateParameter;
+  text: string;
+  amount: number | null;
+  code: string;
+  date: string;
+  time: string;
+  mapping: ParameterSource;
+}
+
+export interface TemplateParametersState {
+  values: TemplateParameterValues;
+  valid: boolean;
+  // Some value is taken from each recipient (the preview needs the server)
+  personalized: boolean;
+  // Readable values for previews
+  header: string | null;
+  body: string[];
+}
+
+// Header media WhatsApp accepts for templates (mirrors ATTACHMENT_TYPES on the server)
+const HEADER_MEDIA_ACCEPT: { [type: string]: string } = {
+  image: 'image/jpeg,image/png',
+  video: 'video/mp4,video/3gpp',
+  document: 'application/pdf,text/plain,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,application/vnd.ms-excel,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-powerpoint,application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const DEFAULT_CURRENCY = 'MXN';
+
+const newSource = (): ParameterSource => ({ source: 'value', name: '', fallback: '' });
+
+/**
+ * Inputs for every variable of a template: header text/media/location, typed body
+ * variables (text, money, date) and button values (URL suffix, payload, coupon code).
+ * With `personalize`, values can also come from customer fields or recipients file `columns`.
+ */
+@Component({
+  selector: 'app-template-parameters',
+  standalone: true,
+  imports: [CommonModule, FormsModule, TranslateModule],
+  templateUrl: './template-parameters.html',
+  styleUrls: ['./template-parameters.css']
+})
+export class TemplateParametersComponent implements OnInit {
+  @Input() personalize = false;
+  @Output() changed = new EventEmitter<TemplateParametersState>();
+
+  headerSlot: TemplateParameter | null = null;
+  bodyFields: BodyField[] = [];
+  buttonSlots: TemplateParameter[] = [];
+
+  headerText = '';
+  headerLink = '';
+  headerFilename = '';
+  location = { latitude: null as number | null, longitude: null as number | null, name: '', address: '' };
+  buttonValues: { [buttonIndex: number]: string } = {};
+  headerMapping: ParameterSource = newSource();
+  buttonMappings: { [buttonIndex: number]: ParameterSource } = {};
+  uploading = false;
+
+  // Mapping sources: customer field paths and recipients file columns
+  customerFields: string[] = [];
+  fileColumns: string[] = [];
+
+  private currentTemplate: Template | null = null;
+
+  constructor(
+    private templateService: TemplateService,
+    private translate: TranslateService,
+    private toast: ToastService,
+    private cdr: ChangeDetectorRef
+  ) {}
+
+  ngOnInit() {
+    if (!this.personalize) return;
+
+    this.templateService.getParameterSources().subscribe({
+      next: (response) => {
+        this.customerFields = [
+          ...response.data.fields,
+          ...response.data.customFields.map(key => `customFields.${key}`)
+        ];
+        this.cdr.detectChanges();
+      },
+      error: (err) => console.error('Error loading parameter sources:', err)
+    });
+  }
+
+  @Input()
+  set columns(columns: string[] | null) {
+    this.fileColumns = columns || [];
+
+    // Mappings to columns of a removed file go back to typed values
+    const reset = (mapping: ParameterSource) => {
+      if (mapping.source === 'column' && !this.fileColumns.includes(mapping.name)) {
+        Object.assign(mapping, newSource());
+      }
+    };
+    reset(this.headerMapping);
+    this.bodyFields.forEach(field => reset(field.mapping));
+    Object.values(this.buttonMappings).forEach(reset);
+    Promise.resolve().then(() => this.emit());
+  }
+
+  @Input()
+  set template(template: Template | null) {
+    if (template?._id === this.currentTemplate?._id) return;
+    this.currentTemplate = template;
+    this.reset(template);
+  }
+
+  private reset(template: Template | null) {
+    const parameters = template?.parameters || [];
+
+    this.headerSlot = parameters.find(p => p.component === 'HEADER') || null;
+    this.bodyFields = parameters
+      .filter(p => p.component === 'BODY')
+      .sort((a, b) => a.position - b.position)
+      .map(slot => ({ slot, text: '', amount: null, code: DEFAULT_CURRENCY, date: '', time: '', mapping: newSource() }));
+    this.buttonSlots = parameters
+      .filter(p => p.component === 'BUTTON')
+      .sort((a, b) => (a.buttonIndex ?? 0) - (b.buttonIndex ?? 0));
+
+    this.headerText = '';
+    this.headerLink = '';
+    this.headerFilename = '';
+    this.location = { latitude: null, longitude: null, name: '', address: '' };
+    this.buttonValues = {};
+    this.headerMapping = newSource();
+    this.buttonMappings = {};
+    this.buttonSlots.forEach(slot => this.buttonMappings[slot.buttonIndex ?? 0] = newSource());
+    // Set while the parent is rendering; report the initial state on the next tick
+    Promise.resolve().then(() => this.emit());
+  }
+
+  get hasParameters(): boolean {
+    return !!this.headerSlot || this.bodyFields.length > 0 || this.buttonSlots.length > 0;
+  }
+
+  // Location headers are always typed (a single field can't hold coordinates)
+  canMapHeader(): boolean {
+    return this.personalize && this.headerSlot?.type !== 'location';
+  }
+
+  isMapped(mapping: ParameterSource): boolean {
+    return mapping.source !== 'value';
+  }
+
+  getSourceNames(mapping: ParameterSource): string[] {
+    return mapping.source === 'column' ? this.fileColumns : this.customerFields;
+  }
+
+  onSourceChange(mapping: ParameterSource) {
+    mapping.name = '';
+    this.emit();
+  }
+
+  getFieldLabel(field: string): string {
+    if (field.startsWith('customFields.')) {
+      return `${field.slice('customFields.'.length)} (${this.translate.instant('templates.parameterForm.customField')})`;
+    }
+    return this.translate.instant(`templates.parameterForm.fields.${field.replace('.', '_')}`);
+  }
+
+  isMediaHeader(): boolean {
+    return ['image', 'video', 'document'].includes(this.headerSlot?.type || '');
+  }
+
+  getHeaderAccept(): string {
+    return HEADER_MEDIA_ACCEPT[this.headerSlot?.type || ''] || '';
+  }
+
+  getButtonLabel(slot: TemplateParameter): string {
+    const button = this.currentTemplate?.components
+      .find(c => c.type === 'BUTTONS')?.buttons?.[slot.buttonIndex ?? 0];
+    return button?.text || button?.url || `#${(slot.buttonIndex ?? 0) + 1}`;
+  }
+
+  onHeaderFileSelected(event: Event) {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    const format = this.headerSlot?.type.toUpperCase();
+    if (!file || (format !== 'IMAGE' && format !== 'VIDEO' && format !== 'DOCUMENT')) return;
+
+    this.uploading = true;
+    this.templateService.uploadHeaderMedia(file, format).subscribe({
+      next: (response) => {
+        this.headerLink = response.data.link;
+        this.headerFilename = response.data.filename;
+        this.uploading = false;
+        this.emit();
+        this.cdr.detectChanges();
+      },
+      error: (err) => {
+        console.error('Error uploading header media:', err);
+        this.toast.error(err.error?.message || this.translate.instant('templates.parameterForm.uploadError'));
+        this.uploading = false;
+        input.value = '';
+        this.cdr.detectChanges();
+      }
+    });
+  }
+
+  // ========== Values ==========
+
+  emit() {
+    this.changed.emit({
+      values: this.getValues(),
+      valid: this.isValid(),
+      personalized: this.isMapped(this.headerMapping) ||
+        this.bodyFields.some(field => this.isMapped(field.mapping)) ||
+        Object.values(this.buttonMappings).some(mapping => this.isMapped(mapping)),
+      header: this.getHeaderDisplay(),
+      body: this.bodyFields.map(field => this.getBodyDisplay(field))
+    });
+  }
+
+  getValues(): TemplateParameterValues {
+    const values: TemplateParameterValues = {
+      header: this.getHeaderValue(),
+      body: this.bodyFields.map(field => this.getBodyValue(field))
+    };
+
+    if (this.buttonSlots.length > 0) {
+      values.buttons = {};
+      this.buttonSlots.forEach(slot => {
+        const mapping = this.buttonMappings[slot.buttonIndex ?? 0];
+        const value = this.isMapped(mapping) ? this.getMapping(mapping) : (this.buttonValues[slot.buttonIndex ?? 0] || '').trim();
+        if (value) values.buttons![slot.buttonIndex ?? 0] = value;
+      });
+    }
+
+    return values;
+  }
+
+  private getMapping(mapping: ParameterSource, extra: Partial<TemplateParameterMapping> = {}): TemplateParameterMapping {
+    return {
+      source: mapping.source as 'field' | 'column',
+      [mapping.source]: mapping.name,
+      ...(mapping.fallback.trim() && { fallback: mapping.fallback.trim() }),
+      ...extra
+    };
+  }
+
+  private getHeaderValue(): TemplateParameterValues['header'] {
+    if (!this.headerSlot) return null;
+    if (this.isMapped(this.headerMapping)) return this.getMapping(this.headerMapping);
+
+    if (this.headerSlot.type === 'text') return this.headerText.trim();
+    if (this.headerSlot.type === 'location') {
+      return {
+        latitude: Number(this.location.latitude),
+        longitude: Number(this.location.longitude),
+        ...(this.location.name && { name: this.location.name }),
+        ...(this.location.address && { address: this.location.address })
+      };
+    }
+    return {
+      link: this.headerLink.trim(),
+      ...(this.headerSlot.type === 'document' && this.headerFilename && { filename: this.headerFilename })
+    };
+  }
+
+  private getBodyValue(field: BodyField): TemplateBodyValue {
+    if (this.isMapped(field.mapping)) {
+      if (field.slot.type === 'currency') {
+        return this.getMapping(field.mapping, { type: 'currency', code: field.code.trim().toUpperCase() });
+      }
+      return this.getMapping(field.mapping, field.slot.type === 'date_time' ? { type: 'date_time' } : {});
+    }
+    if (field.slot.type === 'currency') {
+      return { type: 'currency', amount: Number(field.amount), code: field.code.trim().toUpperCase() };
+    }
+    if (field.slot.type === 'date_time') {
+      if (!field.date) return { type: 'date_time', value: '' };
+      // With a time, format it here so the customer sees the agent's local time
+      return field.time
+        ? { type: 'date_time', value: `${field.date}T${field.time}`, fallback: this.formatDate(field) }
+        : { type: 'date_time', value: field.date };
+    }
+    return field.text.trim();
+  }
+
+  isValid(): boolean {
+    if (this.headerSlot && this.isMapped(this.headerMapping)) {
+      if (!this.headerMapping.name) return false;
+    } else if (this.headerSlot) {
+      if (this.headerSlot.type === 'text' && !this.headerText.trim()) return false;
+      if (this.headerSlot.type === 'location' &&
+        (this.location.latitude === null || this.location.longitude === null)) return false;
+      if (this.isMediaHeader() && !/^https?:\/\/\S+$/i.test(this.headerLink.trim())) return false;
+    }
+
+    const bodyValid = this.bodyFields.every(field => {
+      if (this.isMapped(field.mapping)) {
+        return !!field.mapping.name && (field.slot.type !== 'currency' || /^[A-Za-z]{3}$/.test(field.code.trim()));
+      }
+      if (field.slot.type === 'currency') {
+        return field.amount !== null && !isNaN(Number(field.amount)) && /^[A-Za-z]{3}$/.test(field.code.trim());
+      }
+      if (field.slot.type === 'date_time') return !!field.date;
+      return !!field.text.trim();
+    });
+
+    const buttonsValid = this.buttonSlots.every(slot => {
+      const mapping = this.buttonMappings[slot.buttonIndex ?? 0];
+      if (this.isMapped(mapping)) return !!mapping.name;
+      return slot.optional || !!(this.buttonValues[slot.buttonIndex ?? 0] || '').trim();
+    });
+
+    return bodyValid && buttonsValid;
+  }
+
+  // ========== Display ==========
+
+  private getLocale(): string {
+    return (this.currentTemplate?.language || 'es_MX').replace('_', '-');
+  }
+
+  // Mapped values show as [source] until the server resolves them per recipient
+  private getMappingDisplay(mapping: ParameterSource): string {
+    return mapping.name ? `[${mapping.source === 'field' ? this.getFieldLabel(mapping.name) : mapping.name}]` : '';
+  }
+
+  private getHeaderDisplay(): string | null {
+    if (this.isMapped(this.headerMapping)) return this.headerSlot?.type === 'text' ? this.getMappingDisplay(this.headerMapping) || null : null;
+    if (this.headerSlot?.type === 'text') return this.headerText.trim() || null;
+    if (this.headerSlot?.type === 'location') return this.location.name || this.location.address || null;
+    return null;
+  }
+
+  private getBodyDisplay(field: BodyField): string {
+    if (this.isMapped(field.mapping)) return this.getMappingDisplay(field.mapping);
+    if (field.slot.type === 'currency') {
+      if (field.amount === null || !/^[A-Za-z]{3}$/.test(field.code.trim())) return '';
+      try {
+        return new Intl.NumberFormat(this.getLocale(), { style: 'currency', currency: field.code.trim().toUpperCase() })
+          .format(Number(field.amount));
+      } catch {
+        return `${field.code.toUpperCase()} ${Number(field.amount).toFixed(2)}`;
+      }
+    }
+    if (field.slot.type === 'date_time') {
+      return field.date ? this.formatDate(field) : '';
+    }
+    return field.text.trim();
+  }
+
+  private formatDate(field: BodyField): string {
+    if (field.time) {
+      return new Intl.DateTimeFormat(this.getLocale(), { dateStyle: 'long', timeStyle: 'short' })
+        .format(new Date(`${field.date}T${field.time}`));
+    }
+    return new Intl.DateTimeFormat(this.getLocale(), { dateStyle: 'long', timeZone: 'UTC' })
+      .format(new Date(field.date));
+  }
+}
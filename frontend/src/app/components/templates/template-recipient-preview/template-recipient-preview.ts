@@ -0,0 +1,25 @@
+import { Component, Input } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { TranslateModule } from '@ngx-translate/core';
+import { TemplateSendPreview } from '../../../services/template';
+
+/**
+ * What each recipient of a send will receive (values resolved by the server),
+ * with the recipients that can't be sent to and why
+ */
+@Component({
+  selector: 'app-template-recipient-preview',
+  standalone: true,
+  imports: [CommonModule, TranslateModule],
+  templateUrl: './template-recipient-preview.html',
+  styleUrls: ['./template-recipient-preview.css']
+})
+export class TemplateRecipientPreviewComponent {
+  @Input() preview: TemplateSendPreview | null = null;
+  @Input() loading = false;
+
+  get hiddenCount(): number {
+    if (!this.preview) return 0;
+    return this.preview.total - this.preview.unmatchedRows.length - this.preview.recipients.length;
+  }
+}
@@ -2,12 +2,14 @@ import { Component, EventEmitter, Input, OnInit, Output } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
 import { TranslateModule } from '@ngx-translate/core';
-import { TemplateService, Template, SendTemplateRequest } from '../../../services/template';
+import { TemplateService, Template, SendTemplateRequest, TemplateSendPreview } from '../../../services/template';
+import { TemplateParametersComponent, TemplateParametersState } from '../template-parameters/template-parameters';
+import { TemplateRecipientPreviewComponent } from '../template-recipient-preview/template-recipient-preview';
 
 @Component({
   selector: 'app-template-sender',
   standalone: true,
-  imports: [CommonModule, FormsModule, TranslateModule],
+  imports: [CommonModule, FormsModule, TranslateModule, TemplateParametersComponent, TemplateRecipientPreviewComponent],
   templateUrl: './template-sender.html',
   styleUrls: ['./template-sender.css']
 })
@@ -19,7 +21,10 @@ export class TemplateSenderComponent implements OnInit {
   templates: Template[] = [];
   approvedTemplates: Template[] = [];
   selectedTemplate: Template | null = null;
-  parameters: string[] = [];
+  parameterState: TemplateParametersState | null = null;
+  // Values resolved for this customer (customer field mappings)
+  recipientPreview: TemplateSendPreview | null = null;
+  loadingPreview = false;
   sending = false;
   error: string | null = null;
   successMessage: string | null = null;
@@ -67,13 +72,15 @@ export class TemplateSenderComponent implements OnInit {
 
   selectTemplate(template: Template) {
     this.selectedTemplate = template;
-    this.parameters = new Array(this.getParameterCount(template)).fill('');
+    this.parameterState = null;
+    this.recipientPreview = null;
     this.error = null;
   }
 
   backToList() {
     this.selectedTemplate = null;
-    this.parameters = [];
+    this.parameterState = null;
+    this.recipientPreview = null;
     this.error = null;
     this.successMessage = null;
   }
@@ -86,9 +93,37 @@ export class TemplateSenderComponent implements OnInit {
     return this.templateService.getTemplateText(template);
   }
 
+  onParametersChanged(state: TemplateParametersState) {
+    this.parameterState = state;
+    this.recipientPreview = null;
+  }
+
+  loadRecipientPreview() {
+    if (!this.selectedTemplate || !this.parameterState?.valid) return;
+
+    this.loadingPreview = true;
+    this.templateService.previewTemplateSend({
+      templateId: this.selectedTemplate._id,
+      customerIds: [this.customerId],
+      parameters: this.parameterState.values
+    }).subscribe({
+      next: (response) => {
+        this.recipientPreview = response.data;
+        this.loadingPreview = false;
+      },
+      error: (err) => {
+        console.error('Error previewing template:', err);
+        this.error = err.error?.message || 'Failed to preview template';
+        this.loadingPreview = false;
+      }
+    });
+  }
+
   getTemplatePreview(): string {
     if (!this.selectedTemplate) return '';
-    return this.templateService.getTemplatePreview(this.selectedTemplate, this.parameters);
+    const body = this.templateService.getTemplatePreview(this.selectedTemplate, this.parameterState?.body);
+    const header = this.parameterState?.header;
+    return header ? `${header}\n\n${body}` : body;
   }
 
   getCategoryClass(category: string): string {
@@ -106,7 +141,7 @@ export class TemplateSenderComponent implements OnInit {
     const paramCount = this.getParameterCount(this.selectedTemplate);
     if (paramCount === 0) return true;
 
-    return this.parameters.every(param => param && param.trim().length > 0);
+    return !!this.parameterState?.valid;
   }
 
   sendTemplate() {
@@ -121,7 +156,7 @@ export class TemplateSenderComponent implements OnInit {
     const request: SendTemplateRequest = {
       templateId: this.selectedTemplate._id,
       customerId: this.customerId,
-      parameters: this.parameters.filter(p => p.trim().length > 0)
+      parameters: this.parameterState?.values || []
     };
 
     this.templateService.sendTemplate(request).subscribe({
@@ -140,7 +175,12 @@ export class TemplateSenderComponent implements OnInit {
       },
       error: (err) => {
         console.error('Error sending template:', err);
-        this.error = err.error?.message || 'Failed to send template';
+        // WhatsApp rejections include the Cloud API reason in `error`, parameter checks list `errors`
+        this.error = err.error?.error
+          ? `${err.error.message}: ${err.error.error}`
+          : err.error?.errors?.length
+            ? `${err.error.message}: ${err.error.errors.join('; ')}`
+            : err.error?.message || 'Failed to send template';
         this.sending = false;
       }
     });
@@ -15,10 +15,12 @@ export interface Agent {
   maxConcurrentChats: number;
   autoAssign: boolean;
   permissions: string[];
+  skills?: string[];
   languages?: string[];
   avatar?: string;
   assignedConversations?: string[];
   statistics?: {
+    activeAssignments?: number;
     totalConversations: number;
     resolvedConversations: number;
     averageResponseTime: number;
@@ -36,6 +38,8 @@ export interface CreateAgentRequest {
   lastName: string;
   role?: 'admin' | 'supervisor' | 'agent';
   phoneNumber?: string;
+  skills?: string[];
+  languages?: string[];
 }
 
 export interface UpdateAgentRequest {
@@ -45,6 +49,8 @@ export interface UpdateAgentRequest {
   isActive?: boolean;
   maxConcurrentChats?: number;
   permissions?: string[];
+  skills?: string[];
+  languages?: string[];
 }
 
 @Injectable({
@@ -14,6 +14,7 @@ export interface Agent {
   status: 'online' | 'offline' | 'busy' | 'away';
   phoneNumber?: string;
   autoAssign?: boolean;
+  languages?: string[];
   statistics: {
     activeAssignments: number;
     totalAssignments: number;
@@ -148,8 +149,10 @@ export class AuthService {
   }
 
   updateAgentLanguage(languageCode: string): Observable<{ agent: Agent }> {
+    // The first language is the UI preference; the others are kept for routing
+    const spoken = this.getCurrentAgent()?.languages || [];
     return this.http.patch<{ agent: Agent }>(`${this.apiUrl}/profile`, {
-      languages: [languageCode]
+      languages: [languageCode, ...spoken.filter(code => code !== languageCode)]
     }).pipe(
       tap(response => {
         this.currentAgentSubject.next(response.agent);
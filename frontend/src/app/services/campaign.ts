@@ -0,0 +1,209 @@
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { TemplateParameterValues } from './template';
+
+export type CampaignStatus = 'draft' | 'scheduled' | 'running' | 'paused' | 'completed' | 'cancelled';
+
+export type CampaignRecipientStatus =
+  'pending' | 'queued' | 'sent' | 'delivered' | 'read' | 'replied' | 'failed' | 'skipped' | 'cancelled';
+
+// Customers matching every filter that is set
+export interface CampaignAudience {
+  tags: string[];
+  segments: string[];
+  statuses: string[];
+  customFields: Array<{ key: string; value: string }>;
+}
+
+// Each stage counts recipients that reached it or a later one
+export interface CampaignMetrics {
+  total: number;
+  pending: number;
+  queued: number;
+  sent: number;
+  delivered: number;
+  read: number;
+  replied: number;
+  failed: number;
+  skipped: number;
+  cancelled: number;
+}
+
+export interface Campaign {
+  _id: string;
+  name: string;
+  description?: string;
+  templateId: string;
+  templateName: string;
+  parameters: string[] | TemplateParameterValues;
+  phoneNumberId?: string;
+  audience: CampaignAudience;
+  scheduledAt?: string | null;
+  throttlePerMinute: number;
+  status: CampaignStatus;
+  audienceBuiltAt?: string;
+  startedAt?: string;
+  pausedAt?: string;
+  completedAt?: string;
+  cancelledAt?: string;
+  lastError?: string;
+  createdBy?: { _id: string; firstName: string; lastName: string; email: string };
+  metrics?: CampaignMetrics;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CampaignRequest {
+  name: string;
+  description?: string;
+  templateId: string;
+  parameters?: string[] | TemplateParameterValues;
+  phoneNumberId?: string;
+  audience: CampaignAudience;
+  scheduledAt?: string | null;
+  throttlePerMinute: number;
+}
+
+export interface CampaignRecipient {
+  _id: string;
+  campaignId: string;
+  customerId: { _id: string; firstName?: string; lastName?: string; phoneNumber: string } | null;
+  phoneNumber: string;
+  status: CampaignRecipientStatus;
+  error?: string;
+  language?: string;
+  queuedAt?: string;
+  sentAt?: string;
+  deliveredAt?: string;
+  readAt?: string;
+  repliedAt?: string;
+  failedAt?: string;
+}
+
+export interface CampaignAudiencePreview {
+  total: number;
+  eligible: number;
+  blocked: number;
+  optedOut: number;
+}
+
+export interface CampaignFunnelStage {
+  stage: 'queued' | 'sent' | 'delivered' | 'read' | 'replied';
+  count: number;
+  percent: number; // Of the messages queued
+}
+
+// Pushed over the socket when a campaign or one of its recipients changes
+export interface CampaignUpdate {
+  campaignId: string;
+  status?: CampaignStatus;
+}
+
+export interface CampaignResponse {
+  success: boolean;
+  message?: string;
+  data?: Campaign;
+  errors?: string[]; // Validation errors
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class CampaignService {
+  private apiUrl = '/api/v2/campaigns';
+
+  constructor(private http: HttpClient) {}
+
+  /**
+   * Campaigns with their funnel metrics, newest first
+   */
+  getCampaigns(status?: CampaignStatus): Observable<{ success: boolean; data: Campaign[]; total: number }> {
+    let params = new HttpParams();
+    if (status) params = params.set('status', status);
+    return this.http.get<{ success: boolean; data: Campaign[]; total: number }>(this.apiUrl, { params });
+  }
+
+  getCampaign(id: string): Observable<{ success: boolean; data: Campaign }> {
+    return this.http.get<{ success: boolean; data: Campaign }>(`${this.apiUrl}/${id}`);
+  }
+
+  getRecipients(id: string, filters: { status?: CampaignRecipientStatus; limit?: number; skip?: number } = {}): Observable<{ success: boolean; data: CampaignRecipient[]; total: number }> {
+    let params = new HttpParams();
+    if (filters.status) params = params.set('status', filters.status);
+    if (filters.limit) params = params.set('limit', filters.limit);
+    if (filters.skip) params = params.set('skip', filters.skip);
+    return this.http.get<{ success: boolean; data: CampaignRecipient[]; total: number }>(`${this.apiUrl}/${id}/recipients`, { params });
+  }
+
+  /**
+   * Count the customers an audience reaches (blocked and opted out are not sent to)
+   */
+  previewAudience(audience: CampaignAudience): Observable<{ success: boolean; data: CampaignAudiencePreview }> {
+    return this.http.post<{ success: boolean; data: CampaignAudiencePreview }>(`${this.apiUrl}/audience-preview`, { audience });
+  }
+
+  createCampaign(request: CampaignRequest): Observable<CampaignResponse> {
+    return this.http.post<CampaignResponse>(this.apiUrl, request);
+  }
+
+  updateCampaign(id: string, request: Partial<CampaignRequest>): Observable<CampaignResponse> {
+    return this.http.put<CampaignResponse>(`${this.apiUrl}/${id}`, request);
+  }
+
+  deleteCampaign(id: string): Observable<CampaignResponse> {
+    return this.http.delete<CampaignResponse>(`${this.apiUrl}/${id}`);
+  }
+
+  /**
+   * Start, pause, resume or cancel a campaign
+   */
+  runAction(id: string, action: 'start' | 'pause' | 'resume' | 'cancel'): Observable<CampaignResponse> {
+    return this.http.post<CampaignResponse>(`${this.apiUrl}/${id}/${action}`, {});
+  }
+
+  /**
+   * Funnel stages from the messages queued to the replies
+   */
+  getFunnel(metrics?: CampaignMetrics): CampaignFunnelStage[] {
+    const stages: CampaignFunnelStage['stage'][] = ['queued', 'sent', 'delivered', 'read', 'replied'];
+    const base = metrics?.queued || 0;
+    return stages.map(stage => {
+      const count = metrics?.[stage] || 0;
+      return { stage, count, percent: base ? Math.round((count / base) * 100) : 0 };
+    });
+  }
+
+  /**
+   * Badge color for a campaign status
+   */
+  getStatusClass(status: CampaignStatus): string {
+    const classes: { [key: string]: string } = {
+      draft: 'bg-gray-600 text-gray-200',
+      scheduled: 'bg-blue-600 text-white',
+      running: 'bg-whatsapp-green text-white',
+      paused: 'bg-yellow-500 text-gray-900',
+      completed: 'bg-purple-600 text-white',
+      cancelled: 'bg-red-600 text-white'
+    };
+    return classes[status] || 'bg-gray-600 text-gray-200';
+  }
+
+  /**
+   * Badge color for a recipient status
+   */
+  getRecipientStatusClass(status: CampaignRecipientStatus): string {
+    const classes: { [key: string]: string } = {
+      pending: 'bg-gray-600 text-gray-200',
+      queued: 'bg-blue-600 text-white',
+      sent: 'bg-blue-500 text-white',
+      delivered: 'bg-teal-600 text-white',
+      read: 'bg-whatsapp-green text-white',
+      replied: 'bg-purple-600 text-white',
+      failed: 'bg-red-600 text-white',
+      skipped: 'bg-yellow-500 text-gray-900',
+      cancelled: 'bg-gray-700 text-gray-400'
+    };
+    return classes[status] || 'bg-gray-600 text-gray-200';
+  }
+}
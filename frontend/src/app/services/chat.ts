@@ -1,10 +1,21 @@
 import { Injectable } from '@angular/core';
 import { HttpClient } from '@angular/common/http';
-import { BehaviorSubject, Observable, firstValueFrom } from 'rxjs';
+import { BehaviorSubject, Observable, firstValueFrom, throwError } from 'rxjs';
 import { map, tap } from 'rxjs/operators';
 import { io } from 'socket.io-client';
 import { AuthService, Agent } from './auth';
 import { ToastService } from './toast';
+import { WaitingQueue } from './waiting-queue';
+import { TemplateStatusUpdate } from './template';
+import { CampaignUpdate } from './campaign';
+
+export interface QuotedMessage {
+  id: string;
+  text: string;
+  sender: 'me' | 'other';
+  type?: string;
+  attachmentUrl?: string;
+}
 
 export interface Message {
   id: string;
@@ -13,13 +24,32 @@ export interface Message {
   timestamp: Date;
   type?: string;
   status?: 'pending' | 'sent' | 'delivered' | 'read' | 'failed';
+  error?: string; // WhatsApp delivery error when status is 'failed'
   isAI?: boolean; // Flag to indicate AI-generated message
   attachments?: Array<{
     type: string;
     url: string;
     filename?: string;
+    mimeType?: string;
+    size?: number;
+    duration?: number;
     thumbnailUrl?: string;
   }>;
+  transcription?: {
+    text?: string;
+    status?: 'completed' | 'failed' | 'disabled';
+  };
+  contacts?: Array<{
+    name?: string;
+    phones?: Array<{ phone?: string; waId?: string; type?: string }>;
+    emails?: Array<{ email?: string; type?: string }>;
+    organization?: string;
+  }>;
+  reactions?: Array<{
+    emoji: string;
+    from: 'customer' | 'agent';
+  }>;
+  replyTo?: QuotedMessage; // Message this one quotes (WhatsApp reply)
   location?: {
     latitude: number;
     longitude: number;
@@ -35,6 +65,16 @@ export interface Message {
   };
 }
 
+export type ConversationPriority = 'low' | 'medium' | 'high' | 'urgent';
+
+export interface PriorityChange {
+  from: ConversationPriority;
+  to: ConversationPriority;
+  reason?: string;
+  timestamp: Date;
+  triggeredBy?: 'system' | 'agent' | 'keyword' | 'wait_time' | 'vip' | 'reassignment';
+}
+
 export interface Chat {
   id: string;
   name: string;
@@ -53,6 +93,9 @@ export interface Chat {
   status?: string;
   customerId?: string;
   phoneNumber?: string;
+  phoneNumberId?: string; // WhatsApp number (brand) the conversation arrived on
+  priority?: ConversationPriority;
+  priorityHistory?: PriorityChange[];
 }
 
 @Injectable({
@@ -69,11 +112,16 @@ export class ChatService {
   private typingSubject = new BehaviorSubject<any>(null);
   private metadataUpdateSubject = new BehaviorSubject<any>(null);
   private newMessageSubject = new BehaviorSubject<any>(null);
+  private replyingToSubject = new BehaviorSubject<Message | null>(null);
+  private waitingQueueSubject = new BehaviorSubject<WaitingQueue | null>(null);
+  private templateStatusSubject = new BehaviorSubject<TemplateStatusUpdate | null>(null);
+  private campaignUpdateSubject = new BehaviorSubject<CampaignUpdate | null>(null);
 
   chats$ = this.chatsSubject.asObservable();
   selectedChat$ = this.selectedChatIdSubject.asObservable().pipe(
     map(chatId => this.mockChats.find(c => c.id === chatId) || null)
   );
+  replyingTo$ = this.replyingToSubject.asObservable();
 
   /**
    * Get currently selected chat ID
@@ -120,6 +168,16 @@ export class ChatService {
     return customer.phoneNumber || 'Unknown';
   }
 
+  private mapPriorityHistory(history: any[] | undefined): PriorityChange[] {
+    return (history || []).map(change => ({
+      from: change.from,
+      to: change.to,
+      reason: change.reason,
+      triggeredBy: change.triggeredBy,
+      timestamp: new Date(change.timestamp)
+    }));
+  }
+
   private loadConversations(agent?: Agent | null) {
     // Always load all conversations, let the tabs filter them
     const endpoint = `${this.apiUrl}/conversations`;
@@ -144,7 +202,10 @@ export class ChatService {
           isAIEnabled: conv.isAIEnabled !== false, // Default to true if not specified
           status: conv.status,
           customerId: conv.customerId?._id,
-          phoneNumber: conv.customerId?.phoneNumber
+          phoneNumber: conv.customerId?.phoneNumber,
+          phoneNumberId: conv.whatsappData?.phoneNumberId,
+          priority: conv.priority,
+          priorityHistory: this.mapPriorityHistory(conv.priorityHistory)
         }));
 
         // Deduplicate: Remove any existing conversations with same IDs
@@ -179,9 +240,14 @@ export class ChatService {
             timestamp: new Date(msg.timestamp),
             type: msg.type,
             status: msg.status,
+            error: msg.whatsappError,
             attachments: msg.attachments,
             location: msg.location,
-            template: msg.template
+            template: msg.template,
+            transcription: msg.transcription,
+            contacts: msg.contacts,
+            reactions: msg.reactions,
+            replyTo: this.mapQuotedMessage(msg.replyTo)
           }));
           this.chatsSubject.next([...this.mockChats]);
         }
@@ -190,17 +256,39 @@ export class ChatService {
   }
 
   private initSocket() {
-    this.socket = io(); // Connects to same origin (port 3010)
+    // Connects to same origin (port 3010). The server authenticates the handshake with the
+    // access token and joins the agent's rooms from it; the token is read on every (re)connect
+    this.socket = io({
+      autoConnect: false,
+      auth: (cb: (data: object) => void) => cb({ token: this.authService.getAccessToken() })
+    });
 
     this.socket.on('connect', () => {
       console.log('Connected to socket server');
+    });
 
-      // Authenticate agent if logged in
-      this.authService.currentAgent$.subscribe((agent: Agent | null) => {
-        if (agent) {
-          this.socket.emit('agent_authenticate', { agentId: agent._id });
-        }
-      });
+    // Rejected handshakes are not retried by socket.io - refresh the token and reconnect once
+    this.socket.on('connect_error', (error: Error) => {
+      console.error('Socket connection rejected:', error.message);
+      if (error.message !== 'Invalid or expired token' || !this.currentAgent) return;
+
+      try {
+        this.authService.refreshAccessToken().subscribe({
+          next: () => this.socket.connect(),
+          error: () => this.authService.clearAuthAndRedirect()
+        });
+      } catch (e) {
+        this.authService.clearAuthAndRedirect();
+      }
+    });
+
+    // Only keep a connection while an agent is logged in
+    this.authService.currentAgent$.subscribe((agent: Agent | null) => {
+      if (agent && !this.socket.connected && !this.socket.active) {
+        this.socket.connect();
+      } else if (!agent && this.socket.connected) {
+        this.socket.disconnect();
+      }
     });
 
     this.socket.on('new_message', (data: { chatId: string, message: Message }) => {
@@ -212,6 +300,22 @@ export class ChatService {
       }
     });
 
+    // Delivery receipts (sent / delivered / read / failed) from WhatsApp
+    this.socket.on('message_status_updated', (data: any) => {
+      console.log('Message status updated:', data);
+      if (data && data.chatId && data.messageId) {
+        this.handleMessageStatusUpdate(data.chatId, data.messageId, data.status, data.error);
+      }
+    });
+
+    // Emoji reactions to existing messages
+    this.socket.on('message_reaction', (data: any) => {
+      console.log('Message reaction:', data);
+      if (data && data.chatId && data.messageId) {
+        this.handleMessageReaction(data.chatId, data.messageId, data.reactions || []);
+      }
+    });
+
     // Listen for metadata updates
     this.socket.on('metadata_updated', (data: any) => {
       console.log('Metadata updated:', data);
@@ -257,7 +361,8 @@ export class ChatService {
           type: data.type || 'text',
           status: data.status,
           attachments: data.attachments,
-          location: data.location
+          location: data.location,
+          replyTo: data.replyTo
         });
       }
     });
@@ -298,6 +403,55 @@ export class ChatService {
       }
     });
 
+    // SLA monitor: a target is about to be missed (warning) or was missed (breach)
+    this.socket.on('sla_warning', (data: any) => {
+      console.log('SLA warning:', data);
+      const target = data.type === 'first_response' ? 'first response' : 'resolution';
+      this.toastService.warning(`⏱️ SLA ${target} due soon: ${data.customerName || 'Unknown Customer'}`, 8000);
+    });
+
+    this.socket.on('sla_breached', (data: any) => {
+      console.log('SLA breached:', data);
+      const target = data.type === 'first_response' ? 'first response' : 'resolution';
+      this.toastService.error(`🚨 SLA ${target} breached: ${data.customerName || 'Unknown Customer'}`, 10000);
+    });
+
+    // Priority raised by a keyword, the wait-time sweep, VIP rule or an agent
+    this.socket.on('conversation_escalated', (data: any) => {
+      console.log('Conversation escalated:', data);
+      const chat = this.mockChats.find(c => c.id === data.conversationId);
+      if (chat) {
+        chat.priority = data.newPriority;
+        chat.priorityHistory = [
+          ...(chat.priorityHistory || []),
+          ...this.mapPriorityHistory([data.change || {
+            from: data.oldPriority,
+            to: data.newPriority,
+            reason: data.reason,
+            triggeredBy: data.triggeredBy,
+            timestamp: data.timestamp
+          }])
+        ];
+        this.chatsSubject.next([...this.mockChats]);
+      }
+
+      if (data.newPriority === 'urgent') {
+        this.toastService.warning(`⬆️ Conversation escalated to urgent: ${chat?.name || 'Unknown Customer'}`, 8000);
+      }
+    });
+
+    this.socket.on('waiting_queue_updated', (data: WaitingQueue) => {
+      this.waitingQueueSubject.next(data);
+    });
+
+    this.socket.on('template_status_updated', (data: TemplateStatusUpdate) => {
+      this.templateStatusSubject.next(data);
+    });
+
+    this.socket.on('campaign_updated', (data: CampaignUpdate) => {
+      this.campaignUpdateSubject.next(data);
+    });
+
     this.socket.on('agent_typing', (data: any) => {
       console.log('Agent typing:', data);
       this.typingSubject.next(data);
@@ -352,6 +506,27 @@ export class ChatService {
     return this.typingSubject.asObservable();
   }
 
+  /**
+   * Observable for waiting queue updates (supervisors and admins only)
+   */
+  onWaitingQueueUpdate(): Observable<WaitingQueue | null> {
+    return this.waitingQueueSubject.asObservable();
+  }
+
+  /**
+   * Observable for template review results (approved / rejected by Meta)
+   */
+  onTemplateStatusUpdate(): Observable<TemplateStatusUpdate | null> {
+    return this.templateStatusSubject.asObservable();
+  }
+
+  /**
+   * Observable for campaign progress (status changes and recipient funnel moves, supervisors and admins only)
+   */
+  onCampaignUpdate(): Observable<CampaignUpdate | null> {
+    return this.campaignUpdateSubject.asObservable();
+  }
+
   /**
    * Observable for new messages
    */
@@ -390,7 +565,8 @@ export class ChatService {
       messages: [],
       assignedAgent: data.assignedAgent,
       isAIEnabled: true,
-      status: data.status
+      status: data.status,
+      phoneNumberId: data.phoneNumberId
     };
 
     this.mockChats.unshift(newChat);
@@ -398,6 +574,44 @@ export class ChatService {
     console.log(`Added new conversation ${data.conversationId} to chat list`);
   }
 
+  /**
+   * Short text for the chat list, with an icon for media messages
+   */
+  private getMessagePreview(message: Message): string {
+    const mediaPreviews: { [type: string]: string } = {
+      image: '📷 Image',
+      audio: '🎤 Audio',
+      video: '🎬 Video',
+      sticker: '🏷️ Sticker',
+      contact: `👤 ${message.contacts?.[0]?.name || 'Contact'}`,
+      document: `📄 ${message.attachments?.[0]?.filename || 'Document'}`
+    };
+    const preview = message.type ? mediaPreviews[message.type] : undefined;
+
+    if (message.type === 'document') return preview!;
+    if (message.text && !['[Image]', '[Audio]', '[Video]', '[Sticker]'].includes(message.text)) return message.text;
+    return preview || 'Message';
+  }
+
+  private handleMessageStatusUpdate(chatId: string, messageId: string, status: Message['status'], error?: string) {
+    const chat = this.mockChats.find(c => c.id === chatId);
+    const message = chat?.messages.find(m => m.id === messageId);
+    if (message) {
+      message.status = status;
+      message.error = error;
+      this.chatsSubject.next([...this.mockChats]);
+    }
+  }
+
+  private handleMessageReaction(chatId: string, messageId: string, reactions: Message['reactions']) {
+    const chat = this.mockChats.find(c => c.id === chatId);
+    const message = chat?.messages.find(m => m.id === messageId);
+    if (message) {
+      message.reactions = reactions;
+      this.chatsSubject.next([...this.mockChats]);
+    }
+  }
+
   private handleNewMessage(chatId: string, message: Message) {
     let chatIndex = this.mockChats.findIndex(c => c.id === chatId);
 
@@ -407,7 +621,7 @@ export class ChatService {
       // Check if message already exists (deduplication)
       if (!chat.messages.some(m => m.id === message.id)) {
         chat.messages.push(message);
-        chat.lastMessage = message.text || (message.type === 'image' ? '📷 Image' : 'Message');
+        chat.lastMessage = this.getMessagePreview(message);
         chat.lastMessageTime = new Date(message.timestamp);
 
         if (this.selectedChatIdSubject.value !== chatId) {
@@ -443,7 +657,10 @@ export class ChatService {
                 messages: [message],
                 assignedAgent: conv.assignedAgent,
                 isAIEnabled: conv.isAIEnabled !== false,
-                status: conv.status
+                status: conv.status,
+                phoneNumberId: conv.whatsappData?.phoneNumberId,
+                priority: conv.priority,
+                priorityHistory: this.mapPriorityHistory(conv.priorityHistory)
               };
               this.mockChats.unshift(newChat);
               this.chatsSubject.next([...this.mockChats]);
@@ -463,6 +680,7 @@ export class ChatService {
 
   async selectChat(chatId: string) {
     this.selectedChatIdSubject.next(chatId);
+    this.clearReplyTo();
 
     // Load messages for the selected chat
     try {
@@ -488,14 +706,60 @@ export class ChatService {
    */
   deselectChat() {
     this.selectedChatIdSubject.next(null);
+    this.clearReplyTo();
+  }
+
+  /**
+   * Quote a message in the next reply
+   */
+  setReplyTo(message: Message) {
+    this.replyingToSubject.next(message);
+  }
+
+  clearReplyTo() {
+    if (this.replyingToSubject.value) {
+      this.replyingToSubject.next(null);
+    }
+  }
+
+  /**
+   * Build the quoted snippet for a local message
+   */
+  toQuotedMessage(message: Message): QuotedMessage {
+    return {
+      id: message.id,
+      text: message.text,
+      sender: message.sender,
+      type: message.type,
+      attachmentUrl: message.type === 'image' ? message.attachments?.[0]?.url : undefined
+    };
+  }
+
+  /**
+   * Map a populated replyTo document from the API to a quoted snippet
+   */
+  private mapQuotedMessage(replyTo: any): QuotedMessage | undefined {
+    if (!replyTo || typeof replyTo !== 'object' || !replyTo._id) return undefined;
+
+    const attachment = replyTo.attachments?.[0];
+    return {
+      id: replyTo._id,
+      text: replyTo.content || '',
+      sender: replyTo.sender === 'customer' ? 'other' : 'me',
+      type: replyTo.type,
+      attachmentUrl: attachment?.type === 'image' ? attachment.url : undefined
+    };
   }
 
   sendMessage(text: string) {
     const currentChatId = this.selectedChatIdSubject.value;
     if (!currentChatId) return;
 
+    const quoted = this.replyingToSubject.value;
+    this.clearReplyTo();
+
     // Send via agent message API
-    this.sendAgentMessage(currentChatId, text).subscribe({
+    this.sendAgentMessage(currentChatId, text, quoted?.id).subscribe({
       next: (response) => {
         console.log('Message sent successfully:', response);
         // Optionally add optimistic update
@@ -504,7 +768,9 @@ export class ChatService {
           text,
           sender: 'me',
           timestamp: new Date(),
-          status: response.message?.status || 'sent'
+          status: response.message?.status || 'sent',
+          error: response.message?.whatsappError,
+          replyTo: quoted ? this.toQuotedMessage(quoted) : undefined
         };
         this.handleNewMessage(currentChatId, newMessage);
       },
@@ -516,6 +782,39 @@ export class ChatService {
     });
   }
 
+  /**
+   * Send a file (image, document, audio, video) with an optional caption to the selected chat
+   */
+  sendAttachment(file: File, caption: string = ''): Observable<any> {
+    const currentChatId = this.selectedChatIdSubject.value;
+    if (!currentChatId) {
+      return throwError(() => new Error('No chat selected'));
+    }
+
+    const quoted = this.replyingToSubject.value;
+
+    return this.sendAgentAttachment(currentChatId, file, caption, quoted?.id).pipe(
+      tap((response) => {
+        const saved = response.message;
+        if (!saved) return;
+
+        const newMessage: Message = {
+          id: saved._id,
+          text: saved.content,
+          sender: 'me',
+          timestamp: new Date(saved.timestamp),
+          type: saved.type,
+          attachments: saved.attachments,
+          status: saved.status,
+          error: saved.whatsappError,
+          replyTo: quoted ? this.toQuotedMessage(quoted) : undefined
+        };
+        this.clearReplyTo();
+        this.handleNewMessage(currentChatId, newMessage);
+      })
+    );
+  }
+
   // ======================================
   // AGENT-SPECIFIC METHODS
   // ======================================
@@ -565,12 +864,28 @@ export class ChatService {
   /**
    * Send agent message (from Web UI)
    */
-  sendAgentMessage(conversationId: string, text: string): Observable<any> {
+  sendAgentMessage(conversationId: string, text: string, replyToMessageId?: string): Observable<any> {
     return this.http.post(`${this.apiUrl}/conversations/${conversationId}/reply`, {
-      message: text
+      message: text,
+      replyToMessageId
     });
   }
 
+  /**
+   * Send agent attachment (multipart upload from Web UI)
+   */
+  sendAgentAttachment(conversationId: string, file: File, caption: string = '', replyToMessageId?: string): Observable<any> {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (caption) {
+      formData.append('caption', caption);
+    }
+    if (replyToMessageId) {
+      formData.append('replyToMessageId', replyToMessageId);
+    }
+    return this.http.post(`${this.apiUrl}/conversations/${conversationId}/attachments`, formData);
+  }
+
   /**
    * Get conversations assigned to current agent
    */
@@ -13,6 +13,8 @@ export interface CRMSettings {
     firstResponseTime: number;
     resolutionTime: number;
     enableAlerts: boolean;
+    warningThreshold: number; // % of the target elapsed before warning
+    alertTemplate: string; // WhatsApp template sent to the agent on breach
   };
   priorityEscalation: {
     enabled: boolean;
@@ -28,6 +30,34 @@ export interface CRMSettings {
     autoCloseOnConfirm: boolean;
     autoCloseTimeout: number;
   };
+  agentAssignment: {
+    autoAssignEnabled: boolean;
+    roundRobin: boolean;
+    considerWorkload: boolean;
+    maxActiveConversations: number;
+    preferSameAgent: boolean;
+    routingOrder: RoutingStep[];
+  };
+  aiBehavior: {
+    autoHandoffToAgent: boolean;
+    handoffMode: HandoffMode;
+    handoffKeywords: string; // Comma separated
+    maxAIMessages: number; // 0 = unlimited
+    aiDetectionEnabled: boolean;
+    minAIConfidence: number; // %
+    negativeSentimentCount: number;
+    suggestScore: number;
+    autoAssignScore: number;
+    weights: TakeoverWeights;
+  };
+  waitingQueue: {
+    notifyPosition: boolean;
+    positionMessage: string; // Placeholders: {position}, {wait}
+  };
+  templates: {
+    matchCustomerLanguage: boolean;
+    fallbackLanguage: string; // WhatsApp language code, e.g. es_MX
+  };
   businessHours: {
     enabled: boolean;
     timezone: string;
@@ -41,11 +71,55 @@ export interface CRMSettings {
       sunday: { start: string; end: string; enabled: boolean };
     };
     afterHoursMessage: string;
+    afterHoursReplyWindow: number;
+    holidays: BusinessHoliday[];
   };
   lastModifiedAt?: Date;
   lastModifiedBy?: string;
 }
 
+export type RoutingStep = 'preferred_agent' | 'previous_agent' | 'skill_and_language' | 'language' | 'skill' | 'any';
+
+export type HandoffMode = 'auto_assign' | 'suggest_only';
+
+export interface TakeoverWeights {
+  aiDetection: number;
+  keyword: number;
+  aiUncertainty: number;
+  maxAIMessages: number;
+  negativeSentiment: number;
+  repeatedQuestions: number;
+}
+
+export interface TakeoverPreview {
+  enabled: boolean;
+  score: number;
+  triggers: string[];
+  matchedKeywords: string[];
+  explicitRequest: boolean;
+  action: 'auto_assign' | 'suggest' | 'none';
+  aiDetection: {
+    wants_human: boolean;
+    confidence: number;
+    reason: string;
+    urgency: string;
+  } | null;
+  rules: {
+    handoffMode: HandoffMode;
+    suggestScore: number;
+    autoAssignScore: number;
+  };
+}
+
+export interface BusinessHoliday {
+  date: string; // YYYY-MM-DD in the business timezone
+  name?: string;
+  closed: boolean;
+  start?: string;
+  end?: string;
+  recurring: boolean;
+}
+
 @Injectable({
   providedIn: 'root'
 })
@@ -68,6 +142,13 @@ export class CRMSettingsService {
     return this.http.put<{ message: string; settings: CRMSettings }>(this.apiUrl, settings);
   }
 
+  /**
+   * Test a message against the takeover rules (unsaved rules can be passed in aiBehavior)
+   */
+  previewTakeover(message: string, aiBehavior?: CRMSettings['aiBehavior'], useAI = false, aiMessageCount = 0): Observable<TakeoverPreview> {
+    return this.http.post<TakeoverPreview>(`${this.apiUrl}/takeover/preview`, { message, aiBehavior, useAI, aiMessageCount });
+  }
+
   /**
    * Reset settings to defaults
    */
@@ -16,6 +16,8 @@ export interface Customer {
   status: 'active' | 'inactive' | 'blocked' | 'vip';
   isBlocked: boolean;
   blockReason?: string;
+  optedOut?: boolean; // Campaigns skip the customer
+  optedOutAt?: Date;
   notes?: string;
   address?: {
     street?: string;
@@ -71,6 +73,18 @@ export interface CustomerDetailResponse {
     resolvedConversations: number;
   };
   recentConversations: any[];
+  sharedContacts?: SharedContact[];
+}
+
+export interface SharedContact {
+  messageId: string;
+  contactIndex: number;
+  sharedAt: Date;
+  name?: string;
+  phoneNumber: string | null;
+  email?: string;
+  organization?: string;
+  existingCustomerId: string | null;
 }
 
 export interface CustomerStatsResponse {
@@ -146,6 +160,13 @@ export class CustomerService {
     return this.http.post<{ success: boolean; customer: Customer }>(this.apiUrl, customerData);
   }
 
+  /**
+   * Create customer from a contact card shared in a conversation
+   */
+  createCustomerFromContact(messageId: string, contactIndex: number): Observable<{ success: boolean; customer: Customer }> {
+    return this.http.post<{ success: boolean; customer: Customer }>(`${this.apiUrl}/from-contact`, { messageId, contactIndex });
+  }
+
   /**
    * Update customer
    */
@@ -187,6 +208,16 @@ export class CustomerService {
     );
   }
 
+  /**
+   * Opt the customer out of campaigns, or back in
+   */
+  toggleOptOut(id: string, optedOut: boolean): Observable<{ success: boolean; customer: Customer }> {
+    return this.http.patch<{ success: boolean; customer: Customer }>(
+      `${this.apiUrl}/${id}/opt-out`,
+      { optedOut }
+    );
+  }
+
   /**
    * Delete customer (soft delete by default)
    */
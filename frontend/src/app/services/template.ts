@@ -7,29 +7,119 @@ export interface TemplateComponent {
   format?: 'TEXT' | 'IMAGE' | 'VIDEO' | 'DOCUMENT' | 'LOCATION';
   text?: string;
   example?: {
+    header_text?: string[];
     header_handle?: string[];
     body_text?: string[][];
   };
-  buttons?: Array<{
-    type: 'QUICK_REPLY' | 'PHONE_NUMBER' | 'URL';
-    text: string;
-    url?: string;
-    phone_number?: string;
-    example?: string[];
-  }>;
+  buttons?: TemplateButton[];
 }
 
+export type TemplateButtonType = 'QUICK_REPLY' | 'PHONE_NUMBER' | 'URL' | 'COPY_CODE';
+
+export interface TemplateButton {
+  type: TemplateButtonType;
+  text?: string; // Not used by COPY_CODE
+  url?: string;
+  phone_number?: string;
+  example?: string[] | string; // URL: [example URL], COPY_CODE: example code
+}
+
+export type TemplateStatus = 'APPROVED' | 'PENDING' | 'REJECTED' | 'DISABLED' | 'PAUSED' | 'IN_APPEAL';
+
+export type TemplateParameterType =
+  'text' | 'currency' | 'date_time' | 'image' | 'video' | 'document' | 'location' | 'payload' | 'coupon_code';
+
 export interface TemplateParameter {
   name: string;
-  type: 'text' | 'currency' | 'date_time';
+  type: TemplateParameterType;
   position: number;
-  component: 'HEADER' | 'BODY';
+  component: 'HEADER' | 'BODY' | 'BUTTON';
+  buttonIndex?: number; // BUTTON only
+  subType?: 'url' | 'quick_reply' | 'copy_code'; // BUTTON only
+  optional?: boolean; // Quick reply payloads
+}
+
+// Send-time values for a template (see templateService.buildTemplateComponents on the server)
+export interface TemplateCurrencyValue {
+  type: 'currency';
+  amount: number;
+  code: string; // ISO 4217, e.g. MXN
+  fallback?: string;
+}
+
+export interface TemplateDateTimeValue {
+  type: 'date_time';
+  value: string; // YYYY-MM-DD or YYYY-MM-DDTHH:mm
+  fallback?: string;
+}
+
+export interface TemplateHeaderMedia {
+  link?: string;
+  id?: string;
+  filename?: string;
+}
+
+export interface TemplateHeaderLocation {
+  latitude: number;
+  longitude: number;
+  name?: string;
+  address?: string;
+}
+
+// Value taken from each recipient: a customer field or a recipients file column
+export interface TemplateParameterMapping {
+  source: 'field' | 'column';
+  field?: string; // 'firstName', 'address.city', 'customFields.<key>'
+  column?: string;
+  fallback?: string;
+  type?: 'currency' | 'date_time'; // Typed body variables
+  code?: string; // Currency code for type 'currency'
+}
+
+export type TemplateBodyValue = string | TemplateCurrencyValue | TemplateDateTimeValue | TemplateParameterMapping;
+
+export interface TemplateParameterValues {
+  header?: string | TemplateHeaderMedia | TemplateHeaderLocation | TemplateParameterMapping | null;
+  body: TemplateBodyValue[];
+  buttons?: { [buttonIndex: number]: string | TemplateParameterMapping };
+}
+
+export interface TemplateParameterSources {
+  fields: string[];
+  customFields: string[];
+}
+
+// Recipients file read by the server (row values as text)
+export interface TemplateRecipientsFile {
+  filename: string;
+  columns: string[];
+  phoneColumn: string;
+  rows: Array<{ [column: string]: string }>;
+  total: number;
+}
+
+export interface TemplateRecipientPreview {
+  customerId: string;
+  phoneNumber: string;
+  name: string;
+  language: string;
+  header: string | null;
+  content: string | null;
+  errors: string[];
+}
+
+export interface TemplateSendPreview {
+  total: number;
+  ready: number;
+  failed: number;
+  recipients: TemplateRecipientPreview[]; // First 100, failures first
+  unmatchedRows: string[]; // File phone numbers without a customer
 }
 
 export interface Template {
   _id: string;
   name: string;
-  status: 'APPROVED' | 'PENDING' | 'REJECTED' | 'DISABLED';
+  status: TemplateStatus;
   category: 'MARKETING' | 'UTILITY' | 'AUTHENTICATION';
   language: string;
   components: TemplateComponent[];
@@ -37,6 +127,9 @@ export interface Template {
   whatsappTemplateId?: string;
   namespace?: string;
   rejectionReason?: string;
+  statusUpdatedAt?: Date;
+  submittedAt?: Date;
+  businessAccountId?: string;
   description?: string;
   tags: string[];
   usageCount: number;
@@ -62,20 +155,49 @@ export interface TemplateStats {
   mostUsed: Array<{ _id: string; name: string; usageCount: number; lastUsedAt?: Date }>;
 }
 
+export interface CreateTemplateRequest {
+  name: string;
+  language: string;
+  category: 'MARKETING' | 'UTILITY';
+  components: TemplateComponent[];
+  businessAccountId?: string;
+  description?: string;
+  tags?: string[];
+}
+
+export interface CreateTemplateResponse {
+  success: boolean;
+  message: string;
+  data?: Template;
+  errors?: string[]; // Validation errors
+  error?: string; // Meta API error
+}
+
+export interface TemplateStatusUpdate {
+  templateId: string;
+  name: string;
+  language: string;
+  status: TemplateStatus;
+  rejectionReason?: string | null;
+}
+
 export interface SendTemplateRequest {
   templateId: string;
   customerId: string;
-  parameters?: string[];
+  parameters?: string[] | TemplateParameterValues; // Plain array = body values
 }
 
 export interface SendTemplateBulkRequest {
   templateId: string;
   customerIds?: string[];
-  parameters?: string[];
+  parameters?: string[] | TemplateParameterValues;
   filters?: {
     tags?: string[];
     status?: string;
   };
+  // Recipients file rows; without customerIds or filters the file is the recipient list
+  recipientRows?: Array<{ [column: string]: string }>;
+  phoneColumn?: string;
 }
 
 export interface SendTemplateResponse {
@@ -83,6 +205,7 @@ export interface SendTemplateResponse {
   message: string;
   data?: any;
   error?: string;
+  errors?: string[]; // Parameter validation errors
 }
 
 export interface SyncTemplatesResponse {
@@ -112,6 +235,58 @@ export class TemplateService {
     return this.http.post<SyncTemplatesResponse>(`${this.apiUrl}/sync`, {});
   }
 
+  /**
+   * Create a template and submit it to Meta for review
+   */
+  createTemplate(request: CreateTemplateRequest): Observable<CreateTemplateResponse> {
+    return this.http.post<CreateTemplateResponse>(this.apiUrl, request);
+  }
+
+  /**
+   * Upload the sample Meta reviews a media header with
+   * @returns The handle to put in example.header_handle
+   */
+  uploadHeaderSample(file: File, format: 'IMAGE' | 'VIDEO' | 'DOCUMENT', businessAccountId?: string): Observable<{ success: boolean; data: { handle: string } }> {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('format', format);
+    if (businessAccountId) formData.append('businessAccountId', businessAccountId);
+    return this.http.post<{ success: boolean; data: { handle: string } }>(`${this.apiUrl}/header-sample`, formData);
+  }
+
+  /**
+   * Store the media for a template header so it can be sent by link
+   */
+  uploadHeaderMedia(file: File, format: 'IMAGE' | 'VIDEO' | 'DOCUMENT'): Observable<{ success: boolean; data: { link: string; filename: string; mimeType: string } }> {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('format', format);
+    return this.http.post<{ success: boolean; data: { link: string; filename: string; mimeType: string } }>(`${this.apiUrl}/header-media`, formData);
+  }
+
+  /**
+   * Read a recipients file (XLSX/CSV with a phone column) for personalised bulk sends
+   */
+  uploadRecipientsFile(file: File): Observable<{ success: boolean; data: TemplateRecipientsFile }> {
+    const formData = new FormData();
+    formData.append('file', file);
+    return this.http.post<{ success: boolean; data: TemplateRecipientsFile }>(`${this.apiUrl}/recipients-file`, formData);
+  }
+
+  /**
+   * Customer fields and custom field keys parameters can be mapped from
+   */
+  getParameterSources(): Observable<{ success: boolean; data: TemplateParameterSources }> {
+    return this.http.get<{ success: boolean; data: TemplateParameterSources }>(`${this.apiUrl}/parameter-sources`);
+  }
+
+  /**
+   * Re-read a template's review status from Meta
+   */
+  refreshTemplateStatus(id: string): Observable<{ success: boolean; data: Template }> {
+    return this.http.post<{ success: boolean; data: Template }>(`${this.apiUrl}/${id}/refresh-status`, {});
+  }
+
   /**
    * Get all templates with optional filters
    */
@@ -176,6 +351,13 @@ export class TemplateService {
     return this.http.post<SendTemplateResponse>(`${this.apiUrl}/send-bulk`, request);
   }
 
+  /**
+   * Preview a send per recipient (resolved values and text) without sending
+   */
+  previewTemplateSend(request: SendTemplateBulkRequest): Observable<{ success: boolean; data: TemplateSendPreview }> {
+    return this.http.post<{ success: boolean; data: TemplateSendPreview }>(`${this.apiUrl}/preview`, request);
+  }
+
   /**
    * Get template categories
    */
@@ -187,7 +369,7 @@ export class TemplateService {
    * Get template statuses
    */
   getStatuses(): string[] {
-    return ['APPROVED', 'PENDING', 'REJECTED', 'DISABLED'];
+    return ['APPROVED', 'PENDING', 'REJECTED', 'DISABLED', 'PAUSED', 'IN_APPEAL'];
   }
 
   /**
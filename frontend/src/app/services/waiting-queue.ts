@@ -0,0 +1,70 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { ConversationPriority } from './chat';
+
+export interface WaitingQueueEntry {
+  conversationId: string;
+  position: number;
+  customer: {
+    _id: string;
+    name: string;
+    phoneNumber: string;
+    segment?: string;
+  } | null;
+  priority: ConversationPriority;
+  category: string;
+  language?: string;
+  reason: 'no_agent_available' | 'after_hours';
+  enteredAt: string;
+  waitingTime: number; // ms
+  estimatedWait: number | null; // ms, null without handling history
+  lastMessage?: {
+    content: string;
+    timestamp: string;
+  };
+}
+
+export interface WaitingQueue {
+  entries: WaitingQueueEntry[];
+  total: number;
+  onlineAgents: number;
+  averageHandlingTime: number | null;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class WaitingQueueService {
+  private apiUrl = '/api/v2/conversations';
+
+  constructor(private http: HttpClient) {}
+
+  /**
+   * Conversations waiting for an agent, in assignment order
+   */
+  getQueue(): Observable<WaitingQueue> {
+    return this.http.get<WaitingQueue>(`${this.apiUrl}/queue`);
+  }
+
+  /**
+   * Assign queued conversations to available agents now
+   */
+  processQueue(): Observable<WaitingQueue & { assigned: number }> {
+    return this.http.post<WaitingQueue & { assigned: number }>(`${this.apiUrl}/queue/process`, {});
+  }
+
+  /**
+   * Assign a queued conversation to a specific agent
+   */
+  assignToAgent(conversationId: string, agentId: string): Observable<any> {
+    return this.http.post(`${this.apiUrl}/${conversationId}/assign`, { agentId });
+  }
+
+  /**
+   * Take a conversation out of the queue (it stays with the AI)
+   */
+  removeFromQueue(conversationId: string): Observable<{ success: boolean }> {
+    return this.http.delete<{ success: boolean }>(`${this.apiUrl}/${conversationId}/queue`);
+  }
+}
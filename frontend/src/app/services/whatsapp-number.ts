@@ -0,0 +1,38 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { map, shareReplay } from 'rxjs/operators';
+
+export interface WhatsAppNumber {
+  _id?: string;
+  phoneNumberId: string;
+  displayPhoneNumber?: string;
+  name: string;
+  businessAccountId?: string;
+  defaultLanguage?: string;
+  isDefault: boolean;
+  source?: 'registry' | 'env';
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class WhatsAppNumberService {
+  private apiUrl = '/api/v2/whatsapp-numbers';
+  private numbers$?: Observable<WhatsAppNumber[]>;
+
+  constructor(private http: HttpClient) {}
+
+  /**
+   * Get sender numbers (cached for the session)
+   */
+  getNumbers(): Observable<WhatsAppNumber[]> {
+    if (!this.numbers$) {
+      this.numbers$ = this.http.get<{ success: boolean; data: WhatsAppNumber[] }>(this.apiUrl).pipe(
+        map(response => response.data || []),
+        shareReplay(1)
+      );
+    }
+    return this.numbers$;
+  }
+}
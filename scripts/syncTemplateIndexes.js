@@ -0,0 +1,43 @@
+/**
+ * Script to migrate templates to per-WABA uniqueness
+ * Templates used to be unique by name; with several WhatsApp Business Accounts and
+ * language variants they are unique by name + businessAccountId + language.
+ *
+ * - Assigns WHATSAPP_BUSINESS_ACCOUNT_ID to templates synced before per-WABA support
+ * - Drops the old unique name index and builds the new indexes
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Template = require('../src/models/Template');
+
+async function syncTemplateIndexes() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB);
+    console.log('Connected successfully\n');
+
+    const wabaId = process.env.WHATSAPP_BUSINESS_ACCOUNT_ID;
+    if (wabaId) {
+      const result = await Template.updateMany(
+        { businessAccountId: { $exists: false } },
+        { $set: { businessAccountId: wabaId } }
+      );
+      console.log(`✅ Assigned WABA ${wabaId} to ${result.modifiedCount} template(s)`);
+    } else {
+      console.log('⚠️  WHATSAPP_BUSINESS_ACCOUNT_ID not set - existing templates keep no WABA until the next sync');
+    }
+
+    const dropped = await Template.syncIndexes();
+    console.log(`✅ Template indexes synced${dropped.length ? ` (dropped: ${dropped.join(', ')})` : ''}`);
+
+  } catch (error) {
+    console.error('Fatal error:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed');
+  }
+}
+
+// Run the script
+syncTemplateIndexes();
@@ -110,6 +110,11 @@ async function updateProfile(req, res) {
 
         console.log('[AgentController] Profile updated for agent:', agent._id, updateData);
 
+        if (autoAssign === true) {
+            const waitingQueueService = require('../services/waitingQueueService');
+            waitingQueueService.triggerQueueProcessing(`agent ${agent.email} enabled auto-assign`);
+        }
+
         return res.json({ agent });
     } catch (error) {
         console.error('Update profile error:', error);
@@ -146,6 +151,12 @@ async function updateStatus(req, res) {
             timestamp: new Date()
         });
 
+        // An agent coming online can take conversations from the waiting queue
+        if (status === 'online') {
+            const waitingQueueService = require('../services/waitingQueueService');
+            waitingQueueService.triggerQueueProcessing(`agent ${agent.email} online`);
+        }
+
         return res.json({ agent });
     } catch (error) {
         console.error('Update status error:', error);
@@ -178,7 +189,7 @@ async function getAllAgents(req, res) {
  */
 async function createAgent(req, res) {
     try {
-        const { email, password, firstName, lastName, role, phoneNumber } = req.body;
+        const { email, password, firstName, lastName, role, phoneNumber, skills, languages } = req.body;
 
         if (!email || !password || !firstName || !lastName) {
             return res.status(400).json({ error: 'Required fields missing' });
@@ -200,6 +211,8 @@ async function createAgent(req, res) {
             lastName,
             role: role || 'agent',
             phoneNumber,
+            skills: Array.isArray(skills) ? skills : [],
+            languages: Array.isArray(languages) ? languages : [],
             permissions: ['view_conversations']
         });
 
@@ -237,7 +250,7 @@ async function getAgentById(req, res) {
  */
 async function updateAgent(req, res) {
     try {
-        const { firstName, lastName, role, isActive, maxConcurrentChats, permissions } = req.body;
+        const { firstName, lastName, role, isActive, maxConcurrentChats, permissions, skills, languages } = req.body;
 
         const updateData = {};
         if (firstName) updateData.firstName = firstName;
@@ -246,6 +259,8 @@ async function updateAgent(req, res) {
         if (isActive !== undefined) updateData.isActive = isActive;
         if (maxConcurrentChats) updateData.maxConcurrentChats = maxConcurrentChats;
         if (permissions) updateData.permissions = permissions;
+        if (Array.isArray(skills)) updateData.skills = skills;
+        if (Array.isArray(languages)) updateData.languages = languages;
 
         const agent = await Agent.findByIdAndUpdate(
             req.params.id,
@@ -0,0 +1,251 @@
+const campaignService = require('../services/campaignService');
+
+/**
+ * Reply for a service result: 404 when not found, 400 with the validation errors
+ * @returns {boolean} - True when a reply was sent
+ */
+const sendResultError = (res, result, message) => {
+    if (!result) {
+        res.status(404).json({
+            success: false,
+            message: 'Campaign not found'
+        });
+        return true;
+    }
+
+    if (result.errors) {
+        res.status(400).json({
+            success: false,
+            message,
+            errors: result.errors
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * List campaigns with funnel metrics
+ * GET /api/v2/campaigns?status=&limit=&skip=
+ */
+const getCampaigns = async (req, res) => {
+    try {
+        const { campaigns, total } = await campaignService.getCampaigns(req.query);
+
+        res.status(200).json({
+            success: true,
+            data: campaigns,
+            total
+        });
+    } catch (error) {
+        console.error('Error getting campaigns:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get campaigns',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a campaign with funnel metrics
+ * GET /api/v2/campaigns/:id
+ */
+const getCampaignById = async (req, res) => {
+    try {
+        const campaign = await campaignService.getCampaignById(req.params.id);
+        if (sendResultError(res, campaign)) return;
+
+        res.status(200).json({
+            success: true,
+            data: campaign
+        });
+    } catch (error) {
+        console.error('Error getting campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get campaign',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List a campaign's recipients
+ * GET /api/v2/campaigns/:id/recipients?status=&limit=&skip=
+ */
+const getCampaignRecipients = async (req, res) => {
+    try {
+        const { recipients, total } = await campaignService.getCampaignRecipients(req.params.id, req.query);
+
+        res.status(200).json({
+            success: true,
+            data: recipients,
+            total
+        });
+    } catch (error) {
+        console.error('Error getting campaign recipients:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get campaign recipients',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Count the customers an audience reaches (blocked and opted out are not sent to)
+ * POST /api/v2/campaigns/audience-preview
+ */
+const previewAudience = async (req, res) => {
+    try {
+        const counts = await campaignService.previewAudience(req.body.audience);
+
+        res.status(200).json({
+            success: true,
+            data: counts
+        });
+    } catch (error) {
+        console.error('Error previewing campaign audience:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview audience',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Create a draft campaign
+ * POST /api/v2/campaigns
+ */
+const createCampaign = async (req, res) => {
+    try {
+        const result = await campaignService.createCampaign(req.body, req.agent?._id);
+        if (sendResultError(res, result, 'Invalid campaign')) return;
+
+        res.status(201).json({
+            success: true,
+            message: 'Campaign created',
+            data: result.campaign
+        });
+    } catch (error) {
+        console.error('Error creating campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create campaign',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a campaign that has not started sending
+ * PUT /api/v2/campaigns/:id
+ */
+const updateCampaign = async (req, res) => {
+    try {
+        const result = await campaignService.updateCampaign(req.params.id, req.body);
+        if (sendResultError(res, result, 'Invalid campaign')) return;
+
+        res.status(200).json({
+            success: true,
+            message: 'Campaign updated',
+            data: result.campaign
+        });
+    } catch (error) {
+        console.error('Error updating campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update campaign',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a campaign that is not sending
+ * DELETE /api/v2/campaigns/:id
+ */
+const deleteCampaign = async (req, res) => {
+    try {
+        const result = await campaignService.deleteCampaign(req.params.id);
+        if (sendResultError(res, result, 'Campaign cannot be deleted')) return;
+
+        res.status(200).json({
+            success: true,
+            message: 'Campaign deleted'
+        });
+    } catch (error) {
+        console.error('Error deleting campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete campaign',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handler for a lifecycle action (start, pause, resume, cancel)
+ * @param {Function} action - campaignService function taking the campaign ID
+ * @param {string} done - Past participle for the messages ('started', 'paused', ...)
+ */
+const campaignAction = (action, done) => async (req, res) => {
+    try {
+        const result = await action(req.params.id);
+        if (sendResultError(res, result, `Campaign cannot be ${done}`)) return;
+
+        res.status(200).json({
+            success: true,
+            message: `Campaign ${done}`,
+            data: result.campaign
+        });
+    } catch (error) {
+        console.error(`Error updating campaign (${done}):`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update campaign',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Start a draft campaign (sent at its schedule time, or right away)
+ * POST /api/v2/campaigns/:id/start
+ */
+const startCampaign = campaignAction(campaignService.startCampaign, 'started');
+
+/**
+ * Pause a scheduled or running campaign
+ * POST /api/v2/campaigns/:id/pause
+ */
+const pauseCampaign = campaignAction(campaignService.pauseCampaign, 'paused');
+
+/**
+ * Resume a paused campaign
+ * POST /api/v2/campaigns/:id/resume
+ */
+const resumeCampaign = campaignAction(campaignService.resumeCampaign, 'resumed');
+
+/**
+ * Cancel a campaign (recipients not sent yet are dropped)
+ * POST /api/v2/campaigns/:id/cancel
+ */
+const cancelCampaign = campaignAction(campaignService.cancelCampaign, 'cancelled');
+
+module.exports = {
+    getCampaigns,
+    getCampaignById,
+    getCampaignRecipients,
+    previewAudience,
+    createCampaign,
+    updateCampaign,
+    deleteCampaign,
+    startCampaign,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign
+};
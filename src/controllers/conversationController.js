@@ -4,17 +4,22 @@ const AgentAssignmentHistory = require('../models/AgentAssignmentHistory');
 const agentAssignmentService = require('../services/agentAssignmentService');
 const agentMessageRelayService = require('../services/agentMessageRelayService');
 const autoTimeoutService = require('../services/autoTimeoutService');
+const replyContextService = require('../services/replyContextService');
+const whatsappNumberService = require('../services/whatsappNumberService');
 
 /**
  * GET /api/v2/conversations
  */
 async function getConversations(req, res) {
     try {
-        const { status, assignedAgent, limit = 50, skip = 0 } = req.query;
+        const { status, assignedAgent, phoneNumberId, limit = 50, skip = 0 } = req.query;
 
         const filter = {};
         if (status) filter.status = status;
         if (assignedAgent) filter.assignedAgent = assignedAgent;
+        if (phoneNumberId) {
+            filter['whatsappData.phoneNumberId'] = await whatsappNumberService.getPhoneNumberFilter(phoneNumberId);
+        }
 
         // OPTIMIZED: Use lean() and limit populate fields
         const conversations = await Conversation.find(filter)
@@ -159,7 +164,7 @@ async function transferConversation(req, res) {
  */
 async function sendReply(req, res) {
     try {
-        const { message } = req.body;
+        const { message, replyToMessageId } = req.body;
         const conversationId = req.params.id;
         const agentId = req.agent._id;
 
@@ -180,6 +185,15 @@ async function sendReply(req, res) {
             return res.status(403).json({ error: 'Conversation not assigned to you' });
         }
 
+        // Resolve the quoted message (optional)
+        let quotedMessage = null;
+        if (replyToMessageId) {
+            quotedMessage = await replyContextService.findMessageToQuote(replyToMessageId, conversationId);
+            if (!quotedMessage) {
+                return res.status(400).json({ error: 'Quoted message not found or was not delivered through WhatsApp' });
+            }
+        }
+
         // Send message
         const newMessage = await agentMessageRelayService.sendAgentMessageToCustomer(
             conversationId,
@@ -187,7 +201,8 @@ async function sendReply(req, res) {
             agentId,
             conversation.customerId.phoneNumber,
             message.trim(),
-            'web'
+            'web',
+            quotedMessage
         );
 
         return res.json({ message: newMessage });
@@ -197,6 +212,68 @@ async function sendReply(req, res) {
     }
 }
 
+/**
+ * POST /api/v2/conversations/:id/attachments
+ * Send an image, document, audio or video to the customer (multipart: file, caption)
+ */
+async function sendAttachment(req, res) {
+    try {
+        const conversationId = req.params.id;
+        const agentId = req.agent._id;
+        const caption = req.body.caption || '';
+        const { replyToMessageId } = req.body;
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        // Get conversation with customer info
+        const conversation = await Conversation.findById(conversationId)
+            .populate('customerId');
+
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        // Verify agent is assigned
+        if (conversation.assignedAgent?.toString() !== agentId.toString()) {
+            return res.status(403).json({ error: 'Conversation not assigned to you' });
+        }
+
+        const fileLimit = agentMessageRelayService.ATTACHMENT_TYPES[
+            agentMessageRelayService.getAttachmentMediaType(req.file.mimetype)
+        ].maxSize;
+        if (req.file.size > fileLimit) {
+            return res.status(400).json({ error: `File exceeds the ${fileLimit / (1024 * 1024)}MB limit for this type` });
+        }
+
+        // Resolve the quoted message (optional)
+        let quotedMessage = null;
+        if (replyToMessageId) {
+            quotedMessage = await replyContextService.findMessageToQuote(replyToMessageId, conversationId);
+            if (!quotedMessage) {
+                return res.status(400).json({ error: 'Quoted message not found or was not delivered through WhatsApp' });
+            }
+        }
+
+        const newMessage = await agentMessageRelayService.sendAgentMediaToCustomer(
+            conversationId,
+            conversation.customerId._id,
+            agentId,
+            conversation.customerId.phoneNumber,
+            req.file,
+            caption,
+            'web',
+            quotedMessage
+        );
+
+        return res.json({ message: newMessage });
+    } catch (error) {
+        console.error('Send attachment error:', error);
+        return res.status(500).json({ error: error.message });
+    }
+}
+
 /**
  * GET /api/v2/conversations/:id/thread-metadata
  * Get OpenAI thread metadata for a conversation
@@ -239,6 +316,7 @@ async function getConversationMessages(req, res) {
         // Get all messages for the conversation, sorted by timestamp ascending (oldest first)
         const messages = await Message.find({ conversationId })
             .populate('agentId', 'firstName lastName avatar')
+            .populate('replyTo', replyContextService.QUOTED_FIELDS)
             .sort({ timestamp: 1 })
             .limit(parseInt(limit))
             .skip(parseInt(skip));
@@ -567,6 +645,77 @@ async function getAgentPerformance(req, res) {
     }
 }
 
+/**
+ * GET /api/v2/conversations/sla/report
+ * SLA compliance per agent and category (admin/supervisor)
+ */
+async function getSLAReport(req, res) {
+    try {
+        const { startDate, endDate } = req.query;
+
+        const slaService = require('../services/slaService');
+        const report = await slaService.getSLAReport({ startDate, endDate });
+
+        return res.json(report);
+    } catch (error) {
+        console.error('Get SLA report error:', error);
+        return res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * GET /api/v2/conversations/queue
+ * Conversations waiting for an agent, in assignment order (admin/supervisor)
+ */
+async function getWaitingQueue(req, res) {
+    try {
+        const waitingQueueService = require('../services/waitingQueueService');
+        const queue = await waitingQueueService.getQueue();
+
+        return res.json(queue);
+    } catch (error) {
+        console.error('Get waiting queue error:', error);
+        return res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * POST /api/v2/conversations/queue/process
+ * Assign queued conversations to available agents now (admin/supervisor)
+ */
+async function processWaitingQueue(req, res) {
+    try {
+        const waitingQueueService = require('../services/waitingQueueService');
+        const assigned = await waitingQueueService.processQueue();
+        const queue = await waitingQueueService.getQueue();
+
+        return res.json({ assigned, ...queue });
+    } catch (error) {
+        console.error('Process waiting queue error:', error);
+        return res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * DELETE /api/v2/conversations/:id/queue
+ * Take a conversation out of the waiting queue (admin/supervisor)
+ */
+async function removeFromWaitingQueue(req, res) {
+    try {
+        const waitingQueueService = require('../services/waitingQueueService');
+        const removed = await waitingQueueService.dequeueConversation(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Conversation is not in the waiting queue' });
+        }
+
+        return res.json({ success: true });
+    } catch (error) {
+        console.error('Remove from waiting queue error:', error);
+        return res.status(500).json({ error: error.message });
+    }
+}
+
 /**
  * Helper: Get most common items from array
  */
@@ -689,12 +838,17 @@ module.exports = {
     releaseConversation,
     transferConversation,
     sendReply,
+    sendAttachment,
     getThreadMetadata,
     getConversationMessages,
     resumeAI,
     addInternalNote,
     getAssignmentHistory,
     getAgentPerformance,
+    getSLAReport,
+    getWaitingQueue,
+    processWaitingQueue,
+    removeFromWaitingQueue,
     resolveConversationEndpoint,
     closeConversationEndpoint,
     reopenConversationEndpoint,
@@ -1,53 +1,133 @@
 const CRMSettings = require('../models/CRMSettings');
+const businessHoursService = require('../services/businessHoursService');
+const takeoverSuggestionService = require('../services/takeoverSuggestionService');
 
 /**
  * CRM Settings Controller
  * Manages CRM configuration settings
  */
 
+/**
+ * Convert stored settings (milliseconds) to the hours/minutes the frontend edits
+ */
+function formatSettings(settings) {
+    return {
+        autoTimeout: {
+            open: settings.autoTimeout.open / (60 * 60 * 1000), // hours
+            assigned: settings.autoTimeout.assigned / (60 * 60 * 1000), // hours
+            waiting: settings.autoTimeout.waiting / (60 * 60 * 1000), // hours
+            resolved: settings.autoTimeout.resolved / (60 * 60 * 1000) // hours
+        },
+        sla: {
+            firstResponseTime: settings.sla.firstResponseTime / (60 * 1000), // minutes
+            resolutionTime: settings.sla.resolutionTime / (60 * 60 * 1000), // hours
+            enableAlerts: settings.sla.enableAlerts,
+            warningThreshold: settings.sla.warningThreshold, // % of target
+            alertTemplate: settings.sla.alertTemplate
+        },
+        priorityEscalation: {
+            enabled: settings.priorityEscalation.enabled,
+            waitTimeThreshold: settings.priorityEscalation.waitTimeThreshold / (60 * 1000), // minutes
+            urgentKeywords: settings.priorityEscalation.urgentKeywords.join(', '),
+            highKeywords: settings.priorityEscalation.highKeywords.join(', '),
+            vipAutoEscalate: settings.priorityEscalation.vipAutoEscalate,
+            reassignmentThreshold: settings.priorityEscalation.reassignmentThreshold
+        },
+        resolutionConfirmation: {
+            enabled: settings.resolutionConfirmation.enabled,
+            messageTemplate: settings.resolutionConfirmation.messageTemplate,
+            autoCloseOnConfirm: settings.resolutionConfirmation.autoCloseOnConfirm,
+            autoCloseTimeout: settings.resolutionConfirmation.autoCloseTimeout / (60 * 60 * 1000) // hours
+        },
+        agentAssignment: {
+            autoAssignEnabled: settings.agentAssignment.autoAssignEnabled,
+            roundRobin: settings.agentAssignment.roundRobin,
+            considerWorkload: settings.agentAssignment.considerWorkload,
+            maxActiveConversations: settings.agentAssignment.maxActiveConversations,
+            preferSameAgent: settings.agentAssignment.preferSameAgent,
+            routingOrder: settings.agentAssignment.routingOrder
+        },
+        aiBehavior: {
+            autoHandoffToAgent: settings.aiBehavior.autoHandoffToAgent,
+            handoffMode: settings.aiBehavior.handoffMode,
+            handoffKeywords: settings.aiBehavior.handoffKeywords.join(', '),
+            maxAIMessages: settings.aiBehavior.maxAIMessages,
+            aiDetectionEnabled: settings.aiBehavior.aiDetectionEnabled,
+            minAIConfidence: settings.aiBehavior.minAIConfidence,
+            negativeSentimentCount: settings.aiBehavior.negativeSentimentCount,
+            suggestScore: settings.aiBehavior.suggestScore,
+            autoAssignScore: settings.aiBehavior.autoAssignScore,
+            weights: {
+                aiDetection: settings.aiBehavior.weights.aiDetection,
+                keyword: settings.aiBehavior.weights.keyword,
+                aiUncertainty: settings.aiBehavior.weights.aiUncertainty,
+                maxAIMessages: settings.aiBehavior.weights.maxAIMessages,
+                negativeSentiment: settings.aiBehavior.weights.negativeSentiment,
+                repeatedQuestions: settings.aiBehavior.weights.repeatedQuestions
+            }
+        },
+        waitingQueue: {
+            notifyPosition: settings.waitingQueue.notifyPosition,
+            positionMessage: settings.waitingQueue.positionMessage
+        },
+        templates: {
+            matchCustomerLanguage: settings.templates.matchCustomerLanguage,
+            fallbackLanguage: settings.templates.fallbackLanguage
+        },
+        businessHours: {
+            enabled: settings.businessHours.enabled,
+            timezone: settings.businessHours.timezone,
+            schedule: settings.businessHours.schedule,
+            afterHoursMessage: settings.businessHours.afterHoursMessage,
+            afterHoursReplyWindow: settings.businessHours.afterHoursReplyWindow / (60 * 60 * 1000), // hours
+            holidays: settings.businessHours.holidays
+        },
+        lastModifiedAt: settings.lastModifiedAt,
+        lastModifiedBy: settings.lastModifiedBy
+    };
+}
+
+/**
+ * Convert the edited takeover rules (keywords as a comma separated string) to the stored shape
+ * @param {object} aiBehavior - aiBehavior section as sent by the frontend
+ * @returns {object|undefined}
+ */
+function parseAIBehavior(aiBehavior) {
+    if (!aiBehavior) return undefined;
+
+    const parsed = {
+        autoHandoffToAgent: aiBehavior.autoHandoffToAgent,
+        handoffMode: aiBehavior.handoffMode,
+        handoffKeywords: typeof aiBehavior.handoffKeywords === 'string' ?
+            aiBehavior.handoffKeywords.split(',').map(k => k.trim()).filter(Boolean) : undefined,
+        maxAIMessages: aiBehavior.maxAIMessages,
+        aiDetectionEnabled: aiBehavior.aiDetectionEnabled,
+        minAIConfidence: aiBehavior.minAIConfidence,
+        negativeSentimentCount: aiBehavior.negativeSentimentCount,
+        suggestScore: aiBehavior.suggestScore,
+        autoAssignScore: aiBehavior.autoAssignScore,
+        weights: aiBehavior.weights ? { ...aiBehavior.weights } : undefined
+    };
+
+    Object.keys(parsed).forEach(key => {
+        if (parsed[key] === undefined) delete parsed[key];
+    });
+    if (parsed.weights) {
+        Object.keys(parsed.weights).forEach(key => {
+            if (typeof parsed.weights[key] !== 'number') delete parsed.weights[key];
+        });
+    }
+
+    return parsed;
+}
+
 /**
  * Get current CRM settings
  */
 async function getSettings(req, res) {
     try {
         const settings = await CRMSettings.getSettings();
-        
-        // Convert milliseconds to hours/minutes for frontend
-        const formattedSettings = {
-            autoTimeout: {
-                open: settings.autoTimeout.open / (60 * 60 * 1000), // hours
-                assigned: settings.autoTimeout.assigned / (60 * 60 * 1000), // hours
-                waiting: settings.autoTimeout.waiting / (60 * 60 * 1000), // hours
-                resolved: settings.autoTimeout.resolved / (60 * 60 * 1000) // hours
-            },
-            sla: {
-                firstResponseTime: settings.sla.firstResponseTime / (60 * 1000), // minutes
-                resolutionTime: settings.sla.resolutionTime / (60 * 60 * 1000), // hours
-                enableAlerts: settings.sla.enableAlerts
-            },
-            priorityEscalation: {
-                enabled: settings.priorityEscalation.enabled,
-                waitTimeThreshold: settings.priorityEscalation.waitTimeThreshold / (60 * 1000), // minutes
-                urgentKeywords: settings.priorityEscalation.urgentKeywords.join(', '),
-                highKeywords: settings.priorityEscalation.highKeywords.join(', '),
-                vipAutoEscalate: settings.priorityEscalation.vipAutoEscalate,
-                reassignmentThreshold: settings.priorityEscalation.reassignmentThreshold
-            },
-            resolutionConfirmation: {
-                enabled: settings.resolutionConfirmation.enabled,
-                messageTemplate: settings.resolutionConfirmation.messageTemplate,
-                autoCloseOnConfirm: settings.resolutionConfirmation.autoCloseOnConfirm,
-                autoCloseTimeout: settings.resolutionConfirmation.autoCloseTimeout / (60 * 60 * 1000) // hours
-            },
-            businessHours: {
-                enabled: settings.businessHours.enabled,
-                timezone: settings.businessHours.timezone,
-                schedule: settings.businessHours.schedule,
-                afterHoursMessage: settings.businessHours.afterHoursMessage
-            },
-            lastModifiedAt: settings.lastModifiedAt,
-            lastModifiedBy: settings.lastModifiedBy
-        };
+        const formattedSettings = formatSettings(settings);
 
         res.json(formattedSettings);
     } catch (error) {
@@ -64,6 +144,14 @@ async function updateSettings(req, res) {
         const updates = req.body;
         const agentId = req.agent._id;
 
+        if (updates.businessHours?.timezone && !businessHoursService.isValidTimezone(updates.businessHours.timezone)) {
+            return res.status(400).json({ error: `Invalid timezone: ${updates.businessHours.timezone}` });
+        }
+
+        if (updates.aiBehavior?.handoffMode && !CRMSettings.HANDOFF_MODES.includes(updates.aiBehavior.handoffMode)) {
+            return res.status(400).json({ error: `Invalid handoff mode: ${updates.aiBehavior.handoffMode}` });
+        }
+
         // Convert hours/minutes back to milliseconds
         const processedUpdates = {
             autoTimeout: {
@@ -75,7 +163,9 @@ async function updateSettings(req, res) {
             sla: {
                 firstResponseTime: updates.sla?.firstResponseTime ? updates.sla.firstResponseTime * 60 * 1000 : undefined,
                 resolutionTime: updates.sla?.resolutionTime ? updates.sla.resolutionTime * 60 * 60 * 1000 : undefined,
-                enableAlerts: updates.sla?.enableAlerts
+                enableAlerts: updates.sla?.enableAlerts,
+                warningThreshold: updates.sla?.warningThreshold,
+                alertTemplate: updates.sla?.alertTemplate
             },
             priorityEscalation: {
                 enabled: updates.priorityEscalation?.enabled,
@@ -95,7 +185,31 @@ async function updateSettings(req, res) {
                 autoCloseTimeout: updates.resolutionConfirmation?.autoCloseTimeout ? 
                     updates.resolutionConfirmation.autoCloseTimeout * 60 * 60 * 1000 : undefined
             },
-            businessHours: updates.businessHours
+            agentAssignment: {
+                autoAssignEnabled: updates.agentAssignment?.autoAssignEnabled,
+                roundRobin: updates.agentAssignment?.roundRobin,
+                considerWorkload: updates.agentAssignment?.considerWorkload,
+                maxActiveConversations: updates.agentAssignment?.maxActiveConversations,
+                preferSameAgent: updates.agentAssignment?.preferSameAgent,
+                routingOrder: Array.isArray(updates.agentAssignment?.routingOrder) ?
+                    updates.agentAssignment.routingOrder.filter(step => CRMSettings.ROUTING_STEPS.includes(step)) : undefined
+            },
+            aiBehavior: parseAIBehavior(updates.aiBehavior),
+            waitingQueue: {
+                notifyPosition: updates.waitingQueue?.notifyPosition,
+                positionMessage: updates.waitingQueue?.positionMessage
+            },
+            templates: {
+                matchCustomerLanguage: updates.templates?.matchCustomerLanguage,
+                fallbackLanguage: updates.templates?.fallbackLanguage?.trim() || undefined
+            },
+            businessHours: updates.businessHours ? {
+                ...updates.businessHours,
+                afterHoursReplyWindow: updates.businessHours.afterHoursReplyWindow ?
+                    updates.businessHours.afterHoursReplyWindow * 60 * 60 * 1000 : undefined,
+                holidays: Array.isArray(updates.businessHours.holidays) ?
+                    updates.businessHours.holidays.filter(holiday => holiday.date) : undefined
+            } : undefined
         };
 
         // Remove undefined values
@@ -113,42 +227,7 @@ async function updateSettings(req, res) {
 
         console.log(`[CRMSettings] Settings updated by agent ${req.agent.email}`);
 
-        // Return formatted settings
-        const formattedSettings = {
-            autoTimeout: {
-                open: updatedSettings.autoTimeout.open / (60 * 60 * 1000),
-                assigned: updatedSettings.autoTimeout.assigned / (60 * 60 * 1000),
-                waiting: updatedSettings.autoTimeout.waiting / (60 * 60 * 1000),
-                resolved: updatedSettings.autoTimeout.resolved / (60 * 60 * 1000)
-            },
-            sla: {
-                firstResponseTime: updatedSettings.sla.firstResponseTime / (60 * 1000),
-                resolutionTime: updatedSettings.sla.resolutionTime / (60 * 60 * 1000),
-                enableAlerts: updatedSettings.sla.enableAlerts
-            },
-            priorityEscalation: {
-                enabled: updatedSettings.priorityEscalation.enabled,
-                waitTimeThreshold: updatedSettings.priorityEscalation.waitTimeThreshold / (60 * 1000),
-                urgentKeywords: updatedSettings.priorityEscalation.urgentKeywords.join(', '),
-                highKeywords: updatedSettings.priorityEscalation.highKeywords.join(', '),
-                vipAutoEscalate: updatedSettings.priorityEscalation.vipAutoEscalate,
-                reassignmentThreshold: updatedSettings.priorityEscalation.reassignmentThreshold
-            },
-            resolutionConfirmation: {
-                enabled: updatedSettings.resolutionConfirmation.enabled,
-                messageTemplate: updatedSettings.resolutionConfirmation.messageTemplate,
-                autoCloseOnConfirm: updatedSettings.resolutionConfirmation.autoCloseOnConfirm,
-                autoCloseTimeout: updatedSettings.resolutionConfirmation.autoCloseTimeout / (60 * 60 * 1000)
-            },
-            businessHours: {
-                enabled: updatedSettings.businessHours.enabled,
-                timezone: updatedSettings.businessHours.timezone,
-                schedule: updatedSettings.businessHours.schedule,
-                afterHoursMessage: updatedSettings.businessHours.afterHoursMessage
-            },
-            lastModifiedAt: updatedSettings.lastModifiedAt,
-            lastModifiedBy: updatedSettings.lastModifiedBy
-        };
+        const formattedSettings = formatSettings(updatedSettings);
 
         res.json({
             message: 'CRM settings updated successfully',
@@ -178,42 +257,7 @@ async function resetToDefaults(req, res) {
 
         console.log(`[CRMSettings] Settings reset to defaults by agent ${req.agent.email}`);
 
-        // Return formatted settings
-        const formattedSettings = {
-            autoTimeout: {
-                open: defaultSettings.autoTimeout.open / (60 * 60 * 1000),
-                assigned: defaultSettings.autoTimeout.assigned / (60 * 60 * 1000),
-                waiting: defaultSettings.autoTimeout.waiting / (60 * 60 * 1000),
-                resolved: defaultSettings.autoTimeout.resolved / (60 * 60 * 1000)
-            },
-            sla: {
-                firstResponseTime: defaultSettings.sla.firstResponseTime / (60 * 1000),
-                resolutionTime: defaultSettings.sla.resolutionTime / (60 * 60 * 1000),
-                enableAlerts: defaultSettings.sla.enableAlerts
-            },
-            priorityEscalation: {
-                enabled: defaultSettings.priorityEscalation.enabled,
-                waitTimeThreshold: defaultSettings.priorityEscalation.waitTimeThreshold / (60 * 1000),
-                urgentKeywords: defaultSettings.priorityEscalation.urgentKeywords.join(', '),
-                highKeywords: defaultSettings.priorityEscalation.highKeywords.join(', '),
-                vipAutoEscalate: defaultSettings.priorityEscalation.vipAutoEscalate,
-                reassignmentThreshold: defaultSettings.priorityEscalation.reassignmentThreshold
-            },
-            resolutionConfirmation: {
-                enabled: defaultSettings.resolutionConfirmation.enabled,
-                messageTemplate: defaultSettings.resolutionConfirmation.messageTemplate,
-                autoCloseOnConfirm: defaultSettings.resolutionConfirmation.autoCloseOnConfirm,
-                autoCloseTimeout: defaultSettings.resolutionConfirmation.autoCloseTimeout / (60 * 60 * 1000)
-            },
-            businessHours: {
-                enabled: defaultSettings.businessHours.enabled,
-                timezone: defaultSettings.businessHours.timezone,
-                schedule: defaultSettings.businessHours.schedule,
-                afterHoursMessage: defaultSettings.businessHours.afterHoursMessage
-            },
-            lastModifiedAt: defaultSettings.lastModifiedAt,
-            lastModifiedBy: defaultSettings.lastModifiedBy
-        };
+        const formattedSettings = formatSettings(defaultSettings);
 
         res.json({
             message: 'CRM settings reset to defaults',
@@ -225,8 +269,37 @@ async function resetToDefaults(req, res) {
     }
 }
 
+/**
+ * Test a message against the takeover rules
+ * Body: { message, aiBehavior (optional unsaved rules, same shape as the settings), useAI }
+ */
+async function previewTakeover(req, res) {
+    try {
+        const { message, aiBehavior, useAI = false, aiMessageCount = 0 } = req.body;
+
+        if (!message || typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+        if (aiBehavior?.handoffMode && !CRMSettings.HANDOFF_MODES.includes(aiBehavior.handoffMode)) {
+            return res.status(400).json({ error: `Invalid handoff mode: ${aiBehavior.handoffMode}` });
+        }
+
+        const preview = await takeoverSuggestionService.previewTakeover(message.trim(), {
+            rules: parseAIBehavior(aiBehavior) || {},
+            useAI: !!useAI,
+            aiMessageCount: parseInt(aiMessageCount) || 0
+        });
+
+        res.json(preview);
+    } catch (error) {
+        console.error('[CRMSettings] Error previewing takeover rules:', error);
+        res.status(500).json({ error: 'Failed to preview takeover rules' });
+    }
+}
+
 module.exports = {
     getSettings,
     updateSettings,
-    resetToDefaults
+    resetToDefaults,
+    previewTakeover
 };
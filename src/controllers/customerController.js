@@ -1,7 +1,9 @@
+const mongoose = require('mongoose');
 const Customer = require('../models/Customer');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const XLSX = require('xlsx');
+const { formatNumber } = require('../shared/processMessage');
 
 /**
  * GET /api/v2/customers
@@ -122,6 +124,31 @@ async function getCustomer(req, res) {
             .populate('assignedAgent', 'firstName lastName')
             .select('status priority lastMessage createdAt updatedAt');
 
+        // Contact cards shared by this customer (for "create customer from contact")
+        const contactMessages = await Message.find({ customerId: customer._id, type: 'contact' })
+            .sort({ timestamp: -1 })
+            .limit(10)
+            .select('contacts timestamp');
+
+        const sharedPhones = contactMessages.flatMap(m => m.contacts.flatMap(c => c.phones.map(getContactPhoneNumber)));
+        const existingCustomers = await Customer.find({ phoneNumber: { $in: sharedPhones.filter(Boolean) } })
+            .select('_id phoneNumber');
+        const existingByPhone = new Map(existingCustomers.map(c => [c.phoneNumber, c._id]));
+
+        const sharedContacts = contactMessages.flatMap(m => m.contacts.map((contact, index) => {
+            const phoneNumber = contact.phones.map(getContactPhoneNumber).find(Boolean) || null;
+            return {
+                messageId: m._id,
+                contactIndex: index,
+                sharedAt: m.timestamp,
+                name: contact.name,
+                phoneNumber,
+                email: contact.emails[0]?.email,
+                organization: contact.organization,
+                existingCustomerId: phoneNumber ? existingByPhone.get(phoneNumber) || null : null
+            };
+        }));
+
         return res.json({
             success: true,
             customer,
@@ -130,7 +157,8 @@ async function getCustomer(req, res) {
                 openConversations: 0,
                 resolvedConversations: 0
             },
-            recentConversations
+            recentConversations,
+            sharedContacts
         });
     } catch (error) {
         console.error('Get customer error:', error);
@@ -198,6 +226,72 @@ async function createCustomer(req, res) {
     }
 }
 
+/**
+ * POST /api/v2/customers/from-contact
+ * Create a customer from a contact card shared in a conversation
+ * Body: { messageId, contactIndex }
+ */
+async function createCustomerFromContact(req, res) {
+    try {
+        const { messageId, contactIndex = 0 } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({ error: 'Invalid message ID' });
+        }
+
+        const message = await Message.findOne({ _id: messageId, type: 'contact' });
+        const contact = message?.contacts?.[contactIndex];
+        if (!contact) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+
+        const phoneNumber = contact.phones.map(getContactPhoneNumber).find(Boolean);
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'Contact has no phone number' });
+        }
+
+        const existingCustomer = await Customer.findOne({ phoneNumber });
+        if (existingCustomer) {
+            return res.status(409).json({ error: 'Customer already exists', customer: existingCustomer });
+        }
+
+        const referrer = await Customer.findById(message.customerId).select('phoneNumber firstName lastName');
+        const referrerName = referrer ? [referrer.firstName, referrer.lastName].filter(Boolean).join(' ') || referrer.phoneNumber : 'unknown';
+
+        const customer = await Customer.create({
+            phoneNumber,
+            firstName: contact.firstName || contact.name,
+            lastName: contact.lastName,
+            email: contact.emails[0]?.email,
+            avatar: `https://i.pravatar.cc/150?u=${phoneNumber}`,
+            segment: 'new',
+            source: 'referral',
+            notes: `Contact shared by ${referrerName} on ${message.timestamp.toISOString().split('T')[0]}`,
+            customFields: contact.organization ? { company: contact.organization } : undefined,
+            firstContact: new Date(),
+            lastInteraction: new Date()
+        });
+
+        return res.status(201).json({
+            success: true,
+            customer
+        });
+    } catch (error) {
+        console.error('Create customer from contact error:', error);
+        return res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Phone number of a vCard phone entry in the format customers are stored with
+ * WhatsApp sends wa_id (digits only) when the number has WhatsApp
+ */
+function getContactPhoneNumber(phone) {
+    const digits = (phone.waId || phone.phone || '').replace(/\D/g, '');
+    if (!digits) return null;
+    return digits.length === 13 ? formatNumber(digits) : digits;
+}
+
 /**
  * PUT /api/v2/customers/:id
  * Update customer information (standard CRM edit operation)
@@ -320,6 +414,40 @@ async function toggleBlockCustomer(req, res) {
     }
 }
 
+/**
+ * PATCH /api/v2/customers/:id/opt-out
+ * Opt a customer out of (or back into) campaigns
+ */
+async function toggleOptOutCustomer(req, res) {
+    try {
+        const { id } = req.params;
+        const optedOut = !!req.body.optedOut;
+
+        const customer = await Customer.findByIdAndUpdate(
+            id,
+            {
+                $set: {
+                    optedOut,
+                    optedOutAt: optedOut ? new Date() : null
+                }
+            },
+            { new: true }
+        );
+
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        return res.json({
+            success: true,
+            customer
+        });
+    } catch (error) {
+        console.error('Opt-out customer error:', error);
+        return res.status(500).json({ error: error.message });
+    }
+}
+
 /**
  * DELETE /api/v2/customers/:id
  * Delete customer (soft delete recommended - change status to inactive)
@@ -888,9 +1016,11 @@ module.exports = {
     listCustomers,
     getCustomer,
     createCustomer,
+    createCustomerFromContact,
     updateCustomer,
     updateCustomerTags,
     toggleBlockCustomer,
+    toggleOptOutCustomer,
     deleteCustomer,
     getCustomerConversations,
     getCustomerStats,
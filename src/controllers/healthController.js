@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const openaiService = require('../services/openaiService');
+const leaderElectionService = require('../services/leaderElectionService');
 const packageJson = require('../../package.json');
 
 /**
@@ -59,6 +60,12 @@ const healthCheck = async (req, res) => {
       percentage: `${Math.round((memoryUsedMB / memoryTotalMB) * 100)}%`
     };
 
+    // Cluster role (which instance runs the background jobs)
+    health.checks.cluster = {
+      ...leaderElectionService.getLeaderStatus(),
+      socketAdapter: process.env.SOCKET_ADAPTER || 'memory'
+    };
+
     // Set HTTP status based on health status
     const httpStatus = health.status === 'ok' ? 200 : 503;
 
@@ -0,0 +1,146 @@
+const outboundQueueService = require('../services/outboundQueueService');
+const OutboundJob = require('../models/OutboundJob');
+
+/**
+ * Get outbound queue statistics
+ * GET /api/v2/outbound-queue/stats
+ */
+const getQueueStats = async (req, res) => {
+    try {
+        const stats = await outboundQueueService.getQueueStats();
+
+        res.status(200).json({
+            success: true,
+            data: stats
+        });
+    } catch (error) {
+        console.error('Error getting outbound queue stats:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get outbound queue statistics',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List outbound jobs (defaults to dead-lettered jobs)
+ * GET /api/v2/outbound-queue/jobs?status=dead&recipient=&source=&limit=&skip=
+ */
+const getJobs = async (req, res) => {
+    try {
+        const filters = {
+            status: req.query.status || 'dead',
+            recipient: req.query.recipient,
+            source: req.query.source,
+            limit: req.query.limit,
+            skip: req.query.skip
+        };
+
+        const { jobs, total } = await outboundQueueService.getJobs(filters);
+
+        res.status(200).json({
+            success: true,
+            data: jobs,
+            total
+        });
+    } catch (error) {
+        console.error('Error getting outbound jobs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get outbound jobs',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a single outbound job
+ * GET /api/v2/outbound-queue/jobs/:id
+ */
+const getJobById = async (req, res) => {
+    try {
+        const job = await OutboundJob.findById(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        console.error('Error getting outbound job:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get outbound job',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Re-queue a dead-lettered job
+ * POST /api/v2/outbound-queue/jobs/:id/retry
+ */
+const retryJob = async (req, res) => {
+    try {
+        const job = await outboundQueueService.retryJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dead-lettered job not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Job re-queued',
+            data: job
+        });
+    } catch (error) {
+        console.error('Error retrying outbound job:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry outbound job',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Re-queue all dead-lettered jobs (optionally filtered by source/recipient)
+ * POST /api/v2/outbound-queue/retry-dead
+ */
+const retryDeadJobs = async (req, res) => {
+    try {
+        const { source, recipient } = req.body || {};
+        const retried = await outboundQueueService.retryDeadJobs({ source, recipient });
+
+        res.status(200).json({
+            success: true,
+            message: `${retried} job(s) re-queued`,
+            data: { retried }
+        });
+    } catch (error) {
+        console.error('Error retrying dead outbound jobs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry dead outbound jobs',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getQueueStats,
+    getJobs,
+    getJobById,
+    retryJob,
+    retryDeadJobs
+};
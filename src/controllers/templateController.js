@@ -1,11 +1,23 @@
+const XLSX = require('xlsx');
 const templateService = require('../services/templateService');
 const Template = require('../models/Template');
 const Customer = require('../models/Customer');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const CRMSettings = require('../models/CRMSettings');
 const whatsappService = require('../services/whatsappService');
-const { buildTemplateJSON } = require('../shared/whatsappModels');
-const { getTemplateDisplayContent } = require('../shared/processMessage');
+const whatsappNumberService = require('../services/whatsappNumberService');
+const mediaStorageService = require('../services/mediaStorageService');
+const agentMessageRelayService = require('../services/agentMessageRelayService');
+const { buildTemplateMessageJSON } = require('../shared/whatsappModels');
+const { emitToConversation } = require('../services/socketRoomService');
+const { getTemplateDisplayContent, formatNumber } = require('../shared/processMessage');
+
+// Recipients file columns recognised as the phone number (same names as the customer import)
+const PHONE_COLUMNS = ['phoneNumber', 'phone_number', 'phone', 'telefono', 'teléfono'];
+
+// Recipients returned by a send preview (totals cover everyone)
+const PREVIEW_LIMIT = 100;
 
 /**
  * Sync templates from Meta WhatsApp API
@@ -31,6 +43,280 @@ const syncTemplates = async (req, res) => {
     }
 };
 
+/**
+ * Create a template and submit it to Meta for review
+ * POST /api/v2/templates
+ * Body: { name, language, category, components (Meta format), businessAccountId, description, tags }
+ */
+const createTemplate = async (req, res) => {
+    try {
+        const { businessAccountId, description, tags, ...definition } = req.body;
+
+        const result = await templateService.createTemplate(definition, {
+            businessAccountId: businessAccountId || null,
+            createdBy: req.agent._id,
+            description,
+            tags: Array.isArray(tags) ? tags : undefined
+        });
+
+        if (result.errors) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid template',
+                errors: result.errors
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Template submitted for review',
+            data: result.template
+        });
+    } catch (error) {
+        console.error('Error creating template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create template',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Upload a sample file for a media header
+ * POST /api/v2/templates/header-sample (multipart: file, format, businessAccountId)
+ */
+const uploadHeaderSample = async (req, res) => {
+    try {
+        const format = (req.body.format || '').toUpperCase();
+        const allowedTypes = templateService.HEADER_SAMPLE_TYPES[format];
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'File is required' });
+        }
+        if (!allowedTypes) {
+            return res.status(400).json({ success: false, message: 'Format must be IMAGE, VIDEO or DOCUMENT' });
+        }
+        if (!allowedTypes.includes(req.file.mimetype)) {
+            return res.status(400).json({
+                success: false,
+                message: `${format} headers accept ${allowedTypes.join(', ')}`
+            });
+        }
+
+        const handle = await templateService.uploadHeaderSample(
+            req.file.buffer,
+            req.file.mimetype,
+            req.file.originalname,
+            req.body.businessAccountId || null
+        );
+
+        res.status(200).json({
+            success: true,
+            data: { handle }
+        });
+    } catch (error) {
+        console.error('Error uploading header sample:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload header sample',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Store the media for a template header so it can be sent by link
+ * POST /api/v2/templates/header-media
+ */
+const uploadHeaderMedia = async (req, res) => {
+    try {
+        const mediaType = (req.body.format || '').toLowerCase();
+        const attachmentType = agentMessageRelayService.ATTACHMENT_TYPES[mediaType];
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'File is required' });
+        }
+        if (!attachmentType || mediaType === 'audio') {
+            return res.status(400).json({ success: false, message: 'Format must be IMAGE, VIDEO or DOCUMENT' });
+        }
+        if (!attachmentType.mimeTypes.includes(req.file.mimetype)) {
+            return res.status(400).json({
+                success: false,
+                message: `${mediaType} headers accept ${attachmentType.mimeTypes.join(', ')}`
+            });
+        }
+        if (req.file.size > attachmentType.maxSize) {
+            return res.status(400).json({
+                success: false,
+                message: `File exceeds the ${attachmentType.maxSize / (1024 * 1024)}MB limit for this type`
+            });
+        }
+
+        const stored = await mediaStorageService.storeMedia(req.file.buffer, {
+            filename: req.file.originalname,
+            mimeType: req.file.mimetype,
+            mediaType,
+            subfolder: 'templates'
+        });
+
+        // WhatsApp downloads header media itself, so the link must be public
+        if (!/^https?:\/\//i.test(stored.url)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Stored media has no public URL (set PUBLIC_BASE_URL or use Cloudinary)'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                link: stored.url,
+                filename: req.file.originalname,
+                mimeType: req.file.mimetype
+            }
+        });
+    } catch (error) {
+        console.error('Error uploading header media:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload header media',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Spreadsheet cell as text; dates keep the time only when the cell has one
+ * @param {*} value - Cell value (cellDates parsing gives Date objects)
+ * @returns {string}
+ */
+const formatCellValue = (value) => {
+    if (!(value instanceof Date)) {
+        return String(value ?? '').trim();
+    }
+    const pad = (number) => String(number).padStart(2, '0');
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    return value.getHours() || value.getMinutes()
+        ? `${date}T${pad(value.getHours())}:${pad(value.getMinutes())}`
+        : date;
+};
+
+/**
+ * Read a recipients file (phone number plus the columns to map template parameters from)
+ * POST /api/v2/templates/recipients-file
+ */
+const uploadRecipientsFile = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded. Please upload an XLSX, XLS, or CSV file.'
+            });
+        }
+
+        // raw: CSV cells stay text so day-first dates (31/01/2025) aren't read as month-first
+        const workbook = XLSX.read(req.file.buffer, { type: 'buffer', cellDates: true, raw: true });
+        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        const rawData = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+
+        const rows = rawData
+            .map(row => {
+                const values = {};
+                Object.entries(row).forEach(([column, value]) => {
+                    values[column.trim()] = formatCellValue(value);
+                });
+                return values;
+            })
+            .filter(row => Object.values(row).some(value => value !== ''));
+
+        if (rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'File is empty or contains no valid data'
+            });
+        }
+
+        const columns = Object.keys(rows[0]);
+        const phoneColumn = columns.find(column => PHONE_COLUMNS.some(name => name.toLowerCase() === column.toLowerCase()));
+        if (!phoneColumn) {
+            return res.status(400).json({
+                success: false,
+                message: `The file needs a phone number column (${PHONE_COLUMNS.join(', ')})`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                filename: req.file.originalname,
+                columns,
+                phoneColumn,
+                rows,
+                total: rows.length
+            }
+        });
+    } catch (error) {
+        console.error('Error reading recipients file:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to read recipients file',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Customer fields and custom field keys template parameters can be mapped from
+ * GET /api/v2/templates/parameter-sources
+ */
+const getParameterSources = async (req, res) => {
+    try {
+        const sources = await templateService.getParameterSources();
+
+        res.status(200).json({
+            success: true,
+            data: sources
+        });
+    } catch (error) {
+        console.error('Error getting parameter sources:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get parameter sources',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Re-read a template's review status from Meta
+ * POST /api/v2/templates/:id/refresh-status
+ */
+const refreshTemplateStatus = async (req, res) => {
+    try {
+        const template = await templateService.refreshTemplateStatus(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        console.error('Error refreshing template status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh template status',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Get all templates with optional filters
  * GET /api/v2/templates
@@ -41,6 +327,7 @@ const getTemplates = async (req, res) => {
             status: req.query.status,
             category: req.query.category,
             language: req.query.language,
+            businessAccountId: req.query.businessAccountId,
             tags: req.query.tags ? req.query.tags.split(',') : undefined
         };
 
@@ -104,7 +391,8 @@ const updateTemplate = async (req, res) => {
         const updates = {
             description: req.body.description,
             tags: req.body.tags,
-            isActive: req.body.isActive
+            isActive: req.body.isActive,
+            parameters: req.body.parameters
         };
 
         const template = await templateService.updateTemplate(req.params.id, updates);
@@ -183,13 +471,67 @@ const getTemplateStats = async (req, res) => {
     }
 };
 
+/**
+ * Phone number of a recipients file row in the format customers are stored with
+ * @param {Object} row - File row
+ * @param {string} phoneColumn - Column holding the phone number
+ * @returns {string|null}
+ */
+const getRowPhoneNumber = (row, phoneColumn) => {
+    const digits = String(row?.[phoneColumn] ?? '').replace(/\D/g, '');
+    if (!digits) return null;
+    return digits.length === 13 ? formatNumber(digits) : digits;
+};
+
+/**
+ * Recipients of a bulk send: selected customers, customers matching the filters,
+ * or the customers listed in the recipients file
+ * @param {Object} body - { customerIds, filters, recipientRows, phoneColumn }
+ * @returns {Promise<{ customers: Array, rowsByPhone: Map, unmatchedRows: Array<string> }|null>} - null when nothing selects recipients
+ */
+const getBulkRecipients = async ({ customerIds, filters, recipientRows, phoneColumn }) => {
+    // File rows by phone number, for the column mappings
+    const rowsByPhone = new Map();
+    (Array.isArray(recipientRows) ? recipientRows : []).forEach(row => {
+        const phoneNumber = getRowPhoneNumber(row, phoneColumn);
+        if (phoneNumber) rowsByPhone.set(phoneNumber, row);
+    });
+
+    let customers;
+    if (customerIds && customerIds.length > 0) {
+        customers = await Customer.find({ _id: { $in: customerIds } });
+    } else if (filters) {
+        // Build query from filters
+        const query = {};
+        if (filters.tags && filters.tags.length > 0) {
+            query.tags = { $in: filters.tags };
+        }
+        if (filters.status) {
+            query.status = filters.status;
+        }
+        customers = await Customer.find(query);
+    } else if (rowsByPhone.size > 0) {
+        customers = await Customer.find({ phoneNumber: { $in: [...rowsByPhone.keys()] } });
+    } else {
+        return null;
+    }
+
+    // File rows without a customer are only reported when the file is the recipient list
+    const found = new Set(customers.map(customer => customer.phoneNumber));
+    const unmatchedRows = customerIds?.length > 0 || filters
+        ? []
+        : [...rowsByPhone.keys()].filter(phoneNumber => !found.has(phoneNumber));
+
+    return { customers, rowsByPhone, unmatchedRows };
+};
+
 /**
  * Send template message to single customer
  * POST /api/v2/templates/send
  */
 const sendTemplateToCustomer = async (req, res) => {
     try {
-        const { templateId, customerId, parameters } = req.body;
+        const { templateId, customerId, parameters, phoneNumberId } = req.body;
 
         if (!templateId || !customerId) {
             return res.status(400).json({
@@ -198,15 +540,27 @@ const sendTemplateToCustomer = async (req, res) => {
             });
         }
 
-        // Get template
-        const template = await Template.findById(templateId);
-        if (!template) {
+        // Get template (any language variant)
+        const selectedTemplate = await Template.findById(templateId);
+        if (!selectedTemplate) {
             return res.status(404).json({
                 success: false,
                 message: 'Template not found'
             });
         }
 
+        // Get customer
+        const customer = await Customer.findById(customerId);
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        // Send the variant in the customer's language when there is one
+        const template = await templateService.resolveTemplateVariant(selectedTemplate, customer.preferences?.language);
+
         if (template.status !== 'APPROVED') {
             return res.status(400).json({
                 success: false,
@@ -214,68 +568,73 @@ const sendTemplateToCustomer = async (req, res) => {
             });
         }
 
-        // Get customer
-        const customer = await Customer.findById(customerId);
-        if (!customer) {
-            return res.status(404).json({
+        // Send from the requested number, else the number of the customer's active conversation
+        const activeConversation = await Conversation.findOne({
+            customerId: customer._id,
+            status: { $in: ['open', 'assigned'] }
+        }).select('whatsappData').lean();
+
+        const sender = await whatsappNumberService.getNumberForBusinessAccount(
+            template.businessAccountId,
+            phoneNumberId || activeConversation?.whatsappData?.phoneNumberId
+        );
+
+        if (!sender || (phoneNumberId && sender.phoneNumberId !== phoneNumberId)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Customer not found'
+                message: phoneNumberId
+                    ? `Template ${template.name} does not belong to the WhatsApp Business Account of number ${phoneNumberId}`
+                    : `No WhatsApp number configured for the template's business account (${template.businessAccountId})`
             });
         }
 
-        // Format parameters for WhatsApp API
-        const formattedParams = parameters ? parameters.map(param => ({
-            type: "text",
-            text: param
-        })) : [];
+        // Header, body and button parameters (customer field mappings resolved), checked against the template
+        const { components, errors, display } = templateService.buildPersonalizedComponents(template, parameters || [], { customer });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid template parameters',
+                errors
+            });
+        }
 
         // Build template message
-        const templateMessage = buildTemplateJSON(
+        const templateMessage = buildTemplateMessageJSON(
             customer.phoneNumber,
             template.name,
-            formattedParams,
+            components,
             template.language
         );
 
         // Send via WhatsApp
-        whatsappService.sendWhatsappResponse(templateMessage);
+        const sendResult = await whatsappService.sendWhatsappResponse(templateMessage, sender.phoneNumberId);
 
-        // Find or create conversation
-        let conversation = await Conversation.findOne({
-            customerId: customer._id,
-            status: { $in: ['open', 'assigned'] }
-        });
-
-        if (!conversation) {
-            conversation = await Conversation.create({
-                customerId: customer._id,
-                status: 'open',
-                priority: 'medium',
-                isAIEnabled: true,
-                lastMessageAt: new Date()
-            });
-        }
+        // Find or create conversation on the sender number
+        const conversation = await templateService.findOrCreateTemplateConversation(customer._id, sender);
 
-        // Save message to database
+        // Save message to database (failed sends are kept so the agent sees why)
         const message = await Message.create({
             conversationId: conversation._id,
             customerId: customer._id,
-            content: getTemplateDisplayContent(template, parameters),
+            content: getTemplateDisplayContent(template, display.body, display.header),
             type: 'template',
             direction: 'outbound',
             sender: 'agent',
             agentId: req.agent?._id,
-            status: 'sent',
+            attachments: display.attachments,
+            ...whatsappService.getDeliveryFields(sendResult),
             template: {
                 name: template.name,
                 language: template.language,
-                parameters: parameters || [],
+                parameters: display.body,
                 category: template.category
             }
         });
 
         // Update template usage
-        await template.incrementUsage();
+        if (sendResult.success) {
+            await template.incrementUsage();
+        }
 
         // Update conversation
         await Conversation.findByIdAndUpdate(conversation._id, {
@@ -284,10 +643,22 @@ const sendTemplateToCustomer = async (req, res) => {
         });
 
         // Emit Socket.io event
-        if (req.io) {
-            req.io.emit('new_message', {
-                conversationId: conversation._id,
-                message
+        emitToConversation(conversation, 'new_message', {
+            conversationId: conversation._id,
+            message
+        });
+
+        if (!sendResult.success) {
+            return res.status(502).json({
+                success: false,
+                message: 'WhatsApp rejected the template message',
+                error: sendResult.error.message,
+                data: {
+                    template: template.name,
+                    customer: customer.phoneNumber,
+                    messageId: message._id,
+                    status: message.status
+                }
             });
         }
 
@@ -296,8 +667,11 @@ const sendTemplateToCustomer = async (req, res) => {
             message: 'Template sent successfully',
             data: {
                 template: template.name,
+                language: template.language,
                 customer: customer.phoneNumber,
-                messageId: message._id
+                messageId: message._id,
+                whatsappMessageId: message.whatsappMessageId,
+                status: message.status
             }
         });
     } catch (error) {
@@ -316,7 +690,7 @@ const sendTemplateToCustomer = async (req, res) => {
  */
 const sendTemplateBulk = async (req, res) => {
     try {
-        const { templateId, customerIds, parameters, filters } = req.body;
+        const { templateId, parameters, phoneNumberId, recipientRows } = req.body;
 
         if (!templateId) {
             return res.status(400).json({
@@ -325,7 +699,7 @@ const sendTemplateBulk = async (req, res) => {
             });
         }
 
-        // Get template
+        // Get template (any language variant)
         const template = await Template.findById(templateId);
         if (!template) {
             return res.status(404).json({
@@ -334,33 +708,47 @@ const sendTemplateBulk = async (req, res) => {
             });
         }
 
-        if (template.status !== 'APPROVED') {
+        // Each recipient gets the approved variant in their language
+        const variants = await templateService.getTemplateVariants(template.name, template.businessAccountId);
+        if (variants.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: `Template is not approved. Current status: ${template.status}`
             });
         }
+        const settings = await CRMSettings.getSettings();
+
+        // Mapped values are checked with sample values here, and per recipient below
+        const columns = Array.isArray(recipientRows) && recipientRows.length > 0 ? Object.keys(recipientRows[0]) : [];
+        const { errors } = templateService.buildPersonalizedComponents(template, parameters || [], { sample: true, columns });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid template parameters',
+                errors
+            });
+        }
+
+        // All recipients get the template from the same number
+        const sender = await whatsappNumberService.getNumberForBusinessAccount(template.businessAccountId, phoneNumberId);
+        if (!sender || (phoneNumberId && sender.phoneNumberId !== phoneNumberId)) {
+            return res.status(400).json({
+                success: false,
+                message: phoneNumberId
+                    ? `Template ${template.name} does not belong to the WhatsApp Business Account of number ${phoneNumberId}`
+                    : `No WhatsApp number configured for the template's business account (${template.businessAccountId})`
+            });
+        }
 
         // Get customers
-        let customers = [];
-        if (customerIds && customerIds.length > 0) {
-            customers = await Customer.find({ _id: { $in: customerIds } });
-        } else if (filters) {
-            // Build query from filters
-            const query = {};
-            if (filters.tags && filters.tags.length > 0) {
-                query.tags = { $in: filters.tags };
-            }
-            if (filters.status) {
-                query.status = filters.status;
-            }
-            customers = await Customer.find(query);
-        } else {
+        const recipients = await getBulkRecipients(req.body);
+        if (!recipients) {
             return res.status(400).json({
                 success: false,
-                message: 'Either customerIds or filters are required'
+                message: 'Either customerIds, filters or recipientRows are required'
             });
         }
+        const { customers, rowsByPhone, unmatchedRows } = recipients;
 
         if (customers.length === 0) {
             return res.status(404).json({
@@ -370,84 +758,46 @@ const sendTemplateBulk = async (req, res) => {
         }
 
         const results = {
-            total: customers.length,
-            sent: 0,
-            failed: 0,
-            errors: []
+            total: customers.length + unmatchedRows.length,
+            queued: 0,
+            failed: unmatchedRows.length,
+            errors: unmatchedRows.map(phoneNumber => ({
+                customer: phoneNumber,
+                error: 'No customer with this phone number'
+            }))
         };
 
-        // Send template to each customer
+        // Queued messages per variant, for usage stats
+        const usageByVariant = {};
+
+        // Queue template for each customer (the outbound queue handles throughput and retries)
         for (const customer of customers) {
             try {
-                // Format parameters (can be customized per customer if needed)
-                const formattedParams = parameters ? parameters.map(param => ({
-                    type: "text",
-                    text: param
-                })) : [];
-
-                // Build template message
-                const templateMessage = buildTemplateJSON(
-                    customer.phoneNumber,
-                    template.name,
-                    formattedParams,
-                    template.language
+                // The customer's variant and values (mapped fields and file columns)
+                const { variant, components, errors: recipientErrors, display } = await templateService.buildRecipientMessage(
+                    template,
+                    parameters,
+                    customer,
+                    rowsByPhone.get(customer.phoneNumber),
+                    { variants, settings }
                 );
-
-                // Send via WhatsApp
-                whatsappService.sendWhatsappResponse(templateMessage);
-
-                // Find or create conversation
-                let conversation = await Conversation.findOne({
-                    customerId: customer._id,
-                    status: { $in: ['open', 'assigned'] }
-                });
-
-                if (!conversation) {
-                    conversation = await Conversation.create({
-                        customerId: customer._id,
-                        status: 'open',
-                        priority: 'medium',
-                        isAIEnabled: true,
-                        lastMessageAt: new Date()
-                    });
+                if (recipientErrors.length > 0) {
+                    throw new Error(recipientErrors.join('; '));
                 }
 
-                // Save message to database
-                const message = await Message.create({
-                    conversationId: conversation._id,
-                    customerId: customer._id,
-                    content: getTemplateDisplayContent(template, parameters),
-                    type: 'template',
-                    direction: 'outbound',
-                    sender: 'system',
+                // Save, show in the conversation and queue
+                await templateService.queueTemplateMessage({
+                    customer,
+                    variant,
+                    components,
+                    display,
+                    sender,
                     agentId: req.agent?._id,
-                    status: 'sent',
-                    template: {
-                        name: template.name,
-                        language: template.language,
-                        parameters: parameters || [],
-                        category: template.category
-                    }
-                });
-
-                // Update conversation
-                await Conversation.findByIdAndUpdate(conversation._id, {
-                    lastMessageAt: new Date(),
-                    $inc: { messageCount: 1 }
+                    source: 'template_bulk'
                 });
 
-                // Emit Socket.io event
-                if (req.io) {
-                    req.io.emit('new_message', {
-                        conversationId: conversation._id,
-                        message
-                    });
-                }
-
-                results.sent++;
-
-                // Add delay to prevent rate limiting (adjust as needed)
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                results.queued++;
+                usageByVariant[variant._id] = (usageByVariant[variant._id] || 0) + 1;
 
             } catch (error) {
                 console.error(`Error sending template to ${customer.phoneNumber}:`, error);
@@ -460,14 +810,16 @@ const sendTemplateBulk = async (req, res) => {
         }
 
         // Update template usage
-        await Template.findByIdAndUpdate(templateId, {
-            $inc: { usageCount: results.sent },
-            lastUsedAt: new Date()
-        });
+        for (const [variantId, count] of Object.entries(usageByVariant)) {
+            await Template.findByIdAndUpdate(variantId, {
+                $inc: { usageCount: count },
+                lastUsedAt: new Date()
+            });
+        }
 
         res.status(200).json({
             success: true,
-            message: 'Bulk template sending completed',
+            message: 'Bulk template sending queued',
             data: results
         });
     } catch (error) {
@@ -480,13 +832,109 @@ const sendTemplateBulk = async (req, res) => {
     }
 };
 
+/**
+ * Preview a send per recipient (variant, resolved values and text) without sending
+ * POST /api/v2/templates/preview
+ */
+const previewTemplateSend = async (req, res) => {
+    try {
+        const { templateId, parameters } = req.body;
+
+        if (!templateId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Template ID is required'
+            });
+        }
+
+        const template = await Template.findById(templateId);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        const recipients = await getBulkRecipients(req.body);
+        if (!recipients) {
+            return res.status(400).json({
+                success: false,
+                message: 'Either customerIds, filters or recipientRows are required'
+            });
+        }
+        const { customers, rowsByPhone, unmatchedRows } = recipients;
+
+        const variants = await templateService.getTemplateVariants(template.name, template.businessAccountId);
+        const settings = await CRMSettings.getSettings();
+
+        const preview = {
+            total: customers.length + unmatchedRows.length,
+            ready: 0,
+            failed: unmatchedRows.length,
+            recipients: [],
+            unmatchedRows
+        };
+
+        for (const customer of customers) {
+            const { variant, errors, display } = await templateService.buildRecipientMessage(
+                template,
+                parameters,
+                customer,
+                rowsByPhone.get(customer.phoneNumber),
+                { variants, settings }
+            );
+
+            if (errors.length > 0) {
+                preview.failed++;
+            } else {
+                preview.ready++;
+            }
+
+            // Every recipient counts; failures are listed first so they are not cut off
+            preview.recipients.push({
+                customerId: customer._id,
+                phoneNumber: customer.phoneNumber,
+                name: [customer.firstName, customer.lastName].filter(Boolean).join(' '),
+                language: variant.language,
+                header: display.header,
+                content: errors.length > 0 ? null : getTemplateDisplayContent(variant, display.body, display.header),
+                attachments: display.attachments,
+                errors
+            });
+        }
+
+        preview.recipients = preview.recipients
+            .sort((a, b) => (b.errors.length > 0) - (a.errors.length > 0))
+            .slice(0, PREVIEW_LIMIT);
+
+        res.status(200).json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        console.error('Error previewing template send:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview template send',
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     syncTemplates,
+    createTemplate,
+    uploadHeaderSample,
+    uploadHeaderMedia,
+    uploadRecipientsFile,
+    getParameterSources,
+    refreshTemplateStatus,
     getTemplates,
     getTemplateById,
     updateTemplate,
     deleteTemplate,
     getTemplateStats,
     sendTemplateToCustomer,
-    sendTemplateBulk
+    sendTemplateBulk,
+    previewTemplateSend
 };
@@ -1,12 +1,19 @@
 const whatsappService = require("../services/whatsappService");
 const deduplicationService = require("../services/deduplicationService");
 const messageHandlers = require("../handlers/messageHandlers");
+const messageStatusService = require("../services/messageStatusService");
 const Customer = require("../models/Customer");
 const Conversation = require("../models/Conversation");
 const Message = require("../models/Message");
 // const { io } = require("../models/server"); // Using req.io instead
 const { getTemplateData, formatNumber } = require("../shared/processMessage");
 const openaiService = require("../services/openaiService");
+const whatsappNumberService = require("../services/whatsappNumberService");
+const { roleRoom, emitToConversation } = require("../services/socketRoomService");
+const slaService = require("../services/slaService");
+const businessHoursService = require("../services/businessHoursService");
+const templateService = require("../services/templateService");
+const campaignService = require("../services/campaignService");
 
 const ADMIN = process.env.WHATSAPP_ADMIN;
 
@@ -33,57 +40,52 @@ const verifyToken = (req, res) => {
 
 /**
  * Receive and process WhatsApp webhook messages
+ *
+ * Meta can batch several entries, changes, messages and statuses in one POST.
+ * Every message is deduplicated by id, then processed in timestamp order per customer
+ * (different customers are processed concurrently). Statuses are applied after messages.
  */
 const receivedMessage = async (req, res) => {
   try {
     const { entry } = req.body;
-    req.io.emit("incoming_messages", req.body);
+    // Raw webhook payloads (all customers' messages) are for admins' debugging only
+    req.io.to(roleRoom('admin')).emit("incoming_messages", req.body);
 
     if (!entry) {
       console.log("******** NO ENTRY ********", req.body);
       return res.send("EVENT_RECEIVED");
     }
 
-    const { changes } = entry[0];
-    const { value } = changes[0];
-    const { messages } = value;
+    const { messages, statuses, templateUpdates } = collectWebhookEvents(entry);
 
-    if (!messages) {
+    if (messages.length === 0 && statuses.length === 0 && templateUpdates.length > 0) {
+      res.send("EVENT_RECEIVED");
+      return await processTemplateUpdates(templateUpdates, req.io);
+    }
+
+    if (messages.length === 0 && statuses.length === 0) {
       console.log("******** SERVER STATUS UPDATE ********");
-      console.log(JSON.stringify(changes[0]));
+      console.log(JSON.stringify(entry));
       return res.send("EVENT_RECEIVED");
     }
 
-    const messageObject = messages[0];
-    const messageType = messageObject.type;
-    const messageId = messageObject.id;
-
-    // Format phone number early for all checks
-    let userPhoneNumber = messageObject.from;
-    if (userPhoneNumber.length === 13) {
-      userPhoneNumber = formatNumber(userPhoneNumber);
-    }
-
-    // Log incoming webhook
-    console.log(`\n🔔 [${new Date().toISOString()}] NEW WEBHOOK RECEIVED`);
-    console.log(`   Message ID: ${messageId}`);
-    console.log(`   Message Type: ${messageType}`);
-    console.log(`   From: ${userPhoneNumber}`);
-    if (messageType === 'text') {
-      console.log(`   Text: "${messageObject.text.body}"`);
-    }
-    console.log(`   Cache size: ${deduplicationService.getCacheStats().totalMessages} messages`);
+    console.log(`\n🔔 [${new Date().toISOString()}] NEW WEBHOOK RECEIVED - ${messages.length} message(s), ${statuses.length} status update(s)`);
 
     // ============================================
     // DEDUPLICATION CHECK
     // ============================================
-    if (deduplicationService.isMessageProcessed(messageId)) {
-      console.log(`⚠️  DUPLICATE DETECTED - Message ${messageId} already processed - SKIPPING\n`);
-      return res.send("EVENT_RECEIVED");
-    }
-
-    // Mark as processed IMMEDIATELY to prevent race conditions
-    deduplicationService.markMessageAsProcessed(messageId);
+    // Mark as processed IMMEDIATELY (before responding) to prevent race conditions
+    // The claim is atomic in the shared store, so only one instance processes a retried webhook
+    const claims = await Promise.all(
+      messages.map(({ message }) => deduplicationService.claimMessage(message.id))
+    );
+    const newMessages = messages.filter(({ message }, index) => {
+      if (!claims[index]) {
+        console.log(`⚠️  DUPLICATE DETECTED - Message ${message.id} already processed - SKIPPING`);
+        return false;
+      }
+      return true;
+    });
 
     // ============================================
     // RESPOND TO WEBHOOK IMMEDIATELY
@@ -92,108 +94,281 @@ const receivedMessage = async (req, res) => {
     res.send("EVENT_RECEIVED");
     console.log(`📤 Webhook response sent to WhatsApp (EVENT_RECEIVED)\n`);
 
-    // ============================================
-    // ROUTE TO MESSAGE HANDLERS
-    // ============================================
-    // Find or create customer
-    let customer = await Customer.findOne({ phoneNumber: userPhoneNumber });
-    const userName = value.contacts && value.contacts[0] && value.contacts[0].profile ? value.contacts[0].profile.name : userPhoneNumber;
-    if (!customer) {
-      customer = await Customer.create({
-        phoneNumber: userPhoneNumber,
-        firstName: userName,
-        firstContact: new Date(),
-        lastInteraction: new Date()
-      });
-    } else {
-      customer.lastInteraction = new Date();
-      await customer.save();
-    }
+    // Process each customer's messages in order; customers run concurrently
+    const batches = groupMessagesByCustomer(newMessages);
+    await Promise.all(batches.map(async (batch) => {
+      for (const { message, value } of batch) {
+        try {
+          await processIncomingMessage(message, value, req.io);
+        } catch (error) {
+          console.error(`❌ Error processing message ${message.id}:`, error);
+        }
+      }
+    }));
 
-    // ============================================
-    // CHECK IF MESSAGE IS FROM AN AGENT
-    // ============================================
-    const agentMessageRelayService = require('../services/agentMessageRelayService');
-    const agent = await agentMessageRelayService.detectAgentMessage(userPhoneNumber);
+    if (statuses.length > 0) {
+      console.log(`******** SERVER STATUS UPDATE (${statuses.length}) ********`);
+      await messageStatusService.processStatuses(statuses);
+    }
 
-    if (agent) {
-      console.log(`📨 Message from agent ${agent.email} - Processing as agent relay`);
-      await agentMessageRelayService.handleAgentWhatsAppMessage(agent, messageObject, userPhoneNumber);
-      return; // Don't process as customer message
+    if (templateUpdates.length > 0) {
+      await processTemplateUpdates(templateUpdates, req.io);
+    }
+  } catch (error) {
+    console.error("❌ Error in receivedMessage handler:", error);
+    // If we haven't responded yet, respond now
+    if (!res.headersSent) {
+      return res.send("EVENT_RECEIVED");
     }
+  }
+};
 
-    // Find or create active conversation
-    let conversation = await Conversation.findOne({
-      customerId: customer._id,
-      status: { $in: ['open', 'assigned', 'waiting'] }
+/**
+ * Apply template review results and tell the agents
+ * @param {Array} templateUpdates - message_template_status_update values
+ * @param {object} io - Socket.io server
+ */
+const processTemplateUpdates = async (templateUpdates, io) => {
+  console.log(`******** TEMPLATE STATUS UPDATE (${templateUpdates.length}) ********`);
+  const templates = await templateService.applyTemplateStatusUpdates(templateUpdates);
+
+  templates.forEach(template => {
+    io.emit("template_status_updated", {
+      templateId: template._id.toString(),
+      name: template.name,
+      language: template.language,
+      status: template.status,
+      rejectionReason: template.rejectionReason
     });
+  });
+};
 
-    if (!conversation) {
-      conversation = await Conversation.create({
-        customerId: customer._id,
-        status: 'open',
-        channel: 'whatsapp',
-        source: 'inbound_message'
-      });
+/**
+ * Flatten all entries/changes of a webhook payload
+ * @param {Array} entry - Webhook entry array
+ * @returns {object} - { messages: [{ message, value }], statuses: [status], templateUpdates: [update] },
+ *                      messages and statuses sorted by timestamp
+ */
+const collectWebhookEvents = (entry) => {
+  const messages = [];
+  const statuses = [];
+  const templateUpdates = [];
+
+  for (const { id, changes = [] } of entry) {
+    for (const { field, value } of changes) {
+      if (!value) continue;
+
+      // Template review results - the entry id is the WhatsApp Business Account
+      if (field === "message_template_status_update") {
+        templateUpdates.push({ ...value, businessAccountId: id });
+        continue;
+      }
+
+      for (const message of value.messages || []) {
+        messages.push({ message, value });
+      }
+      statuses.push(...(value.statuses || []));
+    }
+  }
 
-      // Update customer stats
-      customer.statistics.totalConversations = (customer.statistics.totalConversations || 0) + 1;
-      await customer.save();
-
-      // Emit new conversation event to all agents
-      req.io.emit('new_conversation', {
-        conversationId: conversation._id.toString(),
-        customer: {
-          id: customer._id.toString(),
-          name: customer.firstName || customer.phoneNumber,
-          phoneNumber: customer.phoneNumber,
-          avatar: customer.avatar
-        },
-        status: conversation.status,
-        timestamp: new Date()
-      });
-      console.log(`📢 New conversation created: ${conversation._id}`);
+  const byTimestamp = (a, b) => Number(a.timestamp || 0) - Number(b.timestamp || 0);
+  messages.sort((a, b) => byTimestamp(a.message, b.message));
+  statuses.sort(byTimestamp);
+
+  return { messages, statuses, templateUpdates };
+};
+
+/**
+ * Group messages by sender, keeping timestamp order within each group
+ * @param {Array} messages - [{ message, value }] sorted by timestamp
+ * @returns {Array<Array>} - One array per customer
+ */
+const groupMessagesByCustomer = (messages) => {
+  const groups = new Map();
+
+  for (const item of messages) {
+    const from = item.message.from;
+    if (!groups.has(from)) {
+      groups.set(from, []);
     }
+    groups.get(from).push(item);
+  }
 
-    // NOTE: Message records are created by handlers/queueService, NOT here
-    // This prevents duplicate message creation and socket emissions
-    // - Text messages: queueService creates record and emits socket
-    // - Images/Locations: messageHandlers create record and emit socket
+  return Array.from(groups.values());
+};
 
-    // Route to message handlers (pass conversation context)
-    switch (messageType) {
-      case "text":
-        await messageHandlers.handleTextMessage(messageObject, userPhoneNumber, conversation._id, customer._id);
-        break;
+/**
+ * Process a single inbound message from a webhook batch
+ * @param {object} messageObject - Message from value.messages
+ * @param {object} value - The change value it came from (contacts, metadata)
+ * @param {object} io - Socket.IO server
+ */
+const processIncomingMessage = async (messageObject, value, io) => {
+  const messageType = messageObject.type;
+  const messageId = messageObject.id;
+
+  // Number (brand) the message was sent to - replies go out from the same number
+  const whatsappNumber = await whatsappNumberService.getNumberConfig(value.metadata?.phone_number_id);
+  const phoneNumberId = whatsappNumber.phoneNumberId;
+
+  // Format phone number early for all checks
+  let userPhoneNumber = messageObject.from;
+  if (userPhoneNumber.length === 13) {
+    userPhoneNumber = formatNumber(userPhoneNumber);
+  }
 
-      case "interactive":
-        await messageHandlers.handleInteractiveMessage(messageObject, userPhoneNumber, conversation._id);
-        break;
+  // Log incoming message
+  console.log(`📩 Processing message ${messageId}`);
+  console.log(`   Message Type: ${messageType}`);
+  console.log(`   From: ${userPhoneNumber}`);
+  console.log(`   To: ${whatsappNumber.name} (${phoneNumberId})`);
+  if (messageType === 'text') {
+    console.log(`   Text: "${messageObject.text.body}"`);
+  }
 
-      case "button":
-        await messageHandlers.handleButtonMessage(messageObject, userPhoneNumber, conversation._id);
-        break;
+  // ============================================
+  // ROUTE TO MESSAGE HANDLERS
+  // ============================================
+  // Find or create customer
+  let customer = await Customer.findOne({ phoneNumber: userPhoneNumber });
+  const contact = (value.contacts || []).find(c => c.wa_id === messageObject.from) || (value.contacts || [])[0];
+  const userName = contact && contact.profile ? contact.profile.name : userPhoneNumber;
+  if (!customer) {
+    customer = await Customer.create({
+      phoneNumber: userPhoneNumber,
+      firstName: userName,
+      firstContact: new Date(),
+      lastInteraction: new Date(),
+      preferences: { language: whatsappNumber.defaultLanguage }
+    });
+  } else {
+    customer.lastInteraction = new Date();
+    await customer.save();
+  }
 
-      case "image":
-        await messageHandlers.handleImageMessage(messageObject, userPhoneNumber, conversation._id, customer._id);
-        break;
+  // ============================================
+  // CHECK IF MESSAGE IS FROM AN AGENT
+  // ============================================
+  const agentMessageRelayService = require('../services/agentMessageRelayService');
+  const agent = await agentMessageRelayService.detectAgentMessage(userPhoneNumber);
 
-      case "location":
-        await messageHandlers.handleLocationMessage(messageObject, userPhoneNumber, conversation._id, customer._id);
-        break;
+  if (agent) {
+    console.log(`📨 Message from agent ${agent.email} - Processing as agent relay`);
+    await agentMessageRelayService.handleAgentWhatsAppMessage(agent, messageObject, userPhoneNumber, phoneNumberId);
+    return; // Don't process as customer message
+  }
 
-      default:
-        console.log(`Unhandled message type: ${messageType}`);
-        break;
-    }
+  // Reactions update an existing message - they never open a conversation
+  if (messageType === "reaction") {
+    await messageHandlers.handleReactionMessage(messageObject, userPhoneNumber, customer._id, phoneNumberId);
+    return;
+  }
 
-  } catch (error) {
-    console.error("❌ Error in receivedMessage handler:", error);
-    // If we haven't responded yet, respond now
-    if (!res.headersSent) {
-      return res.send("EVENT_RECEIVED");
-    }
+  // A message after a campaign send counts as a reply to it (doesn't hold up the message)
+  campaignService.recordReply(customer._id);
+
+  // Find or create active conversation on this number
+  // (a customer can have one active conversation per number/brand)
+  let conversation = await Conversation.findOne({
+    customerId: customer._id,
+    status: { $in: ['open', 'assigned', 'waiting'] },
+    'whatsappData.phoneNumberId': await whatsappNumberService.getPhoneNumberFilter(phoneNumberId)
+  });
+
+  if (conversation && !conversation.whatsappData?.phoneNumberId) {
+    // Conversation created before the number registry - pin it to the default number
+    conversation.whatsappData = { phoneNumberId, businessAccountId: whatsappNumber.businessAccountId };
+    await conversation.save();
   }
+
+  if (!conversation) {
+    conversation = await Conversation.create({
+      customerId: customer._id,
+      status: 'open',
+      channel: 'whatsapp',
+      source: 'inbound_message',
+      whatsappData: {
+        phoneNumberId,
+        businessAccountId: whatsappNumber.businessAccountId
+      },
+      sla: await slaService.buildInitialSLA()
+    });
+
+    // Update customer stats
+    customer.statistics.totalConversations = (customer.statistics.totalConversations || 0) + 1;
+    await customer.save();
+
+    // Emit new conversation event to all agents (it is unassigned)
+    emitToConversation(conversation, 'new_conversation', {
+      conversationId: conversation._id.toString(),
+      customer: {
+        id: customer._id.toString(),
+        name: customer.firstName || customer.phoneNumber,
+        phoneNumber: customer.phoneNumber,
+        avatar: customer.avatar
+      },
+      status: conversation.status,
+      phoneNumberId,
+      timestamp: new Date()
+    });
+    console.log(`📢 New conversation created: ${conversation._id}`);
+  }
+
+  // NOTE: Message records are created by handlers/queueService, NOT here
+  // This prevents duplicate message creation and socket emissions
+  // - Text messages: queueService creates record and emits socket
+  // - Images/Documents/Videos/Stickers/Locations: messageHandlers create record and emit socket
+  // - Audio: messageHandlers create record (with transcript), queueService emits socket
+
+  // Route to message handlers (pass conversation context)
+  switch (messageType) {
+    case "text":
+      await messageHandlers.handleTextMessage(messageObject, userPhoneNumber, conversation._id, customer._id);
+      break;
+
+    case "interactive":
+      await messageHandlers.handleInteractiveMessage(messageObject, userPhoneNumber, conversation._id, phoneNumberId);
+      break;
+
+    case "button":
+      await messageHandlers.handleButtonMessage(messageObject, userPhoneNumber, conversation._id);
+      break;
+
+    case "image":
+      await messageHandlers.handleImageMessage(messageObject, userPhoneNumber, conversation._id, customer._id, phoneNumberId);
+      break;
+
+    case "audio":
+      await messageHandlers.handleAudioMessage(messageObject, userPhoneNumber, conversation._id, customer._id, phoneNumberId);
+      break;
+
+    case "document":
+      await messageHandlers.handleDocumentMessage(messageObject, userPhoneNumber, conversation._id, customer._id, phoneNumberId);
+      break;
+
+    case "video":
+      await messageHandlers.handleVideoMessage(messageObject, userPhoneNumber, conversation._id, customer._id, phoneNumberId);
+      break;
+
+    case "sticker":
+      await messageHandlers.handleStickerMessage(messageObject, userPhoneNumber, conversation._id, customer._id, phoneNumberId);
+      break;
+
+    case "location":
+      await messageHandlers.handleLocationMessage(messageObject, userPhoneNumber, conversation._id, customer._id, phoneNumberId);
+      break;
+
+    case "contacts":
+      await messageHandlers.handleContactsMessage(messageObject, userPhoneNumber, conversation._id, customer._id);
+      break;
+
+    default:
+      console.log(`Unhandled message type: ${messageType}`);
+      break;
+  }
+
+  // Outside business hours let the customer know when we are back (once per window)
+  await businessHoursService.sendAfterHoursReply(conversation, userPhoneNumber);
 };
 
 /**
@@ -0,0 +1,205 @@
+const WhatsAppNumber = require('../models/WhatsAppNumber');
+const whatsappNumberService = require('../services/whatsappNumberService');
+
+const EDITABLE_FIELDS = ['displayPhoneNumber', 'name', 'businessAccountId', 'accessToken', 'defaultLanguage', 'assistantId', 'isDefault', 'isActive'];
+
+/**
+ * Registry document as returned to admins (token is write-only)
+ */
+const toAdminNumber = (number, hasAccessToken) => ({
+    ...whatsappNumberService.toPublicNumber({ ...number.toObject(), source: 'registry' }),
+    assistantId: number.assistantId,
+    isActive: number.isActive,
+    hasAccessToken,
+    createdAt: number.createdAt,
+    updatedAt: number.updatedAt
+});
+
+/**
+ * Only one default number - unset the flag on the others
+ */
+const clearOtherDefaults = async (numberId) => {
+    await WhatsAppNumber.updateMany(
+        { _id: { $ne: numberId }, isDefault: true },
+        { $set: { isDefault: false } }
+    );
+};
+
+/**
+ * List sender numbers available to agents (inbox filter, template sender)
+ * GET /api/v2/whatsapp-numbers
+ */
+const getNumbers = async (req, res) => {
+    try {
+        const numbers = await whatsappNumberService.getAllNumbers();
+
+        res.status(200).json({
+            success: true,
+            data: numbers.map(whatsappNumberService.toPublicNumber)
+        });
+    } catch (error) {
+        console.error('Error getting WhatsApp numbers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get WhatsApp numbers',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List registry entries, including inactive ones (admin)
+ * GET /api/v2/whatsapp-numbers/registry
+ */
+const getRegistry = async (req, res) => {
+    try {
+        const numbers = await WhatsAppNumber.find().select('+accessToken').sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: numbers.map(number => toAdminNumber(number, !!number.accessToken))
+        });
+    } catch (error) {
+        console.error('Error getting WhatsApp number registry:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get WhatsApp number registry',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Register a sender number
+ * POST /api/v2/whatsapp-numbers
+ */
+const createNumber = async (req, res) => {
+    try {
+        const { phoneNumberId, name, businessAccountId } = req.body;
+
+        if (!phoneNumberId || !name || !businessAccountId) {
+            return res.status(400).json({
+                success: false,
+                message: 'phoneNumberId, name and businessAccountId are required'
+            });
+        }
+
+        const existing = await WhatsAppNumber.findOne({ phoneNumberId });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: `Number ${phoneNumberId} is already registered`
+            });
+        }
+
+        const data = { phoneNumberId };
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const number = await WhatsAppNumber.create(data);
+        if (number.isDefault) {
+            await clearOtherDefaults(number._id);
+        }
+        whatsappNumberService.invalidateCache();
+
+        console.log(`📱 WhatsApp number registered: ${number.name} (${number.phoneNumberId})`);
+
+        res.status(201).json({
+            success: true,
+            message: 'WhatsApp number registered',
+            data: toAdminNumber(number, !!data.accessToken)
+        });
+    } catch (error) {
+        console.error('Error creating WhatsApp number:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register WhatsApp number',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a sender number (an empty accessToken keeps the current one)
+ * PUT /api/v2/whatsapp-numbers/:id
+ */
+const updateNumber = async (req, res) => {
+    try {
+        const number = await WhatsAppNumber.findById(req.params.id).select('+accessToken');
+        if (!number) {
+            return res.status(404).json({
+                success: false,
+                message: 'WhatsApp number not found'
+            });
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) return;
+            if (field === 'accessToken' && !req.body.accessToken) return;
+            number[field] = req.body[field];
+        });
+
+        await number.save();
+        if (number.isDefault) {
+            await clearOtherDefaults(number._id);
+        }
+        whatsappNumberService.invalidateCache();
+
+        res.status(200).json({
+            success: true,
+            message: 'WhatsApp number updated',
+            data: toAdminNumber(number, !!number.accessToken)
+        });
+    } catch (error) {
+        console.error('Error updating WhatsApp number:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update WhatsApp number',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Deactivate a sender number (conversations keep their phoneNumberId)
+ * DELETE /api/v2/whatsapp-numbers/:id
+ */
+const deleteNumber = async (req, res) => {
+    try {
+        const number = await WhatsAppNumber.findByIdAndUpdate(
+            req.params.id,
+            { $set: { isActive: false, isDefault: false } },
+            { new: true }
+        );
+
+        if (!number) {
+            return res.status(404).json({
+                success: false,
+                message: 'WhatsApp number not found'
+            });
+        }
+        whatsappNumberService.invalidateCache();
+
+        res.status(200).json({
+            success: true,
+            message: 'WhatsApp number deactivated',
+            data: whatsappNumberService.toPublicNumber(number.toObject())
+        });
+    } catch (error) {
+        console.error('Error deleting WhatsApp number:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate WhatsApp number',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getNumbers,
+    getRegistry,
+    createNumber,
+    updateNumber,
+    deleteNumber
+};
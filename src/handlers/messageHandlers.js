@@ -1,7 +1,7 @@
 /**
  * Message Handlers
  * 
- * Handles different types of WhatsApp messages (text, image, location, etc.)
+ * Handles different types of WhatsApp messages (text, image, audio, document, video, sticker, location, contacts, reactions, etc.)
  */
 
 const openaiService = require("../services/openaiService");
@@ -9,6 +9,8 @@ const whatsappService = require("../services/whatsappService");
 const cloudinaryService = require("../services/cloudinaryService");
 const geocodingService = require("../services/geocodingService");
 const queueService = require("../services/queueService");
+const replyContextService = require("../services/replyContextService");
+const { emitToConversation } = require("../services/socketRoomService");
 const { buildTextJSON } = require("../shared/whatsappModels");
 
 // Set to store processed message IDs to prevent duplicates
@@ -54,8 +56,9 @@ async function handleTextMessage(messageObject, phoneNumber, conversationId, cus
  * @param {string} phoneNumber - User phone number (formatted)
  * @param {string} conversationId - Conversation ID
  * @param {string} customerId - Customer ID
+ * @param {string} phoneNumberId - Number the customer wrote to (replies are sent from it)
  */
-async function handleImageMessage(messageObject, phoneNumber, conversationId, customerId) {
+async function handleImageMessage(messageObject, phoneNumber, conversationId, customerId, phoneNumberId = null) {
   const Conversation = require('../models/Conversation');
   const Message = require('../models/Message');
   const { io } = require('../models/server');
@@ -71,19 +74,20 @@ async function handleImageMessage(messageObject, phoneNumber, conversationId, cu
 
   try {
     // Get the actual media URL from WhatsApp
-    const imageUrl = await whatsappService.getMediaUrl(imageId);
+    const imageUrl = await whatsappService.getMediaUrl(imageId, phoneNumberId);
     console.log("✅ Retrieved image URL from WhatsApp");
 
     // Upload to Cloudinary for permanent storage
     const uploadResult = await cloudinaryService.uploadTicketImage(
       imageUrl,
       phoneNumber,
-      process.env.WHATSAPP_API_TOKEN
+      await whatsappService.getAccessToken(phoneNumberId)
     );
 
     console.log(`✅ Image uploaded to Cloudinary: ${uploadResult.url}`);
 
     // Save message to DB with image metadata
+    const quoted = await replyContextService.findQuotedMessage(messageObject);
     const imageMessage = await Message.create({
       conversationId,
       customerId,
@@ -92,6 +96,7 @@ async function handleImageMessage(messageObject, phoneNumber, conversationId, cu
       direction: 'inbound',
       sender: 'customer',
       whatsappMessageId: messageId,
+      replyTo: quoted?._id,
       status: 'delivered',
       attachments: [{
         type: 'image',
@@ -128,6 +133,7 @@ async function handleImageMessage(messageObject, phoneNumber, conversationId, cu
         message: caption || '📷 Image',
         type: 'image',
         attachments: imageMessage.attachments,
+        replyTo: replyContextService.formatReplySnippet(quoted),
         timestamp: new Date()
       });
       
@@ -135,7 +141,7 @@ async function handleImageMessage(messageObject, phoneNumber, conversationId, cu
     }
     
     // Broadcast for monitoring (AI is handling)
-    io.emit('new_message', {
+    emitToConversation(conversationId, 'new_message', {
       chatId: conversationId,
       message: {
         id: imageMessage._id.toString(),
@@ -143,13 +149,14 @@ async function handleImageMessage(messageObject, phoneNumber, conversationId, cu
         sender: 'other',
         timestamp: imageMessage.timestamp,
         type: 'image',
-        attachments: imageMessage.attachments
+        attachments: imageMessage.attachments,
+        replyTo: replyContextService.formatReplySnippet(quoted)
       }
     });
 
     // Process with AI if not assigned
     console.log('🤖 Processing image with AI');
-    whatsappService.sendTypingIndicator(messageId, "text");
+    whatsappService.sendTypingIndicator(messageId, "text", phoneNumberId);
 
     // Build message for AI assistant including image context
     let messageForAI = "El usuario ha enviado una imagen.";
@@ -167,13 +174,7 @@ async function handleImageMessage(messageObject, phoneNumber, conversationId, cu
       conversationId
     );
 
-    // Send AI reply back to user
-    const replyPayload = buildTextJSON(phoneNumber, aiReply);
-    whatsappService.sendWhatsappResponse(replyPayload);
-
-    console.log(`✅ AI response sent to ${phoneNumber} (with image context)`);
-
-    // Save AI response to database
+    // Save AI response to database (pending until the outbound queue delivers it)
     const aiResponseMessage = await Message.create({
       conversationId,
       customerId,
@@ -181,9 +182,34 @@ async function handleImageMessage(messageObject, phoneNumber, conversationId, cu
       type: 'text',
       direction: 'outbound',
       sender: 'ai',
-      status: 'sent'
+      status: 'pending'
     });
 
+    // Emit AI response to frontend via Socket.io
+    emitToConversation(conversationId, 'new_message', {
+      chatId: conversationId,
+      message: {
+        id: aiResponseMessage._id.toString(),
+        text: aiResponseMessage.content,
+        sender: 'me',
+        isAI: true,
+        timestamp: aiResponseMessage.timestamp,
+        type: 'text',
+        status: aiResponseMessage.status
+      }
+    });
+
+    // Send AI reply back to user through the durable outbound queue
+    const replyPayload = buildTextJSON(phoneNumber, aiReply);
+    await whatsappService.queueWhatsappMessage(replyPayload, {
+      messageRef: aiResponseMessage._id,
+      source: 'ai_reply',
+      priority: 10,
+      phoneNumberId
+    });
+
+    console.log(`✅ AI response queued for ${phoneNumber} (with image context)`);
+
     // Update conversation stats
     await Conversation.findByIdAndUpdate(conversationId, {
       $inc: { messageCount: 1 },
@@ -196,8 +222,364 @@ async function handleImageMessage(messageObject, phoneNumber, conversationId, cu
       }
     });
 
+  } catch (error) {
+    console.error("❌ Error processing image:", error);
+
+    // Send error message to user
+    const errorReply = "Recibí tu imagen pero hubo un problema al procesarla. Por favor, intenta enviarla nuevamente o descríbeme el problema.";
+    const replyPayload = buildTextJSON(phoneNumber, errorReply);
+    whatsappService.queueWhatsappMessage(replyPayload, { source: 'ai_reply', priority: 10, phoneNumberId })
+      .catch(queueError => console.error('❌ Error queueing fallback reply:', queueError.message));
+  }
+}
+
+/**
+ * Handle audio messages (voice notes and audio files)
+ * Stores the audio, transcribes it and feeds the transcript to the message queue
+ * @param {object} messageObject - WhatsApp message object
+ * @param {string} phoneNumber - User phone number (formatted)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} customerId - Customer ID
+ * @param {string} phoneNumberId - Number the customer wrote to (replies are sent from it)
+ */
+async function handleAudioMessage(messageObject, phoneNumber, conversationId, customerId, phoneNumberId = null) {
+  const fs = require('fs');
+  const Customer = require('../models/Customer');
+  const Message = require('../models/Message');
+  const transcriptionService = require('../services/transcriptionService');
+
+  const audioId = messageObject.audio.id;
+  const audioMimeType = messageObject.audio.mime_type || "audio/ogg";
+  const isVoiceNote = messageObject.audio.voice === true;
+  const messageId = messageObject.id;
+
+  console.log(`🎙️  ${isVoiceNote ? 'VOICE NOTE' : 'AUDIO'} received - ID:`, audioId);
+  console.log("   MIME Type:", audioMimeType);
+
+  let tempFilePath = null;
+
+  try {
+    // Get the actual media URL from WhatsApp and download it once
+    const audioUrl = await whatsappService.getMediaUrl(audioId, phoneNumberId);
+    tempFilePath = await cloudinaryService.downloadMediaToTemp(audioUrl, await whatsappService.getAccessToken(phoneNumberId));
+
+    // Upload to Cloudinary for permanent storage
+    const uploadResult = await cloudinaryService.uploadAudio(tempFilePath, phoneNumber);
+    console.log(`✅ Audio uploaded to Cloudinary: ${uploadResult.url}`);
+
+    // Transcribe in the customer's language
+    const customer = await Customer.findById(customerId).select('preferences.language');
+    const transcription = await transcriptionService.transcribeAudio(tempFilePath, {
+      mimeType: audioMimeType,
+      language: customer?.preferences?.language
+    });
+
+    // Save message with audio attachment and transcript
+    const quoted = await replyContextService.findQuotedMessage(messageObject);
+    const audioMessage = await Message.create({
+      conversationId,
+      customerId,
+      content: transcription.text || '[Audio]',
+      type: 'audio',
+      direction: 'inbound',
+      sender: 'customer',
+      whatsappMessageId: messageId,
+      replyTo: quoted?._id,
+      status: 'delivered',
+      attachments: [{
+        type: 'audio',
+        url: uploadResult.url,
+        publicId: uploadResult.publicId,
+        filename: `audio_${Date.now()}.${uploadResult.format || 'ogg'}`,
+        mimeType: audioMimeType,
+        size: uploadResult.bytes,
+        duration: uploadResult.duration
+      }],
+      transcription: {
+        text: transcription.text,
+        language: transcription.language,
+        provider: transcription.provider,
+        status: transcription.status,
+        transcribedAt: new Date()
+      }
+    });
+
+    // Feed the transcript to the queue so it is batched with surrounding text messages
+    const queueText = transcription.text
+      ? transcription.text
+      : "[El cliente envió una nota de voz que no se pudo transcribir. Pídele amablemente que escriba su mensaje.]";
+
+    queueService.queueUserMessage(
+      phoneNumber,
+      queueText,
+      messageId,
+      "audio",
+      messageObject,
+      conversationId,
+      customerId,
+      audioMessage
+    );
+  } catch (error) {
+    console.error("❌ Error processing audio:", error);
+
+    // Fallback: ask the customer to write instead
+    const fallbackReply = "Recibí tu nota de voz, pero no pude procesarla. ¿Podrías escribirme tu mensaje, por favor?";
+    const replyPayload = buildTextJSON(phoneNumber, fallbackReply);
+    whatsappService.queueWhatsappMessage(replyPayload, { source: 'ai_reply', priority: 10, phoneNumberId })
+      .catch(queueError => console.error('❌ Error queueing fallback reply:', queueError.message));
+  } finally {
+    if (tempFilePath && fs.existsSync(tempFilePath)) {
+      fs.unlinkSync(tempFilePath);
+    }
+  }
+}
+
+/**
+ * Handle document messages (PDFs, invoices, spreadsheets, etc.)
+ * @param {object} messageObject - WhatsApp message object
+ * @param {string} phoneNumber - User phone number (formatted)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} customerId - Customer ID
+ * @param {string} phoneNumberId - Number the customer wrote to (replies are sent from it)
+ */
+async function handleDocumentMessage(messageObject, phoneNumber, conversationId, customerId, phoneNumberId = null) {
+  const { document } = messageObject;
+  const filename = document.filename || `document_${Date.now()}`;
+  const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : 'general';
+  const caption = document.caption || "";
+
+  console.log("📄 DOCUMENT received - ID:", document.id);
+  console.log("   Filename:", filename);
+  console.log("   MIME Type:", document.mime_type);
+
+  await processInboundMedia({
+    messageObject,
+    phoneNumber,
+    conversationId,
+    customerId,
+    phoneNumberId,
+    type: 'document',
+    mediaId: document.id,
+    mimeType: document.mime_type,
+    filename,
+    caption,
+    content: caption || filename,
+    preview: `📄 ${filename}`,
+    upload: (mediaUrl, token) => cloudinaryService.uploadDocument(mediaUrl, phoneNumber, token, extension),
+    describeForAI: (uploadResult) => {
+      let text = `El usuario ha enviado un documento: "${filename}".`;
+      if (caption) {
+        text += ` Mensaje del usuario: "${caption}"`;
+      }
+      text += `\n\nURL del documento: ${uploadResult.url}`;
+      text += `\n\nSi el documento es una factura o comprobante, puedes usarlo como evidencia en el ticket.`;
+      return text;
+    },
+    errorReply: "Recibí tu documento pero hubo un problema al procesarlo. Por favor, intenta enviarlo nuevamente."
+  });
+}
+
+/**
+ * Handle video messages
+ * @param {object} messageObject - WhatsApp message object
+ * @param {string} phoneNumber - User phone number (formatted)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} customerId - Customer ID
+ * @param {string} phoneNumberId - Number the customer wrote to (replies are sent from it)
+ */
+async function handleVideoMessage(messageObject, phoneNumber, conversationId, customerId, phoneNumberId = null) {
+  const { video } = messageObject;
+  const caption = video.caption || "";
+
+  console.log("🎬 VIDEO received - ID:", video.id);
+  console.log("   Caption:", caption);
+  console.log("   MIME Type:", video.mime_type);
+
+  await processInboundMedia({
+    messageObject,
+    phoneNumber,
+    conversationId,
+    customerId,
+    phoneNumberId,
+    type: 'video',
+    mediaId: video.id,
+    mimeType: video.mime_type,
+    filename: `video_${Date.now()}.mp4`,
+    caption,
+    content: caption || '[Video]',
+    preview: caption || '🎬 Video',
+    upload: (mediaUrl, token) => cloudinaryService.uploadVideo(mediaUrl, phoneNumber, token),
+    describeForAI: (uploadResult) => {
+      let text = "El usuario ha enviado un video.";
+      if (caption) {
+        text += ` Descripción del video: "${caption}"`;
+      }
+      text += `\n\nURL del video: ${uploadResult.url}`;
+      text += `\n\nSi el usuario está reportando un problema, puedes usar este video como evidencia en el ticket.`;
+      return text;
+    },
+    errorReply: "Recibí tu video pero hubo un problema al procesarlo. Por favor, intenta enviarlo nuevamente o descríbeme el problema."
+  });
+}
+
+/**
+ * Handle sticker messages
+ * @param {object} messageObject - WhatsApp message object
+ * @param {string} phoneNumber - User phone number (formatted)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} customerId - Customer ID
+ * @param {string} phoneNumberId - Number the customer wrote to (replies are sent from it)
+ */
+async function handleStickerMessage(messageObject, phoneNumber, conversationId, customerId, phoneNumberId = null) {
+  const { sticker } = messageObject;
+
+  console.log(`🏷️  ${sticker.animated ? 'ANIMATED ' : ''}STICKER received - ID:`, sticker.id);
+
+  await processInboundMedia({
+    messageObject,
+    phoneNumber,
+    conversationId,
+    customerId,
+    phoneNumberId,
+    type: 'sticker',
+    mediaId: sticker.id,
+    mimeType: sticker.mime_type || 'image/webp',
+    filename: `sticker_${Date.now()}.webp`,
+    caption: "",
+    content: '[Sticker]',
+    preview: '🏷️ Sticker',
+    upload: (mediaUrl, token) => cloudinaryService.uploadSticker(mediaUrl, phoneNumber, token),
+    describeForAI: () => "El usuario ha enviado un sticker (una imagen tipo emoji) sin texto adicional. Responde de forma breve y natural.",
+    errorReply: null // A lost sticker doesn't need an apology
+  });
+}
+
+/**
+ * Persist an inbound media message and route it to the assigned agent or the AI
+ * Shared by the document, video and sticker handlers (same flow as handleImageMessage)
+ * @param {object} media - Media details
+ * @param {object} media.messageObject - WhatsApp message object
+ * @param {string} media.type - Message/attachment type ('document', 'video', 'sticker')
+ * @param {string} media.phoneNumberId - Number the customer wrote to (media token and replies)
+ * @param {string} media.mediaId - WhatsApp media ID
+ * @param {string} media.content - Message content to store
+ * @param {string} media.preview - Text for Conversation.lastMessage and agent notifications
+ * @param {function} media.upload - async (mediaUrl, token) => Cloudinary upload result
+ * @param {function} media.describeForAI - (uploadResult) => message for the AI assistant
+ * @param {string|null} media.errorReply - Message sent to the customer if processing fails
+ */
+async function processInboundMedia(media) {
+  const Conversation = require('../models/Conversation');
+  const Message = require('../models/Message');
+  const { io } = require('../models/server');
+
+  const { messageObject, phoneNumber, conversationId, customerId, phoneNumberId, type } = media;
+  const messageId = messageObject.id;
+
+  try {
+    // Get the actual media URL from WhatsApp
+    const mediaUrl = await whatsappService.getMediaUrl(media.mediaId, phoneNumberId);
+    console.log(`✅ Retrieved ${type} URL from WhatsApp`);
+
+    // Upload to Cloudinary for permanent storage
+    const uploadResult = await media.upload(mediaUrl, await whatsappService.getAccessToken(phoneNumberId));
+    console.log(`✅ ${type} uploaded to Cloudinary: ${uploadResult.url}`);
+
+    // Save message to DB with media metadata
+    const quoted = await replyContextService.findQuotedMessage(messageObject);
+    const mediaMessage = await Message.create({
+      conversationId,
+      customerId,
+      content: media.content,
+      type,
+      direction: 'inbound',
+      sender: 'customer',
+      whatsappMessageId: messageId,
+      replyTo: quoted?._id,
+      status: 'delivered',
+      attachments: [{
+        type,
+        url: uploadResult.url,
+        publicId: uploadResult.publicId,
+        filename: media.filename,
+        mimeType: media.mimeType,
+        size: uploadResult.bytes,
+        duration: uploadResult.duration,
+        thumbnailUrl: uploadResult.thumbnailUrl
+      }]
+    });
+
+    // Update conversation stats
+    await Conversation.findByIdAndUpdate(conversationId, {
+      $inc: { messageCount: 1, unreadCount: 1 },
+      lastCustomerMessage: new Date(),
+      lastMessage: {
+        content: media.preview,
+        timestamp: new Date(),
+        from: 'customer',
+        type
+      }
+    });
+
+    // Check if conversation is assigned to agent
+    const conversation = await Conversation.findById(conversationId).populate('assignedAgent');
+
+    if (conversation && conversation.assignedAgent && !conversation.isAIEnabled) {
+      console.log(`📨 ${type} sent to assigned agent ${conversation.assignedAgent.email}`);
+
+      // Emit ONLY to assigned agent (not broadcast)
+      io.to(`agent_${conversation.assignedAgent._id}`).emit('customer_message', {
+        conversationId,
+        customerId,
+        customerPhone: phoneNumber,
+        message: mediaMessage.content,
+        type,
+        attachments: mediaMessage.attachments,
+        replyTo: replyContextService.formatReplySnippet(quoted),
+        timestamp: new Date()
+      });
+
+      return; // Don't process with AI - agent is handling
+    }
+
+    // Broadcast for monitoring (AI is handling)
+    emitToConversation(conversationId, 'new_message', {
+      chatId: conversationId,
+      message: {
+        id: mediaMessage._id.toString(),
+        text: mediaMessage.content,
+        sender: 'other',
+        timestamp: mediaMessage.timestamp,
+        type,
+        attachments: mediaMessage.attachments,
+        replyTo: replyContextService.formatReplySnippet(quoted)
+      }
+    });
+
+    // Process with AI if not assigned
+    console.log(`🤖 Processing ${type} with AI`);
+    whatsappService.sendTypingIndicator(messageId, "text", phoneNumberId);
+
+    const aiReply = await openaiService.getAIResponse(
+      media.describeForAI(uploadResult),
+      phoneNumber,
+      { mediaUrl: uploadResult.url, mediaType: type, caption: media.caption },
+      conversationId
+    );
+
+    // Save AI response to database (pending until the outbound queue delivers it)
+    const aiResponseMessage = await Message.create({
+      conversationId,
+      customerId,
+      content: aiReply,
+      type: 'text',
+      direction: 'outbound',
+      sender: 'ai',
+      status: 'pending'
+    });
+
     // Emit AI response to frontend via Socket.io
-    io.emit('new_message', {
+    emitToConversation(conversationId, 'new_message', {
       chatId: conversationId,
       message: {
         id: aiResponseMessage._id.toString(),
@@ -205,19 +587,42 @@ async function handleImageMessage(messageObject, phoneNumber, conversationId, cu
         sender: 'me',
         isAI: true,
         timestamp: aiResponseMessage.timestamp,
-        type: 'text'
+        type: 'text',
+        status: aiResponseMessage.status
       }
     });
 
-    console.log(`✅ AI response saved to database and emitted to frontend\n`);
+    // Send AI reply back to user through the durable outbound queue
+    const replyPayload = buildTextJSON(phoneNumber, aiReply);
+    await whatsappService.queueWhatsappMessage(replyPayload, {
+      messageRef: aiResponseMessage._id,
+      source: 'ai_reply',
+      priority: 10,
+      phoneNumberId
+    });
+
+    console.log(`✅ AI response queued for ${phoneNumber} (with ${type} context)`);
+
+    // Update conversation stats
+    await Conversation.findByIdAndUpdate(conversationId, {
+      $inc: { messageCount: 1 },
+      lastAgentResponse: new Date(),
+      lastMessage: {
+        content: aiReply,
+        timestamp: new Date(),
+        from: 'agent',
+        type: 'text'
+      }
+    });
 
   } catch (error) {
-    console.error("❌ Error processing image:", error);
+    console.error(`❌ Error processing ${type}:`, error);
 
-    // Send error message to user
-    const errorReply = "Recibí tu imagen pero hubo un problema al procesarla. Por favor, intenta enviarla nuevamente o descríbeme el problema.";
-    const replyPayload = buildTextJSON(phoneNumber, errorReply);
-    whatsappService.sendWhatsappResponse(replyPayload);
+    if (media.errorReply) {
+      const replyPayload = buildTextJSON(phoneNumber, media.errorReply);
+      whatsappService.queueWhatsappMessage(replyPayload, { source: 'ai_reply', priority: 10, phoneNumberId })
+        .catch(queueError => console.error('❌ Error queueing fallback reply:', queueError.message));
+    }
   }
 }
 
@@ -227,8 +632,9 @@ async function handleImageMessage(messageObject, phoneNumber, conversationId, cu
  * @param {string} phoneNumber - User phone number (formatted)
  * @param {string} conversationId - Conversation ID
  * @param {string} customerId - Customer ID
+ * @param {string} phoneNumberId - Number the customer wrote to (replies are sent from it)
  */
-async function handleLocationMessage(messageObject, phoneNumber, conversationId, customerId) {
+async function handleLocationMessage(messageObject, phoneNumber, conversationId, customerId, phoneNumberId = null) {
   const Conversation = require('../models/Conversation');
   const Message = require('../models/Message');
   const { io } = require('../models/server');
@@ -251,6 +657,7 @@ async function handleLocationMessage(messageObject, phoneNumber, conversationId,
     const mapImageUrl = `https://maps.googleapis.com/maps/api/staticmap?center=${latitude},${longitude}&zoom=15&size=400x300&markers=color:red%7C${latitude},${longitude}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
 
     // Save message to DB with location metadata
+    const quoted = await replyContextService.findQuotedMessage(messageObject);
     const locationMessage = await Message.create({
       conversationId,
       customerId,
@@ -259,6 +666,7 @@ async function handleLocationMessage(messageObject, phoneNumber, conversationId,
       direction: 'inbound',
       sender: 'customer',
       whatsappMessageId: messageId,
+      replyTo: quoted?._id,
       status: 'delivered',
       location: {
         latitude,
@@ -295,6 +703,7 @@ async function handleLocationMessage(messageObject, phoneNumber, conversationId,
         message: addressData.formatted_address,
         type: 'location',
         location: locationMessage.location,
+        replyTo: replyContextService.formatReplySnippet(quoted),
         timestamp: new Date()
       });
       
@@ -302,7 +711,7 @@ async function handleLocationMessage(messageObject, phoneNumber, conversationId,
     }
     
     // Broadcast for monitoring (AI is handling)
-    io.emit('new_message', {
+    emitToConversation(conversationId, 'new_message', {
       chatId: conversationId,
       message: {
         id: locationMessage._id.toString(),
@@ -310,13 +719,14 @@ async function handleLocationMessage(messageObject, phoneNumber, conversationId,
         sender: 'other',
         timestamp: locationMessage.timestamp,
         type: 'location',
-        location: locationMessage.location
+        location: locationMessage.location,
+        replyTo: replyContextService.formatReplySnippet(quoted)
       }
     });
 
     // Process with AI if not assigned
     console.log('🤖 Processing location with AI');
-    whatsappService.sendTypingIndicator(messageId, "text");
+    whatsappService.sendTypingIndicator(messageId, "text", phoneNumberId);
 
     // Build message for AI assistant including location context
     let messageForAI = "El usuario ha enviado su ubicación.\n\n";
@@ -345,13 +755,7 @@ async function handleLocationMessage(messageObject, phoneNumber, conversationId,
       conversationId
     );
 
-    // Send AI reply back to user
-    const replyPayload = buildTextJSON(phoneNumber, aiReply);
-    whatsappService.sendWhatsappResponse(replyPayload);
-
-    console.log(`✅ AI response sent to ${phoneNumber} (with location context)`);
-
-    // Save AI response to database
+    // Save AI response to database (pending until the outbound queue delivers it)
     const aiMessage = await Message.create({
       conversationId,
       customerId,
@@ -359,23 +763,11 @@ async function handleLocationMessage(messageObject, phoneNumber, conversationId,
       type: 'text',
       direction: 'outbound',
       sender: 'ai',
-      status: 'sent'
-    });
-
-    // Update conversation stats
-    await Conversation.findByIdAndUpdate(conversationId, {
-      $inc: { messageCount: 1 },
-      lastAgentResponse: new Date(),
-      lastMessage: {
-        content: aiReply,
-        timestamp: new Date(),
-        from: 'agent',
-        type: 'text'
-      }
+      status: 'pending'
     });
 
     // Emit AI response to frontend via Socket.io
-    io.emit('new_message', {
+    emitToConversation(conversationId, 'new_message', {
       chatId: conversationId,
       message: {
         id: aiMessage._id.toString(),
@@ -383,11 +775,33 @@ async function handleLocationMessage(messageObject, phoneNumber, conversationId,
         sender: 'me',
         isAI: true,
         timestamp: aiMessage.timestamp,
-        type: 'text'
+        type: 'text',
+        status: aiMessage.status
       }
     });
 
-    console.log(`✅ AI response saved to database and emitted to frontend\n`);
+    // Send AI reply back to user through the durable outbound queue
+    const replyPayload = buildTextJSON(phoneNumber, aiReply);
+    await whatsappService.queueWhatsappMessage(replyPayload, {
+      messageRef: aiMessage._id,
+      source: 'ai_reply',
+      priority: 10,
+      phoneNumberId
+    });
+
+    console.log(`✅ AI response queued for ${phoneNumber} (with location context)`);
+
+    // Update conversation stats
+    await Conversation.findByIdAndUpdate(conversationId, {
+      $inc: { messageCount: 1 },
+      lastAgentResponse: new Date(),
+      lastMessage: {
+        content: aiReply,
+        timestamp: new Date(),
+        from: 'agent',
+        type: 'text'
+      }
+    });
 
   } catch (error) {
     console.error("❌ Error processing location:", error);
@@ -395,7 +809,131 @@ async function handleLocationMessage(messageObject, phoneNumber, conversationId,
     // Fallback: send basic acknowledgment
     const fallbackReply = `Recibí tu ubicación (${latitude}, ${longitude}). Si estás reportando un problema, por favor confírmame la dirección donde necesitas el servicio.`;
     const replyPayload = buildTextJSON(phoneNumber, fallbackReply);
-    whatsappService.sendWhatsappResponse(replyPayload);
+    whatsappService.queueWhatsappMessage(replyPayload, { source: 'ai_reply', priority: 10, phoneNumberId })
+      .catch(queueError => console.error('❌ Error queueing fallback reply:', queueError.message));
+  }
+}
+
+/**
+ * Handle shared contact cards (vCard)
+ * Stores the structured contacts and feeds a summary to the message queue
+ * @param {object} messageObject - WhatsApp message object
+ * @param {string} phoneNumber - User phone number (formatted)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} customerId - Customer ID
+ */
+async function handleContactsMessage(messageObject, phoneNumber, conversationId, customerId) {
+  const Message = require('../models/Message');
+
+  const messageId = messageObject.id;
+  const contacts = (messageObject.contacts || []).map(contact => ({
+    name: contact.name?.formatted_name || [contact.name?.first_name, contact.name?.last_name].filter(Boolean).join(' '),
+    firstName: contact.name?.first_name,
+    lastName: contact.name?.last_name,
+    phones: (contact.phones || []).map(p => ({ phone: p.phone, waId: p.wa_id, type: p.type })),
+    emails: (contact.emails || []).map(e => ({ email: e.email, type: e.type })),
+    organization: contact.org?.company
+  }));
+
+  console.log(`👤 CONTACTS received - ${contacts.length} contact(s)`);
+
+  try {
+    const summary = contacts.map(contact => {
+      const phones = contact.phones.map(p => p.phone).filter(Boolean).join(', ');
+      return `${contact.name || 'Sin nombre'}${phones ? ` (${phones})` : ''}`;
+    }).join('\n');
+
+    const quoted = await replyContextService.findQuotedMessage(messageObject);
+    const contactMessage = await Message.create({
+      conversationId,
+      customerId,
+      content: `👤 ${summary}`,
+      type: 'contact',
+      direction: 'inbound',
+      sender: 'customer',
+      whatsappMessageId: messageId,
+      replyTo: quoted?._id,
+      status: 'delivered',
+      contacts
+    });
+
+    // Let the queue route it to the assigned agent or the AI
+    queueService.queueUserMessage(
+      phoneNumber,
+      `El cliente compartió ${contacts.length === 1 ? 'un contacto' : `${contacts.length} contactos`}:\n${summary}`,
+      messageId,
+      "contact",
+      messageObject,
+      conversationId,
+      customerId,
+      contactMessage
+    );
+  } catch (error) {
+    console.error("❌ Error processing contacts:", error);
+  }
+}
+
+/**
+ * Handle emoji reactions to a previous message
+ * Reactions are stored on the referenced message; an empty emoji removes the reaction.
+ * Reactions to the resolution question are forwarded to conversationLifecycleService.
+ * @param {object} messageObject - WhatsApp message object
+ * @param {string} phoneNumber - User phone number (formatted)
+ * @param {string} customerId - Customer ID
+ * @param {string} phoneNumberId - Number the customer wrote to (replies are sent from it)
+ */
+async function handleReactionMessage(messageObject, phoneNumber, customerId, phoneNumberId = null) {
+  const Conversation = require('../models/Conversation');
+  const Message = require('../models/Message');
+
+  const { message_id: reactedMessageId, emoji } = messageObject.reaction;
+
+  console.log(`😀 REACTION received: "${emoji || '(removed)'}" to ${reactedMessageId}`);
+
+  try {
+    // Store on the referenced message (one reaction per customer, like WhatsApp)
+    const reactedMessage = await Message.findOne({ whatsappMessageId: reactedMessageId });
+
+    if (reactedMessage) {
+      reactedMessage.reactions = (reactedMessage.reactions || []).filter(r => r.from !== 'customer');
+      if (emoji) {
+        reactedMessage.reactions.push({
+          emoji,
+          from: 'customer',
+          whatsappMessageId: messageObject.id,
+          reactedAt: new Date()
+        });
+      }
+      await reactedMessage.save();
+
+      emitToConversation(reactedMessage.conversationId, 'message_reaction', {
+        chatId: reactedMessage.conversationId.toString(),
+        messageId: reactedMessage._id.toString(),
+        reactions: reactedMessage.reactions
+      });
+    } else {
+      console.log(`ℹ️  Reacted message ${reactedMessageId} not found`);
+    }
+
+    if (!emoji) return;
+
+    // A reaction to the resolution question counts as an answer
+    const resolvedConversation = await Conversation.findOne({
+      customerId,
+      resolutionConfirmationMessageId: reactedMessageId
+    });
+
+    if (resolvedConversation) {
+      const lifecycleService = require('../services/conversationLifecycleService');
+      const result = await lifecycleService.handleResolutionReaction(resolvedConversation._id, reactedMessageId, emoji);
+
+      if (result) {
+        const responseData = buildTextJSON(phoneNumber, result.message);
+        await whatsappService.sendWhatsappResponse(responseData, phoneNumberId);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error processing reaction:", error);
   }
 }
 
@@ -404,8 +942,9 @@ async function handleLocationMessage(messageObject, phoneNumber, conversationId,
  * @param {object} messageObject - WhatsApp message object
  * @param {string} phoneNumber - User phone number (formatted)
  * @param {string} conversationId - Conversation ID
+ * @param {string} phoneNumberId - Number the customer wrote to (replies are sent from it)
  */
-async function handleInteractiveMessage(messageObject, phoneNumber, conversationId) {
+async function handleInteractiveMessage(messageObject, phoneNumber, conversationId, phoneNumberId = null) {
   console.log("🔘 INTERACTIVE message received");
   const { interactive, id: messageId, timestamp } = messageObject;
   const { type: interactiveType } = interactive;
@@ -442,7 +981,7 @@ async function handleInteractiveMessage(messageObject, phoneNumber, conversation
           const whatsappService = require('../services/whatsappService');
           const { buildTextJSON } = require('../shared/whatsappModels');
           const responseData = buildTextJSON(phoneNumber, result.message);
-          await whatsappService.sendWhatsappResponse(responseData);
+          await whatsappService.sendWhatsappResponse(responseData, phoneNumberId);
 
           console.log(`   ✅ Resolution confirmation processed and response sent`);
           return; // Don't process this as a regular message
@@ -516,8 +1055,7 @@ async function handleInteractiveMessage(messageObject, phoneNumber, conversation
     await customer.save();
 
     // Emit to frontend via socket
-    const { io } = require('../models/server');
-    io.emit('new_message', {
+    emitToConversation(conversationId, 'new_message', {
       conversationId: conversationId.toString(),
       message: {
         id: newMessage._id.toString(),
@@ -577,7 +1115,13 @@ function handleUnknownMessage(messageType, messageObject) {
 module.exports = {
   handleTextMessage,
   handleImageMessage,
+  handleAudioMessage,
+  handleDocumentMessage,
+  handleVideoMessage,
+  handleStickerMessage,
   handleLocationMessage,
+  handleContactsMessage,
+  handleReactionMessage,
   handleInteractiveMessage,
   handleButtonMessage,
   handleUnknownMessage
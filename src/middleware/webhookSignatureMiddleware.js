@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-hub-signature-256';
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Whether signature checks are skipped (local development only)
+ * WEBHOOK_SIGNATURE_BYPASS is ignored when NODE_ENV is 'production'
+ */
+function isBypassEnabled() {
+    return process.env.WEBHOOK_SIGNATURE_BYPASS === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Compute the expected X-Hub-Signature-256 value for a raw body
+ * @param {Buffer} rawBody - Exact request body bytes
+ * @param {string} appSecret - Meta app secret
+ * @returns {string} - 'sha256=<hex digest>'
+ */
+function computeSignature(rawBody, appSecret) {
+    return SIGNATURE_PREFIX + crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+}
+
+/**
+ * Constant-time comparison of the received and expected signatures
+ */
+function signaturesMatch(received, expected) {
+    const receivedBuffer = Buffer.from(received);
+    const expectedBuffer = Buffer.from(expected);
+
+    if (receivedBuffer.length !== expectedBuffer.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Middleware to verify Meta webhook signatures (X-Hub-Signature-256)
+ *
+ * Requires req.rawBody, captured by the JSON body parser in Server.middlewares.
+ * Requests with a missing or invalid signature are rejected with 401 and logged.
+ */
+function verifyWebhookSignature(req, res, next) {
+    if (isBypassEnabled()) {
+        console.warn('⚠️  Webhook signature check BYPASSED (WEBHOOK_SIGNATURE_BYPASS=true)');
+        return next();
+    }
+
+    const appSecret = process.env.WHATSAPP_APP_SECRET;
+    const signature = req.headers[SIGNATURE_HEADER];
+    const source = `${req.ip} (${req.headers['user-agent'] || 'unknown agent'})`;
+
+    if (!appSecret) {
+        console.error('❌ WHATSAPP_APP_SECRET is not configured - rejecting webhook. Set WEBHOOK_SIGNATURE_BYPASS=true for local development.');
+        return res.status(500).json({ error: 'Webhook signature verification is not configured' });
+    }
+
+    if (!signature || !signature.startsWith(SIGNATURE_PREFIX)) {
+        console.warn(`🚫 Webhook rejected: missing X-Hub-Signature-256 header from ${source}`);
+        return res.status(401).json({ error: 'Missing signature' });
+    }
+
+    if (!req.rawBody) {
+        console.warn(`🚫 Webhook rejected: no raw body to verify from ${source}`);
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    if (!signaturesMatch(signature, computeSignature(req.rawBody, appSecret))) {
+        console.warn(`🚫 Webhook rejected: invalid signature from ${source}`);
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    next();
+}
+
+/**
+ * Body parser verify callback that keeps the exact request bytes for signature checks
+ */
+function captureRawBody(req, res, buf) {
+    if (buf && buf.length) {
+        req.rawBody = buf;
+    }
+}
+
+module.exports = {
+    verifyWebhookSignature,
+    captureRawBody,
+    computeSignature
+};
@@ -1,5 +1,49 @@
 const mongoose = require('mongoose');
 
+// Agent routing steps (see agentAssignmentService.findBestAgent)
+const ROUTING_STEPS = ['preferred_agent', 'previous_agent', 'skill_and_language', 'language', 'skill', 'any'];
+
+// What happens when takeover detection fires (see takeoverSuggestionService)
+const HANDOFF_MODES = ['auto_assign', 'suggest_only'];
+
+const DEFAULT_HANDOFF_KEYWORDS = [
+    // Spanish - explicit requests
+    'hablar con persona', 'hablar con humano', 'hablar con alguien',
+    'agente real', 'agente humano', 'persona real',
+    'gerente', 'supervisor', 'encargado', 'responsable',
+    'quiero hablar', 'necesito hablar', 'comunicar con',
+    'atención humana', 'ayuda humana', 'asistencia humana',
+    'contactar con', 'hablar directamente', 'hablar con agente', 'representante',
+
+    // Spanish - dissatisfaction/urgency
+    'mal servicio', 'pésimo servicio', 'cancelar', 'denunciar',
+    'queja', 'reclamo', 'no funciona', 'no sirve',
+    'urgente', 'emergencia', 'inmediato',
+    'frustrado', 'molesto', 'enojado',
+    'ya basta', 'harto', 'cansado',
+
+    // Spanish - AI not understanding
+    'no me entiendes', 'no entiendes', 'no comprendes',
+    'no ayudas', 'no sirves', 'no resuelves',
+    'no contestas', 'no respondes bien',
+
+    // English equivalents
+    'speak to person', 'talk to human', 'talk to someone', 'talk to agent',
+    'real agent', 'human agent', 'real person',
+    'manager', 'supervisor',
+    'i want to speak', 'i need to speak', 'speak directly',
+    'human help', 'human assistance',
+    'bad service', 'cancel', 'complaint',
+    'not working', 'doesn\'t work', 'urgent', 'emergency',
+    'don\'t understand', 'not helpful', 'frustrated',
+
+    // Common variations
+    'eres bot', 'eres robot', 'you\'re a bot',
+    'no eres real', 'you\'re not real',
+    'prefiero humano', 'prefer human',
+    'mejor persona', 'better person'
+];
+
 /**
  * CRM Settings Model
  * Stores configurable settings for conversation management, SLA, timeouts, and automation
@@ -51,6 +95,18 @@ const crmSettingsSchema = new mongoose.Schema({
             type: Boolean,
             default: true,
             description: 'Send alerts when SLA is breached'
+        },
+        warningThreshold: {
+            type: Number,
+            default: 80,
+            min: 1,
+            max: 99,
+            description: 'Warn when this percentage of the target has elapsed'
+        },
+        alertTemplate: {
+            type: String,
+            default: 'sla_breach_alert',
+            description: 'WhatsApp template sent to the assigned agent on breach'
         }
     },
 
@@ -137,25 +193,99 @@ const crmSettingsSchema = new mongoose.Schema({
             type: Boolean,
             default: true,
             description: 'Prefer assigning to same agent for returning customers'
+        },
+        routingOrder: {
+            type: [{ type: String, enum: ROUTING_STEPS }],
+            default: ROUTING_STEPS,
+            description: 'Routing steps tried in order until one finds an available agent (omit "any" to never assign outside skills/languages)'
+        }
+    },
+
+    // Waiting queue (conversations handed over while no agent is available)
+    waitingQueue: {
+        notifyPosition: {
+            type: Boolean,
+            default: true,
+            description: 'Send the customer their queue position and estimated wait over WhatsApp'
+        },
+        positionMessage: {
+            type: String,
+            default: 'En este momento todos nuestros agentes están ocupados. Estás en el lugar {position} de la fila, tiempo estimado de espera: {wait}. Te atenderemos lo antes posible. 🙏',
+            description: 'Placeholders: {position}, {wait}'
+        }
+    },
+
+    // Template language variants (see templateService.resolveTemplateVariant)
+    templates: {
+        matchCustomerLanguage: {
+            type: Boolean,
+            default: true,
+            description: 'Send the approved variant of a template in the customer\'s preferred language'
+        },
+        fallbackLanguage: {
+            type: String,
+            default: 'es_MX',
+            description: 'Variant used when none matches the customer\'s language'
         }
     },
 
-    // AI behavior
+    // AI behavior - takeover detection (see takeoverSuggestionService)
     aiBehavior: {
         autoHandoffToAgent: {
             type: Boolean,
             default: true,
             description: 'AI can suggest agent handoff'
         },
+        handoffMode: {
+            type: String,
+            enum: HANDOFF_MODES,
+            default: 'auto_assign',
+            description: 'auto_assign: explicit requests above the threshold are assigned; suggest_only: agents are only notified'
+        },
         handoffKeywords: {
             type: [String],
-            default: ['hablar con agente', 'talk to agent', 'persona real', 'real person', 'representante'],
+            default: DEFAULT_HANDOFF_KEYWORDS,
             description: 'Keywords that trigger agent handoff suggestion'
         },
         maxAIMessages: {
             type: Number,
             default: 10,
             description: 'Max AI messages before suggesting agent (0 = unlimited)'
+        },
+        aiDetectionEnabled: {
+            type: Boolean,
+            default: true,
+            description: 'Ask the model whether the customer wants a human'
+        },
+        minAIConfidence: {
+            type: Number,
+            default: 60,
+            min: 0,
+            max: 100,
+            description: 'Minimum model confidence (%) for the AI detection trigger'
+        },
+        negativeSentimentCount: {
+            type: Number,
+            default: 2,
+            description: 'Negative customer messages (among the recent ones) that trigger a suggestion'
+        },
+        suggestScore: {
+            type: Number,
+            default: 30,
+            description: 'Score from which agents get a takeover suggestion'
+        },
+        autoAssignScore: {
+            type: Number,
+            default: 60,
+            description: 'Score from which an explicit request (AI detection or keyword) is assigned to an agent'
+        },
+        weights: {
+            aiDetection: { type: Number, default: 70, description: 'Max points (the model confidence, capped)' },
+            keyword: { type: Number, default: 40 },
+            aiUncertainty: { type: Number, default: 30 },
+            maxAIMessages: { type: Number, default: 20 },
+            negativeSentiment: { type: Number, default: 25 },
+            repeatedQuestions: { type: Number, default: 35 }
         }
     },
 
@@ -231,7 +361,33 @@ const crmSettingsSchema = new mongoose.Schema({
         afterHoursMessage: {
             type: String,
             default: 'Gracias por contactarnos. Nuestro horario de atención es de lunes a viernes de 9:00 a 18:00. Te responderemos lo antes posible.'
-        }
+        },
+        afterHoursReplyWindow: {
+            type: Number,
+            default: 12 * 60 * 60 * 1000,  // 12 hours
+            description: 'Send the after-hours message at most once per conversation within this time (ms)'
+        },
+        holidays: [{
+            date: {
+                type: String,
+                required: true,
+                match: /^\d{4}-\d{2}-\d{2}$/,
+                description: 'Local date (YYYY-MM-DD)'
+            },
+            name: String,
+            closed: {
+                type: Boolean,
+                default: true,
+                description: 'Closed all day - otherwise open with start/end below'
+            },
+            start: String,
+            end: String,
+            recurring: {
+                type: Boolean,
+                default: false,
+                description: 'Repeat every year on the same month and day'
+            }
+        }]
     },
 
     // Metadata
@@ -242,7 +398,10 @@ const crmSettingsSchema = new mongoose.Schema({
     lastModifiedAt: {
         type: Date,
         default: Date.now
-    }
+    },
+    // Set once the default handoff keywords were merged into settings stored with the old 5-keyword list
+    // (kept outside aiBehavior so saving that section does not clear it)
+    handoffKeywordsMergedAt: Date
 }, {
     timestamps: true
 });
@@ -253,7 +412,22 @@ crmSettingsSchema.statics.getSettings = async function() {
 
     if (!settings) {
         console.log('📋 Creating default CRM settings...');
-        settings = await this.create({ _id: 'crm_settings' });
+        settings = await this.create({ _id: 'crm_settings', handoffKeywordsMergedAt: new Date() });
+    } else if (!settings.handoffKeywordsMergedAt) {
+        // One-time merge: the keywords takeover detection used to hardcode now live in settings
+        const stored = settings.aiBehavior?.handoffKeywords || [];
+        const known = new Set(stored.map(keyword => keyword.toLowerCase()));
+        const keywords = [...stored, ...DEFAULT_HANDOFF_KEYWORDS.filter(keyword => !known.has(keyword.toLowerCase()))];
+
+        // Conditional so concurrent instances merge only once
+        const result = await this.updateOne(
+            { _id: 'crm_settings', handoffKeywordsMergedAt: { $exists: false } },
+            { $set: { 'aiBehavior.handoffKeywords': keywords, handoffKeywordsMergedAt: new Date() } }
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`📋 Merged ${keywords.length - stored.length} default handoff keywords into CRM settings`);
+        }
+        settings = await this.findById('crm_settings');
     }
 
     return settings;
@@ -276,18 +450,13 @@ crmSettingsSchema.methods.getTimeoutForStatus = function(status) {
     return this.autoTimeout[status] || this.autoTimeout.assigned;
 };
 
-// Helper method to check if within business hours
+// Helper method to check if within business hours (in businessHours.timezone, holidays included)
 crmSettingsSchema.methods.isWithinBusinessHours = function(date = new Date()) {
-    if (!this.businessHours.enabled) return true;
-
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const dayName = days[date.getDay()];
-    const schedule = this.businessHours.schedule[dayName];
-
-    if (!schedule.enabled) return false;
-
-    const currentTime = date.toTimeString().slice(0, 5); // HH:MM format
-    return currentTime >= schedule.start && currentTime <= schedule.end;
+    const businessHoursService = require('../services/businessHoursService');
+    return businessHoursService.isWithinBusinessHours(this, date);
 };
 
+crmSettingsSchema.statics.ROUTING_STEPS = ROUTING_STEPS;
+crmSettingsSchema.statics.HANDOFF_MODES = HANDOFF_MODES;
+
 module.exports = mongoose.model('CRMSettings', crmSettingsSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scheduled template broadcast to an audience of customers
+ * Recipients are stored as CampaignRecipient documents when the campaign starts and
+ * campaignService sends them at the throttle rate, so a restart resumes where it stopped
+ */
+const campaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+
+    // Template (any language variant; each recipient gets the approved variant in their language)
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Template',
+        required: true
+    },
+    templateName: String,
+    // Send values; customer field mappings are resolved per recipient (see templateService.resolveParameterMappings)
+    parameters: {
+        type: mongoose.Schema.Types.Mixed,
+        default: []
+    },
+    // Sender number (defaults to the first number of the template's WABA)
+    phoneNumberId: String,
+
+    // Who receives it: customers matching every filter that is set
+    audience: {
+        tags: [String],
+        segments: [String],
+        statuses: [String],
+        customFields: [{
+            _id: false,
+            key: String,
+            value: String
+        }]
+    },
+
+    // When to start (null = as soon as it is started)
+    scheduledAt: Date,
+    // Messages handed to the outbound queue per minute
+    throttlePerMinute: {
+        type: Number,
+        default: 60,
+        min: 1,
+        max: 1000
+    },
+
+    status: {
+        type: String,
+        enum: ['draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled'],
+        default: 'draft',
+        index: true
+    },
+    // Set once the recipients have been stored (a restart before that rebuilds them)
+    audienceBuiltAt: Date,
+    startedAt: Date,
+    pausedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+    lastError: String,
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Agent'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * One customer of a campaign and how far their message got
+ * pending → queued (handed to the outbound queue) → sent → delivered → read → replied,
+ * or failed; skipped customers (blocked, opted out, no approved variant) are never sent to
+ */
+const campaignRecipientSchema = new mongoose.Schema({
+    campaignId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        required: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    phoneNumber: String,
+
+    status: {
+        type: String,
+        enum: ['pending', 'queued', 'sent', 'delivered', 'read', 'replied', 'failed', 'skipped', 'cancelled'],
+        default: 'pending'
+    },
+    // Why the customer was skipped or the send failed
+    error: String,
+
+    // Message record of the send (delivery receipts are matched through it)
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    language: String,
+
+    queuedAt: Date,
+    sentAt: Date,
+    deliveredAt: Date,
+    readAt: Date,
+    repliedAt: Date,
+    failedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+campaignRecipientSchema.index({ campaignId: 1, customerId: 1 }, { unique: true });
+campaignRecipientSchema.index({ campaignId: 1, status: 1 });
+campaignRecipientSchema.index({ campaignId: 1, queuedAt: -1 });
+campaignRecipientSchema.index({ messageId: 1 }, { sparse: true });
+campaignRecipientSchema.index({ customerId: 1, status: 1, queuedAt: -1 });
+
+module.exports = mongoose.model('CampaignRecipient', campaignRecipientSchema);
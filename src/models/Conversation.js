@@ -41,11 +41,24 @@ const conversationSchema = new mongoose.Schema({
         default: 'support'
     },
     tags: [String],
+    language: String,                 // Detected customer language ('es', 'en') used for agent routing
 
     // AI and Automation
     isAIEnabled: { type: Boolean, default: true },
     aiModel: { type: String, default: 'gpt-4' },
     autoResponses: { type: Boolean, default: true },
+    afterHoursReplyAt: Date,          // Last after-hours message (sent once per window)
+
+    // Waiting queue - set while the conversation waits for an agent (see waitingQueueService)
+    queue: {
+        enteredAt: Date,
+        reason: {
+            type: String,
+            enum: ['no_agent_available', 'after_hours']
+        },
+        notifiedPosition: Number,     // Last position sent to the customer
+        notifiedAt: Date
+    },
 
     // Conversation Metadata
     channel: {
@@ -67,7 +80,7 @@ const conversationSchema = new mongoose.Schema({
         },
         type: {
             type: String,
-            enum: ['text', 'image', 'location', 'document', 'template']
+            enum: ['text', 'image', 'audio', 'video', 'document', 'sticker', 'location', 'contact', 'template']
         }
     },
 
@@ -77,13 +90,24 @@ const conversationSchema = new mongoose.Schema({
     lastAgentResponse: Date,
     lastCustomerMessage: Date,
 
-    // SLA Tracking
+    // SLA Tracking (see slaService - times are business time)
     sla: {
         firstResponseAt: Date,
         firstResponseTarget: Number,      // Target in ms
         firstResponseMet: Boolean,        // Did we meet the target?
+        firstResponseStartedAt: Date,     // Clock start (creation, or hand-off from AI)
+        firstResponseDue: Date,
+        firstResponseWarnAt: Date,
+        firstResponseDuration: Number,    // Business ms until the first agent response
+        firstResponseWarningSent: { type: Boolean, default: false },
+        firstResponseBreachedAt: Date,
         resolutionTarget: Number,          // Target in ms
         resolutionMet: Boolean,            // Did we meet the target?
+        resolutionDue: Date,
+        resolutionWarnAt: Date,
+        resolutionDuration: Number,        // Business ms from creation to resolution
+        resolutionWarningSent: { type: Boolean, default: false },
+        resolutionBreachedAt: Date,
         breachAlertSent: { type: Boolean, default: false }
     },
 
@@ -116,6 +140,7 @@ const conversationSchema = new mongoose.Schema({
     },
     resolutionNotes: String,
     resolutionConfirmationSent: { type: Boolean, default: false },
+    resolutionConfirmationMessageId: String, // wamid of the confirmation question (matches button replies/reactions)
     resolutionConfirmedAt: Date,
     resolutionConfirmedBy: {
         type: String,
@@ -156,5 +181,10 @@ conversationSchema.index({ status: 1, assignedAgent: 1 });
 // Performance index for Reports sort query
 conversationSchema.index({ lastCustomerMessage: -1 });
 conversationSchema.index({ status: 1, lastCustomerMessage: -1 });
+// SLA monitor sweeps
+conversationSchema.index({ 'sla.firstResponseDue': 1, 'sla.firstResponseAt': 1 });
+conversationSchema.index({ 'sla.resolutionDue': 1, status: 1 });
+// Waiting queue
+conversationSchema.index({ 'queue.enteredAt': 1, status: 1 });
 
 module.exports = mongoose.model('Conversation', conversationSchema);
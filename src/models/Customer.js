@@ -66,6 +66,9 @@ const customerSchema = new mongoose.Schema({
     },
     isBlocked: { type: Boolean, default: false },
     blockReason: String,
+    // Opted out of broadcasts: campaigns skip the customer
+    optedOut: { type: Boolean, default: false },
+    optedOutAt: Date,
     notes: String,
 
     // Statistics
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * Customer message waiting in the burst buffer (queueService)
+ * Messages from the same customer are batched for QUEUE_WAIT_TIME and answered together.
+ * Persisting them lets a restarted (or another) instance pick up a burst instead of dropping it.
+ */
+const inboundBufferEntrySchema = new mongoose.Schema({
+    // Customer phone number - the batching key
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // WhatsApp message id (a retried webhook can't buffer the same message twice)
+    messageId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation'
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+
+    // Text fed to the AI (message body, transcript or summary)
+    text: String,
+    type: {
+        type: String,
+        default: 'text'
+    },
+    // Raw webhook message object (quoted context, etc.)
+    messageObject: mongoose.Schema.Types.Mixed,
+    // Message already persisted by a media handler (audio, contacts)
+    savedMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // End of the burst window - pushed back by every new message from the customer
+    processAfter: {
+        type: Date,
+        required: true
+    },
+
+    // Batch claim (set while an instance is processing the burst)
+    claimedBy: {
+        type: String,
+        default: null
+    },
+    claimedAt: Date
+});
+
+inboundBufferEntrySchema.index({ userId: 1, claimedBy: 1, processAfter: 1 });
+inboundBufferEntrySchema.index({ claimedBy: 1, processAfter: 1 });
+// Safety net: entries are deleted after processing, never kept more than a day
+inboundBufferEntrySchema.index({ receivedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('InboundBufferEntry', inboundBufferEntrySchema);
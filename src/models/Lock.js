@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cross-instance lock (see lockService)
+ * A lock is held by `owner` until `expiresAt`; expired locks can be taken over.
+ */
+const lockSchema = new mongoose.Schema({
+    // Lock name, e.g. 'inbound:5219991234567'
+    _id: {
+        type: String
+    },
+    owner: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Expired locks are removed by MongoDB (acquire also ignores them before the TTL monitor runs)
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Lock', lockSchema);
@@ -21,7 +21,7 @@ const messageSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['text', 'image', 'audio', 'video', 'document', 'location', 'contact', 'template', 'interactive'],
+        enum: ['text', 'image', 'audio', 'video', 'document', 'sticker', 'location', 'contact', 'template', 'interactive'],
         default: 'text',
         index: true
     },
@@ -65,7 +65,7 @@ const messageSchema = new mongoose.Schema({
     attachments: [{
         type: {
             type: String,
-            enum: ['image', 'document', 'audio', 'video']
+            enum: ['image', 'document', 'audio', 'video', 'sticker']
         },
         url: String,
         publicId: String,
@@ -123,6 +123,46 @@ const messageSchema = new mongoose.Schema({
         }
     },
 
+    // Shared contact cards (type 'contact')
+    contacts: [{
+        name: String,
+        firstName: String,
+        lastName: String,
+        phones: [{
+            phone: String,
+            waId: String,
+            type: { type: String }
+        }],
+        emails: [{
+            email: String,
+            type: { type: String }
+        }],
+        organization: String
+    }],
+
+    // Emoji reactions to this message
+    reactions: [{
+        emoji: String,
+        from: {
+            type: String,
+            enum: ['customer', 'agent']
+        },
+        whatsappMessageId: String,
+        reactedAt: { type: Date, default: Date.now }
+    }],
+
+    // Voice note transcription (type 'audio')
+    transcription: {
+        text: String,
+        language: String,
+        provider: String,
+        status: {
+            type: String,
+            enum: ['completed', 'failed', 'disabled']
+        },
+        transcribedAt: Date
+    },
+
     // Message Context
     replyTo: {
         type: mongoose.Schema.Types.ObjectId,
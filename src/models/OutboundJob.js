@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * Durable outbound WhatsApp send job
+ * Written by whatsappService.queueWhatsappMessage and drained by outboundQueueService,
+ * so queued sends survive transient Graph API failures and server restarts
+ */
+const outboundJobSchema = new mongoose.Schema({
+    // Sender phone number (Cloud API phone_number_id) - throughput is limited per number
+    phoneNumberId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    recipient: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // JSON string payload for /{phone_number_id}/messages
+    payload: {
+        type: String,
+        required: true
+    },
+
+    // What produced the job ('ai_reply', 'template_bulk', ...)
+    source: {
+        type: String,
+        default: 'system'
+    },
+    // Higher priority jobs are sent first
+    priority: {
+        type: Number,
+        default: 0
+    },
+
+    // Message record updated with the result (wamid or failure)
+    messageRef: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+
+    // Processing state
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'sent', 'dead'],
+        default: 'pending',
+        index: true
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: Date,
+
+    // Result
+    whatsappMessageId: String,
+    lastError: {
+        code: mongoose.Schema.Types.Mixed,
+        subcode: mongoose.Schema.Types.Mixed,
+        statusCode: Number,
+        message: String,
+        at: Date
+    },
+    completedAt: Date,
+    deadAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+outboundJobSchema.index({ status: 1, priority: -1, nextAttemptAt: 1 });
+outboundJobSchema.index({ status: 1, lockedAt: 1 });
+// Sent jobs are only kept for a week
+outboundJobSchema.index({ completedAt: 1 }, {
+    expireAfterSeconds: 7 * 24 * 60 * 60,
+    partialFilterExpression: { status: 'sent' }
+});
+
+module.exports = mongoose.model('OutboundJob', outboundJobSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * WhatsApp status webhooks that arrived before their message's wamid was stored
+ * (the webhook can beat the Cloud API send response). Applied by messageStatusService once the
+ * send path stores the wamid; shared by every instance, so the webhook may hit any of them.
+ * Written by messageStatusService when STATE_STORE is 'mongo'.
+ */
+const pendingMessageStatusSchema = new mongoose.Schema({
+    // WhatsApp message id (wamid) the status is for
+    whatsappMessageId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Status object as received in `value.statuses`
+    statusObject: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Statuses for wamids that never show up (sent by another system) are dropped after 10 minutes
+pendingMessageStatusSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 10 * 60 });
+
+module.exports = mongoose.model('PendingMessageStatus', pendingMessageStatusSchema);
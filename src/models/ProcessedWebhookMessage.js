@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * Inbound WhatsApp message ids already accepted by a webhook (deduplication)
+ * Shared by every instance, so a webhook retried to another instance is not processed twice.
+ * Written by deduplicationService when STATE_STORE is 'mongo'.
+ */
+const processedWebhookMessageSchema = new mongoose.Schema({
+    // WhatsApp message id (wamid)
+    messageId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    processedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Ids are forgotten after DEDUP_TTL_SECONDS (default 24 hours)
+processedWebhookMessageSchema.index({ processedAt: 1 }, {
+    expireAfterSeconds: parseInt(process.env.DEDUP_TTL_SECONDS) || 24 * 60 * 60
+});
+
+module.exports = mongoose.model('ProcessedWebhookMessage', processedWebhookMessageSchema);
@@ -2,15 +2,15 @@ const mongoose = require('mongoose');
 
 const templateSchema = new mongoose.Schema({
     // WhatsApp Template Metadata
+    // Unique per WhatsApp Business Account and language (see compound index below)
     name: {
         type: String,
         required: true,
-        unique: true,
         index: true
     },
     status: {
         type: String,
-        enum: ['APPROVED', 'PENDING', 'REJECTED', 'DISABLED'],
+        enum: ['APPROVED', 'PENDING', 'REJECTED', 'DISABLED', 'PAUSED', 'IN_APPEAL'],
         default: 'PENDING',
         index: true
     },
@@ -37,13 +37,14 @@ const templateSchema = new mongoose.Schema({
         },
         text: String,
         example: {
+            header_text: [String],
             header_handle: [String],
             body_text: [[String]]
         },
         buttons: [{
             type: {
                 type: String,
-                enum: ['QUICK_REPLY', 'PHONE_NUMBER', 'URL']
+                enum: ['QUICK_REPLY', 'PHONE_NUMBER', 'URL', 'COPY_CODE']
             },
             text: String,
             url: String,
@@ -52,17 +53,29 @@ const templateSchema = new mongoose.Schema({
         }]
     }],
 
-    // Template Variables
+    // Template Variables (what a send must provide, see templateService.buildTemplateComponents)
     parameters: [{
         name: String,
+        // Body variables can be set to currency/date_time in the CRM; the rest follow the component
         type: {
             type: String,
-            enum: ['text', 'currency', 'date_time']
+            enum: ['text', 'currency', 'date_time', 'image', 'video', 'document', 'location', 'payload', 'coupon_code']
         },
         position: Number,
         component: {
             type: String,
-            enum: ['HEADER', 'BODY']
+            enum: ['HEADER', 'BODY', 'BUTTON']
+        },
+        // Button variables: index of the button and its kind
+        buttonIndex: Number,
+        subType: {
+            type: String,
+            enum: ['url', 'quick_reply', 'copy_code']
+        },
+        // Quick reply payloads can be left out
+        optional: {
+            type: Boolean,
+            default: false
         }
     }],
 
@@ -72,8 +85,21 @@ const templateSchema = new mongoose.Schema({
         unique: true,
         sparse: true
     },
+    // WhatsApp Business Account the template belongs to (templates are per WABA)
+    businessAccountId: {
+        type: String,
+        index: true
+    },
     namespace: String,
     rejectionReason: String,
+    statusUpdatedAt: Date,
+
+    // Templates built in the CRM (see templateService.createTemplate)
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Agent'
+    },
+    submittedAt: Date,
 
     // CRM Metadata
     description: String,
@@ -104,6 +130,8 @@ const templateSchema = new mongoose.Schema({
 });
 
 // Indexes for efficient queries
+// Meta stores one template per name and language, so variants share a name
+templateSchema.index({ name: 1, businessAccountId: 1, language: 1 }, { unique: true });
 templateSchema.index({ status: 1, isActive: 1 });
 templateSchema.index({ category: 1 });
 templateSchema.index({ language: 1 });
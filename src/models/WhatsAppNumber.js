@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * WhatsApp sender number registry
+ * One document per Cloud API phone number (brand). Inbound webhooks are routed by
+ * metadata.phone_number_id and replies are sent from the number the conversation arrived on.
+ * The env number (WHATSAPP_PHONE_NUMBER_ID) keeps working without a registry entry.
+ */
+const whatsAppNumberSchema = new mongoose.Schema({
+    // Cloud API phone_number_id
+    phoneNumberId: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    // Human readable number, e.g. "+52 999 123 4567"
+    displayPhoneNumber: {
+        type: String,
+        trim: true
+    },
+    // Brand / inbox label shown to agents
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // WhatsApp Business Account that owns the number (templates are per WABA)
+    businessAccountId: {
+        type: String,
+        required: true,
+        index: true,
+        trim: true
+    },
+    // System user token - falls back to WHATSAPP_API_TOKEN when empty
+    accessToken: {
+        type: String,
+        select: false
+    },
+
+    // Language for new customers that write to this number (Customer.preferences.language)
+    defaultLanguage: {
+        type: String,
+        default: 'es'
+    },
+    // OpenAI assistant for this brand - falls back to OPENAI_ASSISTANT_ID when empty
+    assistantId: String,
+
+    // Used for sends without conversation context (notifications, legacy endpoints)
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('WhatsAppNumber', whatsAppNumberSchema);
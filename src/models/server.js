@@ -2,6 +2,7 @@ const express = require("express");
 const path = require("path");
 const { dbConnection } = require("../database/config");
 const bodyParser = require("body-parser");
+const { captureRawBody } = require("../middleware/webhookSignatureMiddleware");
 require('dotenv').config()
 
 
@@ -26,13 +27,38 @@ class Server {
     });
 
 
-    //conectar a DB
-    this.conectarDB();
+    //conectar a DB (then share socket broadcasts with the other instances, see SOCKET_ADAPTER)
+    this.conectarDB().then(() => {
+      const socketAdapterService = require('../services/socketAdapterService');
+      return socketAdapterService.configureSocketAdapter(io);
+    });
 
     // Initialize background services
+    // Cluster-wide jobs only do work on the elected leader instance
+    const leaderElectionService = require('../services/leaderElectionService');
+    leaderElectionService.startLeaderElection();
+
     const autoTimeoutService = require('../services/autoTimeoutService');
     autoTimeoutService.startAutoTimeoutService();
 
+    const slaService = require('../services/slaService');
+    slaService.startSLAMonitor();
+
+    const priorityEscalationService = require('../services/priorityEscalationService');
+    priorityEscalationService.startEscalationService();
+
+    const waitingQueueService = require('../services/waitingQueueService');
+    waitingQueueService.startWaitingQueueService();
+
+    const outboundQueueService = require('../services/outboundQueueService');
+    outboundQueueService.startOutboundQueueWorker();
+
+    const queueService = require('../services/queueService');
+    queueService.startQueueRecovery();
+
+    const campaignService = require('../services/campaignService');
+    campaignService.startCampaignRunner();
+
     //middlewares
     this.middlewares(io);
 
@@ -48,7 +74,13 @@ class Server {
     const frontendPath = path.join(__dirname, '../../frontend/dist/frontend/browser');
     this.app.use(express.static(frontendPath));
     this.app.use(express.static("public")); // Keep public for other assets if any
-    this.app.use(express.json());
+
+    // Agent attachments stored with the 'local' media storage adapter
+    const { LOCAL_MEDIA_DIR, LOCAL_MEDIA_ROUTE, setLocalMediaHeaders } = require('../services/mediaStorageService');
+    this.app.use(LOCAL_MEDIA_ROUTE, express.static(LOCAL_MEDIA_DIR, { setHeaders: setLocalMediaHeaders }));
+    // Keep the raw body so webhook signatures (X-Hub-Signature-256) can be verified
+    // Same limit as the bodyParser below - this parser runs first, so its limit is the one applied
+    this.app.use(express.json({ limit: "20mb", verify: captureRawBody }));
 
 
     this.app.use((req, res, next) => {
@@ -69,6 +101,7 @@ class Server {
     this.app.use(
       bodyParser.json({
         limit: "20mb",
+        verify: captureRawBody,
       })
     );
 
@@ -98,6 +131,9 @@ class Server {
     this.app.use("/api/v2/customers", require("../routes/customerRoutes"));
     this.app.use("/api/v2/templates", require("../routes/templateRoutes"));
     this.app.use("/api/v2/crm-settings", require("../routes/crmSettingsRoutes"));
+    this.app.use("/api/v2/outbound-queue", require("../routes/outboundQueueRoutes"));
+    this.app.use("/api/v2/whatsapp-numbers", require("../routes/whatsappNumberRoutes"));
+    this.app.use("/api/v2/campaigns", require("../routes/campaignRoutes"));
     this.app.use("/api/v2", require("../routes/whatsappRoutes"));
     this.app.use("/health", require("../routes/healthRoutes"));
     this.app.use("/info", require("../routes/infoRoutes"));
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const campaignController = require('../controllers/campaignController');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+
+/**
+ * Campaign Routes
+ * Scheduled template broadcasts - supervisors and admins
+ */
+router.use(authenticateToken, requireRole('admin', 'supervisor'));
+
+// Specific routes before parameterized routes
+router.post('/audience-preview', campaignController.previewAudience);
+router.get('/', campaignController.getCampaigns);
+router.post('/', campaignController.createCampaign);
+router.get('/:id', campaignController.getCampaignById);
+router.put('/:id', campaignController.updateCampaign);
+router.delete('/:id', campaignController.deleteCampaign);
+router.get('/:id/recipients', campaignController.getCampaignRecipients);
+router.post('/:id/start', campaignController.startCampaign);
+router.post('/:id/pause', campaignController.pauseCampaign);
+router.post('/:id/resume', campaignController.resumeCampaign);
+router.post('/:id/cancel', campaignController.cancelCampaign);
+
+module.exports = router;
@@ -1,14 +1,45 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const conversationController = require('../controllers/conversationController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
 const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { getAttachmentMediaType } = require('../services/agentMessageRelayService');
+
+// Configure multer for agent attachments (memory storage)
+// Per-type limits (e.g. 5MB for images) are enforced when sending
+const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 16 * 1024 * 1024 // 16MB max file size
+    },
+    fileFilter: (req, file, cb) => {
+        if (getAttachmentMediaType(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Unsupported file type. Allowed: JPEG/PNG images, PDF/Office/text documents, AAC/AMR/MP3/MP4/OGG audio, MP4/3GPP video'));
+        }
+    }
+});
+
+// Return upload errors as JSON instead of the default HTML error page
+const uploadAttachment = (req, res, next) => {
+    attachmentUpload.single('file')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        next();
+    });
+};
 
 // =====================================
 // CONVERSATION MANAGEMENT
 // =====================================
 router.get('/', authenticateToken, apiLimiter, conversationController.getConversations);
 router.get('/assigned', authenticateToken, apiLimiter, conversationController.getAssignedConversations);
+router.get('/sla/report', authenticateToken, requireRole('admin', 'supervisor'), apiLimiter, conversationController.getSLAReport);
+router.get('/queue', authenticateToken, requireRole('admin', 'supervisor'), apiLimiter, conversationController.getWaitingQueue);
+router.post('/queue/process', authenticateToken, requireRole('admin', 'supervisor'), apiLimiter, conversationController.processWaitingQueue);
 router.get('/:id', authenticateToken, apiLimiter, conversationController.getConversationById);
 
 // =====================================
@@ -17,6 +48,7 @@ router.get('/:id', authenticateToken, apiLimiter, conversationController.getConv
 router.post('/:id/assign', authenticateToken, apiLimiter, conversationController.assignConversation);
 router.post('/:id/release', authenticateToken, apiLimiter, conversationController.releaseConversation);
 router.post('/:id/transfer', authenticateToken, apiLimiter, conversationController.transferConversation);
+router.delete('/:id/queue', authenticateToken, requireRole('admin', 'supervisor'), apiLimiter, conversationController.removeFromWaitingQueue);
 
 // =====================================
 // LIFECYCLE MANAGEMENT
@@ -30,6 +62,7 @@ router.post('/:id/priority', authenticateToken, apiLimiter, conversationControll
 // MESSAGING
 // =====================================
 router.post('/:id/reply', authenticateToken, apiLimiter, conversationController.sendReply);
+router.post('/:id/attachments', authenticateToken, apiLimiter, uploadAttachment, conversationController.sendAttachment);
 router.get('/:id/messages', authenticateToken, apiLimiter, conversationController.getConversationMessages);
 router.get('/:id/thread-metadata', authenticateToken, apiLimiter, conversationController.getThreadMetadata);
 
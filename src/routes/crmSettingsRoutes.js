@@ -17,4 +17,7 @@ router.put('/', authenticateToken, requireRole('admin', 'supervisor'), crmSettin
 // Reset to defaults
 router.post('/reset', authenticateToken, requireRole('admin', 'supervisor'), crmSettingsController.resetToDefaults);
 
+// Test a message against the (saved or draft) takeover rules
+router.post('/takeover/preview', authenticateToken, requireRole('admin', 'supervisor'), crmSettingsController.previewTakeover);
+
 module.exports = router;
@@ -55,6 +55,9 @@ router.get('/:id', customerController.getCustomer);
 // Create new customer
 router.post('/', customerController.createCustomer);
 
+// Create customer from a contact card shared in a conversation
+router.post('/from-contact', customerController.createCustomerFromContact);
+
 // Update customer (full edit)
 router.put('/:id', customerController.updateCustomer);
 
@@ -64,6 +67,9 @@ router.patch('/:id/tags', customerController.updateCustomerTags);
 // Block/unblock customer
 router.patch('/:id/block', customerController.toggleBlockCustomer);
 
+// Opt out of / back into campaigns
+router.patch('/:id/opt-out', customerController.toggleOptOutCustomer);
+
 // Delete customer (soft delete by default)
 router.delete('/:id', customerController.deleteCustomer);
 
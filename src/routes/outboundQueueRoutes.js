@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const outboundQueueController = require('../controllers/outboundQueueController');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+
+/**
+ * Outbound Queue Routes
+ * Inspect and retry outbound WhatsApp send jobs - admin only
+ */
+router.use(authenticateToken, requireRole('admin'));
+
+router.get('/stats', outboundQueueController.getQueueStats);
+router.get('/jobs', outboundQueueController.getJobs);
+router.get('/jobs/:id', outboundQueueController.getJobById);
+router.post('/jobs/:id/retry', outboundQueueController.retryJob);
+router.post('/retry-dead', outboundQueueController.retryDeadJobs);
+
+module.exports = router;
@@ -1,7 +1,51 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const templateController = require('../controllers/templateController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+
+// Header samples for new templates and header media for sends (memory storage, types checked per header format)
+const headerFileUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 16 * 1024 * 1024 // 16MB max file size
+    }
+});
+
+// Recipients files for personalised bulk sends (same formats as the customer import)
+const recipientsFileUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB max file size
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedMimes = [
+            'application/vnd.ms-excel',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'text/csv'
+        ];
+
+        if (allowedMimes.includes(file.mimetype) ||
+            file.originalname.match(/\.(xlsx|xls|csv)$/i)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only XLSX, XLS, and CSV files are allowed'));
+        }
+    }
+});
+
+// Return upload errors as JSON instead of the default HTML error page
+const jsonUploadErrors = (upload) => (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ success: false, message: err.message });
+        }
+        next();
+    });
+};
+
+const uploadHeaderFile = jsonUploadErrors(headerFileUpload);
+const uploadRecipientsFile = jsonUploadErrors(recipientsFileUpload);
 
 // All template routes require authentication
 router.use(authenticateToken);
@@ -9,13 +53,20 @@ router.use(authenticateToken);
 // Template management routes (specific routes before parameterized routes)
 router.post('/sync', templateController.syncTemplates);
 router.get('/stats', templateController.getTemplateStats);
+router.post('/header-sample', requireRole('admin', 'supervisor'), uploadHeaderFile, templateController.uploadHeaderSample);
+router.post('/header-media', uploadHeaderFile, templateController.uploadHeaderMedia);
+router.post('/recipients-file', uploadRecipientsFile, templateController.uploadRecipientsFile);
+router.get('/parameter-sources', templateController.getParameterSources);
 router.get('/', templateController.getTemplates);
+router.post('/', requireRole('admin', 'supervisor'), templateController.createTemplate);
 router.get('/:id', templateController.getTemplateById);
 router.put('/:id', templateController.updateTemplate);
 router.delete('/:id', templateController.deleteTemplate);
+router.post('/:id/refresh-status', templateController.refreshTemplateStatus);
 
 // Template sending routes
 router.post('/send', templateController.sendTemplateToCustomer);
 router.post('/send-bulk', templateController.sendTemplateBulk);
+router.post('/preview', templateController.previewTemplateSend);
 
 module.exports = router;
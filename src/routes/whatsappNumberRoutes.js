@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const whatsappNumberController = require('../controllers/whatsappNumberController');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+
+/**
+ * WhatsApp Number Routes
+ * Sender number registry - agents can list numbers, admins manage them
+ */
+router.use(authenticateToken);
+
+router.get('/', whatsappNumberController.getNumbers);
+router.get('/registry', requireRole('admin'), whatsappNumberController.getRegistry);
+router.post('/', requireRole('admin'), whatsappNumberController.createNumber);
+router.put('/:id', requireRole('admin'), whatsappNumberController.updateNumber);
+router.delete('/:id', requireRole('admin'), whatsappNumberController.deleteNumber);
+
+module.exports = router;
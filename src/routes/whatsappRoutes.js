@@ -1,10 +1,11 @@
 const express = require('express');
 const whatsappController = require('../controllers/whatsappController');
+const { verifyWebhookSignature } = require('../middleware/webhookSignatureMiddleware');
 const router = express.Router();
 
 router
     .get('/', whatsappController.verifyToken)
-    .post('/', whatsappController.receivedMessage)
+    .post('/', verifyWebhookSignature, whatsappController.receivedMessage)
     .post('/send', whatsappController.sendTemplateData)
     .post('/send', whatsappController.sendTemplateData)
     .post('/cleanup-thread', whatsappController.cleanupUserThread)
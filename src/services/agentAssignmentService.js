@@ -2,13 +2,36 @@ const Agent = require('../models/Agent');
 const Conversation = require('../models/Conversation');
 const AgentAssignmentHistory = require('../models/AgentAssignmentHistory');
 const Message = require('../models/Message');
+const CRMSettings = require('../models/CRMSettings');
 const conversationAnalysisService = require('./conversationAnalysisService');
 const agentNotificationService = require('./agentNotificationService');
+const slaService = require('./slaService');
+const businessHoursService = require('./businessHoursService');
+const { emitToConversation } = require('./socketRoomService');
+
+// Common words used to tell the customer's language from their messages
+const LANGUAGE_HINTS = {
+    es: ['hola', 'gracias', 'por', 'favor', 'quiero', 'necesito', 'para', 'como', 'cómo', 'está', 'tengo', 'mi', 'el', 'la', 'que', 'qué', 'buenas', 'ayuda', 'pedido', 'cuenta'],
+    en: ['hello', 'hi', 'thanks', 'thank', 'please', 'want', 'need', 'for', 'how', 'is', 'have', 'my', 'the', 'what', 'help', 'order', 'account', 'you', 'can', 'with']
+};
+const MIN_LANGUAGE_HINTS = 2;
+
+/**
+ * Maximum active conversations for an agent (own limit capped by the CRM setting)
+ */
+function getAgentCapacity(agent, settings) {
+    const globalLimit = settings?.agentAssignment?.maxActiveConversations;
+    return globalLimit ? Math.min(agent.maxConcurrentChats, globalLimit) : agent.maxConcurrentChats;
+}
 
 /**
  * Get available agents for assignment
+ * @param {object} filters - Extra Agent query filters
+ * @param {object} settings - CRMSettings (loaded when omitted) - caps capacity at maxActiveConversations
  */
-async function getAvailableAgents(filters = {}) {
+async function getAvailableAgents(filters = {}, settings = null) {
+    settings = settings || await CRMSettings.getSettings();
+
     const query = {
         isActive: true,
         status: { $in: ['online', 'away'] },
@@ -17,9 +40,8 @@ async function getAvailableAgents(filters = {}) {
 
     console.log(`🔍 Searching for available agents with filters:`, query);
 
-    const agents = await Agent.find(query)
-        .where('statistics.activeAssignments')
-        .lt(20); // Max 20 concurrent chats (using the max value from schema)
+    const agents = (await Agent.find(query))
+        .filter(agent => agent.statistics.activeAssignments < getAgentCapacity(agent, settings));
 
     console.log(`📊 Found ${agents.length} available agent(s):`, 
         agents.map(a => `${a.email} (${a.status}, ${a.statistics.activeAssignments} chats)`).join(', ') || 'none'
@@ -30,8 +52,125 @@ async function getAvailableAgents(filters = {}) {
     );
 }
 
+/**
+ * Normalize a language code ('es_MX', 'en-US', 'EN') to its base language ('es', 'en')
+ */
+function baseLanguage(code) {
+    return code ? code.toLowerCase().split(/[-_]/)[0] : null;
+}
+
+/**
+ * Language of a conversation: detected from the customer's recent messages,
+ * falling back to the customer's preferred language
+ * @param {object} conversation - Conversation document
+ * @param {object} customer - Customer (lean or document)
+ * @returns {Promise<string>} - Base language code
+ */
+async function detectConversationLanguage(conversation, customer) {
+    const recentMessages = await Message.find({ conversationId: conversation._id, sender: 'customer' })
+        .sort({ timestamp: -1 })
+        .limit(10)
+        .select('content')
+        .lean();
+
+    const words = recentMessages
+        .map(message => message.content || '')
+        .join(' ')
+        .toLowerCase()
+        .split(/[^a-záéíóúñü]+/);
+
+    const scores = Object.fromEntries(Object.entries(LANGUAGE_HINTS).map(([language, hints]) =>
+        [language, words.filter(word => hints.includes(word)).length]
+    ));
+    const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+
+    if (best[1] >= MIN_LANGUAGE_HINTS && best[1] > runnerUp[1]) {
+        return best[0];
+    }
+
+    return baseLanguage(customer?.preferences?.language) || baseLanguage(conversation.language) || 'es';
+}
+
+/**
+ * Pick the least loaded agent of a group
+ * Load is relative to each agent's capacity; with round robin, ties go to the agent with fewer assignments overall
+ */
+function pickAgent(agents, settings) {
+    if (agents.length === 0) return null;
+
+    const { considerWorkload, roundRobin } = settings.agentAssignment;
+    const load = agent => agent.statistics.activeAssignments / getAgentCapacity(agent, settings);
+
+    return [...agents].sort((a, b) =>
+        (considerWorkload ? load(a) - load(b) : 0) ||
+        (roundRobin ? a.statistics.totalAssignments - b.statistics.totalAssignments : 0)
+    )[0];
+}
+
+/**
+ * Find the best available agent for a conversation
+ * Walks agentAssignment.routingOrder until a step finds an agent:
+ * - preferred_agent     - Customer.preferences.preferredAgent
+ * - previous_agent      - the last agent who handled this customer (when preferSameAgent is on)
+ * - skill_and_language  - skills include the conversation category and languages include its language
+ * - language            - languages include the conversation language
+ * - skill               - skills include the conversation category
+ * - any                 - any available agent
+ * @param {object} conversation - Conversation document
+ * @param {object} settings - CRMSettings
+ * @returns {Promise<object|null>} - { agent, step, language } or null
+ */
+async function findBestAgent(conversation, settings) {
+    const Customer = require('../models/Customer');
+
+    const candidates = await getAvailableAgents({ autoAssign: true }, settings);
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const customer = await Customer.findById(conversation.customerId?._id || conversation.customerId)
+        .select('preferences')
+        .lean();
+    const language = await detectConversationLanguage(conversation, customer);
+    const category = conversation.category;
+
+    const speaks = agent => (agent.languages || []).some(code => baseLanguage(code) === language);
+    const knows = agent => (agent.skills || []).includes(category);
+    const byId = id => candidates.filter(agent => id && agent._id.equals(id));
+
+    const steps = {
+        preferred_agent: async () => byId(customer?.preferences?.preferredAgent),
+        previous_agent: async () => {
+            if (!settings.agentAssignment.preferSameAgent || !customer) return [];
+            const lastAssignment = await AgentAssignmentHistory.findOne({ customerId: customer._id })
+                .sort({ assignedAt: -1 })
+                .select('agentId')
+                .lean();
+            return byId(lastAssignment?.agentId);
+        },
+        skill_and_language: async () => candidates.filter(agent => knows(agent) && speaks(agent)),
+        language: async () => candidates.filter(speaks),
+        skill: async () => candidates.filter(knows),
+        any: async () => candidates
+    };
+
+    const routingOrder = settings.agentAssignment.routingOrder?.length
+        ? settings.agentAssignment.routingOrder
+        : CRMSettings.ROUTING_STEPS;
+
+    for (const step of routingOrder) {
+        const agent = pickAgent(await steps[step](), settings);
+        if (agent) {
+            return { agent, step, language };
+        }
+    }
+
+    return { agent: null, step: null, language };
+}
+
 /**
  * Auto-assign conversation to best available agent
+ * Nothing is assigned outside business hours - agents pick conversations up when they are back
  */
 async function autoAssignConversation(conversationId) {
     const conversation = await Conversation.findById(conversationId);
@@ -39,25 +178,34 @@ async function autoAssignConversation(conversationId) {
         return null;
     }
 
-    // Get available agents with auto-assign enabled
-    let availableAgents = await getAvailableAgents({ autoAssign: true });
+    const settings = await CRMSettings.getSettings();
+    if (!settings.agentAssignment.autoAssignEnabled) {
+        console.log(`⏸️ Auto-assignment disabled - conversation ${conversationId} left for manual assignment`);
+        return null;
+    }
+
+    if (!businessHoursService.isWithinBusinessHours(settings)) {
+        console.log(`🌙 Outside business hours - skipping auto-assignment of conversation ${conversationId}`);
+        return null;
+    }
+
+    const match = await findBestAgent(conversation, settings);
 
-    // Fallback: if no auto-assign agents, get ANY available agent
-    if (availableAgents.length === 0) {
-        console.log('⚠️ No auto-assign agents available, trying any available agent');
-        availableAgents = await getAvailableAgents();
+    if (match?.language && conversation.language !== match.language) {
+        conversation.language = match.language;
+        await conversation.save();
     }
 
-    if (availableAgents.length === 0) {
-        console.log('❌ No available agents for assignment');
+    if (!match?.agent) {
+        console.log(`❌ No available agents for assignment (category: ${conversation.category}, language: ${match?.language || 'unknown'})`);
         return null;
     }
 
-    // Simple load balancing: assign to agent with fewest active chats
-    const selectedAgent = availableAgents[0];
-    console.log(`✅ Selected agent ${selectedAgent.email} for auto-assignment (${selectedAgent.statistics.activeAssignments} active chats)`);
+    const selectedAgent = match.agent;
+    console.log(`✅ Selected agent ${selectedAgent.email} for auto-assignment via ${match.step} (category: ${conversation.category}, language: ${match.language}, ${selectedAgent.statistics.activeAssignments} active chats)`);
 
-    return await assignConversationToAgent(conversationId, selectedAgent._id);
+    const assignment = await assignConversationToAgent(conversationId, selectedAgent._id);
+    return { ...assignment, routing: { step: match.step, language: match.language, category: conversation.category } };
 }
 
 /**
@@ -96,8 +244,9 @@ async function assignConversationToAgent(conversationId, agentId, assignedBy = n
         throw new Error('Agent must enable auto-assign to take conversations');
     }
 
-    // Check if agent has capacity
-    if (agent.statistics.activeAssignments >= agent.maxConcurrentChats) {
+    // Check if agent has capacity (own limit, capped by the CRM setting)
+    const settings = await CRMSettings.getSettings();
+    if (agent.statistics.activeAssignments >= getAgentCapacity(agent, settings)) {
         throw new Error('Agent has reached maximum concurrent chats');
     }
 
@@ -115,6 +264,11 @@ async function assignConversationToAgent(conversationId, agentId, assignedBy = n
         agentLanguage
     );
 
+    // Hand-off from the AI: the agent's first response is measured from now
+    if (conversation.isAIEnabled) {
+        await slaService.restartFirstResponseClock(conversation);
+    }
+
     // Update conversation
     conversation.assignedAgent = agentId;
     conversation.assignedAt = new Date();
@@ -122,8 +276,15 @@ async function assignConversationToAgent(conversationId, agentId, assignedBy = n
     conversation.status = 'assigned';
     conversation.isAIEnabled = false;  // Disable AI when assigned to agent
 
+    const wasQueued = !!conversation.queue?.enteredAt;
+    conversation.queue = undefined;  // Leaves the waiting queue
+
     await conversation.save();
 
+    if (wasQueued) {
+        require('./waitingQueueService').emitQueueUpdate();
+    }
+
     // Create assignment history record with context
     const assignmentHistory = new AgentAssignmentHistory({
         conversationId: conversation._id,
@@ -167,8 +328,8 @@ async function assignConversationToAgent(conversationId, agentId, assignedBy = n
         assignmentHistoryId: assignmentHistory._id
     });
 
-    // Emit to all agents (for dashboard updates)
-    io.emit('agent_assignment_update', {
+    // Emit to the assigned agent and supervisors (for dashboard updates)
+    emitToConversation(conversation, 'agent_assignment_update', {
         agentId,
         conversationId,
         action: 'assigned'
@@ -196,8 +357,10 @@ async function assignConversationToAgent(conversationId, agentId, assignedBy = n
 
 /**
  * Release conversation from agent (back to AI)
+ * @param {object} options
+ * @param {boolean} options.drainQueue - Offer the freed slot to the waiting queue (off while transferring)
  */
-async function releaseConversation(conversationId, agentId, reason = null) {
+async function releaseConversation(conversationId, agentId, reason = null, { drainQueue = true } = {}) {
     const { io } = require('../models/server');
     const Customer = require('../models/Customer');
 
@@ -329,7 +492,7 @@ async function releaseConversation(conversationId, agentId, reason = null) {
         conversationId
     });
 
-    io.emit('agent_assignment_update', {
+    emitToConversation(conversation, 'agent_assignment_update', {
         agentId: previousAgent,
         conversationId,
         action: 'released'
@@ -337,6 +500,11 @@ async function releaseConversation(conversationId, agentId, reason = null) {
 
     console.log(`✅ Conversation ${conversationId} released from agent ${agentId}`);
 
+    // The agent has a free slot - hand it the next waiting conversation
+    if (drainQueue) {
+        require('./waitingQueueService').triggerQueueProcessing('release');
+    }
+
     return { conversation };
 }
 
@@ -344,15 +512,18 @@ async function releaseConversation(conversationId, agentId, reason = null) {
  * Transfer conversation to another agent
  */
 async function transferConversation(conversationId, fromAgentId, toAgentId, reason = null) {
-    // Release from current agent
-    await releaseConversation(conversationId, fromAgentId, reason);
+    // Release from current agent (the queue is drained once the new agent has it)
+    await releaseConversation(conversationId, fromAgentId, reason, { drainQueue: false });
 
     // Assign to new agent
-    return await assignConversationToAgent(conversationId, toAgentId, fromAgentId);
+    const result = await assignConversationToAgent(conversationId, toAgentId, fromAgentId);
+    require('./waitingQueueService').triggerQueueProcessing('transfer');
+    return result;
 }
 
 module.exports = {
     getAvailableAgents,
+    findBestAgent,
     autoAssignConversation,
     assignConversationToAgent,
     releaseConversation,
@@ -1,9 +1,14 @@
 const whatsappService = require('./whatsappService');
-const { buildTextJSON } = require('../shared/whatsappModels');
+const { buildTextJSON, buildMediaJSON } = require('../shared/whatsappModels');
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
 const Customer = require('../models/Customer');
 const Agent = require('../models/Agent');
+const { formatReplySnippet } = require('./replyContextService');
+const whatsappNumberService = require('./whatsappNumberService');
+const slaService = require('./slaService');
+const { emitToConversation } = require('./socketRoomService');
+const messageStatusService = require('./messageStatusService');
 
 /**
  * Detect if incoming WhatsApp message is from an agent
@@ -24,8 +29,9 @@ async function detectAgentMessage(phoneNumber) {
  * Handle agent message from WhatsApp (relay to customer)
  *
  * Format: Agents send messages like "REPLY 52123456789: Your message here"
+ * @param {string} phoneNumberId - Number the agent wrote to (help/confirmation replies are sent from it)
  */
-async function handleAgentWhatsAppMessage(agent, messageObject, phoneNumber) {
+async function handleAgentWhatsAppMessage(agent, messageObject, phoneNumber, phoneNumberId = null) {
     const messageText = messageObject.text.body;
 
     // Parse message format: "REPLY <customer_phone>: <message>"
@@ -36,7 +42,7 @@ async function handleAgentWhatsAppMessage(agent, messageObject, phoneNumber) {
         // Not a valid relay message, send help text
         const helpText = `Formato correcto para responder:\nREPLY <teléfono_cliente>: Tu mensaje aquí\n\nEjemplo:\nREPLY 52123456789: Hola, ¿en qué puedo ayudarte?`;
         const replyPayload = buildTextJSON(phoneNumber, helpText);
-        whatsappService.sendWhatsappResponse(replyPayload);
+        whatsappService.sendWhatsappResponse(replyPayload, phoneNumberId);
         return;
     }
 
@@ -49,7 +55,7 @@ async function handleAgentWhatsAppMessage(agent, messageObject, phoneNumber) {
     if (!customer) {
         const errorText = `Cliente ${customerPhone} no encontrado.`;
         const replyPayload = buildTextJSON(phoneNumber, errorText);
-        whatsappService.sendWhatsappResponse(replyPayload);
+        whatsappService.sendWhatsappResponse(replyPayload, phoneNumberId);
         return;
     }
 
@@ -62,12 +68,12 @@ async function handleAgentWhatsAppMessage(agent, messageObject, phoneNumber) {
     if (!conversation) {
         const errorText = `No tienes una conversación activa con ${customerPhone}.`;
         const replyPayload = buildTextJSON(phoneNumber, errorText);
-        whatsappService.sendWhatsappResponse(replyPayload);
+        whatsappService.sendWhatsappResponse(replyPayload, phoneNumberId);
         return;
     }
 
     // Send message to customer
-    await sendAgentMessageToCustomer(
+    const sentMessage = await sendAgentMessageToCustomer(
         conversation._id,
         customer._id,
         agent._id,
@@ -77,22 +83,19 @@ async function handleAgentWhatsAppMessage(agent, messageObject, phoneNumber) {
     );
 
     // Confirm to agent
-    const confirmText = `✅ Mensaje enviado a ${customer.firstName || customerPhone}`;
+    const confirmText = sentMessage.status === 'failed'
+        ? `❌ No se pudo enviar el mensaje a ${customer.firstName || customerPhone}: ${sentMessage.whatsappError}`
+        : `✅ Mensaje enviado a ${customer.firstName || customerPhone}`;
     const confirmPayload = buildTextJSON(phoneNumber, confirmText);
-    whatsappService.sendWhatsappResponse(confirmPayload);
+    whatsappService.sendWhatsappResponse(confirmPayload, phoneNumberId);
 }
 
 /**
  * Send agent message to customer (from Web UI or WhatsApp)
+ * @param {object} quotedMessage - Optional Message being replied to (must have a whatsappMessageId)
  */
-async function sendAgentMessageToCustomer(conversationId, customerId, agentId, customerPhone, messageText, source = 'web') {
-    const { io } = require('../models/server');
-
-    // Send via WhatsApp
-    const replyPayload = buildTextJSON(customerPhone, messageText);
-    whatsappService.sendWhatsappResponse(replyPayload);
-
-    // Save to database
+async function sendAgentMessageToCustomer(conversationId, customerId, agentId, customerPhone, messageText, source = 'web', quotedMessage = null) {
+    // Save to database first (pending until the send response stores its wamid)
     const newMessage = new Message({
         conversationId,
         customerId,
@@ -101,10 +104,36 @@ async function sendAgentMessageToCustomer(conversationId, customerId, agentId, c
         direction: 'outbound',
         sender: 'agent',
         agentId,
-        status: 'sent'
+        replyTo: quotedMessage?._id,
+        status: 'pending'
     });
     await newMessage.save();
 
+    // Send via WhatsApp, from the number the conversation arrived on
+    let sendResult;
+    try {
+        const phoneNumberId = await whatsappNumberService.getConversationPhoneNumberId(conversationId);
+        const replyPayload = buildTextJSON(customerPhone, messageText, quotedMessage?.whatsappMessageId);
+        sendResult = await whatsappService.sendWhatsappResponse(replyPayload, phoneNumberId);
+    } catch (error) {
+        sendResult = {
+            success: false,
+            messageId: null,
+            statusCode: null,
+            error: { code: null, subcode: null, type: 'SendError', title: error.message, message: error.message }
+        };
+    }
+
+    if (!sendResult.success) {
+        console.error(`❌ WhatsApp rejected agent message to ${customerPhone}: ${sendResult.error.message}`);
+    }
+
+    newMessage.set(whatsappService.getDeliveryFields(sendResult));
+    await newMessage.save();
+
+    // Statuses whose webhook beat the send response
+    await messageStatusService.applyPendingStatuses(newMessage.whatsappMessageId);
+
     // Update conversation
     await Conversation.findByIdAndUpdate(conversationId, {
         $inc: { messageCount: 1 },
@@ -125,26 +154,222 @@ async function sendAgentMessageToCustomer(conversationId, customerId, agentId, c
     });
 
     // Emit socket event
-    io.emit('new_message', {
+    emitToConversation(conversationId, 'new_message', {
         chatId: conversationId.toString(),
         message: {
             id: newMessage._id.toString(),
             text: newMessage.content,
             sender: 'me',
             timestamp: newMessage.timestamp,
+            status: newMessage.status,
+            error: newMessage.whatsappError,
+            replyTo: formatReplySnippet(quotedMessage),
             agentId: agentId.toString()
         }
     });
 
     // Emit to other agents for real-time updates
-    io.emit('agent_message_sent', {
+    emitToConversation(conversationId, 'agent_message_sent', {
         conversationId,
         agentId,
         messageText,
         source
     });
 
-    console.log(`✅ Agent message sent to customer ${customerPhone} (source: ${source})`);
+    if (sendResult.success) {
+        console.log(`✅ Agent message sent to customer ${customerPhone} (source: ${source})`);
+        await slaService.recordFirstResponse(conversationId);
+    }
+
+    return newMessage;
+}
+
+/**
+ * MIME types accepted by the WhatsApp Cloud API per media type, with their size limits
+ */
+const ATTACHMENT_TYPES = {
+    image: {
+        mimeTypes: ['image/jpeg', 'image/png'],
+        maxSize: 5 * 1024 * 1024
+    },
+    audio: {
+        mimeTypes: ['audio/aac', 'audio/amr', 'audio/mpeg', 'audio/mp4', 'audio/ogg'],
+        maxSize: 16 * 1024 * 1024
+    },
+    video: {
+        mimeTypes: ['video/mp4', 'video/3gpp'],
+        maxSize: 16 * 1024 * 1024
+    },
+    document: {
+        mimeTypes: [
+            'application/pdf',
+            'text/plain',
+            'text/csv',
+            'application/msword',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.ms-excel',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.ms-powerpoint',
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+        ],
+        maxSize: 16 * 1024 * 1024
+    }
+};
+
+const ATTACHMENT_PREVIEWS = {
+    image: '📷 Image',
+    audio: '🎤 Audio',
+    video: '🎬 Video'
+};
+
+/**
+ * Resolve the WhatsApp media type for an uploaded file
+ * @param {string} mimeType - File MIME type
+ * @returns {string|null} - 'image' | 'audio' | 'video' | 'document', or null if WhatsApp does not accept it
+ */
+function getAttachmentMediaType(mimeType) {
+    const baseType = (mimeType || '').split(';')[0].trim().toLowerCase();
+    const mediaType = Object.keys(ATTACHMENT_TYPES)
+        .find(type => ATTACHMENT_TYPES[type].mimeTypes.includes(baseType));
+
+    return mediaType || null;
+}
+
+/**
+ * Send an agent attachment (image, document, audio, video) to the customer
+ *
+ * The file is stored for the chat history (Cloudinary or local disk), uploaded to the
+ * WhatsApp media API and sent by media ID. The outbound Message is saved even if
+ * WhatsApp rejects it, so the agent sees the failure in the chat.
+ *
+ * @param {object} file - Uploaded file { buffer, mimetype, originalname, size } (multer memory storage)
+ * @param {string} caption - Optional caption (ignored by WhatsApp for audio)
+ * @param {object} quotedMessage - Optional Message being replied to (must have a whatsappMessageId)
+ */
+async function sendAgentMediaToCustomer(conversationId, customerId, agentId, customerPhone, file, caption = '', source = 'web', quotedMessage = null) {
+    const mediaStorageService = require('./mediaStorageService');
+
+    const mediaType = getAttachmentMediaType(file.mimetype);
+    if (!mediaType) {
+        throw new Error(`Unsupported file type: ${file.mimetype}`);
+    }
+    if (file.size > ATTACHMENT_TYPES[mediaType].maxSize) {
+        throw new Error(`File too large for ${mediaType} (max ${ATTACHMENT_TYPES[mediaType].maxSize / (1024 * 1024)} MB)`);
+    }
+
+    const filename = file.originalname || `${mediaType}-${Date.now()}`;
+    const text = mediaType === 'audio' ? '' : (caption || '').trim();
+
+    // Store a copy for the chat history
+    const stored = await mediaStorageService.storeMedia(file.buffer, {
+        filename,
+        mimeType: file.mimetype,
+        mediaType,
+        subfolder: customerPhone
+    });
+
+    const content = text || (mediaType === 'document' ? filename : `[${mediaType.charAt(0).toUpperCase()}${mediaType.slice(1)}]`);
+    const preview = mediaType === 'document' ? `📄 ${filename}` : (text || ATTACHMENT_PREVIEWS[mediaType]);
+
+    // Save to database first (pending until the send response stores its wamid)
+    const newMessage = new Message({
+        conversationId,
+        customerId,
+        content,
+        type: mediaType,
+        direction: 'outbound',
+        sender: 'agent',
+        agentId,
+        attachments: [{
+            type: mediaType,
+            url: stored.url,
+            publicId: stored.publicId,
+            filename,
+            mimeType: file.mimetype,
+            size: file.size
+        }],
+        replyTo: quotedMessage?._id,
+        status: 'pending'
+    });
+    await newMessage.save();
+
+    // Upload to WhatsApp and send by media ID, from the number the conversation arrived on
+    let sendResult;
+    try {
+        const phoneNumberId = await whatsappNumberService.getConversationPhoneNumberId(conversationId);
+        const mediaId = await whatsappService.uploadMedia(file.buffer, file.mimetype, filename, phoneNumberId);
+        const payload = buildMediaJSON(customerPhone, mediaType, mediaId, {
+            caption: text,
+            filename,
+            replyToWamid: quotedMessage?.whatsappMessageId
+        });
+        sendResult = await whatsappService.sendWhatsappResponse(payload, phoneNumberId);
+    } catch (error) {
+        sendResult = {
+            success: false,
+            messageId: null,
+            statusCode: null,
+            error: { code: null, subcode: null, type: 'MediaUploadError', title: error.message, message: error.message }
+        };
+    }
+
+    if (!sendResult.success) {
+        console.error(`❌ WhatsApp rejected agent ${mediaType} to ${customerPhone}: ${sendResult.error.message}`);
+    }
+
+    newMessage.set(whatsappService.getDeliveryFields(sendResult));
+    await newMessage.save();
+
+    // Statuses whose webhook beat the send response
+    await messageStatusService.applyPendingStatuses(newMessage.whatsappMessageId);
+
+    // Update conversation
+    await Conversation.findByIdAndUpdate(conversationId, {
+        $inc: { messageCount: 1 },
+        lastAgentResponse: new Date(),
+        lastMessage: {
+            content: preview,
+            timestamp: new Date(),
+            from: 'agent',
+            type: mediaType
+        },
+        unreadCount: 0
+    });
+
+    // Update agent statistics
+    await Agent.findByIdAndUpdate(agentId, {
+        $inc: { 'statistics.totalMessages': 1 },
+        lastActivity: new Date()
+    });
+
+    // Emit socket event
+    emitToConversation(conversationId, 'new_message', {
+        chatId: conversationId.toString(),
+        message: {
+            id: newMessage._id.toString(),
+            text: newMessage.content,
+            sender: 'me',
+            timestamp: newMessage.timestamp,
+            type: mediaType,
+            attachments: newMessage.attachments,
+            status: newMessage.status,
+            error: newMessage.whatsappError,
+            replyTo: formatReplySnippet(quotedMessage),
+            agentId: agentId.toString()
+        }
+    });
+
+    emitToConversation(conversationId, 'agent_message_sent', {
+        conversationId,
+        agentId,
+        messageText: preview,
+        source
+    });
+
+    if (sendResult.success) {
+        console.log(`✅ Agent ${mediaType} sent to customer ${customerPhone} (source: ${source})`);
+        await slaService.recordFirstResponse(conversationId);
+    }
 
     return newMessage;
 }
@@ -152,5 +377,8 @@ async function sendAgentMessageToCustomer(conversationId, customerId, agentId, c
 module.exports = {
     detectAgentMessage,
     handleAgentWhatsAppMessage,
-    sendAgentMessageToCustomer
+    sendAgentMessageToCustomer,
+    sendAgentMediaToCustomer,
+    getAttachmentMediaType,
+    ATTACHMENT_TYPES
 };
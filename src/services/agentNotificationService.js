@@ -24,15 +24,46 @@ const getAgentLanguage = (agent) => {
     return 'es_MX';
 };
 
+// Approved in es_MX and en_US; the variant is picked per agent language
+const ASSIGNMENT_TEMPLATE_NAME = 'agent_assignment_notification';
+
 /**
- * Get template name based on language
- * @param {string} languageCode - Language code ('en_US' or 'es_MX')
- * @returns {string} Template name
+ * Language of the template variant to send to an agent
+ * Uses the agent's language when that variant exists, else the fallback variant
+ * @param {string} templateName - Template name
+ * @param {Object} agent - Agent object
+ * @returns {Promise<string>} Language code of the variant (e.g. 'en_US', 'es_MX')
  */
-const getAssignmentTemplateName = (languageCode) => {
-    return languageCode === 'en_US'
-        ? 'agent_assignment_notification_en'
-        : 'agent_assignment_notification_es';
+const getTemplateLanguage = async (templateName, agent) => {
+    const templateService = require('./templateService');
+    return templateService.resolveTemplateLanguage(templateName, getAgentLanguage(agent));
+};
+
+// One template per language, used before the variants of ASSIGNMENT_TEMPLATE_NAME were created
+const LEGACY_ASSIGNMENT_TEMPLATE_NAMES = {
+    en_US: 'agent_assignment_notification_en',
+    es_MX: 'agent_assignment_notification_es'
+};
+
+/**
+ * Template name and language for an agent's assignment notification
+ * Falls back to the legacy per-language names while no approved variant of ASSIGNMENT_TEMPLATE_NAME is synced
+ * @param {Object} agent - Agent object
+ * @returns {Promise<{templateName: string, languageCode: string}>}
+ */
+const getAssignmentTemplate = async (agent) => {
+    const templateService = require('./templateService');
+    const variants = await templateService.getTemplateVariants(ASSIGNMENT_TEMPLATE_NAME);
+
+    if (variants.length === 0) {
+        const languageCode = getAgentLanguage(agent);
+        return { templateName: LEGACY_ASSIGNMENT_TEMPLATE_NAMES[languageCode], languageCode };
+    }
+
+    return {
+        templateName: ASSIGNMENT_TEMPLATE_NAME,
+        languageCode: await getTemplateLanguage(ASSIGNMENT_TEMPLATE_NAME, agent)
+    };
 };
 
 /**
@@ -54,16 +85,16 @@ const sendAssignmentNotification = async (agent, customer, conversation = null)
         const agentPhone = formatNumber(agent.phoneNumber);
 
         // Determine language
-        const languageCode = getAgentLanguage(agent);
-        const templateName = getAssignmentTemplateName(languageCode);
+        const { templateName, languageCode } = await getAssignmentTemplate(agent);
 
         // Build template parameters
         const customerName = customer.firstName || customer.phoneNumber;
         const customerPhone = customer.phoneNumber;
-        const priority = conversation?.priority || (languageCode === 'en_US' ? 'Medium' : 'Media');
+        const isEnglish = languageCode.startsWith('en');
+        const priority = conversation?.priority || (isEnglish ? 'Medium' : 'Media');
 
         // Map priority to correct language
-        const priorityText = languageCode === 'en_US'
+        const priorityText = isEnglish
             ? priority
             : translatePriority(priority);
 
@@ -98,6 +129,63 @@ const sendAssignmentNotification = async (agent, customer, conversation = null)
     }
 };
 
+/**
+ * Send SLA breach alert to the assigned agent via WhatsApp template
+ * The template takes {{1}} customer name, {{2}} customer phone, {{3}} missed target
+ * and is sent in the agent's language (es_MX / en_US) when that variant is approved
+ * @param {Object} agent - Agent object
+ * @param {Object} customer - Customer object
+ * @param {Object} conversation - Conversation object
+ * @param {string} slaType - 'first_response' | 'resolution'
+ * @param {string} templateName - Template name (CRMSettings.sla.alertTemplate)
+ * @returns {Promise<boolean>} Success status
+ */
+const sendSLABreachNotification = async (agent, customer, conversation, slaType, templateName) => {
+    try {
+        if (!agent.phoneNumber) {
+            console.warn(`⚠️ Agent ${agent.email} does not have a phone number configured. Skipping SLA alert.`);
+            return false;
+        }
+
+        const agentPhone = formatNumber(agent.phoneNumber);
+        const languageCode = await getTemplateLanguage(templateName, agent);
+
+        const slaLabels = {
+            en_US: { first_response: 'First response', resolution: 'Resolution' },
+            es_MX: { first_response: 'Primera respuesta', resolution: 'Resolución' }
+        };
+
+        const parameters = [
+            { type: 'text', text: customer?.firstName || customer?.phoneNumber || '-' },
+            { type: 'text', text: customer?.phoneNumber || '-' },
+            { type: 'text', text: slaLabels[languageCode.startsWith('en') ? 'en_US' : 'es_MX'][slaType] || slaType }
+        ];
+
+        console.log(`📤 Sending SLA breach alert to agent ${agent.email} (${agentPhone})`);
+        console.log(`   Template: ${templateName} (${languageCode}), conversation ${conversation._id}`);
+
+        const templateData = buildTemplateJSON(
+            agentPhone,
+            templateName,
+            parameters,
+            languageCode
+        );
+
+        const result = await whatsappService.sendWhatsappResponse(templateData);
+        if (!result.success) {
+            console.error(`❌ SLA alert to ${agent.email} rejected: ${result.error?.message}`);
+            return false;
+        }
+
+        console.log(`✅ SLA breach alert sent to agent ${agent.email}`);
+        return true;
+
+    } catch (error) {
+        console.error('❌ Error sending SLA breach alert to agent:', error);
+        return false;
+    }
+};
+
 /**
  * Translate priority to Spanish
  * @param {string} priority - Priority in English
@@ -118,6 +206,8 @@ const translatePriority = (priority) => {
 
 module.exports = {
     sendAssignmentNotification,
+    sendSLABreachNotification,
     getAgentLanguage,
-    getAssignmentTemplateName
+    getTemplateLanguage,
+    getAssignmentTemplate
 };
@@ -60,6 +60,19 @@ function verifyToken(token) {
     }
 }
 
+/**
+ * Verify an access token (refresh tokens are rejected)
+ */
+function verifyAccessToken(token) {
+    const decoded = verifyToken(token);
+
+    if (decoded.type === 'refresh') {
+        throw new Error('Access token required');
+    }
+
+    return decoded;
+}
+
 /**
  * Login agent
  */
@@ -162,6 +175,7 @@ module.exports = {
     generateAccessToken,
     generateRefreshToken,
     verifyToken,
+    verifyAccessToken,
     login,
     refreshAccessToken,
     logout
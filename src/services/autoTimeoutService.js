@@ -1,11 +1,16 @@
 const Conversation = require('../models/Conversation');
 const Agent = require('../models/Agent');
+const CRMSettings = require('../models/CRMSettings');
+const leaderElectionService = require('./leaderElectionService');
+const businessHoursService = require('./businessHoursService');
+const { emitToConversation } = require('./socketRoomService');
 
 // Configuration
 const INACTIVITY_TIMEOUT = 15 * 60 * 1000; // 15 minutes in milliseconds
 const CHECK_INTERVAL = 2 * 60 * 1000; // Check every 2 minutes
 
 let timeoutCheckInterval = null;
+let unsubscribeLeadership = null; // Runs the first check when this instance is elected leader
 
 /**
  * Start the auto-timeout check background job
@@ -18,11 +23,9 @@ function startAutoTimeoutService() {
 
     console.log('🚀 Starting auto-timeout service...');
 
-    // Run immediately on start
-    checkInactiveConversations();
-
-    // Then run periodically
-    timeoutCheckInterval = setInterval(checkInactiveConversations, CHECK_INTERVAL);
+    // Run as soon as this instance is elected leader, then periodically
+    unsubscribeLeadership = leaderElectionService.onLeadershipAcquired(runScheduledCheck);
+    timeoutCheckInterval = setInterval(runScheduledCheck, CHECK_INTERVAL);
 
     console.log(`✅ Auto-timeout service started (checking every ${CHECK_INTERVAL / 1000}s)`);
 }
@@ -34,19 +37,32 @@ function stopAutoTimeoutService() {
     if (timeoutCheckInterval) {
         clearInterval(timeoutCheckInterval);
         timeoutCheckInterval = null;
+        unsubscribeLeadership();
+        unsubscribeLeadership = null;
         console.log('🛑 Auto-timeout service stopped');
     }
 }
 
+/**
+ * Scheduled tick - only the cluster leader releases conversations,
+ * so each one is released (and notified) once
+ */
+function runScheduledCheck() {
+    if (!leaderElectionService.isLeader()) return;
+    checkInactiveConversations();
+}
+
 /**
  * Check for inactive conversations and release them
+ * Inactivity is measured in business time, so the clock is paused outside business hours
  */
 async function checkInactiveConversations() {
     try {
         const now = new Date();
         const timeoutThreshold = new Date(now - INACTIVITY_TIMEOUT);
+        const settings = await CRMSettings.getSettings();
 
-        // Find conversations assigned to agents with no recent activity
+        // Business time never exceeds wall-clock time, so this pre-filters the candidates
         const inactiveConversations = await Conversation.find({
             assignedAgent: { $ne: null },
             status: 'assigned',
@@ -61,10 +77,11 @@ async function checkInactiveConversations() {
 
             if (!agent) continue;
 
-            const agentInactive = agent.lastActivity < timeoutThreshold;
-            const conversationInactive =
-                !conversation.lastAgentResponse ||
-                conversation.lastAgentResponse < timeoutThreshold;
+            const isInactiveSince = (date) =>
+                !date || businessHoursService.getBusinessTimeBetween(settings, date, now) >= INACTIVITY_TIMEOUT;
+
+            const agentInactive = agent.lastActivity < timeoutThreshold && isInactiveSince(agent.lastActivity);
+            const conversationInactive = isInactiveSince(conversation.lastAgentResponse);
 
             if (agentInactive || conversationInactive) {
                 await resumeAIForConversation(conversation, agent);
@@ -113,7 +130,7 @@ async function resumeAIForConversation(conversation, agent) {
             timeout: INACTIVITY_TIMEOUT / 60000 // in minutes
         });
 
-        io.emit('agent_assignment_update', {
+        emitToConversation(conversation, 'agent_assignment_update', {
             agentId: agent._id,
             conversationId: conversation._id,
             action: 'ai_resumed'
@@ -121,6 +138,8 @@ async function resumeAIForConversation(conversation, agent) {
 
         console.log(`🤖 AI resumed for conversation ${conversation._id} (agent ${agent.email} inactive)`);
 
+        require('./waitingQueueService').triggerQueueProcessing('agent inactivity');
+
         return { success: true, conversation };
     } catch (error) {
         console.error(`❌ Error resuming AI for conversation ${conversation._id}:`, error);
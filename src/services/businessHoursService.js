@@ -0,0 +1,314 @@
+/**
+ * Business Hours Service
+ *
+ * Business-time arithmetic on CRMSettings.businessHours, evaluated in the configured timezone
+ * (not the server's). Used to measure SLA and inactivity clocks only while the business is open.
+ * When business hours are disabled every moment counts as business time.
+ *
+ * Holidays / exceptions override the weekly schedule for a local date ('YYYY-MM-DD', or every
+ * year when recurring): closed all day, or open with their own start/end.
+ */
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS_SCANNED = 366; // Guards against schedules with no open day
+const DEFAULT_AFTER_HOURS_WINDOW = 12 * 60 * 60 * 1000;
+
+/**
+ * Whether a string is an IANA timezone known to the runtime
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock parts of a date in a timezone
+ * @param {Date} date
+ * @param {string} timezone - IANA timezone (e.g. America/Mexico_City)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: string}}
+ */
+function getZonedParts(date, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        weekday: 'long'
+    });
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: parts.weekday.toLowerCase()
+    };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant (ms, positive east of UTC)
+ */
+function getTimezoneOffset(date, timezone) {
+    const p = getZonedParts(date, timezone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUTC - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Instant of a wall-clock time in a timezone
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {string} time - HH:MM
+ * @param {string} timezone
+ * @returns {Date}
+ */
+function zonedTimeToDate(year, month, day, time, timezone) {
+    const [hour, minute] = time.split(':').map(n => parseInt(n) || 0);
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Correct with the offset at the guess, then again in case a DST change sits in between
+    let result = guess - getTimezoneOffset(new Date(guess), timezone);
+    result = guess - getTimezoneOffset(new Date(result), timezone);
+    return new Date(result);
+}
+
+/**
+ * Holiday / exception configured for a local calendar day
+ * @param {object} businessHours - CRMSettings.businessHours
+ * @param {{year: number, month: number, day: number}} parts - Local date
+ * @returns {object|null} - { date, name, closed, start, end, recurring }
+ */
+function getDayException(businessHours, parts) {
+    const pad = n => String(n).padStart(2, '0');
+    const monthDay = `${pad(parts.month)}-${pad(parts.day)}`;
+    const localDate = `${parts.year}-${monthDay}`;
+
+    return (businessHours.holidays || []).find(holiday =>
+        holiday.date === localDate || (holiday.recurring && holiday.date?.slice(5) === monthDay)
+    ) || null;
+}
+
+/**
+ * Open intervals of the local calendar day that contains `date`
+ * @param {object} businessHours - CRMSettings.businessHours
+ * @param {Date} date
+ * @returns {{dayStart: Date, nextDay: Date, open: Array<{start: Date, end: Date}>}}
+ */
+function getDayWindows(businessHours, date) {
+    const timezone = businessHours.timezone || 'UTC';
+    const p = getZonedParts(date, timezone);
+
+    const dayStart = zonedTimeToDate(p.year, p.month, p.day, '00:00', timezone);
+    const next = new Date(Date.UTC(p.year, p.month - 1, p.day) + DAY_MS);
+    const nextDay = zonedTimeToDate(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), '00:00', timezone);
+
+    const exception = getDayException(businessHours, p);
+    const schedule = exception
+        ? { enabled: !exception.closed, start: exception.start, end: exception.end }
+        : businessHours.schedule?.[p.weekday];
+
+    const open = [];
+    if (schedule?.enabled && schedule.start && schedule.end && schedule.start < schedule.end) {
+        open.push({
+            start: zonedTimeToDate(p.year, p.month, p.day, schedule.start, timezone),
+            end: zonedTimeToDate(p.year, p.month, p.day, schedule.end, timezone)
+        });
+    }
+
+    return { dayStart, nextDay, open };
+}
+
+/**
+ * Whether business hours restrictions apply
+ * @param {object} settings - CRMSettings
+ */
+function isEnabled(settings) {
+    return !!settings?.businessHours?.enabled;
+}
+
+/**
+ * Check if a moment falls within business hours (in the configured timezone)
+ * @param {object} settings - CRMSettings
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isWithinBusinessHours(settings, date = new Date()) {
+    if (!isEnabled(settings)) return true;
+
+    const { open } = getDayWindows(settings.businessHours, date);
+    return open.some(window => date >= window.start && date < window.end);
+}
+
+/**
+ * Business time elapsed between two instants
+ * @param {object} settings - CRMSettings
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {number} - Milliseconds
+ */
+function getBusinessTimeBetween(settings, start, end) {
+    const startMs = new Date(start).getTime();
+    const endMs = new Date(end).getTime();
+    if (endMs <= startMs) return 0;
+    if (!isEnabled(settings)) return endMs - startMs;
+
+    let total = 0;
+    let cursor = new Date(startMs);
+
+    for (let i = 0; i < MAX_DAYS_SCANNED && cursor.getTime() < endMs; i++) {
+        const { nextDay, open } = getDayWindows(settings.businessHours, cursor);
+
+        open.forEach(window => {
+            const from = Math.max(window.start.getTime(), cursor.getTime());
+            const to = Math.min(window.end.getTime(), endMs);
+            if (to > from) total += to - from;
+        });
+
+        cursor = nextDay;
+    }
+
+    return total;
+}
+
+/**
+ * Instant at which `durationMs` of business time has passed since `start`
+ * @param {object} settings - CRMSettings
+ * @param {Date} start
+ * @param {number} durationMs
+ * @returns {Date}
+ */
+function addBusinessTime(settings, start, durationMs) {
+    const startMs = new Date(start).getTime();
+    if (!isEnabled(settings)) return new Date(startMs + durationMs);
+
+    let remaining = durationMs;
+    let cursor = new Date(startMs);
+
+    for (let i = 0; i < MAX_DAYS_SCANNED; i++) {
+        const { nextDay, open } = getDayWindows(settings.businessHours, cursor);
+
+        for (const window of open) {
+            const from = Math.max(window.start.getTime(), cursor.getTime());
+            const available = window.end.getTime() - from;
+            if (available <= 0) continue;
+
+            if (remaining <= available) {
+                return new Date(from + remaining);
+            }
+            remaining -= available;
+        }
+
+        cursor = nextDay;
+    }
+
+    // No open hours configured - fall back to wall-clock time
+    return new Date(startMs + durationMs);
+}
+
+/**
+ * Send the after-hours message to a customer writing outside business hours
+ * Sent at most once per businessHours.afterHoursReplyWindow per conversation - the slot is
+ * claimed atomically, so concurrent messages (or instances) don't send it twice.
+ * @param {object} conversation - Conversation (document or lean)
+ * @param {string} phoneNumber - Customer WhatsApp number
+ * @param {object} settings - CRMSettings (loaded when omitted)
+ * @returns {Promise<boolean>} - True if the message was sent
+ */
+async function sendAfterHoursReply(conversation, phoneNumber, settings = null) {
+    const CRMSettings = require('../models/CRMSettings');
+    const Conversation = require('../models/Conversation');
+    const Message = require('../models/Message');
+    const whatsappService = require('./whatsappService');
+    const { buildTextJSON } = require('../shared/whatsappModels');
+    const { emitToConversation } = require('./socketRoomService');
+
+    try {
+        settings = settings || await CRMSettings.getSettings();
+        const now = new Date();
+        const message = settings.businessHours?.afterHoursMessage;
+
+        if (isWithinBusinessHours(settings, now) || !message) {
+            return false;
+        }
+
+        const window = settings.businessHours.afterHoursReplyWindow || DEFAULT_AFTER_HOURS_WINDOW;
+        const claim = await Conversation.updateOne(
+            {
+                _id: conversation._id,
+                $or: [
+                    { afterHoursReplyAt: null },
+                    { afterHoursReplyAt: { $lte: new Date(now.getTime() - window) } }
+                ]
+            },
+            { $set: { afterHoursReplyAt: now } }
+        );
+        if (claim.modifiedCount === 0) {
+            return false;
+        }
+
+        const replyMessage = await Message.create({
+            conversationId: conversation._id,
+            customerId: conversation.customerId?._id || conversation.customerId,
+            content: message,
+            type: 'text',
+            direction: 'outbound',
+            sender: 'system',
+            status: 'pending'
+        });
+
+        emitToConversation(conversation, 'new_message', {
+            chatId: conversation._id.toString(),
+            message: {
+                id: replyMessage._id.toString(),
+                text: replyMessage.content,
+                sender: 'me',
+                timestamp: replyMessage.timestamp,
+                type: 'text',
+                status: replyMessage.status
+            }
+        });
+
+        await whatsappService.queueWhatsappMessage(buildTextJSON(phoneNumber, message), {
+            messageRef: replyMessage._id,
+            source: 'after_hours',
+            priority: 10,
+            phoneNumberId: conversation.whatsappData?.phoneNumberId
+        });
+
+        console.log(`🌙 After-hours message sent for conversation ${conversation._id}`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error sending after-hours message:', error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    DAYS,
+    isValidTimezone,
+    getZonedParts,
+    zonedTimeToDate,
+    isWithinBusinessHours,
+    getBusinessTimeBetween,
+    addBusinessTime,
+    sendAfterHoursReply
+};
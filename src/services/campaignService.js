@@ -0,0 +1,880 @@
+/**
+ * Campaign Service
+ *
+ * Scheduled template broadcasts to an audience of customers (tags, segments, statuses, custom fields).
+ * When a campaign starts its audience is stored as CampaignRecipient documents; the runner then hands
+ * pending recipients to the outbound queue at the campaign's throttle rate. All state lives in the
+ * database, so a restart (or a new leader) carries on where the last run stopped.
+ * Recipient status follows the message: delivery receipts move it to sent/delivered/read/failed and
+ * a customer reply within REPLY_WINDOW marks it replied.
+ * Blocked and opted-out customers are skipped, both when the audience is built and when sending.
+ */
+
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Customer = require('../models/Customer');
+const Template = require('../models/Template');
+const CRMSettings = require('../models/CRMSettings');
+const templateService = require('./templateService');
+const whatsappNumberService = require('./whatsappNumberService');
+const leaderElectionService = require('./leaderElectionService');
+const lockService = require('./lockService');
+const { roleRoom, SUPERVISOR_ROLES } = require('./socketRoomService');
+
+const CHECK_INTERVAL = 10 * 1000; // Send a slice of every running campaign every 10 seconds
+const RUN_LOCK = 'campaign_runner';
+const RUN_LOCK_TTL = 5 * 60 * 1000;
+const THROTTLE_WINDOW = 60 * 1000;
+const REPLY_WINDOW = 72 * 60 * 60 * 1000; // Replies this long after the send count for the campaign
+const INSERT_BATCH_SIZE = 500;
+// Campaign messages wait behind conversation replies in the outbound queue
+const OUTBOUND_PRIORITY = -1;
+
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+const ACTIVE_STATUSES = ['scheduled', 'running', 'paused'];
+
+// Recipient statuses a message status (or a reply) may move a recipient from
+const ALLOWED_PREVIOUS = {
+    sent: ['queued'],
+    delivered: ['queued', 'sent'],
+    read: ['queued', 'sent', 'delivered'],
+    failed: ['queued', 'sent'],
+    replied: ['queued', 'sent', 'delivered', 'read']
+};
+const STATUS_DATE_FIELDS = {
+    sent: 'sentAt',
+    delivered: 'deliveredAt',
+    read: 'readAt',
+    failed: 'failedAt',
+    replied: 'repliedAt'
+};
+
+let runnerInterval = null;
+let unsubscribeLeadership = null; // Runs the first check when this instance is elected leader
+
+/**
+ * Customer query for an audience (every filter that is set must match)
+ * @param {object} audience - { tags, segments, statuses, customFields: [{ key, value }] }
+ * @returns {object} - Mongo query on Customer
+ */
+function buildAudienceQuery(audience = {}) {
+    const query = {};
+
+    if (audience.tags?.length > 0) {
+        query.tags = { $in: audience.tags };
+    }
+    if (audience.segments?.length > 0) {
+        query.segment = { $in: audience.segments };
+    }
+    if (audience.statuses?.length > 0) {
+        query.status = { $in: audience.statuses };
+    }
+    (audience.customFields || []).forEach(({ key, value }) => {
+        query[`customFields.${key}`] = value;
+    });
+
+    return query;
+}
+
+/**
+ * Why a customer must not receive broadcasts
+ * @param {object} customer - Customer document
+ * @returns {string|null} - Reason, or null when the customer can be sent to
+ */
+function getSkipReason(customer) {
+    if (customer.isBlocked || customer.status === 'blocked') return 'Customer is blocked';
+    if (customer.optedOut) return 'Customer opted out';
+    return null;
+}
+
+/**
+ * Count the customers an audience reaches
+ * @param {object} audience - See buildAudienceQuery
+ * @returns {Promise<object>} - { total, eligible, blocked, optedOut }
+ */
+async function previewAudience(audience) {
+    const query = buildAudienceQuery(normalizeAudience(audience));
+    const blockedQuery = { $or: [{ isBlocked: true }, { status: 'blocked' }] };
+
+    const [total, blocked, optedOut] = await Promise.all([
+        Customer.countDocuments(query),
+        Customer.countDocuments({ ...query, ...blockedQuery }),
+        Customer.countDocuments({ ...query, optedOut: true, $nor: [blockedQuery] })
+    ]);
+
+    return { total, eligible: total - blocked - optedOut, blocked, optedOut };
+}
+
+/**
+ * Audience with only usable values (trimmed, empty entries dropped)
+ * @param {object} audience - Raw audience from the request
+ * @returns {object}
+ */
+function normalizeAudience(audience = {}) {
+    const list = (values) => (Array.isArray(values) ? values : [])
+        .map(value => String(value).trim())
+        .filter(Boolean);
+
+    return {
+        tags: list(audience.tags),
+        segments: list(audience.segments),
+        statuses: list(audience.statuses),
+        customFields: (Array.isArray(audience.customFields) ? audience.customFields : [])
+            .map(field => ({ key: String(field?.key || '').trim(), value: String(field?.value ?? '').trim() }))
+            .filter(field => field.key)
+    };
+}
+
+/**
+ * Check a campaign definition and resolve its template and sender number
+ * @param {object} data - Campaign fields
+ * @returns {Promise<{ errors: Array<string>, template: object|null }>}
+ */
+async function validateCampaign(data) {
+    const errors = [];
+
+    if (!data.name) {
+        errors.push('Name is required');
+    }
+
+    const { tags, segments, statuses, customFields } = data.audience;
+    if (!tags.length && !segments.length && !statuses.length && !customFields.length) {
+        errors.push('Audience needs at least one filter (tags, segments, statuses or custom fields)');
+    }
+    if (customFields.some(field => !/^[\w-]+$/.test(field.key))) {
+        errors.push('Custom field names may only contain letters, numbers, "_" and "-"');
+    }
+
+    if (!Number.isInteger(data.throttlePerMinute) || data.throttlePerMinute < 1 || data.throttlePerMinute > 1000) {
+        errors.push('Throttle must be between 1 and 1000 messages per minute');
+    }
+    if (data.scheduledAt && isNaN(data.scheduledAt.getTime())) {
+        errors.push('Invalid schedule date');
+    }
+
+    if (!data.templateId) {
+        errors.push('Template is required');
+        return { errors, template: null };
+    }
+
+    const template = await Template.findById(data.templateId).catch(() => null);
+    if (!template) {
+        errors.push('Template not found');
+        return { errors, template: null };
+    }
+
+    const variants = await templateService.getTemplateVariants(template.name, template.businessAccountId);
+    if (variants.length === 0) {
+        errors.push(`Template ${template.name} has no approved language variant`);
+    }
+
+    // Campaigns have no recipients file: values are fixed or mapped to customer fields
+    const { errors: parameterErrors } = templateService.buildPersonalizedComponents(
+        template,
+        data.parameters || [],
+        { sample: true, columns: [] }
+    );
+    errors.push(...parameterErrors);
+
+    const sender = await whatsappNumberService.getNumberForBusinessAccount(template.businessAccountId, data.phoneNumberId);
+    if (!sender || (data.phoneNumberId && sender.phoneNumberId !== data.phoneNumberId)) {
+        errors.push(data.phoneNumberId
+            ? `Template ${template.name} does not belong to the WhatsApp Business Account of number ${data.phoneNumberId}`
+            : `No WhatsApp number configured for the template's business account (${template.businessAccountId})`);
+    }
+
+    return { errors, template };
+}
+
+/**
+ * Campaign fields from a create/update request
+ * @param {object} data - Request body
+ * @returns {object}
+ */
+function normalizeCampaignInput(data = {}) {
+    return {
+        name: typeof data.name === 'string' ? data.name.trim() : '',
+        description: typeof data.description === 'string' ? data.description.trim() : undefined,
+        templateId: data.templateId,
+        parameters: data.parameters || [],
+        phoneNumberId: data.phoneNumberId || undefined,
+        audience: normalizeAudience(data.audience),
+        scheduledAt: data.scheduledAt ? new Date(data.scheduledAt) : null,
+        throttlePerMinute: data.throttlePerMinute === undefined ? 60 : Number(data.throttlePerMinute)
+    };
+}
+
+/**
+ * Create a draft campaign
+ * @param {object} data - { name, description, templateId, parameters, phoneNumberId, audience, scheduledAt, throttlePerMinute }
+ * @param {string} agentId - Creator
+ * @returns {Promise<{ campaign?: object, errors?: Array<string> }>}
+ */
+async function createCampaign(data, agentId) {
+    const input = normalizeCampaignInput(data);
+    const { errors, template } = await validateCampaign(input);
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const campaign = await Campaign.create({
+        ...input,
+        templateName: template.name,
+        createdBy: agentId
+    });
+
+    console.log(`📣 Campaign "${campaign.name}" created (${campaign._id})`);
+    return { campaign };
+}
+
+/**
+ * Update a campaign that has not started sending
+ * @param {string} campaignId - Campaign ID
+ * @param {object} data - Same fields as createCampaign
+ * @returns {Promise<{ campaign?: object, errors?: Array<string> }|null>} - null when not found
+ */
+async function updateCampaign(campaignId, data) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) return null;
+
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+        return { errors: [`A ${campaign.status} campaign can't be edited`] };
+    }
+
+    const input = normalizeCampaignInput({ ...campaign.toObject(), ...data });
+    const { errors, template } = await validateCampaign(input);
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    Object.assign(campaign, input, { templateName: template.name });
+    await campaign.save();
+
+    emitCampaignUpdate(campaign);
+    return { campaign };
+}
+
+/**
+ * Start a draft campaign: it is sent at its schedule time, or right away when it has none
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{ campaign?: object, errors?: Array<string> }|null>}
+ */
+async function startCampaign(campaignId) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) return null;
+
+    if (campaign.status !== 'draft') {
+        return { errors: [`A ${campaign.status} campaign can't be started`] };
+    }
+
+    // The template may have been paused or deleted since the campaign was saved
+    const { errors } = await validateCampaign(normalizeCampaignInput(campaign.toObject()));
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    if (campaign.scheduledAt && campaign.scheduledAt > new Date()) {
+        campaign.status = 'scheduled';
+    } else {
+        campaign.status = 'running';
+        campaign.startedAt = new Date();
+    }
+    campaign.lastError = undefined;
+    await campaign.save();
+
+    console.log(`📣 Campaign "${campaign.name}" ${campaign.status === 'running' ? 'started' : `scheduled for ${campaign.scheduledAt.toISOString()}`}`);
+    emitCampaignUpdate(campaign);
+
+    if (campaign.status === 'running') {
+        runCampaigns();
+    }
+    return { campaign };
+}
+
+/**
+ * Pause a scheduled or running campaign (queued messages still go out)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{ campaign?: object, errors?: Array<string> }|null>}
+ */
+async function pauseCampaign(campaignId) {
+    return transitionCampaign(campaignId, ['scheduled', 'running'], 'paused', { pausedAt: new Date() }, 'paused');
+}
+
+/**
+ * Resume a paused campaign (back to scheduled when its schedule time has not come yet)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{ campaign?: object, errors?: Array<string> }|null>}
+ */
+async function resumeCampaign(campaignId) {
+    const campaign = await Campaign.findById(campaignId).select('scheduledAt startedAt').lean();
+    if (!campaign) return null;
+
+    const scheduled = !campaign.startedAt && campaign.scheduledAt && campaign.scheduledAt > new Date();
+    const result = await transitionCampaign(
+        campaignId,
+        ['paused'],
+        scheduled ? 'scheduled' : 'running',
+        { startedAt: campaign.startedAt || new Date(), lastError: null },
+        'resumed'
+    );
+
+    if (result?.campaign?.status === 'running') {
+        runCampaigns();
+    }
+    return result;
+}
+
+/**
+ * Cancel a campaign: recipients not sent yet are never sent to
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{ campaign?: object, errors?: Array<string> }|null>}
+ */
+async function cancelCampaign(campaignId) {
+    const result = await transitionCampaign(campaignId, ['draft', ...ACTIVE_STATUSES], 'cancelled', { cancelledAt: new Date() }, 'cancelled');
+
+    if (result?.campaign) {
+        await CampaignRecipient.updateMany(
+            { campaignId, status: 'pending' },
+            { $set: { status: 'cancelled' } }
+        );
+    }
+    return result;
+}
+
+/**
+ * Move a campaign between statuses (conditional, so it can't race the runner)
+ * @param {string} campaignId - Campaign ID
+ * @param {Array<string>} from - Statuses the campaign may be in
+ * @param {string} to - New status
+ * @param {object} fields - Other fields to set
+ * @param {string} action - Past participle for the error message ('paused', 'resumed', ...)
+ * @returns {Promise<{ campaign?: object, errors?: Array<string> }|null>}
+ */
+async function transitionCampaign(campaignId, from, to, fields = {}, action = 'started') {
+    const campaign = await Campaign.findOneAndUpdate(
+        { _id: campaignId, status: { $in: from } },
+        { $set: { status: to, ...fields } },
+        { new: true }
+    );
+
+    if (!campaign) {
+        const current = await Campaign.findById(campaignId).select('status').lean();
+        if (!current) return null;
+        return { errors: [`A ${current.status} campaign can't be ${action}`] };
+    }
+
+    console.log(`📣 Campaign "${campaign.name}" → ${to}`);
+    emitCampaignUpdate(campaign);
+    return { campaign };
+}
+
+/**
+ * Delete a campaign that is not sending, with its recipients
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{ deleted?: boolean, errors?: Array<string> }|null>}
+ */
+async function deleteCampaign(campaignId) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) return null;
+
+    if (ACTIVE_STATUSES.includes(campaign.status)) {
+        return { errors: ['Cancel the campaign before deleting it'] };
+    }
+
+    await CampaignRecipient.deleteMany({ campaignId });
+    await campaign.deleteOne();
+
+    console.log(`🗑️ Campaign "${campaign.name}" deleted`);
+    return { deleted: true };
+}
+
+/**
+ * Funnel metrics per campaign
+ * Each stage counts recipients that reached it or a later one (a read message was also delivered and sent).
+ * @param {Array} campaignIds - Campaign IDs
+ * @returns {Promise<Map<string, object>>} - campaignId → { total, pending, queued, sent, delivered, read, replied, failed, skipped, cancelled }
+ */
+async function getCampaignMetrics(campaignIds) {
+    const counts = await CampaignRecipient.aggregate([
+        { $match: { campaignId: { $in: campaignIds } } },
+        { $group: { _id: { campaignId: '$campaignId', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const byCampaign = new Map(campaignIds.map(id => [id.toString(), {}]));
+    counts.forEach(({ _id, count }) => {
+        byCampaign.get(_id.campaignId.toString())[_id.status] = count;
+    });
+
+    const metrics = new Map();
+    byCampaign.forEach((statuses, campaignId) => {
+        const count = (...names) => names.reduce((sum, name) => sum + (statuses[name] || 0), 0);
+        metrics.set(campaignId, {
+            total: count('pending', 'queued', 'sent', 'delivered', 'read', 'replied', 'failed', 'skipped', 'cancelled'),
+            pending: count('pending'),
+            queued: count('queued', 'sent', 'delivered', 'read', 'replied', 'failed'),
+            sent: count('sent', 'delivered', 'read', 'replied'),
+            delivered: count('delivered', 'read', 'replied'),
+            read: count('read', 'replied'),
+            replied: count('replied'),
+            failed: count('failed'),
+            skipped: count('skipped'),
+            cancelled: count('cancelled')
+        });
+    });
+
+    return metrics;
+}
+
+/**
+ * List campaigns with their funnel metrics
+ * @param {object} filters - { status, limit, skip }
+ * @returns {Promise<{ campaigns: Array<object>, total: number }>}
+ */
+async function getCampaigns(filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const skip = parseInt(filters.skip) || 0;
+
+    const [campaigns, total] = await Promise.all([
+        Campaign.find(query)
+            .populate('createdBy', 'firstName lastName email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Campaign.countDocuments(query)
+    ]);
+
+    const metrics = await getCampaignMetrics(campaigns.map(campaign => campaign._id));
+    return {
+        campaigns: campaigns.map(campaign => ({ ...campaign, metrics: metrics.get(campaign._id.toString()) })),
+        total
+    };
+}
+
+/**
+ * Get a campaign with its funnel metrics
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<object|null>}
+ */
+async function getCampaignById(campaignId) {
+    const campaign = await Campaign.findById(campaignId)
+        .populate('createdBy', 'firstName lastName email')
+        .lean();
+    if (!campaign) return null;
+
+    const metrics = await getCampaignMetrics([campaign._id]);
+    return { ...campaign, metrics: metrics.get(campaign._id.toString()) };
+}
+
+/**
+ * List a campaign's recipients
+ * @param {string} campaignId - Campaign ID
+ * @param {object} filters - { status, limit, skip }
+ * @returns {Promise<{ recipients: Array<object>, total: number }>}
+ */
+async function getCampaignRecipients(campaignId, filters = {}) {
+    const query = { campaignId };
+    if (filters.status) query.status = filters.status;
+
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const skip = parseInt(filters.skip) || 0;
+
+    const [recipients, total] = await Promise.all([
+        CampaignRecipient.find(query)
+            .populate('customerId', 'firstName lastName phoneNumber')
+            .sort({ updatedAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        CampaignRecipient.countDocuments(query)
+    ]);
+
+    return { recipients, total };
+}
+
+/**
+ * Store the audience as recipients (blocked and opted-out customers as skipped)
+ * Safe to repeat after a restart: customers already stored are left as they are.
+ * @param {object} campaign - Campaign document
+ * @returns {Promise<number>} - Recipients stored by this run
+ */
+async function buildRecipients(campaign) {
+    const cursor = Customer.find(buildAudienceQuery(campaign.audience))
+        .select('phoneNumber isBlocked status optedOut')
+        .lean()
+        .cursor();
+
+    let stored = 0;
+    let batch = [];
+
+    // Upserts keyed on { campaignId, customerId }: customers stored by an interrupted run are left as they are
+    const insertBatch = async () => {
+        const result = await CampaignRecipient.bulkWrite(batch.map(recipient => ({
+            updateOne: {
+                filter: { campaignId: recipient.campaignId, customerId: recipient.customerId },
+                update: { $setOnInsert: recipient },
+                upsert: true
+            }
+        })), { ordered: false });
+        stored += result.upsertedCount;
+        batch = [];
+    };
+
+    for await (const customer of cursor) {
+        const reason = getSkipReason(customer);
+        batch.push({
+            campaignId: campaign._id,
+            customerId: customer._id,
+            phoneNumber: customer.phoneNumber,
+            status: reason ? 'skipped' : 'pending',
+            error: reason || undefined
+        });
+
+        if (batch.length >= INSERT_BATCH_SIZE) {
+            await insertBatch();
+        }
+    }
+    if (batch.length > 0) {
+        await insertBatch();
+    }
+
+    campaign.audienceBuiltAt = new Date();
+    await campaign.save();
+
+    console.log(`📣 Campaign "${campaign.name}": ${stored} recipients stored`);
+    return stored;
+}
+
+/**
+ * Queue one recipient's message
+ * @param {object} campaign - Campaign document
+ * @param {object} recipient - CampaignRecipient document (pending)
+ * @param {object} context - { template, variants, settings, sender }
+ * @returns {Promise<object|null>} - Variant sent, or null when the recipient was skipped or failed
+ */
+async function dispatchRecipient(campaign, recipient, { template, variants, settings, sender }) {
+    const customer = await Customer.findById(recipient.customerId);
+
+    // Customers can be blocked or opt out while the campaign runs
+    const skipReason = customer ? getSkipReason(customer) : 'Customer not found';
+    if (skipReason) {
+        recipient.status = 'skipped';
+        recipient.error = skipReason;
+        await recipient.save();
+        return null;
+    }
+
+    const { variant, components, errors, display } = await templateService.buildRecipientMessage(
+        template,
+        campaign.parameters,
+        customer,
+        null,
+        { variants, settings }
+    );
+    recipient.language = variant.language;
+
+    if (errors.length > 0) {
+        recipient.status = variant.status === 'APPROVED' ? 'failed' : 'skipped';
+        recipient.error = errors.join('; ');
+        recipient.failedAt = recipient.status === 'failed' ? new Date() : undefined;
+        await recipient.save();
+        return null;
+    }
+
+    try {
+        await templateService.queueTemplateMessage({
+            customer,
+            variant,
+            components,
+            display,
+            sender,
+            agentId: campaign.createdBy,
+            source: 'campaign',
+            priority: OUTBOUND_PRIORITY
+        }, async (message) => {
+            // Linked before queueing so the first status update finds the recipient
+            recipient.status = 'queued';
+            recipient.messageId = message._id;
+            recipient.queuedAt = new Date();
+            await recipient.save();
+        });
+        return variant;
+    } catch (error) {
+        console.error(`❌ Campaign "${campaign.name}": error queueing ${recipient.phoneNumber}:`, error.message);
+        recipient.status = 'failed';
+        recipient.error = error.message;
+        recipient.failedAt = new Date();
+        await recipient.save();
+        return null;
+    }
+}
+
+/**
+ * Send the next slice of a running campaign, within its throttle
+ * @param {object} campaign - Campaign document (running)
+ * @returns {Promise<number>} - Messages queued
+ */
+async function processCampaign(campaign) {
+    if (!campaign.audienceBuiltAt) {
+        await buildRecipients(campaign);
+    }
+
+    const context = await getSendContext(campaign);
+    if (context.error) {
+        // Nothing can be sent until an admin fixes the template or number
+        await Campaign.updateOne(
+            { _id: campaign._id, status: 'running' },
+            { $set: { status: 'paused', pausedAt: new Date(), lastError: context.error } }
+        );
+        console.error(`⏸️ Campaign "${campaign.name}" paused: ${context.error}`);
+        emitCampaignUpdate(await Campaign.findById(campaign._id));
+        return 0;
+    }
+
+    // Messages queued in the last minute count against the throttle
+    const recentlyQueued = await CampaignRecipient.countDocuments({
+        campaignId: campaign._id,
+        queuedAt: { $gte: new Date(Date.now() - THROTTLE_WINDOW) }
+    });
+    const allowed = campaign.throttlePerMinute - recentlyQueued;
+
+    let queued = 0;
+    const usageByVariant = {};
+
+    if (allowed > 0) {
+        const recipients = await CampaignRecipient.find({ campaignId: campaign._id, status: 'pending' })
+            .sort({ _id: 1 })
+            .limit(allowed);
+
+        for (const recipient of recipients) {
+            // Stop between messages when the campaign is paused or cancelled meanwhile
+            const current = await Campaign.findById(campaign._id).select('status').lean();
+            if (current?.status !== 'running') break;
+
+            const variant = await dispatchRecipient(campaign, recipient, context);
+            if (variant) {
+                queued++;
+                usageByVariant[variant._id] = (usageByVariant[variant._id] || 0) + 1;
+            }
+        }
+    }
+
+    // Update template usage
+    for (const [variantId, count] of Object.entries(usageByVariant)) {
+        await Template.findByIdAndUpdate(variantId, {
+            $inc: { usageCount: count },
+            lastUsedAt: new Date()
+        });
+    }
+
+    const remaining = await CampaignRecipient.countDocuments({ campaignId: campaign._id, status: 'pending' });
+    if (remaining === 0) {
+        const completed = await Campaign.findOneAndUpdate(
+            { _id: campaign._id, status: 'running' },
+            { $set: { status: 'completed', completedAt: new Date() } },
+            { new: true }
+        );
+        if (completed) {
+            console.log(`✅ Campaign "${campaign.name}" completed`);
+            emitCampaignUpdate(completed);
+            return queued;
+        }
+    }
+
+    if (queued > 0) {
+        console.log(`📣 Campaign "${campaign.name}": ${queued} messages queued, ${remaining} pending`);
+        emitCampaignUpdate(campaign);
+    }
+    return queued;
+}
+
+/**
+ * Template variants, settings and sender number shared by a campaign's sends
+ * @param {object} campaign - Campaign document
+ * @returns {Promise<object>} - { template, variants, settings, sender } or { error }
+ */
+async function getSendContext(campaign) {
+    const template = await Template.findById(campaign.templateId);
+    if (!template) {
+        return { error: 'Template not found' };
+    }
+
+    const variants = await templateService.getTemplateVariants(template.name, template.businessAccountId);
+    if (variants.length === 0) {
+        return { error: `Template ${template.name} has no approved language variant` };
+    }
+
+    const sender = await whatsappNumberService.getNumberForBusinessAccount(template.businessAccountId, campaign.phoneNumberId);
+    if (!sender || (campaign.phoneNumberId && sender.phoneNumberId !== campaign.phoneNumberId)) {
+        return { error: `No WhatsApp number available for template ${template.name}` };
+    }
+
+    return { template, variants, settings: await CRMSettings.getSettings(), sender };
+}
+
+/**
+ * Start due scheduled campaigns and send the next slice of every running one
+ * Only one instance runs at a time; a run that finds the lock taken is skipped.
+ * @returns {Promise<number>} - Messages queued
+ */
+async function runCampaigns() {
+    try {
+        const { acquired, result } = await lockService.withLock(RUN_LOCK, RUN_LOCK_TTL, async () => {
+            const now = new Date();
+            // A scheduled campaign whose date was cleared is due right away
+            const due = await Campaign.find({
+                status: 'scheduled',
+                $or: [{ scheduledAt: { $lte: now } }, { scheduledAt: null }]
+            });
+            for (const campaign of due) {
+                await transitionCampaign(campaign._id, ['scheduled'], 'running', { startedAt: now });
+            }
+
+            const running = await Campaign.find({ status: 'running' });
+            let queued = 0;
+            for (const campaign of running) {
+                try {
+                    queued += await processCampaign(campaign);
+                } catch (error) {
+                    console.error(`❌ Error running campaign ${campaign._id}:`, error);
+                    await Campaign.updateOne({ _id: campaign._id }, { $set: { lastError: error.message } });
+                }
+            }
+            return queued;
+        });
+
+        return acquired ? result : 0;
+    } catch (error) {
+        console.error('❌ Error in campaign runner:', error);
+        return 0;
+    }
+}
+
+/**
+ * Move a campaign recipient along with its message's delivery status
+ * Called when a send result or a status webhook updates a Message.
+ * @param {object} message - Updated Message document
+ */
+async function applyMessageStatus(message) {
+    const status = message.whatsappStatus;
+    if (message.type !== 'template' || message.status === 'pending' || !ALLOWED_PREVIOUS[status]) return;
+
+    try {
+        const update = { status, [STATUS_DATE_FIELDS[status]]: new Date() };
+        if (status === 'failed') {
+            update.error = message.whatsappError;
+        }
+
+        const recipient = await CampaignRecipient.findOneAndUpdate(
+            { messageId: message._id, status: { $in: ALLOWED_PREVIOUS[status] } },
+            { $set: update },
+            { new: true }
+        );
+        if (recipient) {
+            emitCampaignUpdate({ _id: recipient.campaignId });
+        }
+    } catch (error) {
+        console.error(`❌ Error updating campaign recipient for message ${message._id}:`, error.message);
+    }
+}
+
+/**
+ * Mark the customer's latest campaign message as replied (within REPLY_WINDOW)
+ * @param {string} customerId - Customer who sent a message
+ */
+async function recordReply(customerId) {
+    try {
+        const recipient = await CampaignRecipient.findOneAndUpdate(
+            {
+                customerId,
+                status: { $in: ALLOWED_PREVIOUS.replied },
+                queuedAt: { $gte: new Date(Date.now() - REPLY_WINDOW) }
+            },
+            { $set: { status: 'replied', repliedAt: new Date() } },
+            { sort: { queuedAt: -1 }, new: true }
+        );
+
+        if (recipient) {
+            console.log(`💬 Customer ${customerId} replied to campaign ${recipient.campaignId}`);
+            emitCampaignUpdate({ _id: recipient.campaignId });
+        }
+    } catch (error) {
+        console.error(`❌ Error recording campaign reply for customer ${customerId}:`, error.message);
+    }
+}
+
+/**
+ * Tell supervisors and admins a campaign changed (they refetch its metrics)
+ * @param {object} campaign - Campaign (at least its _id)
+ */
+function emitCampaignUpdate(campaign) {
+    if (!campaign) return;
+    const { io } = require('../models/server');
+
+    io.to(SUPERVISOR_ROLES.map(roleRoom)).emit('campaign_updated', {
+        campaignId: campaign._id.toString(),
+        status: campaign.status
+    });
+}
+
+/**
+ * Start the campaign runner background job
+ */
+function startCampaignRunner() {
+    if (runnerInterval) {
+        console.log('⚠️  Campaign runner already running');
+        return;
+    }
+
+    console.log('🚀 Starting campaign runner...');
+
+    unsubscribeLeadership = leaderElectionService.onLeadershipAcquired(runScheduledCheck);
+    runnerInterval = setInterval(runScheduledCheck, CHECK_INTERVAL);
+
+    console.log(`✅ Campaign runner started (checking every ${CHECK_INTERVAL / 1000}s)`);
+}
+
+/**
+ * Stop the campaign runner
+ */
+function stopCampaignRunner() {
+    if (runnerInterval) {
+        clearInterval(runnerInterval);
+        runnerInterval = null;
+        unsubscribeLeadership();
+        unsubscribeLeadership = null;
+        console.log('🛑 Campaign runner stopped');
+    }
+}
+
+/**
+ * Scheduled tick - only the cluster leader sends campaigns
+ */
+function runScheduledCheck() {
+    if (!leaderElectionService.isLeader()) return;
+    runCampaigns();
+}
+
+module.exports = {
+    buildAudienceQuery,
+    previewAudience,
+    createCampaign,
+    updateCampaign,
+    startCampaign,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign,
+    deleteCampaign,
+    getCampaigns,
+    getCampaignById,
+    getCampaignRecipients,
+    buildRecipients,
+    runCampaigns,
+    applyMessageStatus,
+    recordReply,
+    startCampaignRunner,
+    stopCampaignRunner
+};
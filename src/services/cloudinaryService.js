@@ -25,6 +25,9 @@ const CLOUDINARY_FOLDERS = {
   TICKETS: 'whatsapp-bot/tickets',
   AVATARS: 'whatsapp-bot/avatars',
   DOCUMENTS: 'whatsapp-bot/documents',
+  AUDIO: 'whatsapp-bot/audio',
+  VIDEOS: 'whatsapp-bot/videos',
+  STICKERS: 'whatsapp-bot/stickers',
   TEMPORARY: 'whatsapp-bot/temp',
   GENERAL: 'whatsapp-bot/general'
 };
@@ -94,6 +97,7 @@ async function uploadToCloudinary(source, options = {}) {
       width: result.width,
       height: result.height,
       bytes: result.bytes,
+      duration: result.duration,
       resourceType: result.resource_type,
       createdAt: result.created_at
     };
@@ -233,6 +237,97 @@ async function uploadDocument(whatsappMediaUrl, userId, whatsappToken, documentT
   }
 }
 
+/**
+ * Upload audio / voice note
+ * Takes a local file (already downloaded) so the caller can reuse it, e.g. for transcription
+ * @param {string} filePath - Local path to the audio file
+ * @param {string} userId - User phone number
+ * @returns {Promise<object>} - Upload result (includes duration in seconds)
+ */
+async function uploadAudio(filePath, userId) {
+  console.log(`🎙️  Processing audio for user ${userId}`);
+
+  // Cloudinary handles audio under the 'video' resource type
+  return uploadToCloudinary(filePath, {
+    folder: CLOUDINARY_FOLDERS.AUDIO,
+    subfolder: userId,
+    resourceType: 'video',
+    tags: ['audio', 'whatsapp', userId]
+  });
+}
+
+/**
+ * Upload video from WhatsApp
+ * @param {string} whatsappMediaUrl - WhatsApp media URL
+ * @param {string} userId - User phone number
+ * @param {string} whatsappToken - WhatsApp API token
+ * @returns {Promise<object>} - Upload result (includes duration and thumbnailUrl)
+ */
+async function uploadVideo(whatsappMediaUrl, userId, whatsappToken) {
+  let tempFilePath = null;
+
+  try {
+    console.log(`🎬 Processing video for user ${userId}`);
+
+    tempFilePath = await downloadMediaToTemp(whatsappMediaUrl, whatsappToken);
+
+    const result = await uploadToCloudinary(tempFilePath, {
+      folder: CLOUDINARY_FOLDERS.VIDEOS,
+      subfolder: userId,
+      resourceType: 'video',
+      tags: ['video', 'whatsapp', userId]
+    });
+
+    // First frame as a JPG poster for previews
+    result.thumbnailUrl = cloudinary.url(result.publicId, {
+      resource_type: 'video',
+      format: 'jpg',
+      secure: true
+    });
+
+    return result;
+  } catch (error) {
+    console.error('Error uploading video:', error);
+    throw error;
+  } finally {
+    if (tempFilePath && fs.existsSync(tempFilePath)) {
+      fs.unlinkSync(tempFilePath);
+    }
+  }
+}
+
+/**
+ * Upload sticker (webp) from WhatsApp
+ * @param {string} whatsappMediaUrl - WhatsApp media URL
+ * @param {string} userId - User phone number
+ * @param {string} whatsappToken - WhatsApp API token
+ * @returns {Promise<object>} - Upload result
+ */
+async function uploadSticker(whatsappMediaUrl, userId, whatsappToken) {
+  let tempFilePath = null;
+
+  try {
+    console.log(`🏷️  Processing sticker for user ${userId}`);
+
+    tempFilePath = await downloadMediaToTemp(whatsappMediaUrl, whatsappToken);
+
+    // No transformation - keep webp (and animation) as sent
+    return await uploadToCloudinary(tempFilePath, {
+      folder: CLOUDINARY_FOLDERS.STICKERS,
+      subfolder: userId,
+      resourceType: 'image',
+      tags: ['sticker', 'whatsapp', userId]
+    });
+  } catch (error) {
+    console.error('Error uploading sticker:', error);
+    throw error;
+  } finally {
+    if (tempFilePath && fs.existsSync(tempFilePath)) {
+      fs.unlinkSync(tempFilePath);
+    }
+  }
+}
+
 /**
  * Delete file from Cloudinary
  * @param {string} publicId - The public_id of the resource to delete
@@ -365,6 +460,9 @@ module.exports = {
   uploadTicketImage,
   uploadUserAvatar,
   uploadDocument,
+  uploadAudio,
+  uploadVideo,
+  uploadSticker,
   
   // Utility
   downloadMediaToTemp,
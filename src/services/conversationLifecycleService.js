@@ -3,6 +3,8 @@ const Agent = require('../models/Agent');
 const Customer = require('../models/Customer');
 const CRMSettings = require('../models/CRMSettings');
 const whatsappService = require('./whatsappService');
+const slaService = require('./slaService');
+const { emitToConversation } = require('./socketRoomService');
 const { buildInteractiveButtonJSON } = require('../shared/whatsappModels');
 
 /**
@@ -10,8 +12,6 @@ const { buildInteractiveButtonJSON } = require('../shared/whatsappModels');
  * Sends confirmation to customer if enabled in settings
  */
 async function resolveConversation(conversationId, agentId, resolutionNotes = null) {
-    const { io } = require('../models/server');
-
     const conversation = await Conversation.findById(conversationId).populate('customerId');
     if (!conversation) {
         throw new Error('Conversation not found');
@@ -30,11 +30,8 @@ async function resolveConversation(conversationId, agentId, resolutionNotes = nu
     conversation.resolvedBy = agentId;
     conversation.resolutionNotes = resolutionNotes || 'Resolved by agent';
 
-    // Calculate SLA for resolution
-    if (conversation.sla && conversation.sla.resolutionTarget) {
-        const resolutionTime = Date.now() - conversation.createdAt.getTime();
-        conversation.sla.resolutionMet = resolutionTime <= conversation.sla.resolutionTarget;
-    }
+    // Calculate SLA for resolution (business time)
+    await slaService.recordResolution(conversation);
 
     // Add internal note
     if (!conversation.internalNotes) {
@@ -65,8 +62,9 @@ async function resolveConversation(conversationId, agentId, resolutionNotes = nu
                 ]
             );
 
-            await whatsappService.sendWhatsappResponse(buttonData);
+            const sendResult = await whatsappService.sendWhatsappResponse(buttonData, conversation.whatsappData?.phoneNumberId);
             conversation.resolutionConfirmationSent = true;
+            conversation.resolutionConfirmationMessageId = sendResult.messageId;
             await conversation.save();
 
             console.log(`✅ Resolution confirmation sent to ${phoneNumber}`);
@@ -76,7 +74,7 @@ async function resolveConversation(conversationId, agentId, resolutionNotes = nu
     }
 
     // Emit socket event
-    io.emit('conversation_updated', {
+    emitToConversation(conversation, 'conversation_updated', {
         conversationId,
         status: 'resolved',
         resolvedBy: agent.email
@@ -92,8 +90,6 @@ async function resolveConversation(conversationId, agentId, resolutionNotes = nu
  * Can only close resolved conversations or by admin
  */
 async function closeConversation(conversationId, agentId, reason = null, force = false) {
-    const { io } = require('../models/server');
-
     const conversation = await Conversation.findById(conversationId);
     if (!conversation) {
         throw new Error('Conversation not found');
@@ -113,14 +109,18 @@ async function closeConversation(conversationId, agentId, reason = null, force =
     if (conversation.status !== 'resolved') {
         conversation.resolvedAt = new Date();
         conversation.resolvedBy = agentId;
+        await slaService.recordResolution(conversation);
     }
 
     // Update to closed status
+    const previousAgent = conversation.assignedAgent;
+    const wasQueued = !!conversation.queue?.enteredAt;
     conversation.status = 'closed';
     conversation.closedAt = new Date();
     conversation.assignedAgent = null;  // Release agent
     conversation.assignedAt = null;
     conversation.isAIEnabled = false;   // Disable AI for closed conversations
+    conversation.queue = undefined;     // No longer waiting for an agent
 
     // Add internal note
     if (!conversation.internalNotes) {
@@ -135,16 +135,20 @@ async function closeConversation(conversationId, agentId, reason = null, force =
 
     await conversation.save();
 
-    // Update agent statistics if was assigned
-    if (conversation.assignedAgent) {
+    // Update agent statistics if was assigned, and offer the freed slot to the waiting queue
+    const waitingQueueService = require('./waitingQueueService');
+    if (previousAgent) {
         await Agent.findByIdAndUpdate(
-            conversation.assignedAgent,
+            previousAgent,
             { $inc: { 'statistics.activeAssignments': -1 } }
         );
+        waitingQueueService.triggerQueueProcessing('close');
+    } else if (wasQueued) {
+        waitingQueueService.emitQueueUpdate();
     }
 
     // Emit socket event
-    io.emit('conversation_updated', {
+    emitToConversation(conversation, 'conversation_updated', {
         conversationId,
         status: 'closed',
         closedBy: agent.email
@@ -160,8 +164,6 @@ async function closeConversation(conversationId, agentId, reason = null, force =
  * Admin/Supervisor only
  */
 async function reopenConversation(conversationId, agentId, reason = null) {
-    const { io } = require('../models/server');
-
     const agent = await Agent.findById(agentId);
     if (!agent) {
         throw new Error('Agent not found');
@@ -203,7 +205,7 @@ async function reopenConversation(conversationId, agentId, reason = null) {
     await conversation.save();
 
     // Emit socket event
-    io.emit('conversation_updated', {
+    emitToConversation(conversation, 'conversation_updated', {
         conversationId,
         status: 'open',
         reopenedBy: agent.email
@@ -278,9 +280,59 @@ async function handleResolutionConfirmation(conversationId, confirmed) {
     }
 }
 
+/**
+ * Emoji the customer can react with to answer the resolution question
+ */
+const POSITIVE_REACTIONS = ['👍', '✅', '👌', '🙏', '❤️', '😊', '🙌', '👏', '💯'].map(normalizeReaction);
+const NEGATIVE_REACTIONS = ['👎', '❌', '😡', '😠', '😞', '😢'].map(normalizeReaction);
+
+/**
+ * Drop what doesn't change a reaction's meaning: skin tone modifiers (👍🏽) and the
+ * emoji presentation selector U+FE0F (WhatsApp may send ❤️ with or without it)
+ * @param {string} emoji
+ * @returns {string}
+ */
+function normalizeReaction(emoji) {
+    return emoji.replace(/[\u{1F3FB}-\u{1F3FF}\u{FE0F}]/gu, '');
+}
+
+/**
+ * Treat a customer reaction to the resolution question as a confirmation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} reactedMessageId - wamid the customer reacted to
+ * @param {string} emoji - Reaction emoji
+ * @returns {Promise<object|null>} - Same result as handleResolutionConfirmation, or null if not a resolution signal
+ */
+async function handleResolutionReaction(conversationId, reactedMessageId, emoji) {
+    const conversation = await Conversation.findById(conversationId);
+
+    if (!conversation ||
+        conversation.status !== 'resolved' ||
+        !conversation.resolutionConfirmationSent ||
+        conversation.resolutionConfirmationMessageId !== reactedMessageId) {
+        return null;
+    }
+
+    const baseEmoji = normalizeReaction(emoji);
+
+    let confirmed;
+    if (POSITIVE_REACTIONS.includes(baseEmoji)) {
+        confirmed = true;
+    } else if (NEGATIVE_REACTIONS.includes(baseEmoji)) {
+        confirmed = false;
+    } else {
+        return null;
+    }
+
+    console.log(`👍 Resolution ${confirmed ? 'confirmed' : 'rejected'} by reaction ${emoji} for conversation ${conversationId}`);
+
+    return handleResolutionConfirmation(conversationId, confirmed);
+}
+
 module.exports = {
     resolveConversation,
     closeConversation,
     reopenConversation,
-    handleResolutionConfirmation
+    handleResolutionConfirmation,
+    handleResolutionReaction
 };
@@ -1,62 +1,164 @@
 /**
  * Message Deduplication Service
- * 
+ *
  * Prevents duplicate processing of the same WhatsApp message.
  * WhatsApp may send duplicate webhooks if server doesn't respond in time.
+ *
+ * Processed ids are kept in a store chosen with STATE_STORE:
+ * - 'mongo'  - ProcessedWebhookMessage TTL collection, shared by all instances (default)
+ * - 'memory' - Process-local Map (single instance / local development)
+ * Other stores can be plugged in with registerDedupStore().
  */
 
 // Message cache configuration
-const MESSAGE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-const processedMessages = new Map(); // messageId -> timestamp
+const MESSAGE_CACHE_TTL = (parseInt(process.env.DEDUP_TTL_SECONDS) || 24 * 60 * 60) * 1000; // 24 hours
+const processedMessages = new Map(); // messageId -> timestamp (memory store)
 
 // Cleanup interval reference
 let cleanupIntervalId = null;
 
+/**
+ * Store signature:
+ *   claim(messageId) => Promise<boolean>  - true if the id was not seen before (atomic)
+ *   has(messageId)   => Promise<boolean>
+ *   count()          => Promise<number>
+ *   clear()          => Promise<void>
+ */
+const memoryStore = {
+  async claim(messageId) {
+    if (processedMessages.has(messageId)) return false;
+    processedMessages.set(messageId, Date.now());
+    return true;
+  },
+  async has(messageId) {
+    return processedMessages.has(messageId);
+  },
+  async count() {
+    return processedMessages.size;
+  },
+  async clear() {
+    processedMessages.clear();
+  }
+};
+
+const mongoStore = {
+  async claim(messageId) {
+    const ProcessedWebhookMessage = require('../models/ProcessedWebhookMessage');
+    try {
+      // The unique index makes the insert the atomic "first one wins" check across instances
+      await ProcessedWebhookMessage.create({ messageId });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  },
+  async has(messageId) {
+    const ProcessedWebhookMessage = require('../models/ProcessedWebhookMessage');
+    return !!(await ProcessedWebhookMessage.exists({ messageId }));
+  },
+  async count() {
+    const ProcessedWebhookMessage = require('../models/ProcessedWebhookMessage');
+    return ProcessedWebhookMessage.estimatedDocumentCount();
+  },
+  async clear() {
+    const ProcessedWebhookMessage = require('../models/ProcessedWebhookMessage');
+    await ProcessedWebhookMessage.deleteMany({});
+  }
+};
+
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore
+};
+
+/**
+ * Register (or override) a dedup store
+ * @param {string} name - Store name used in STATE_STORE
+ * @param {object} store - { claim, has, count, clear }
+ */
+function registerDedupStore(name, store) {
+  stores[name] = store;
+  console.log(`🗄️  Deduplication store registered: ${name}`);
+}
+
+/**
+ * Get the configured store
+ * @returns {object}
+ */
+function getStore() {
+  const name = process.env.STATE_STORE || 'mongo';
+  const store = stores[name];
+  if (!store) {
+    throw new Error(`Unknown deduplication store: ${name}`);
+  }
+  return store;
+}
+
+/**
+ * Atomically check and mark a message as processed
+ * Falls back to the local cache if the shared store is unavailable, so webhooks keep flowing
+ * @param {string} messageId - WhatsApp message ID
+ * @returns {Promise<boolean>} - True if this is the first time the message is seen
+ */
+async function claimMessage(messageId) {
+  try {
+    const isNew = await getStore().claim(messageId);
+    if (isNew) {
+      console.log(`✅ NEW MESSAGE - Added ${messageId} to cache`);
+    }
+    return isNew;
+  } catch (error) {
+    console.error(`❌ Dedup store error (${error.message}) - using local cache for ${messageId}`);
+    return memoryStore.claim(messageId);
+  }
+}
+
 /**
  * Check if message was already processed
  * @param {string} messageId - WhatsApp message ID
- * @returns {boolean} - True if already processed
+ * @returns {Promise<boolean>} - True if already processed
  */
-function isMessageProcessed(messageId) {
-  return processedMessages.has(messageId);
+async function isMessageProcessed(messageId) {
+  return getStore().has(messageId);
 }
 
 /**
  * Mark message as processed
  * @param {string} messageId - WhatsApp message ID
  */
-function markMessageAsProcessed(messageId) {
-  processedMessages.set(messageId, Date.now());
-  console.log(`✅ NEW MESSAGE - Added ${messageId} to cache`);
+async function markMessageAsProcessed(messageId) {
+  await claimMessage(messageId);
 }
 
 /**
  * Start automatic cleanup interval
- * Removes expired message IDs from cache every minute
+ * Removes expired message IDs from the local cache every minute
+ * (the mongo store expires ids with a TTL index)
  */
 function startCleanupInterval() {
   if (cleanupIntervalId) return; // Prevent multiple intervals
-  
+
   cleanupIntervalId = setInterval(() => {
     const now = Date.now();
     let cleaned = 0;
-    
+
     for (const [messageId, timestamp] of processedMessages.entries()) {
       if (now - timestamp > MESSAGE_CACHE_TTL) {
         processedMessages.delete(messageId);
         cleaned++;
       }
     }
-    
+
     if (cleaned > 0) {
       console.log(`🧹 Cleaned up ${cleaned} old message IDs from cache`);
     }
   }, 60 * 1000); // Run every minute
-  
+
   // Cleanup on process exit
   process.on('SIGTERM', stopCleanupInterval);
   process.on('SIGINT', stopCleanupInterval);
-  
+
   console.log('🚀 Started message deduplication cleanup interval');
 }
 
@@ -73,23 +175,29 @@ function stopCleanupInterval() {
 
 /**
  * Get cache statistics
- * @returns {object} - Cache statistics
+ * @returns {Promise<object>} - Cache statistics
  */
-function getCacheStats() {
+async function getCacheStats() {
+  let totalMessages = processedMessages.size;
+  try {
+    totalMessages = await getStore().count();
+  } catch (error) {
+    console.error('❌ Error counting processed messages:', error.message);
+  }
+
   return {
-    totalMessages: processedMessages.size,
-    cacheTTL: MESSAGE_CACHE_TTL,
-    oldestMessage: processedMessages.size > 0 
-      ? Math.min(...Array.from(processedMessages.values()))
-      : null
+    store: process.env.STATE_STORE || 'mongo',
+    totalMessages,
+    cacheTTL: MESSAGE_CACHE_TTL
   };
 }
 
 /**
  * Clear all cached message IDs (useful for testing)
  */
-function clearCache() {
+async function clearCache() {
   processedMessages.clear();
+  await getStore().clear();
   console.log('🧹 Cleared message deduplication cache');
 }
 
@@ -97,10 +205,12 @@ function clearCache() {
 startCleanupInterval();
 
 module.exports = {
+  claimMessage,
   isMessageProcessed,
   markMessageAsProcessed,
   getCacheStats,
   clearCache,
+  registerDedupStore,
   startCleanupInterval,
   stopCleanupInterval
 };
@@ -0,0 +1,273 @@
+/**
+ * Inbound Buffer Service
+ *
+ * Storage for the customer message burst buffer used by queueService.
+ * Entries are appended as messages arrive; once a customer's burst window closes the whole
+ * burst is claimed as one batch, processed, then removed.
+ *
+ * Store is chosen with STATE_STORE:
+ * - 'mongo'  - InboundBufferEntry collection, survives restarts and is shared by all instances (default)
+ * - 'memory' - Process-local Map (single instance / local development)
+ * Other stores can be plugged in with registerBufferStore().
+ */
+
+const crypto = require('crypto');
+const lockService = require('./lockService');
+
+const CLAIM_LOCK_TTL = 10 * 1000; // Claiming is a few queries - the lock only needs to outlive them
+
+const memoryEntries = new Map(); // userId -> entries
+
+/**
+ * Store signature:
+ *   append(entry, waitMs)            => Promise<void>   - add entry and push the user's burst window to now + waitMs
+ *   claim(userId, token)             => Promise<Array>  - claim the user's burst if its window closed ([] otherwise)
+ *   renew(token)                     => Promise<void>   - refresh a batch's claim while it is still being processed
+ *   complete(token)                  => Promise<void>   - remove a processed batch
+ *   releaseStale(maxAgeMs)           => Promise<number> - unclaim batches of crashed workers
+ *   getDueUserIds(graceMs)           => Promise<Array>  - users whose window closed more than graceMs ago
+ *   getStats()                       => Promise<object>
+ *   clear()                          => Promise<void>
+ */
+const memoryStore = {
+  async append(entry, waitMs) {
+    const entries = memoryEntries.get(entry.userId) || [];
+    if (entries.some(e => e.messageId === entry.messageId)) return;
+
+    const processAfter = new Date(Date.now() + waitMs);
+    entries.forEach(e => { if (!e.claimedBy) e.processAfter = processAfter; });
+    entries.push({ ...entry, processAfter, claimedBy: null });
+    memoryEntries.set(entry.userId, entries);
+  },
+  async claim(userId, token) {
+    const pending = (memoryEntries.get(userId) || []).filter(e => !e.claimedBy);
+    if (pending.length === 0 || pending.some(e => e.processAfter > new Date())) return [];
+
+    pending.forEach(e => { e.claimedBy = token; e.claimedAt = new Date(); });
+    return pending;
+  },
+  async renew(token) {
+    const claimedAt = new Date();
+    for (const entries of memoryEntries.values()) {
+      entries.forEach(e => { if (e.claimedBy === token) e.claimedAt = claimedAt; });
+    }
+  },
+  async complete(token) {
+    for (const [userId, entries] of memoryEntries.entries()) {
+      const remaining = entries.filter(e => e.claimedBy !== token);
+      if (remaining.length === 0) memoryEntries.delete(userId);
+      else memoryEntries.set(userId, remaining);
+    }
+  },
+  async releaseStale(maxAgeMs) {
+    const threshold = Date.now() - maxAgeMs;
+    let released = 0;
+    for (const entries of memoryEntries.values()) {
+      entries.forEach(e => {
+        if (e.claimedBy && e.claimedAt.getTime() < threshold) {
+          e.claimedBy = null;
+          released++;
+        }
+      });
+    }
+    return released;
+  },
+  async getDueUserIds(graceMs) {
+    const threshold = new Date(Date.now() - graceMs);
+    return Array.from(memoryEntries.entries())
+      .filter(([, entries]) => entries.some(e => !e.claimedBy) && entries.every(e => e.claimedBy || e.processAfter <= threshold))
+      .map(([userId]) => userId);
+  },
+  async getStats() {
+    return {
+      activeQueues: memoryEntries.size,
+      queues: Array.from(memoryEntries.entries()).map(([userId, entries]) => ({
+        userId,
+        messageCount: entries.length
+      }))
+    };
+  },
+  async clear() {
+    memoryEntries.clear();
+  }
+};
+
+const mongoStore = {
+  async append(entry, waitMs) {
+    const InboundBufferEntry = require('../models/InboundBufferEntry');
+    const processAfter = new Date(Date.now() + waitMs);
+
+    try {
+      await InboundBufferEntry.create({ ...entry, processAfter });
+    } catch (error) {
+      if (error.code === 11000) return; // Already buffered (retried webhook)
+      throw error;
+    }
+
+    // Reset the burst window for the customer's other pending messages
+    await InboundBufferEntry.updateMany(
+      { userId: entry.userId, claimedBy: null },
+      { $set: { processAfter } }
+    );
+  },
+  async claim(userId, token) {
+    const InboundBufferEntry = require('../models/InboundBufferEntry');
+
+    // Serialize claims per customer so two instances never split one burst
+    const { acquired, result } = await lockService.withLock(`inbound:${userId}`, CLAIM_LOCK_TTL, async () => {
+      const now = new Date();
+
+      // Burst still open (a newer message pushed the window back)
+      const open = await InboundBufferEntry.exists({ userId, claimedBy: null, processAfter: { $gt: now } });
+      if (open) return [];
+
+      await InboundBufferEntry.updateMany(
+        { userId, claimedBy: null, processAfter: { $lte: now } },
+        { $set: { claimedBy: token, claimedAt: now } }
+      );
+
+      return InboundBufferEntry.find({ claimedBy: token }).sort({ receivedAt: 1 }).lean();
+    });
+
+    return acquired ? result : [];
+  },
+  async renew(token) {
+    const InboundBufferEntry = require('../models/InboundBufferEntry');
+    await InboundBufferEntry.updateMany({ claimedBy: token }, { $set: { claimedAt: new Date() } });
+  },
+  async complete(token) {
+    const InboundBufferEntry = require('../models/InboundBufferEntry');
+    await InboundBufferEntry.deleteMany({ claimedBy: token });
+  },
+  async releaseStale(maxAgeMs) {
+    const InboundBufferEntry = require('../models/InboundBufferEntry');
+    const result = await InboundBufferEntry.updateMany(
+      { claimedBy: { $ne: null }, claimedAt: { $lt: new Date(Date.now() - maxAgeMs) } },
+      { $set: { claimedBy: null }, $unset: { claimedAt: 1 } }
+    );
+    return result.modifiedCount;
+  },
+  async getDueUserIds(graceMs) {
+    const InboundBufferEntry = require('../models/InboundBufferEntry');
+    return InboundBufferEntry.distinct('userId', {
+      claimedBy: null,
+      processAfter: { $lte: new Date(Date.now() - graceMs) }
+    });
+  },
+  async getStats() {
+    const InboundBufferEntry = require('../models/InboundBufferEntry');
+    const queues = await InboundBufferEntry.aggregate([
+      { $group: { _id: '$userId', messageCount: { $sum: 1 } } }
+    ]);
+    return {
+      activeQueues: queues.length,
+      queues: queues.map(q => ({ userId: q._id, messageCount: q.messageCount }))
+    };
+  },
+  async clear() {
+    const InboundBufferEntry = require('../models/InboundBufferEntry');
+    await InboundBufferEntry.deleteMany({});
+  }
+};
+
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore
+};
+
+/**
+ * Register (or override) a buffer store
+ * @param {string} name - Store name used in STATE_STORE
+ * @param {object} store - See store signature above
+ */
+function registerBufferStore(name, store) {
+  stores[name] = store;
+  console.log(`🗄️  Inbound buffer store registered: ${name}`);
+}
+
+/**
+ * Get the configured store
+ * @returns {object}
+ */
+function getStore() {
+  const name = process.env.STATE_STORE || 'mongo';
+  const store = stores[name];
+  if (!store) {
+    throw new Error(`Unknown inbound buffer store: ${name}`);
+  }
+  return store;
+}
+
+/**
+ * Buffer a customer message
+ * @param {object} entry - { userId, messageId, conversationId, customerId, text, type, messageObject, savedMessageId }
+ * @param {number} waitMs - Burst window
+ */
+async function append(entry, waitMs) {
+  await getStore().append({ ...entry, receivedAt: new Date() }, waitMs);
+}
+
+/**
+ * Claim a customer's burst for processing
+ * @param {string} userId - Customer phone number
+ * @returns {Promise<object|null>} - { token, entries } or null if the burst is still open or already claimed
+ */
+async function claimBatch(userId) {
+  const token = `${lockService.INSTANCE_ID}-${crypto.randomBytes(6).toString('hex')}`;
+  const entries = await getStore().claim(userId, token);
+  return entries.length > 0 ? { token, entries } : null;
+}
+
+/**
+ * Keep a batch claimed while it is still being processed (so releaseStaleClaims leaves it alone)
+ * @param {string} token - Batch token from claimBatch
+ */
+async function renewClaim(token) {
+  await getStore().renew(token);
+}
+
+/**
+ * Remove a processed batch
+ * @param {string} token - Batch token from claimBatch
+ */
+async function completeBatch(token) {
+  await getStore().complete(token);
+}
+
+/**
+ * Unclaim batches whose worker died mid-processing
+ * @param {number} maxAgeMs - Claims older than this are considered abandoned
+ * @returns {Promise<number>} - Released entries
+ */
+async function releaseStaleClaims(maxAgeMs) {
+  return getStore().releaseStale(maxAgeMs);
+}
+
+/**
+ * Customers with a closed burst nobody picked up (e.g. buffered before a restart)
+ * @param {number} graceMs - How long after the window closed before recovering it
+ * @returns {Promise<Array<string>>}
+ */
+async function getDueUserIds(graceMs) {
+  return getStore().getDueUserIds(graceMs);
+}
+
+async function getStats() {
+  return getStore().getStats();
+}
+
+async function clear() {
+  await getStore().clear();
+}
+
+module.exports = {
+  append,
+  claimBatch,
+  renewClaim,
+  completeBatch,
+  releaseStaleClaims,
+  getDueUserIds,
+  getStats,
+  clear,
+  registerBufferStore
+};
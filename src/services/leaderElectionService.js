@@ -0,0 +1,139 @@
+/**
+ * Leader Election Service
+ *
+ * Elects one instance of the cluster as leader through a renewable lock (see lockService).
+ * Cluster-wide background jobs (inactivity timeouts, escalation sweeps, outbound queue drain)
+ * check isLeader() on every tick, so they run once no matter how many instances are up, and use
+ * onLeadershipAcquired() to run their first check as soon as this instance is elected.
+ * If the leader dies its lease expires and another instance takes over on its next renewal.
+ */
+
+const lockService = require('./lockService');
+
+const LEADER_LOCK = 'cluster-leader';
+const LEASE_TTL = parseInt(process.env.LEADER_LEASE_MS) || 30 * 1000;
+const RENEW_INTERVAL = Math.floor(LEASE_TTL / 3); // Renew well before the lease runs out
+
+let electionInterval = null;
+let leader = false;
+let leaderSince = null;
+const acquiredCallbacks = new Set();
+
+/**
+ * Try to become (or stay) leader
+ */
+async function campaign() {
+    let acquired = false;
+    try {
+        acquired = await lockService.acquireLock(LEADER_LOCK, LEASE_TTL);
+    } catch (error) {
+        // Can't confirm the lease - step down rather than risk two leaders
+        console.error('❌ Leader election error:', error.message);
+    }
+
+    const elected = acquired && !leader;
+    if (elected) {
+        leaderSince = new Date();
+        console.log(`👑 Instance ${lockService.INSTANCE_ID} is now the cluster leader`);
+    } else if (!acquired && leader) {
+        leaderSince = null;
+        console.log(`👋 Instance ${lockService.INSTANCE_ID} lost cluster leadership`);
+    }
+    leader = acquired;
+
+    if (elected) {
+        acquiredCallbacks.forEach(runAcquiredCallback);
+    }
+}
+
+/**
+ * Run a leadership callback without letting it break the election loop
+ * @param {function} callback
+ */
+function runAcquiredCallback(callback) {
+    try {
+        callback();
+    } catch (error) {
+        console.error('❌ Error in leadership callback:', error.message);
+    }
+}
+
+/**
+ * Call back whenever this instance becomes leader (right away if it already is)
+ * Background jobs use it to run their first check without waiting for the next tick
+ * @param {function} callback
+ * @returns {function} - Unsubscribe
+ */
+function onLeadershipAcquired(callback) {
+    acquiredCallbacks.add(callback);
+    if (leader) {
+        setImmediate(() => runAcquiredCallback(callback));
+    }
+    return () => acquiredCallbacks.delete(callback);
+}
+
+/**
+ * Start taking part in leader election
+ */
+function startLeaderElection() {
+    if (electionInterval) {
+        console.log('⚠️  Leader election already running');
+        return;
+    }
+
+    campaign();
+    electionInterval = setInterval(campaign, RENEW_INTERVAL);
+
+    process.on('SIGTERM', stopLeaderElection);
+    process.on('SIGINT', stopLeaderElection);
+
+    console.log(`✅ Leader election started (instance ${lockService.INSTANCE_ID}, lease ${LEASE_TTL / 1000}s)`);
+}
+
+/**
+ * Stop the election and hand leadership over right away
+ */
+async function stopLeaderElection() {
+    if (!electionInterval) return;
+
+    clearInterval(electionInterval);
+    electionInterval = null;
+
+    if (leader) {
+        leader = false;
+        leaderSince = null;
+        await lockService.releaseLock(LEADER_LOCK).catch(error => {
+            console.error('❌ Error releasing leadership:', error.message);
+        });
+    }
+    console.log('🛑 Leader election stopped');
+}
+
+/**
+ * Whether this instance should run cluster-wide jobs
+ * @returns {boolean}
+ */
+function isLeader() {
+    return leader;
+}
+
+/**
+ * Election status (health checks, diagnostics)
+ * @returns {object}
+ */
+function getLeaderStatus() {
+    return {
+        instanceId: lockService.INSTANCE_ID,
+        isLeader: leader,
+        leaderSince,
+        leaseTtl: LEASE_TTL
+    };
+}
+
+module.exports = {
+    startLeaderElection,
+    stopLeaderElection,
+    isLeader,
+    onLeadershipAcquired,
+    getLeaderStatus
+};
@@ -0,0 +1,93 @@
+/**
+ * Lock Service
+ *
+ * Short-lived named locks so only one instance runs a critical section at a time.
+ * Uses the Lock collection when STATE_STORE is 'mongo' (default), a local Map with 'memory'.
+ */
+
+const os = require('os');
+
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+const memoryLocks = new Map(); // name -> { owner, expiresAt }
+
+function isMemoryStore() {
+    return process.env.STATE_STORE === 'memory';
+}
+
+/**
+ * Try to acquire a lock (non-blocking)
+ * @param {string} name - Lock name
+ * @param {number} ttlMs - Lock lifetime; the holder must finish (or renew) before it expires
+ * @param {string} owner - Holder id (defaults to this instance)
+ * @returns {Promise<boolean>} - True if acquired (or renewed by the same owner)
+ */
+async function acquireLock(name, ttlMs, owner = INSTANCE_ID) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs);
+
+    if (isMemoryStore()) {
+        const lock = memoryLocks.get(name);
+        if (lock && lock.owner !== owner && lock.expiresAt > now) return false;
+        memoryLocks.set(name, { owner, expiresAt });
+        return true;
+    }
+
+    const Lock = require('../models/Lock');
+    try {
+        // Matches a free (expired) or own lock; otherwise the upsert collides on _id
+        await Lock.findOneAndUpdate(
+            { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner }] },
+            { $set: { owner, expiresAt } },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+}
+
+/**
+ * Release a lock held by owner
+ * @param {string} name - Lock name
+ * @param {string} owner - Holder id (defaults to this instance)
+ */
+async function releaseLock(name, owner = INSTANCE_ID) {
+    if (isMemoryStore()) {
+        if (memoryLocks.get(name)?.owner === owner) memoryLocks.delete(name);
+        return;
+    }
+
+    const Lock = require('../models/Lock');
+    await Lock.deleteOne({ _id: name, owner });
+}
+
+/**
+ * Run fn while holding a lock
+ * @param {string} name - Lock name
+ * @param {number} ttlMs - Lock lifetime
+ * @param {function} fn - async () => result
+ * @returns {Promise<{acquired: boolean, result: any}>}
+ */
+async function withLock(name, ttlMs, fn) {
+    const owner = `${INSTANCE_ID}-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    if (!(await acquireLock(name, ttlMs, owner))) {
+        return { acquired: false, result: undefined };
+    }
+
+    try {
+        return { acquired: true, result: await fn() };
+    } finally {
+        await releaseLock(name, owner).catch(error => {
+            console.error(`❌ Error releasing lock ${name}:`, error.message);
+        });
+    }
+}
+
+module.exports = {
+    acquireLock,
+    releaseLock,
+    withLock,
+    INSTANCE_ID
+};
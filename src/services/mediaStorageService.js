@@ -0,0 +1,158 @@
+/**
+ * Media Storage Service
+ *
+ * Stores files uploaded by agents (chat attachments) so they can be shown in the chat history.
+ * Storage backend is chosen with MEDIA_STORAGE:
+ * - 'cloudinary' - Cloudinary (default when CLOUDINARY_CLOUD_NAME is set)
+ * - 'local'      - Local disk under uploads/media, served by Express at /media
+ * Other backends can be plugged in with registerStorageAdapter().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCAL_MEDIA_DIR = path.join(__dirname, '../../uploads/media');
+const LOCAL_MEDIA_ROUTE = '/media';
+
+// Stored files get the extension of their validated MIME type, never the one in the uploaded filename
+// (a text file named x.html would otherwise be served as a page on the app's origin)
+const EXTENSIONS_BY_MIME_TYPE = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'audio/aac': '.aac',
+    'audio/amr': '.amr',
+    'audio/mpeg': '.mp3',
+    'audio/mp4': '.m4a',
+    'audio/ogg': '.ogg',
+    'video/mp4': '.mp4',
+    'video/3gpp': '.3gp',
+    'application/pdf': '.pdf',
+    'text/plain': '.txt',
+    'text/csv': '.csv',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.ms-excel': '.xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'application/vnd.ms-powerpoint': '.ppt',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx'
+};
+
+/**
+ * Adapter signature: async (buffer, { filename, mimeType, mediaType, subfolder }) => { url, publicId }
+ */
+const adapters = {
+    cloudinary: storeInCloudinary,
+    local: storeOnDisk
+};
+
+/**
+ * Register (or override) a storage adapter
+ * @param {string} name - Adapter name used in MEDIA_STORAGE
+ * @param {function} adapter - async (buffer, options) => { url, publicId }
+ */
+function registerStorageAdapter(name, adapter) {
+    adapters[name] = adapter;
+    console.log(`🗄️  Media storage adapter registered: ${name}`);
+}
+
+/**
+ * Get the configured storage adapter name
+ * @returns {string}
+ */
+function getStorageName() {
+    return process.env.MEDIA_STORAGE || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+}
+
+/**
+ * Store a file with the configured adapter
+ * @param {Buffer} buffer - File contents
+ * @param {object} options - { filename, mimeType, mediaType: 'image'|'document'|'audio'|'video', subfolder }
+ * @returns {Promise<object>} - { url, publicId, storage }
+ */
+async function storeMedia(buffer, options = {}) {
+    const storage = getStorageName();
+    const adapter = adapters[storage];
+
+    if (!adapter) {
+        throw new Error(`Unknown media storage adapter: ${storage}`);
+    }
+
+    const result = await adapter(buffer, options);
+    return { ...result, storage };
+}
+
+/**
+ * Cloudinary adapter
+ */
+async function storeInCloudinary(buffer, options = {}) {
+    const { uploadToCloudinary, CLOUDINARY_FOLDERS } = require('./cloudinaryService');
+
+    const folders = {
+        image: CLOUDINARY_FOLDERS.GENERAL,
+        document: CLOUDINARY_FOLDERS.DOCUMENTS,
+        audio: CLOUDINARY_FOLDERS.AUDIO,
+        video: CLOUDINARY_FOLDERS.VIDEOS
+    };
+
+    // Cloudinary handles audio under 'video' and non-media files under 'raw'
+    const resourceTypes = {
+        image: 'image',
+        document: 'raw',
+        audio: 'video',
+        video: 'video'
+    };
+
+    const dataUri = `data:${options.mimeType};base64,${buffer.toString('base64')}`;
+    const result = await uploadToCloudinary(dataUri, {
+        folder: folders[options.mediaType] || CLOUDINARY_FOLDERS.GENERAL,
+        subfolder: options.subfolder,
+        resourceType: resourceTypes[options.mediaType] || 'auto',
+        tags: ['agent_upload', options.mediaType]
+    });
+
+    return { url: result.url, publicId: result.publicId };
+}
+
+/**
+ * Headers for files served from LOCAL_MEDIA_ROUTE (express.static setHeaders)
+ * Uploads are always downloaded, never rendered as a page on the app's origin
+ * @param {object} res - Express response
+ */
+function setLocalMediaHeaders(res) {
+    res.setHeader('Content-Disposition', 'attachment');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+}
+
+/**
+ * Local disk adapter
+ */
+async function storeOnDisk(buffer, options = {}) {
+    const subfolder = options.subfolder ? String(options.subfolder).replace(/[^\w-]/g, '') : '';
+    const directory = path.join(LOCAL_MEDIA_DIR, subfolder);
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const baseType = (options.mimeType || '').split(';')[0].trim().toLowerCase();
+    const extension = EXTENSIONS_BY_MIME_TYPE[baseType] || '';
+    const storedName = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`;
+    await fs.promises.writeFile(path.join(directory, storedName), buffer);
+
+    const relativePath = subfolder ? `${subfolder}/${storedName}` : storedName;
+    const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+    console.log(`💾 Media stored on disk: ${relativePath}`);
+
+    return {
+        url: `${baseUrl}${LOCAL_MEDIA_ROUTE}/${relativePath}`,
+        publicId: relativePath
+    };
+}
+
+module.exports = {
+    storeMedia,
+    registerStorageAdapter,
+    getStorageName,
+    setLocalMediaHeaders,
+    LOCAL_MEDIA_DIR,
+    LOCAL_MEDIA_ROUTE
+};
@@ -0,0 +1,227 @@
+/**
+ * Message Status Service
+ *
+ * Applies WhatsApp delivery receipts (sent / delivered / read / failed)
+ * from the webhook `statuses` array to our Message records.
+ * Transitions are monotonic: a late "delivered" never downgrades a "read".
+ *
+ * A status can arrive before the send path has stored the message's wamid (the webhook beats the
+ * Cloud API response). Such statuses are kept for PENDING_STATUS_TTL and applied by
+ * applyPendingStatuses() once the wamid is stored. They are kept in a store chosen with STATE_STORE:
+ * - 'mongo'  - PendingMessageStatus TTL collection, shared by all instances (default)
+ * - 'memory' - Process-local Map (single instance / local development)
+ */
+
+const Message = require('../models/Message');
+const { emitToConversation } = require('./socketRoomService');
+const campaignService = require('./campaignService');
+
+const PENDING_STATUS_TTL = 10 * 60 * 1000; // Statuses for wamids nobody stores are dropped after 10 minutes
+const STATUS_ORDER = ['sent', 'delivered', 'read', 'failed'];
+
+const memoryPendingStatuses = new Map(); // wamid -> [{ statusObject, receivedAt }]
+
+// Statuses a message may be in for each incoming status to be applied
+const ALLOWED_PREVIOUS = {
+  sent: ['sent'],
+  delivered: ['sent'],
+  read: ['sent', 'delivered'],
+  failed: ['sent']
+};
+
+/**
+ * Store signature:
+ *   keep(statusObject)       => Promise<void>   - hold a status whose wamid is not stored yet
+ *   take(whatsappMessageId)  => Promise<Array>  - remove and return the statuses held for a wamid
+ */
+const memoryStore = {
+  async keep(statusObject) {
+    const threshold = Date.now() - PENDING_STATUS_TTL;
+    for (const [wamid, entries] of memoryPendingStatuses.entries()) {
+      const fresh = entries.filter(entry => entry.receivedAt > threshold);
+      if (fresh.length === 0) memoryPendingStatuses.delete(wamid);
+      else memoryPendingStatuses.set(wamid, fresh);
+    }
+
+    const entries = memoryPendingStatuses.get(statusObject.id) || [];
+    entries.push({ statusObject, receivedAt: Date.now() });
+    memoryPendingStatuses.set(statusObject.id, entries);
+  },
+  async take(whatsappMessageId) {
+    const entries = memoryPendingStatuses.get(whatsappMessageId) || [];
+    memoryPendingStatuses.delete(whatsappMessageId);
+    return entries.map(entry => entry.statusObject);
+  }
+};
+
+const mongoStore = {
+  async keep(statusObject) {
+    const PendingMessageStatus = require('../models/PendingMessageStatus');
+    await PendingMessageStatus.create({ whatsappMessageId: statusObject.id, statusObject });
+  },
+  async take(whatsappMessageId) {
+    const PendingMessageStatus = require('../models/PendingMessageStatus');
+    const entries = await PendingMessageStatus.find({ whatsappMessageId }).lean();
+    if (entries.length === 0) return [];
+
+    // Only the statuses this call removed are applied, so two instances never apply the same one
+    const { deletedCount } = await PendingMessageStatus.deleteMany({ _id: { $in: entries.map(entry => entry._id) } });
+    return deletedCount > 0 ? entries.map(entry => entry.statusObject) : [];
+  }
+};
+
+function getPendingStore() {
+  return process.env.STATE_STORE === 'memory' ? memoryStore : mongoStore;
+}
+
+/**
+ * Build a readable error string from a WhatsApp status error
+ * @param {Array} errors - `errors` array from the status object
+ * @returns {string|null} - e.g. "131026: Message undeliverable"
+ */
+function formatStatusError(errors) {
+  if (!errors || errors.length === 0) return null;
+
+  const error = errors[0];
+  const title = error.error_data?.details || error.message || error.title || 'Unknown error';
+  return error.code ? `${error.code}: ${title}` : title;
+}
+
+/**
+ * Apply a single status object from the webhook
+ * @param {object} statusObject - Entry of `value.statuses`
+ * @returns {Promise<object|null>} - Updated message, or null if unmatched/stale
+ */
+async function processStatusUpdate(statusObject) {
+  const { id: whatsappMessageId, status, timestamp, errors } = statusObject;
+
+  if (!whatsappMessageId || !ALLOWED_PREVIOUS[status]) {
+    console.log(`⚠️  Ignoring unsupported status "${status}" for ${whatsappMessageId}`);
+    return null;
+  }
+
+  const statusDate = timestamp ? new Date(parseInt(timestamp) * 1000) : new Date();
+
+  const update = {
+    whatsappStatus: status,
+    status,
+    whatsappTimestamp: statusDate
+  };
+
+  if (status === 'delivered') {
+    update.deliveredAt = statusDate;
+  }
+
+  if (status === 'failed') {
+    update.whatsappError = formatStatusError(errors) || 'Unknown error';
+  }
+
+  // Conditional update keeps transitions monotonic even if webhooks arrive out of order
+  let message = await Message.findOneAndUpdate(
+    { whatsappMessageId, whatsappStatus: { $in: ALLOWED_PREVIOUS[status] } },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!message) {
+    if (await Message.exists({ whatsappMessageId })) {
+      console.log(`ℹ️  Message ${whatsappMessageId} is already past status ${status}`);
+      return null;
+    }
+
+    // The send response has not stored the wamid yet - keep the status for applyPendingStatuses
+    await getPendingStore().keep(statusObject);
+    console.log(`⏳ Status ${status} for ${whatsappMessageId} kept until its message is stored`);
+
+    // The wamid may have been stored (and checked for statuses) while this one was being kept
+    if (await Message.exists({ whatsappMessageId })) {
+      await applyPendingStatuses(whatsappMessageId);
+    }
+    return null;
+  }
+
+  // A read receipt implies delivery; backfill deliveredAt if the delivered webhook was skipped
+  if (status === 'read') {
+    message.readAt = statusDate;
+    if (!message.deliveredAt) {
+      message.deliveredAt = statusDate;
+    }
+    await message.save();
+  }
+
+  console.log(`📬 Message ${message._id} status → ${status}${update.whatsappError ? ` (${update.whatsappError})` : ''}`);
+
+  emitStatusUpdate(message);
+
+  // Campaign funnels follow their messages
+  campaignService.applyMessageStatus(message);
+
+  return message;
+}
+
+/**
+ * Apply every status object in a webhook change
+ * @param {Array} statuses - `value.statuses` array
+ * @returns {Promise<number>} - Number of messages updated
+ */
+async function processStatuses(statuses = []) {
+  let updated = 0;
+
+  for (const statusObject of statuses) {
+    try {
+      const result = await processStatusUpdate(statusObject);
+      if (result) updated++;
+    } catch (error) {
+      console.error(`❌ Error processing status for ${statusObject.id}:`, error);
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Apply statuses that arrived before the message's wamid was stored
+ * Called by the send paths right after they store the wamid
+ * @param {string} whatsappMessageId - wamid just stored on a Message
+ * @returns {Promise<number>} - Number of statuses applied
+ */
+async function applyPendingStatuses(whatsappMessageId) {
+  if (!whatsappMessageId) return 0;
+
+  let applied = 0;
+  try {
+    const statuses = await getPendingStore().take(whatsappMessageId);
+    statuses.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status));
+
+    for (const statusObject of statuses) {
+      if (await processStatusUpdate(statusObject)) applied++;
+    }
+  } catch (error) {
+    console.error(`❌ Error applying pending statuses for ${whatsappMessageId}:`, error);
+  }
+  return applied;
+}
+
+/**
+ * Notify the frontend so message bubbles can refresh their ticks
+ * @param {object} message - Updated Message document
+ */
+function emitStatusUpdate(message) {
+  emitToConversation(message.conversationId, 'message_status_updated', {
+    chatId: message.conversationId.toString(),
+    messageId: message._id.toString(),
+    whatsappMessageId: message.whatsappMessageId,
+    status: message.whatsappStatus,
+    error: message.whatsappError,
+    deliveredAt: message.deliveredAt,
+    readAt: message.readAt
+  });
+}
+
+module.exports = {
+  processStatusUpdate,
+  processStatuses,
+  applyPendingStatuses,
+  emitStatusUpdate,
+  formatStatusError
+};
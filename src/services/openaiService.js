@@ -1,7 +1,7 @@
 const axios = require("axios");
 const UserThread = require("../models/UserThread");
 const Message = require("../models/Message");
-const { io } = require("../models/server");
+const { emitToConversation } = require("./socketRoomService");
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const OPENAI_ASSISTANT_ID = process.env.OPENAI_ASSISTANT_ID;
@@ -186,11 +186,11 @@ async function addMessageToThread(threadId, message, context, headers) {
   if (!messageAdded) throw new Error("Failed to add message after retries");
 }
 
-async function runAssistant(threadId, userId, headers) {
+async function runAssistant(threadId, userId, headers, assistantId = OPENAI_ASSISTANT_ID) {
   const runResponse = await axios.post(
     `${BASE_URL}/threads/${threadId}/runs`,
     {
-      assistant_id: OPENAI_ASSISTANT_ID,
+      assistant_id: assistantId,
       additional_instructions: `The user's WhatsApp phone number is: ${userId}.`
     },
     { headers }
@@ -373,7 +373,7 @@ Return ONLY valid JSON, nothing else.`;
       }).sort({ updatedAt: -1 });
       
       if (conversation) {
-        io.emit('metadata_updated', {
+        emitToConversation(conversation, 'metadata_updated', {
           conversationId: conversation._id.toString(),
           userId,
           metadata: updatedMetadata
@@ -388,11 +388,31 @@ Return ONLY valid JSON, nothing else.`;
   }
 }
 
+/**
+ * Assistant configured for the number the conversation arrived on
+ * Falls back to OPENAI_ASSISTANT_ID
+ */
+async function getConversationAssistantId(conversationId) {
+  if (!conversationId) return OPENAI_ASSISTANT_ID;
+
+  try {
+    const whatsappNumberService = require("./whatsappNumberService");
+    const phoneNumberId = await whatsappNumberService.getConversationPhoneNumberId(conversationId);
+    const number = await whatsappNumberService.getNumberConfig(phoneNumberId);
+    return number.assistantId || OPENAI_ASSISTANT_ID;
+  } catch (error) {
+    console.error("Error resolving assistant for conversation:", error.message);
+    return OPENAI_ASSISTANT_ID;
+  }
+}
+
 // ============================================
 // MAIN FUNCTION
 // ============================================
 async function getAIResponse(message, userId, context = {}, conversationId = null) {
-  if (!OPENAI_API_KEY || !OPENAI_ASSISTANT_ID) throw new Error("OpenAI config missing");
+  // Each WhatsApp number (brand) can have its own assistant
+  const assistantId = await getConversationAssistantId(conversationId);
+  if (!OPENAI_API_KEY || !assistantId) throw new Error("OpenAI config missing");
 
   const headers = {
     Authorization: `Bearer ${OPENAI_API_KEY}`,
@@ -406,19 +426,19 @@ async function getAIResponse(message, userId, context = {}, conversationId = nul
   try {
     // Emit AI typing start
     if (conversationId) {
-      io.emit('ai_typing_start', { conversationId, userId });
+      emitToConversation(conversationId, 'ai_typing_start', { conversationId, userId });
     }
 
     const threadId = await getOrCreateThread(userId, headers);
     await ensureNoActiveRun(threadId, headers);
     await addMessageToThread(threadId, message, { ...context, userId }, headers);
-    const runId = await runAssistant(threadId, userId, headers);
+    const runId = await runAssistant(threadId, userId, headers, assistantId);
     await handleRunStatus(threadId, runId, headers, userId);
     const response = await getAssistantResponse(threadId, runId, userId, conversationId);
 
     // Emit AI typing end
     if (conversationId) {
-      io.emit('ai_typing_end', { conversationId, userId });
+      emitToConversation(conversationId, 'ai_typing_end', { conversationId, userId });
     }
 
     return response;
@@ -444,7 +464,7 @@ async function getAIResponse(message, userId, context = {}, conversationId = nul
   } finally {
     // Ensure AI typing indicator is cleared on error
     if (conversationId) {
-      io.emit('ai_typing_end', { conversationId, userId });
+      emitToConversation(conversationId, 'ai_typing_end', { conversationId, userId });
     }
     endUserProcessing(userId);
     if (processingResolver) processingResolver();
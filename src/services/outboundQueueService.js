@@ -0,0 +1,398 @@
+/**
+ * Outbound Queue Service
+ *
+ * Mongo-backed queue for outbound WhatsApp sends.
+ * - Per phone number throughput limit (messages per second)
+ * - Exponential backoff on 429/5xx, network errors and Meta rate-limit codes
+ * - Dead-lettering after maxAttempts or on permanent errors
+ * - Stale "processing" jobs (crashed worker, dead leader) are recovered on every leader drain
+ * - Only the cluster leader drains the queue, so the per-number limit holds across instances
+ */
+
+const OutboundJob = require('../models/OutboundJob');
+const Message = require('../models/Message');
+const whatsappNumberService = require('./whatsappNumberService');
+const leaderElectionService = require('./leaderElectionService');
+
+// Configuration
+const RATE_PER_SECOND = parseInt(process.env.OUTBOUND_QUEUE_RATE_PER_SECOND) || 20;
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_QUEUE_MAX_ATTEMPTS) || 5;
+const POLL_INTERVAL = 1000; // Check for due jobs every second
+const BASE_BACKOFF = 2000; // 2s, 4s, 8s, ...
+const PAIR_RATE_LIMIT_BACKOFF = 6000; // Meta allows ~1 message every 6s to the same user
+const MAX_BACKOFF = 10 * 60 * 1000; // 10 minutes
+const STALE_LOCK_TIMEOUT = 2 * 60 * 1000; // Jobs stuck in "processing" for 2 minutes are retried
+
+// Meta error codes that are worth retrying
+// https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+const RATE_LIMIT_CODES = [4, 80007, 130429];
+const PAIR_RATE_LIMIT_CODES = [131056];
+const TRANSIENT_CODES = [1, 2, 131000, 131016];
+
+let workerInterval = null;
+let isDraining = false;
+
+// Per phone number throttling state (in memory, per process)
+const lastSendAt = new Map();
+const throttledUntil = new Map();
+
+/**
+ * Add a send to the queue
+ * @param {string} payload - JSON string payload (see shared/whatsappModels)
+ * @param {object} options - { phoneNumberId, messageRef, source, priority, maxAttempts }
+ * @returns {Promise<object>} - Created OutboundJob
+ */
+async function enqueue(payload, options = {}) {
+    const parsed = JSON.parse(payload);
+    const phoneNumberId = options.phoneNumberId
+        || (await whatsappNumberService.getDefaultNumber())?.phoneNumberId
+        || process.env.WHATSAPP_PHONE_NUMBER_ID;
+
+    const job = await OutboundJob.create({
+        phoneNumberId,
+        recipient: parsed.to,
+        payload,
+        source: options.source || 'system',
+        priority: options.priority || 0,
+        messageRef: options.messageRef,
+        maxAttempts: options.maxAttempts || MAX_ATTEMPTS
+    });
+
+    console.log(`📥 Outbound job ${job._id} queued for ${job.recipient} (source: ${job.source})`);
+
+    // Don't wait for the next poll
+    setImmediate(drainQueue);
+
+    return job;
+}
+
+/**
+ * Start the outbound queue worker
+ */
+function startOutboundQueueWorker() {
+    if (workerInterval) {
+        console.log('⚠️  Outbound queue worker already running');
+        return;
+    }
+
+    console.log('🚀 Starting outbound queue worker...');
+
+    workerInterval = setInterval(drainQueue, POLL_INTERVAL);
+
+    console.log(`✅ Outbound queue worker started (${RATE_PER_SECOND} msg/s per number, max ${MAX_ATTEMPTS} attempts)`);
+}
+
+/**
+ * Stop the outbound queue worker
+ */
+function stopOutboundQueueWorker() {
+    if (workerInterval) {
+        clearInterval(workerInterval);
+        workerInterval = null;
+        console.log('🛑 Outbound queue worker stopped');
+    }
+}
+
+/**
+ * Put jobs left in "processing" (e.g. by a crash, or by a leader that died) back into the queue
+ * Runs on the leader before every drain, while this process holds no job of its own
+ */
+async function recoverStaleJobs() {
+    try {
+        const result = await OutboundJob.updateMany(
+            { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_TIMEOUT) } },
+            { $set: { status: 'pending', nextAttemptAt: new Date() }, $unset: { lockedAt: 1 } }
+        );
+
+        if (result.modifiedCount > 0) {
+            console.log(`♻️  Recovered ${result.modifiedCount} stale outbound job(s)`);
+        }
+    } catch (error) {
+        console.error('❌ Error recovering stale outbound jobs:', error);
+    }
+}
+
+/**
+ * Send every due job, one at a time, respecting per-number throughput
+ */
+async function drainQueue() {
+    if (isDraining || !leaderElectionService.isLeader()) return;
+    isDraining = true;
+
+    try {
+        await recoverStaleJobs();
+
+        let job;
+        while ((job = await claimNextJob())) {
+            await processJob(job);
+        }
+    } catch (error) {
+        console.error('❌ Error draining outbound queue:', error);
+    } finally {
+        isDraining = false;
+    }
+}
+
+/**
+ * Atomically claim the next due job whose phone number is not throttled
+ * @returns {Promise<object|null>}
+ */
+async function claimNextJob() {
+    const now = Date.now();
+    const throttledNumbers = [...throttledUntil.entries()]
+        .filter(([, until]) => until > now)
+        .map(([phoneNumberId]) => phoneNumberId);
+
+    return OutboundJob.findOneAndUpdate(
+        {
+            status: 'pending',
+            nextAttemptAt: { $lte: new Date(now) },
+            phoneNumberId: { $nin: throttledNumbers }
+        },
+        { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+        { sort: { priority: -1, nextAttemptAt: 1 }, new: true }
+    );
+}
+
+/**
+ * Wait until the phone number may send again
+ * @param {string} phoneNumberId
+ */
+async function waitForThroughput(phoneNumberId) {
+    const minInterval = 1000 / RATE_PER_SECOND;
+    const elapsed = Date.now() - (lastSendAt.get(phoneNumberId) || 0);
+
+    if (elapsed < minInterval) {
+        await new Promise(resolve => setTimeout(resolve, minInterval - elapsed));
+    }
+
+    lastSendAt.set(phoneNumberId, Date.now());
+}
+
+/**
+ * Send a claimed job and record the outcome
+ * @param {object} job - OutboundJob document (status: processing)
+ */
+async function processJob(job) {
+    const whatsappService = require('./whatsappService');
+
+    await waitForThroughput(job.phoneNumberId);
+
+    const result = await whatsappService.sendWhatsappResponse(job.payload, job.phoneNumberId);
+
+    if (result.success) {
+        job.status = 'sent';
+        job.whatsappMessageId = result.messageId;
+        job.completedAt = new Date();
+        job.lockedAt = undefined;
+        await job.save();
+
+        console.log(`📤 Outbound job ${job._id} sent to ${job.recipient} (attempt ${job.attempts})`);
+        await updateLinkedMessage(job, result);
+        return;
+    }
+
+    const { error, statusCode } = result;
+    job.lastError = {
+        code: error.code,
+        subcode: error.subcode,
+        statusCode,
+        message: error.message,
+        at: new Date()
+    };
+    job.lockedAt = undefined;
+
+    // Throughput limit hit: pause the whole number, not just this job
+    const delay = getBackoffDelay(job.attempts, error.code);
+    if (statusCode === 429 || RATE_LIMIT_CODES.includes(error.code)) {
+        throttledUntil.set(job.phoneNumberId, Date.now() + delay);
+        console.log(`🚦 Phone number ${job.phoneNumberId} throttled for ${Math.round(delay / 1000)}s`);
+    }
+
+    if (isRetryable(statusCode, error.code) && job.attempts < job.maxAttempts) {
+        job.status = 'pending';
+        job.nextAttemptAt = new Date(Date.now() + delay);
+        await job.save();
+
+        console.log(`🔁 Outbound job ${job._id} failed (${error.message}), retry ${job.attempts}/${job.maxAttempts} in ${Math.round(delay / 1000)}s`);
+        return;
+    }
+
+    job.status = 'dead';
+    job.deadAt = new Date();
+    await job.save();
+
+    console.error(`💀 Outbound job ${job._id} dead-lettered after ${job.attempts} attempt(s): ${error.message}`);
+    await updateLinkedMessage(job, result);
+}
+
+/**
+ * Whether a failed send should be retried
+ * @param {number|null} statusCode - HTTP status (null for network errors)
+ * @param {number|string|null} code - Meta error code
+ * @returns {boolean}
+ */
+function isRetryable(statusCode, code) {
+    if (!statusCode) return true; // Network error
+    if (statusCode === 429 || statusCode >= 500) return true;
+
+    return RATE_LIMIT_CODES.includes(code) ||
+        PAIR_RATE_LIMIT_CODES.includes(code) ||
+        TRANSIENT_CODES.includes(code);
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} attempts - Attempts made so far
+ * @param {number|string|null} code - Meta error code
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempts, code) {
+    const base = PAIR_RATE_LIMIT_CODES.includes(code) ? PAIR_RATE_LIMIT_BACKOFF : BASE_BACKOFF;
+    const delay = base * Math.pow(2, Math.max(attempts - 1, 0));
+    const jitter = Math.random() * 0.2 * delay;
+
+    return Math.min(delay + jitter, MAX_BACKOFF);
+}
+
+/**
+ * Copy the final outcome onto the Message record and notify the frontend
+ * @param {object} job - OutboundJob document
+ * @param {object} result - Result from whatsappService.sendWhatsappResponse
+ */
+async function updateLinkedMessage(job, result) {
+    if (!job.messageRef) return;
+
+    try {
+        const whatsappService = require('./whatsappService');
+        const messageStatusService = require('./messageStatusService');
+
+        const message = await Message.findByIdAndUpdate(
+            job.messageRef,
+            { $set: whatsappService.getDeliveryFields(result) },
+            { new: true }
+        );
+
+        if (message) {
+            messageStatusService.emitStatusUpdate(message);
+            require('./campaignService').applyMessageStatus(message);
+
+            // Statuses whose webhook beat the send response
+            await messageStatusService.applyPendingStatuses(message.whatsappMessageId);
+        }
+    } catch (error) {
+        console.error(`❌ Error updating message ${job.messageRef} for outbound job ${job._id}:`, error);
+    }
+}
+
+/**
+ * List jobs for the admin endpoint
+ * @param {object} filters - { status, recipient, source, limit, skip }
+ * @returns {Promise<object>} - { jobs, total }
+ */
+async function getJobs(filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.recipient) query.recipient = filters.recipient;
+    if (filters.source) query.source = filters.source;
+
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const skip = parseInt(filters.skip) || 0;
+
+    const [jobs, total] = await Promise.all([
+        OutboundJob.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        OutboundJob.countDocuments(query)
+    ]);
+
+    return { jobs, total };
+}
+
+/**
+ * Queue counts per status
+ * @returns {Promise<object>} - { pending, processing, sent, dead, throttledNumbers }
+ */
+async function getQueueStats() {
+    const counts = await OutboundJob.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = { pending: 0, processing: 0, sent: 0, dead: 0 };
+    counts.forEach(c => { stats[c._id] = c.count; });
+
+    const now = Date.now();
+    stats.throttledNumbers = [...throttledUntil.entries()]
+        .filter(([, until]) => until > now)
+        .map(([phoneNumberId, until]) => ({ phoneNumberId, until: new Date(until) }));
+
+    return stats;
+}
+
+/**
+ * Put a dead-lettered job back into the queue
+ * @param {string} jobId
+ * @returns {Promise<object|null>} - Updated job, or null if not found / not dead
+ */
+async function retryJob(jobId) {
+    const job = await OutboundJob.findOneAndUpdate(
+        { _id: jobId, status: 'dead' },
+        {
+            $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+            $unset: { deadAt: 1, lockedAt: 1 }
+        },
+        { new: true }
+    );
+
+    if (job) {
+        await markMessagePending(job);
+        console.log(`🔁 Outbound job ${job._id} re-queued manually`);
+        setImmediate(drainQueue);
+    }
+
+    return job;
+}
+
+/**
+ * Re-queue every dead-lettered job (optionally filtered)
+ * @param {object} filters - { source, recipient }
+ * @returns {Promise<number>} - Number of jobs re-queued
+ */
+async function retryDeadJobs(filters = {}) {
+    const query = { status: 'dead' };
+    if (filters.source) query.source = filters.source;
+    if (filters.recipient) query.recipient = filters.recipient;
+
+    const jobs = await OutboundJob.find(query).select('_id');
+    let retried = 0;
+
+    for (const { _id } of jobs) {
+        if (await retryJob(_id)) retried++;
+    }
+
+    return retried;
+}
+
+/**
+ * Reset the linked message so the UI no longer shows it as failed
+ * @param {object} job - OutboundJob document
+ */
+async function markMessagePending(job) {
+    if (!job.messageRef) return;
+
+    await Message.findByIdAndUpdate(job.messageRef, {
+        $set: { status: 'pending' },
+        $unset: { whatsappError: 1 }
+    });
+}
+
+module.exports = {
+    enqueue,
+    startOutboundQueueWorker,
+    stopOutboundQueueWorker,
+    drainQueue,
+    getJobs,
+    getQueueStats,
+    retryJob,
+    retryDeadJobs,
+    isRetryable,
+    getBackoffDelay
+};
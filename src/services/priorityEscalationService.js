@@ -1,12 +1,23 @@
 const Conversation = require('../models/Conversation');
 const Customer = require('../models/Customer');
 const CRMSettings = require('../models/CRMSettings');
+const leaderElectionService = require('./leaderElectionService');
+const businessHoursService = require('./businessHoursService');
+const { emitToConversation } = require('./socketRoomService');
+
+const CHECK_INTERVAL = 60 * 1000; // Sweep every minute
+
+let escalationInterval = null;
+let isChecking = false; // A slow sweep is not overlapped by the next tick
+let unsubscribeLeadership = null; // Runs the first check when this instance is elected leader
 
 /**
  * Check and escalate conversation priority based on rules
+ * @param {string} conversationId
+ * @param {object} settings - CRMSettings (loaded when omitted)
  */
-async function checkAndEscalate(conversationId) {
-    const settings = await CRMSettings.getSettings();
+async function checkAndEscalate(conversationId, settings = null) {
+    settings = settings || await CRMSettings.getSettings();
 
     if (!settings.priorityEscalation.enabled) {
         return null;
@@ -17,19 +28,32 @@ async function checkAndEscalate(conversationId) {
         return null;
     }
 
-    let shouldEscalate = false;
-    let newPriority = conversation.priority;
-    let escalationReason = '';
-    let triggeredBy = 'system';
+    const escalation = getRuleEscalation(conversation, settings);
+    if (escalation) {
+        return await escalateConversation(conversationId, escalation.newPriority, escalation.reason, escalation.triggeredBy);
+    }
+
+    return null;
+}
+
+/**
+ * Evaluate the wait time and VIP rules for a conversation (no database access)
+ * @param {object} conversation - Conversation with customerId populated (document or lean)
+ * @param {object} settings - CRMSettings
+ * @returns {{newPriority: string, reason: string, triggeredBy: string}|null}
+ */
+function getRuleEscalation(conversation, settings) {
+    let escalation = null;
 
-    // Check wait time escalation
+    // Check wait time escalation (business time - the clock is paused outside business hours)
     if (conversation.status === 'assigned' && conversation.assignedAt) {
-        const waitTime = Date.now() - conversation.assignedAt.getTime();
+        const waitTime = businessHoursService.getBusinessTimeBetween(settings, conversation.assignedAt, new Date());
         if (waitTime > settings.priorityEscalation.waitTimeThreshold && conversation.priority !== 'urgent') {
-            shouldEscalate = true;
-            newPriority = conversation.priority === 'low' ? 'medium' : 'high';
-            escalationReason = `Wait time exceeded threshold (${Math.round(waitTime / 60000)} minutes)`;
-            triggeredBy = 'wait_time';
+            escalation = {
+                newPriority: conversation.priority === 'low' ? 'medium' : 'high',
+                reason: `Wait time exceeded threshold (${Math.round(waitTime / 60000)} minutes)`,
+                triggeredBy: 'wait_time'
+            };
         }
     }
 
@@ -37,18 +61,14 @@ async function checkAndEscalate(conversationId) {
     if (settings.priorityEscalation.vipAutoEscalate &&
         conversation.customerId?.segment === 'vip' &&
         conversation.priority === 'medium') {
-        shouldEscalate = true;
-        newPriority = 'high';
-        escalationReason = 'VIP customer auto-escalation';
-        triggeredBy = 'vip';
+        escalation = {
+            newPriority: 'high',
+            reason: 'VIP customer auto-escalation',
+            triggeredBy: 'vip'
+        };
     }
 
-    // Escalate if needed
-    if (shouldEscalate) {
-        return await escalateConversation(conversationId, newPriority, escalationReason, triggeredBy);
-    }
-
-    return null;
+    return escalation;
 }
 
 /**
@@ -105,8 +125,6 @@ async function checkMessageForEscalation(conversationId, messageContent) {
  * Escalate conversation to new priority level
  */
 async function escalateConversation(conversationId, newPriority, reason, triggeredBy = 'system') {
-    const { io } = require('../models/server');
-
     const conversation = await Conversation.findById(conversationId);
     if (!conversation) {
         throw new Error('Conversation not found');
@@ -138,11 +156,15 @@ async function escalateConversation(conversationId, newPriority, reason, trigger
     await conversation.save();
 
     // Emit socket event
-    io.emit('conversation_escalated', {
-        conversationId,
+    const change = conversation.priorityHistory[conversation.priorityHistory.length - 1];
+    emitToConversation(conversation, 'conversation_escalated', {
+        conversationId: conversation._id.toString(),
         oldPriority,
         newPriority,
-        reason
+        reason,
+        triggeredBy,
+        timestamp: change.timestamp,
+        change
     });
 
     console.log(`⬆️ Conversation ${conversationId} escalated: ${oldPriority} → ${newPriority} (${reason})`);
@@ -182,15 +204,33 @@ async function setConversationPriority(conversationId, newPriority, agentId, rea
  */
 async function checkAllConversationsForEscalation() {
     try {
+        const settings = await CRMSettings.getSettings();
+        if (!settings.priorityEscalation.enabled) {
+            return 0;
+        }
+
+        // Urgent conversations can't go any higher. One query for the sweep; only the
+        // conversations a rule matches are loaded again to be escalated
         const activeConversations = await Conversation.find({
-            status: { $in: ['open', 'assigned', 'waiting'] }
-        });
+            status: { $in: ['open', 'assigned', 'waiting'] },
+            priority: { $ne: 'urgent' }
+        })
+            .select('status priority assignedAt customerId')
+            .populate('customerId', 'segment')
+            .lean();
 
         let escalatedCount = 0;
         for (const conversation of activeConversations) {
-            const result = await checkAndEscalate(conversation._id);
-            if (result) {
-                escalatedCount++;
+            const escalation = getRuleEscalation(conversation, settings);
+            if (!escalation) continue;
+
+            try {
+                const result = await escalateConversation(conversation._id, escalation.newPriority, escalation.reason, escalation.triggeredBy);
+                if (result) {
+                    escalatedCount++;
+                }
+            } catch (error) {
+                console.error(`Error escalating conversation ${conversation._id}:`, error.message);
             }
         }
 
@@ -205,7 +245,53 @@ async function checkAllConversationsForEscalation() {
     }
 }
 
+/**
+ * Start the escalation sweep background job
+ */
+function startEscalationService() {
+    if (escalationInterval) {
+        console.log('⚠️  Priority escalation service already running');
+        return;
+    }
+
+    console.log('🚀 Starting priority escalation service...');
+
+    unsubscribeLeadership = leaderElectionService.onLeadershipAcquired(runScheduledCheck);
+    escalationInterval = setInterval(runScheduledCheck, CHECK_INTERVAL);
+
+    console.log(`✅ Priority escalation service started (checking every ${CHECK_INTERVAL / 1000}s)`);
+}
+
+/**
+ * Stop the escalation sweep
+ */
+function stopEscalationService() {
+    if (escalationInterval) {
+        clearInterval(escalationInterval);
+        escalationInterval = null;
+        unsubscribeLeadership();
+        unsubscribeLeadership = null;
+        console.log('🛑 Priority escalation service stopped');
+    }
+}
+
+/**
+ * Scheduled tick - only the cluster leader sweeps, so each escalation is recorded once
+ */
+async function runScheduledCheck() {
+    if (isChecking || !leaderElectionService.isLeader()) return;
+    isChecking = true;
+
+    try {
+        await checkAllConversationsForEscalation();
+    } finally {
+        isChecking = false;
+    }
+}
+
 module.exports = {
+    startEscalationService,
+    stopEscalationService,
     checkAndEscalate,
     checkMessageForEscalation,
     escalateConversation,
@@ -4,6 +4,10 @@
  * Handles burst detection and message batching for WhatsApp bot.
  * When a user sends multiple messages quickly, they are queued and
  * processed together as one context to the AI assistant.
+ *
+ * Queued messages live in inboundBufferService (MongoDB by default), so a burst
+ * survives restarts and can be picked up by any instance. Local timers are only
+ * the fast path; startQueueRecovery() processes bursts no timer is waiting for.
  */
 
 const openaiService = require("./openaiService");
@@ -12,12 +16,20 @@ const { buildTextJSON } = require("../shared/whatsappModels");
 const Conversation = require("../models/Conversation");
 const Message = require("../models/Message");
 const Customer = require("../models/Customer");
+const replyContextService = require("./replyContextService");
+const inboundBufferService = require("./inboundBufferService");
+const priorityEscalationService = require("./priorityEscalationService");
+const { emitToConversation } = require("./socketRoomService");
 const { io } = require("../models/server");
 
 // Message queue configuration
 const QUEUE_WAIT_TIME = 2000; // 2 seconds - wait for burst to complete
-const userQueues = new Map(); // userId -> array of messages
-const queueTimers = new Map(); // userId -> timer id
+const RECOVERY_INTERVAL = 5000; // Look for orphaned bursts every 5 seconds
+const STALE_CLAIM_AGE = 2 * 60 * 1000; // A burst whose claim was not renewed for 2 minutes belongs to a dead worker
+const CLAIM_RENEW_INTERVAL = 30 * 1000; // Renew the claim while a burst is processed (the AI call can take minutes)
+const queueTimers = new Map(); // userId -> timer id (this instance only)
+
+let recoveryInterval = null;
 
 /**
  * Add message to user's queue (with burst detection)
@@ -26,26 +38,28 @@ const queueTimers = new Map(); // userId -> timer id
  * @param {string} messageId - WhatsApp message ID
  * @param {string} messageType - Message type (text, image, etc)
  * @param {object} messageObject - Full message object from WhatsApp
- * @returns {boolean} - True if queued, false if user is already being processed
+ * @param {object} savedMessage - Optional Message document already persisted by a media handler (e.g. audio)
+ * @returns {Promise<boolean>} - True if queued
  */
-function queueUserMessage(userId, messageText, messageId, messageType, messageObject, conversationId, customerId) {
-  // Get or create queue for this user
-  if (!userQueues.has(userId)) {
-    userQueues.set(userId, []);
+async function queueUserMessage(userId, messageText, messageId, messageType, messageObject, conversationId, customerId, savedMessage = null) {
+  // Add message to the persistent buffer (resets the burst window)
+  try {
+    await inboundBufferService.append({
+      userId,
+      messageId,
+      conversationId,
+      customerId,
+      text: messageText,
+      type: messageType,
+      messageObject,
+      savedMessageId: savedMessage?._id
+    }, QUEUE_WAIT_TIME);
+  } catch (error) {
+    console.error(`❌ Error buffering message ${messageId} for ${userId}:`, error);
+    return false;
   }
 
-  // Add message to queue
-  userQueues.get(userId).push({
-    text: messageText,
-    id: messageId,
-    type: messageType,
-    object: messageObject,
-    timestamp: new Date(),
-    conversationId: conversationId,
-    customerId: customerId
-  });
-
-  console.log(`📥 Message queued for ${userId}. Queue size: ${userQueues.get(userId).length}`);
+  console.log(`📥 Message queued for ${userId}`);
 
   // Clear existing timer (reset the wait window)
   if (queueTimers.has(userId)) {
@@ -60,6 +74,25 @@ function queueUserMessage(userId, messageText, messageId, messageType, messageOb
   queueTimers.set(userId, timer);
 
   console.log(`⏱️  Timer set - Will process queue in ${QUEUE_WAIT_TIME}ms if no new messages arrive`);
+  return true;
+}
+
+/**
+ * Load a claimed batch in the shape used by processUserQueue
+ * @param {Array} entries - Buffer entries
+ * @returns {Promise<Array>}
+ */
+async function toQueueMessages(entries) {
+  return Promise.all(entries.map(async entry => ({
+    text: entry.text,
+    id: entry.messageId,
+    type: entry.type,
+    object: entry.messageObject,
+    timestamp: entry.receivedAt,
+    conversationId: entry.conversationId,
+    customerId: entry.customerId,
+    savedMessage: entry.savedMessageId ? await Message.findById(entry.savedMessageId) : null
+  })));
 }
 
 /**
@@ -67,20 +100,39 @@ function queueUserMessage(userId, messageText, messageId, messageType, messageOb
  * @param {string} userId - User phone number
  */
 async function processUserQueue(userId) {
-  const messagesToProcess = userQueues.get(userId);
-  if (!messagesToProcess || messagesToProcess.length === 0) {
+  queueTimers.delete(userId);
+
+  // Claim the burst - null if it is still open or another instance already took it
+  let batch = null;
+  try {
+    batch = await inboundBufferService.claimBatch(userId);
+  } catch (error) {
+    console.error(`❌ Error claiming queue for ${userId}:`, error);
+  }
+  if (!batch) {
     return;
   }
 
-  console.log(`\n🚀 PROCESSING QUEUE for ${userId} - ${messagesToProcess.length} message(s)`);
+  const renewTimer = setInterval(() => {
+    inboundBufferService.renewClaim(batch.token)
+      .catch(error => console.error(`❌ Error renewing queue claim for ${userId}:`, error.message));
+  }, CLAIM_RENEW_INTERVAL);
+
+  // Number the conversation arrived on - all replies are sent from it
+  let phoneNumberId = null;
 
   try {
+    const messagesToProcess = await toQueueMessages(batch.entries);
+
+    console.log(`\n🚀 PROCESSING QUEUE for ${userId} - ${messagesToProcess.length} message(s)`);
+
     // Get conversationId from first message
     const conversationId = messagesToProcess[0].conversationId;
 
     // CHECK IF CONVERSATION IS ASSIGNED TO AN AGENT
     const conversation = await Conversation.findById(conversationId)
       .populate('assignedAgent');
+    phoneNumberId = conversation?.whatsappData?.phoneNumberId || null;
 
     // Combine all text messages into one context
     const combinedText = messagesToProcess
@@ -91,10 +143,28 @@ async function processUserQueue(userId) {
     console.log(`📝 Combined message (${combinedText.length} chars):`);
     console.log(`   "${combinedText.substring(0, 100)}${combinedText.length > 100 ? '...' : ''}"`);
 
+    // Raise priority on urgent/high keywords (CRM settings) - AI and agent handled alike
+    if (conversation) {
+      try {
+        await priorityEscalationService.checkMessageForEscalation(conversationId, combinedText);
+      } catch (error) {
+        console.error(`❌ Error checking escalation keywords for ${conversationId}:`, error.message);
+      }
+    }
+
     // If assigned to agent, route to agent instead of AI
     if (conversation && conversation.assignedAgent && !conversation.isAIEnabled) {
       console.log(`📨 Conversation assigned to agent ${conversation.assignedAgent.email} - Routing to agent`);
 
+      // Save messages to database
+      // Messages are sent to the agent via the customer_message event below, no new_message needed
+      for (const msg of messagesToProcess) {
+        await saveQueuedMessage(msg);
+      }
+
+      // Quote shown on the combined bubble: the latest quoted message in the burst
+      const quotedEntry = [...messagesToProcess].reverse().find(msg => msg.quoted);
+
       // Emit to specific agent via socket
       io.to(`agent_${conversation.assignedAgent._id}`).emit('customer_message', {
         conversationId: conversation._id,
@@ -102,27 +172,10 @@ async function processUserQueue(userId) {
         customerPhone: userId,
         message: combinedText,
         messageCount: messagesToProcess.length,
+        replyTo: replyContextService.formatReplySnippet(quotedEntry?.quoted),
         timestamp: new Date()
       });
 
-      // Save messages to database
-      for (const msg of messagesToProcess) {
-        const newMessage = new Message({
-          conversationId: msg.conversationId,
-          customerId: msg.customerId,
-          content: msg.text,
-          type: msg.type || 'text',
-          direction: 'inbound',
-          sender: 'customer',
-          whatsappMessageId: msg.id,
-          status: 'delivered'
-        });
-        await newMessage.save();
-
-        // Message already sent to agent via customer_message event above
-        // No need to emit new_message here
-      }
-
       // Update conversation stats
       await Conversation.findByIdAndUpdate(conversationId, {
         $inc: { messageCount: messagesToProcess.length, unreadCount: messagesToProcess.length },
@@ -137,8 +190,6 @@ async function processUserQueue(userId) {
 
       console.log(`✅ Messages routed to agent ${conversation.assignedAgent.email}`);
 
-      // Clear queue
-      userQueues.delete(userId);
       return; // Exit early - message routed to agent
     }
 
@@ -149,26 +200,20 @@ async function processUserQueue(userId) {
 
     // Save messages first
     for (const msg of messagesToProcess) {
-      const newMessage = new Message({
-        conversationId: msg.conversationId,
-        customerId: msg.customerId,
-        content: msg.text,
-        type: msg.type || 'text',
-        direction: 'inbound',
-        sender: 'customer',
-        whatsappMessageId: msg.id,
-        status: 'delivered'
-      });
-      await newMessage.save();
+      const newMessage = await saveQueuedMessage(msg);
 
       // Emit customer message to frontend
-      io.emit('new_message', {
+      emitToConversation(conversationId, 'new_message', {
         chatId: conversationId,
         message: {
           id: newMessage._id.toString(),
           text: newMessage.content,
           sender: 'other',
-          timestamp: newMessage.timestamp
+          timestamp: newMessage.timestamp,
+          type: newMessage.type,
+          attachments: newMessage.attachments,
+          transcription: newMessage.transcription,
+          replyTo: replyContextService.formatReplySnippet(msg.quoted)
         }
       });
     }
@@ -207,15 +252,20 @@ async function processUserQueue(userId) {
         });
       }
       
-      // Clear queue and exit - human agent will respond
-      userQueues.delete(userId);
+      // Exit - human agent will respond
+      return;
+    }
+
+    // Waiting for an agent - the customer already got their queue position
+    if (takeoverResult && takeoverResult.queued) {
+      console.log(`⏳ Conversation in the waiting queue (position ${takeoverResult.position}) - Skipping AI response`);
       return;
     }
 
     // CONTINUE WITH AI PROCESSING
     // Show typing indicator
     const lastMessageId = messagesToProcess[messagesToProcess.length - 1].id;
-    whatsappService.sendTypingIndicator(lastMessageId, "text");
+    whatsappService.sendTypingIndicator(lastMessageId, "text", phoneNumberId);
 
     // Send combined message to OpenAI
     console.log(`🤖 Calling OpenAI Assistant with combined context...`);
@@ -225,49 +275,26 @@ async function processUserQueue(userId) {
 
     console.log(`🤖 OpenAI response received in ${duration}s (length: ${aiReply.length} chars)`);
 
-    // Send response to WhatsApp
-    const replyPayload = buildTextJSON(userId, aiReply);
-    whatsappService.sendWhatsappResponse(replyPayload);
-
-    console.log(`✅ Single AI response sent to ${userId} for ${messagesToProcess.length} message(s)`);
-    console.log(`🔓 Queue processing finished for ${userId}\n`);
-
-    // Update conversation stats
-    if (conversationId) {
-      try {
-        await Conversation.findByIdAndUpdate(conversationId, {
-          $inc: { messageCount: 1 },
-          lastAgentResponse: new Date(),
-          lastMessage: {
-            content: aiReply,
-            timestamp: new Date(),
-            from: 'agent', // or 'ai'
-            type: 'text'
-          }
-        });
-      } catch (err) {
-        console.error("Error updating conversation stats:", err);
-      }
-    }
-
     // NOTE: User messages are already saved in whatsappController.js before calling handlers
     // No need to save them again here - this was causing duplicate messages
 
-    // Save AI response to history
+    // Save AI response to history (pending until the outbound queue delivers it)
+    const replyPayload = buildTextJSON(userId, aiReply);
+    let aiMessage = null;
     try {
       const customerId = messagesToProcess[0].customerId;
-      const aiMessage = new Message({
+      aiMessage = new Message({
         conversationId: conversationId,
         customerId: customerId,
         content: aiReply,
         type: 'text',
         direction: 'outbound',
         sender: 'ai',
-        status: 'sent'
+        status: 'pending'
       });
       await aiMessage.save();
 
-      io.emit('new_message', {
+      emitToConversation(conversationId, 'new_message', {
         chatId: conversationId,
         message: {
           id: aiMessage._id.toString(),
@@ -275,55 +302,162 @@ async function processUserQueue(userId) {
           sender: 'me',
           isAI: true,
           timestamp: aiMessage.timestamp,
-          type: 'text'
+          type: 'text',
+          status: aiMessage.status
         }
       });
     } catch (dbError) {
       console.error("Error saving AI response to DB:", dbError);
     }
 
+    // Send response to WhatsApp through the durable outbound queue
+    await whatsappService.queueWhatsappMessage(replyPayload, {
+      messageRef: aiMessage?._id,
+      source: 'ai_reply',
+      priority: 10,
+      phoneNumberId
+    });
+
+    console.log(`✅ Single AI response queued for ${userId} for ${messagesToProcess.length} message(s)`);
+    console.log(`🔓 Queue processing finished for ${userId}\n`);
+
+    // Update conversation stats
+    if (conversationId) {
+      try {
+        await Conversation.findByIdAndUpdate(conversationId, {
+          $inc: { messageCount: 1 },
+          lastAgentResponse: new Date(),
+          lastMessage: {
+            content: aiReply,
+            timestamp: new Date(),
+            from: 'agent', // or 'ai'
+            type: 'text'
+          }
+        });
+      } catch (err) {
+        console.error("Error updating conversation stats:", err);
+      }
+    }
+
   } catch (err) {
     console.error(`❌ Error processing queue for ${userId}:`, err);
 
     // Send error message to user
     const errorPayload = buildTextJSON(userId, "Lo siento, tuve un problema procesando tu mensaje. ¿Podrías intentarlo de nuevo?");
-    whatsappService.sendWhatsappResponse(errorPayload);
+    whatsappService.sendWhatsappResponse(errorPayload, phoneNumberId);
   } finally {
     // Clean up
-    userQueues.delete(userId);
-    queueTimers.delete(userId);
+    clearInterval(renewTimer);
+    try {
+      await inboundBufferService.completeBatch(batch.token);
+    } catch (error) {
+      console.error(`❌ Error removing processed queue for ${userId}:`, error);
+    }
+  }
+}
+
+/**
+ * Persist a queued customer message, unless a media handler already saved it
+ * Also resolves the message the customer quoted (stored on msg.quoted for socket events)
+ * @param {object} msg - Queue entry
+ * @returns {Promise<object>} - Message document
+ */
+async function saveQueuedMessage(msg) {
+  msg.quoted = await replyContextService.findQuotedMessage(msg.object);
+
+  if (msg.savedMessage) {
+    return msg.savedMessage;
+  }
+
+  const newMessage = new Message({
+    conversationId: msg.conversationId,
+    customerId: msg.customerId,
+    content: msg.text,
+    type: msg.type || 'text',
+    direction: 'inbound',
+    sender: 'customer',
+    whatsappMessageId: msg.id,
+    replyTo: msg.quoted?._id,
+    status: 'delivered'
+  });
+  await newMessage.save();
+
+  return newMessage;
+}
+
+/**
+ * Process bursts that no local timer is waiting for
+ * (buffered before a restart, or on an instance that went away)
+ */
+async function recoverPendingQueues() {
+  try {
+    const released = await inboundBufferService.releaseStaleClaims(STALE_CLAIM_AGE);
+    if (released > 0) {
+      console.log(`♻️  Released ${released} queued message(s) abandoned mid-processing`);
+    }
+
+    const userIds = await inboundBufferService.getDueUserIds(QUEUE_WAIT_TIME);
+    for (const userId of userIds) {
+      if (queueTimers.has(userId)) continue;
+      console.log(`♻️  Recovering queued messages for ${userId}`);
+      await processUserQueue(userId);
+    }
+  } catch (error) {
+    console.error('❌ Error recovering message queues:', error);
+  }
+}
+
+/**
+ * Start the queue recovery background job
+ */
+function startQueueRecovery() {
+  if (recoveryInterval) {
+    console.log('⚠️  Queue recovery already running');
+    return;
+  }
+
+  recoverPendingQueues();
+  recoveryInterval = setInterval(recoverPendingQueues, RECOVERY_INTERVAL);
+
+  console.log(`✅ Queue recovery started (checking every ${RECOVERY_INTERVAL / 1000}s)`);
+}
+
+/**
+ * Stop the queue recovery background job
+ */
+function stopQueueRecovery() {
+  if (recoveryInterval) {
+    clearInterval(recoveryInterval);
+    recoveryInterval = null;
+    console.log('🛑 Queue recovery stopped');
   }
 }
 
 /**
  * Get queue statistics
- * @returns {object} - Queue statistics
+ * @returns {Promise<object>} - Queue statistics
  */
-function getQueueStats() {
-  return {
-    activeQueues: userQueues.size,
-    queues: Array.from(userQueues.entries()).map(([userId, messages]) => ({
-      userId,
-      messageCount: messages.length
-    }))
-  };
+async function getQueueStats() {
+  return inboundBufferService.getStats();
 }
 
 /**
  * Clear all queues (useful for testing/cleanup)
  */
-function clearAllQueues() {
+async function clearAllQueues() {
   for (const timer of queueTimers.values()) {
     clearTimeout(timer);
   }
-  userQueues.clear();
   queueTimers.clear();
+  await inboundBufferService.clear();
   console.log('🧹 Cleared all message queues');
 }
 
 module.exports = {
   queueUserMessage,
   processUserQueue,
+  startQueueRecovery,
+  stopQueueRecovery,
   getQueueStats,
   clearAllQueues,
   QUEUE_WAIT_TIME
@@ -0,0 +1,90 @@
+/**
+ * Reply Context Service
+ *
+ * Links quoted (replied-to) messages in both directions:
+ * - Inbound: WhatsApp sends context.id (wamid) when the customer quotes a message
+ * - Outbound: agents quote one of our Message documents, sent as context.message_id
+ */
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+
+const SNIPPET_LENGTH = 120;
+const QUOTED_FIELDS = 'content type sender attachments whatsappMessageId conversationId';
+
+/**
+ * Find the Message quoted by an inbound WhatsApp message
+ * @param {object} messageObject - Message object from the webhook
+ * @returns {Promise<object|null>} - Quoted Message (lean) or null
+ */
+async function findQuotedMessage(messageObject) {
+    const quotedWamid = messageObject?.context?.id;
+    if (!quotedWamid) {
+        return null;
+    }
+
+    try {
+        const quoted = await Message.findOne({ whatsappMessageId: quotedWamid })
+            .select(QUOTED_FIELDS)
+            .lean();
+
+        if (!quoted) {
+            console.log(`↩️  Quoted message ${quotedWamid} not found in history`);
+        }
+        return quoted;
+    } catch (error) {
+        console.error('❌ Error resolving quoted message:', error);
+        return null;
+    }
+}
+
+/**
+ * Find a Message an agent wants to quote, ensuring it belongs to the conversation
+ * and was delivered through WhatsApp (so it has a wamid to reference)
+ * @param {string} messageId - Our Message _id
+ * @param {string} conversationId - Conversation the reply is sent in
+ * @returns {Promise<object|null>} - Quoted Message (lean) or null
+ */
+async function findMessageToQuote(messageId, conversationId) {
+    if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) {
+        return null;
+    }
+
+    const quoted = await Message.findOne({ _id: messageId, conversationId })
+        .select(QUOTED_FIELDS)
+        .lean();
+
+    if (!quoted || !quoted.whatsappMessageId) {
+        return null;
+    }
+    return quoted;
+}
+
+/**
+ * Build the quoted snippet shown in the chat UI
+ * @param {object} quoted - Message document (or lean object)
+ * @returns {object|null} - { id, text, sender: 'me'|'other', type, attachmentUrl }
+ */
+function formatReplySnippet(quoted) {
+    if (!quoted || !quoted._id) {
+        return null;
+    }
+
+    const content = quoted.content || '';
+    const attachment = quoted.attachments && quoted.attachments[0];
+
+    return {
+        id: quoted._id.toString(),
+        text: content.length > SNIPPET_LENGTH ? `${content.substring(0, SNIPPET_LENGTH)}…` : content,
+        sender: quoted.sender === 'customer' ? 'other' : 'me',
+        type: quoted.type,
+        attachmentUrl: attachment && attachment.type === 'image' ? attachment.url : undefined
+    };
+}
+
+module.exports = {
+    findQuotedMessage,
+    findMessageToQuote,
+    formatReplySnippet,
+    QUOTED_FIELDS
+};
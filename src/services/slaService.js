@@ -0,0 +1,405 @@
+/**
+ * SLA Service
+ *
+ * Tracks CRMSettings.sla targets on every conversation:
+ * - Targets and due dates are set when the conversation is created
+ * - First response = first agent reply (the clock restarts when an AI conversation is handed to an agent)
+ * - Resolution = creation until the agent resolves the conversation
+ * Times are measured in business time (see businessHoursService), so nights and closed days don't count.
+ *
+ * A background monitor (leader instance only) warns before a target is missed and alerts
+ * on breach: socket events for the agents who can see the conversation, plus a WhatsApp
+ * template to the assigned agent.
+ */
+
+const Conversation = require('../models/Conversation');
+const CRMSettings = require('../models/CRMSettings');
+const businessHoursService = require('./businessHoursService');
+const leaderElectionService = require('./leaderElectionService');
+
+const CHECK_INTERVAL = 60 * 1000; // Check every minute
+const OPEN_STATUSES = ['open', 'assigned', 'waiting'];
+const SLA_TYPES = {
+    FIRST_RESPONSE: 'first_response',
+    RESOLUTION: 'resolution'
+};
+
+let monitorInterval = null;
+let unsubscribeLeadership = null; // Runs the first check when this instance is elected leader
+
+/**
+ * Due and warning instants for a target starting at `start`
+ * @param {object} settings - CRMSettings
+ * @param {Date} start
+ * @param {number} target - Target in ms (business time)
+ * @returns {{due: Date, warnAt: Date}}
+ */
+function computeDeadlines(settings, start, target) {
+    const warningThreshold = settings.sla.warningThreshold || 80;
+    return {
+        due: businessHoursService.addBusinessTime(settings, start, target),
+        warnAt: businessHoursService.addBusinessTime(settings, start, Math.floor(target * warningThreshold / 100))
+    };
+}
+
+/**
+ * SLA fields for a new conversation
+ * @param {object} settings - CRMSettings (loaded if omitted)
+ * @param {Date} start - Conversation start
+ * @returns {Promise<object>} - Value for Conversation.sla
+ */
+async function buildInitialSLA(settings = null, start = new Date()) {
+    settings = settings || await CRMSettings.getSettings();
+
+    const firstResponse = computeDeadlines(settings, start, settings.sla.firstResponseTime);
+    const resolution = computeDeadlines(settings, start, settings.sla.resolutionTime);
+
+    return {
+        firstResponseTarget: settings.sla.firstResponseTime,
+        firstResponseStartedAt: start,
+        firstResponseDue: firstResponse.due,
+        firstResponseWarnAt: firstResponse.warnAt,
+        resolutionTarget: settings.sla.resolutionTime,
+        resolutionDue: resolution.due,
+        resolutionWarnAt: resolution.warnAt
+    };
+}
+
+/**
+ * Restart the first response clock (an agent takes over from the AI)
+ * Mutates the conversation - the caller saves it
+ * @param {object} conversation - Conversation document
+ * @param {Date} start
+ */
+async function restartFirstResponseClock(conversation, start = new Date()) {
+    if (conversation.sla?.firstResponseAt) return;
+
+    const settings = await CRMSettings.getSettings();
+    const target = conversation.sla?.firstResponseTarget || settings.sla.firstResponseTime;
+    const { due, warnAt } = computeDeadlines(settings, start, target);
+
+    conversation.set({
+        'sla.firstResponseTarget': target,
+        'sla.firstResponseStartedAt': start,
+        'sla.firstResponseDue': due,
+        'sla.firstResponseWarnAt': warnAt,
+        'sla.firstResponseWarningSent': false,
+        'sla.firstResponseBreachedAt': null,
+        'sla.firstResponseMet': undefined
+    });
+}
+
+/**
+ * Record the first agent response (later replies are ignored)
+ * @param {string} conversationId
+ * @param {Date} respondedAt
+ */
+async function recordFirstResponse(conversationId, respondedAt = new Date()) {
+    try {
+        const conversation = await Conversation.findOne({
+            _id: conversationId,
+            'sla.firstResponseAt': null
+        }).select('createdAt sla');
+
+        if (!conversation) return;
+
+        const settings = await CRMSettings.getSettings();
+        const startedAt = conversation.sla?.firstResponseStartedAt || conversation.createdAt;
+        const duration = businessHoursService.getBusinessTimeBetween(settings, startedAt, respondedAt);
+        const target = conversation.sla?.firstResponseTarget;
+
+        const update = {
+            'sla.firstResponseAt': respondedAt,
+            'sla.firstResponseDuration': duration,
+            firstResponseTime: duration
+        };
+        if (target) {
+            update['sla.firstResponseMet'] = duration <= target;
+        }
+
+        // Conditional so concurrent replies record it once
+        await Conversation.updateOne(
+            { _id: conversationId, 'sla.firstResponseAt': null },
+            { $set: update }
+        );
+
+        console.log(`⏱️  First response for ${conversationId}: ${Math.round(duration / 1000)}s business time${target ? (duration <= target ? ' (SLA met)' : ' (SLA missed)') : ''}`);
+    } catch (error) {
+        console.error(`❌ Error recording first response for ${conversationId}:`, error.message);
+    }
+}
+
+/**
+ * Record the resolution SLA on a conversation being resolved
+ * Mutates the conversation - the caller saves it
+ * @param {object} conversation - Conversation document (resolvedAt set)
+ */
+async function recordResolution(conversation) {
+    if (!conversation.sla?.resolutionTarget) return;
+
+    const settings = await CRMSettings.getSettings();
+    const duration = businessHoursService.getBusinessTimeBetween(
+        settings,
+        conversation.createdAt,
+        conversation.resolvedAt || new Date()
+    );
+
+    conversation.sla.resolutionDuration = duration;
+    conversation.sla.resolutionMet = duration <= conversation.sla.resolutionTarget;
+}
+
+/**
+ * Start the SLA monitor background job
+ */
+function startSLAMonitor() {
+    if (monitorInterval) {
+        console.log('⚠️  SLA monitor already running');
+        return;
+    }
+
+    unsubscribeLeadership = leaderElectionService.onLeadershipAcquired(runScheduledCheck);
+    monitorInterval = setInterval(runScheduledCheck, CHECK_INTERVAL);
+    console.log(`✅ SLA monitor started (checking every ${CHECK_INTERVAL / 1000}s)`);
+}
+
+/**
+ * Stop the SLA monitor
+ */
+function stopSLAMonitor() {
+    if (monitorInterval) {
+        clearInterval(monitorInterval);
+        monitorInterval = null;
+        unsubscribeLeadership();
+        unsubscribeLeadership = null;
+        console.log('🛑 SLA monitor stopped');
+    }
+}
+
+/**
+ * Scheduled tick - only the cluster leader sends warnings and alerts
+ */
+function runScheduledCheck() {
+    if (!leaderElectionService.isLeader()) return;
+    checkSLAs();
+}
+
+/**
+ * Find conversations approaching or past their SLA targets and notify
+ * Only conversations waiting on a human are checked (the AI answers the others)
+ */
+async function checkSLAs() {
+    try {
+        const settings = await CRMSettings.getSettings();
+        const now = new Date();
+        const humanHandled = { status: { $in: OPEN_STATUSES }, isAIEnabled: false };
+
+        const checks = [
+            {
+                type: SLA_TYPES.FIRST_RESPONSE,
+                kind: 'breach',
+                query: { ...humanHandled, 'sla.firstResponseAt': null, 'sla.firstResponseDue': { $lte: now }, 'sla.firstResponseBreachedAt': null },
+                update: { 'sla.firstResponseBreachedAt': now, 'sla.firstResponseMet': false, 'sla.firstResponseWarningSent': true, 'sla.breachAlertSent': true }
+            },
+            {
+                type: SLA_TYPES.FIRST_RESPONSE,
+                kind: 'warning',
+                query: { ...humanHandled, 'sla.firstResponseAt': null, 'sla.firstResponseWarnAt': { $lte: now }, 'sla.firstResponseDue': { $gt: now }, 'sla.firstResponseWarningSent': { $ne: true } },
+                update: { 'sla.firstResponseWarningSent': true }
+            },
+            {
+                type: SLA_TYPES.RESOLUTION,
+                kind: 'breach',
+                query: { ...humanHandled, 'sla.resolutionDue': { $lte: now }, 'sla.resolutionBreachedAt': null },
+                update: { 'sla.resolutionBreachedAt': now, 'sla.resolutionMet': false, 'sla.resolutionWarningSent': true, 'sla.breachAlertSent': true }
+            },
+            {
+                type: SLA_TYPES.RESOLUTION,
+                kind: 'warning',
+                query: { ...humanHandled, 'sla.resolutionWarnAt': { $lte: now }, 'sla.resolutionDue': { $gt: now }, 'sla.resolutionWarningSent': { $ne: true } },
+                update: { 'sla.resolutionWarningSent': true }
+            }
+        ];
+
+        for (const check of checks) {
+            const candidates = await Conversation.find(check.query)
+                .populate('customerId', 'firstName lastName phoneNumber')
+                .limit(100);
+
+            for (const conversation of candidates) {
+                // Claim the notification so it is sent once
+                const claimed = await Conversation.updateOne(
+                    { _id: conversation._id, ...check.query },
+                    { $set: check.update }
+                );
+                if (claimed.modifiedCount === 0) continue;
+
+                await notify(conversation, check.type, check.kind, settings);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error in SLA check:', error);
+    }
+}
+
+/**
+ * Send an SLA warning or breach alert
+ * @param {object} conversation - Conversation (customer populated)
+ * @param {string} type - first_response | resolution
+ * @param {string} kind - warning | breach
+ * @param {object} settings - CRMSettings
+ */
+async function notify(conversation, type, kind, settings) {
+    const { emitToConversation } = require('./socketRoomService');
+    const customer = conversation.customerId;
+    const dueAt = type === SLA_TYPES.FIRST_RESPONSE ? conversation.sla.firstResponseDue : conversation.sla.resolutionDue;
+
+    console.log(`${kind === 'breach' ? '🚨' : '⚠️ '} SLA ${type} ${kind} for conversation ${conversation._id} (due ${dueAt?.toISOString()})`);
+
+    if (!settings.sla.enableAlerts) return;
+
+    emitToConversation(conversation, kind === 'breach' ? 'sla_breached' : 'sla_warning', {
+        conversationId: conversation._id.toString(),
+        type,
+        dueAt,
+        assignedAgent: conversation.assignedAgent,
+        customerName: customer?.firstName || customer?.phoneNumber,
+        priority: conversation.priority,
+        timestamp: new Date()
+    });
+
+    // WhatsApp alert to the assigned agent on breach
+    if (kind === 'breach' && settings.notifications?.notifyOnSLABreach && conversation.assignedAgent) {
+        const Agent = require('../models/Agent');
+        const agentNotificationService = require('./agentNotificationService');
+
+        const agent = await Agent.findById(conversation.assignedAgent);
+        if (agent) {
+            await agentNotificationService.sendSLABreachNotification(agent, customer, conversation, type, settings.sla.alertTemplate);
+        }
+    }
+}
+
+/**
+ * Instant a calendar day starts in a timezone
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} timezone - IANA timezone
+ * @param {number} dayOffset - Days to add (1 = start of the following day)
+ * @returns {Date|null} - null when the date is not YYYY-MM-DD
+ */
+function getZonedDayStart(date, timezone, dayOffset = 0) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    if (!match) return null;
+
+    const day = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + dayOffset));
+    return businessHoursService.zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), '00:00', timezone);
+}
+
+/**
+ * SLA compliance per agent and per category
+ * @param {object} filters - { startDate, endDate } (conversation creation; days in businessHours.timezone, end day included)
+ * @returns {Promise<object>} - { summary, byAgent, byCategory }
+ */
+async function getSLAReport({ startDate, endDate } = {}) {
+    const Agent = require('../models/Agent');
+
+    const match = { 'sla.resolutionTarget': { $exists: true } };
+    if (startDate || endDate) {
+        const settings = await CRMSettings.getSettings();
+        const timezone = settings.businessHours?.timezone || 'UTC';
+
+        match.createdAt = {};
+        if (startDate) {
+            match.createdAt.$gte = getZonedDayStart(startDate, timezone) || new Date(startDate);
+        }
+        if (endDate) {
+            const nextDay = getZonedDayStart(endDate, timezone, 1);
+            if (nextDay) match.createdAt.$lt = nextDay;
+            else match.createdAt.$lte = new Date(endDate);
+        }
+    }
+
+    const metrics = {
+        total: { $sum: 1 },
+        firstResponseMeasured: { $sum: { $cond: [{ $eq: [{ $type: '$sla.firstResponseMet' }, 'bool'] }, 1, 0] } },
+        firstResponseMet: { $sum: { $cond: [{ $eq: ['$sla.firstResponseMet', true] }, 1, 0] } },
+        firstResponseAvg: { $avg: '$sla.firstResponseDuration' },
+        resolutionMeasured: { $sum: { $cond: [{ $eq: [{ $type: '$sla.resolutionMet' }, 'bool'] }, 1, 0] } },
+        resolutionMet: { $sum: { $cond: [{ $eq: ['$sla.resolutionMet', true] }, 1, 0] } },
+        resolutionAvg: { $avg: '$sla.resolutionDuration' },
+        breaches: {
+            $sum: {
+                $cond: [{ $or: [{ $ifNull: ['$sla.firstResponseBreachedAt', false] }, { $ifNull: ['$sla.resolutionBreachedAt', false] }] }, 1, 0]
+            }
+        }
+    };
+
+    const [summary = null, byAgent, byCategory] = await Promise.all([
+        Conversation.aggregate([{ $match: match }, { $group: { _id: null, ...metrics } }]).then(rows => rows[0]),
+        // Closed conversations release the agent - credit whoever resolved them
+        Conversation.aggregate([
+            { $match: match },
+            { $group: { _id: { $ifNull: ['$resolvedBy', '$assignedAgent'] }, ...metrics } },
+            { $match: { _id: { $ne: null } } }
+        ]),
+        Conversation.aggregate([{ $match: match }, { $group: { _id: '$category', ...metrics } }])
+    ]);
+
+    const agents = await Agent.find({ _id: { $in: byAgent.map(row => row._id) } })
+        .select('firstName lastName email')
+        .lean();
+    const agentsById = new Map(agents.map(agent => [agent._id.toString(), agent]));
+
+    return {
+        summary: formatMetrics(summary),
+        byAgent: byAgent
+            .map(row => {
+                const agent = agentsById.get(row._id.toString());
+                return {
+                    agentId: row._id,
+                    name: agent ? `${agent.firstName} ${agent.lastName}` : 'Unknown',
+                    email: agent?.email,
+                    ...formatMetrics(row)
+                };
+            })
+            .sort((a, b) => b.total - a.total),
+        byCategory: byCategory
+            .map(row => ({ category: row._id || 'other', ...formatMetrics(row) }))
+            .sort((a, b) => b.total - a.total)
+    };
+}
+
+/**
+ * Turn aggregated counts into compliance rates (percent, one decimal) and average durations (seconds)
+ */
+function formatMetrics(row) {
+    const rate = (met, measured) => measured > 0 ? Math.round((met / measured) * 1000) / 10 : null;
+
+    return {
+        total: row?.total || 0,
+        breaches: row?.breaches || 0,
+        firstResponse: {
+            measured: row?.firstResponseMeasured || 0,
+            met: row?.firstResponseMet || 0,
+            complianceRate: rate(row?.firstResponseMet, row?.firstResponseMeasured),
+            averageSeconds: row?.firstResponseAvg ? Math.round(row.firstResponseAvg / 1000) : null
+        },
+        resolution: {
+            measured: row?.resolutionMeasured || 0,
+            met: row?.resolutionMet || 0,
+            complianceRate: rate(row?.resolutionMet, row?.resolutionMeasured),
+            averageSeconds: row?.resolutionAvg ? Math.round(row.resolutionAvg / 1000) : null
+        }
+    };
+}
+
+module.exports = {
+    SLA_TYPES,
+    buildInitialSLA,
+    restartFirstResponseClock,
+    recordFirstResponse,
+    recordResolution,
+    startSLAMonitor,
+    stopSLAMonitor,
+    checkSLAs,
+    getSLAReport
+};
@@ -1,33 +1,81 @@
 const { io } = require('../models/server');
+const authService = require('./authService');
+const Agent = require('../models/Agent');
+const { ALL_AGENTS_ROOM, agentRoom, roleRoom, getConversationRooms } = require('./socketRoomService');
+
+// Handshake authentication - the access token is sent as `auth: { token }`
+// (or an Authorization: Bearer header) and decides which rooms the socket joins
+io.use(async (socket, next) => {
+    try {
+        const authHeader = socket.handshake.headers?.authorization;
+        const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+        if (!token) {
+            return next(new Error('Access token required'));
+        }
+
+        const decoded = authService.verifyAccessToken(token);
+        const agent = await Agent.findById(decoded.id).select('email role isActive').lean();
+        if (!agent || !agent.isActive) {
+            return next(new Error('Invalid or inactive agent'));
+        }
+
+        socket.data.agent = {
+            id: agent._id.toString(),
+            email: agent.email,
+            role: agent.role
+        };
+        next();
+    } catch (error) {
+        next(new Error('Invalid or expired token'));
+    }
+});
+
+/**
+ * Relay a client event to the other agents allowed to see the conversation
+ * @param {object} socket - Sending socket (excluded)
+ * @param {string} conversationId
+ * @param {string} event - Socket event name
+ * @param {object} data - Event payload
+ */
+async function relayToConversation(socket, conversationId, event, data) {
+    try {
+        if (!conversationId) return;
+        const rooms = await getConversationRooms(String(conversationId));
+        socket.to(rooms).emit(event, data);
+    } catch (error) {
+        console.error(`❌ Error relaying ${event}:`, error.message);
+    }
+}
 
 //sockets
 io.on('connection', (socket) => {
-    console.log('Socket connected:', socket.id);
+    const { agent } = socket.data;
+    console.log(`Socket connected: ${socket.id} (agent ${agent.email})`);
 
-    // Agent authentication (join agent room)
-    socket.on('agent_authenticate', (data) => {
-        const { agentId } = data;
-        socket.join(`agent_${agentId}`);
-        console.log(`Agent ${agentId} joined room agent_${agentId}`);
+    socket.join([agentRoom(agent.id), roleRoom(agent.role), ALL_AGENTS_ROOM]);
+    socket.emit('authenticated', { success: true, agentId: agent.id });
 
-        socket.emit('authenticated', { success: true, agentId });
+    // Kept for older clients - rooms now come from the token, the payload is ignored
+    socket.on('agent_authenticate', () => {
+        socket.emit('authenticated', { success: true, agentId: agent.id });
     });
 
     // Agent status updates
     socket.on('agent_status_update', (data) => {
-        io.emit('agent_status_changed', data);
+        io.emit('agent_status_changed', { ...data, agentId: agent.id });
     });
 
     // Typing indicators
     socket.on('agent_typing', (data) => {
-        const { conversationId, agentId } = data;
-        socket.broadcast.emit('agent_typing', { conversationId, agentId });
+        const { conversationId } = data || {};
+        relayToConversation(socket, conversationId, 'agent_typing', { conversationId, agentId: agent.id });
     });
 
     // Mark messages as read
     socket.on('mark_as_read', (data) => {
-        const { conversationId } = data;
-        socket.broadcast.emit('messages_read', { conversationId });
+        const { conversationId } = data || {};
+        relayToConversation(socket, conversationId, 'messages_read', { conversationId });
     });
 
     socket.on('disconnect', () => {
@@ -37,4 +85,4 @@ io.on('connection', (socket) => {
 
 console.log('Socket.io events initialized');
 
-module.exports = { io };
\ No newline at end of file
+module.exports = { io };
@@ -0,0 +1,152 @@
+/**
+ * Socket Adapter Service
+ *
+ * Chooses the Socket.IO adapter with SOCKET_ADAPTER:
+ * - 'memory' - Socket.IO's default in-process adapter (single instance, default)
+ * - 'mongo'  - Broadcasts are relayed to every instance through a MongoDB change stream, so
+ *              io.emit() / io.to(room).emit() reach sockets connected to other instances.
+ *              Needs a replica set (Atlas, or a local `mongod --replSet rs0` after rs.initiate()).
+ * Other adapters (e.g. Redis) can be plugged in with registerSocketAdapter().
+ */
+
+const mongoose = require('mongoose');
+const lockService = require('./lockService');
+
+const EVENTS_COLLECTION = process.env.SOCKET_ADAPTER_COLLECTION || 'socket_io_events';
+const EVENT_TTL_SECONDS = 60 * 60; // Relayed events are only needed while in flight
+const RESUME_DELAY = 2000;
+
+/**
+ * Adapter class that relays broadcasts through a Mongo collection
+ * Only broadcasts are shared; per-socket operations (join, fetchSockets, acks) stay local,
+ * which covers how the app uses Socket.IO (rooms joined on connect, fire-and-forget emits).
+ * @param {object} collection - Native MongoDB collection
+ * @returns {function} - Adapter class for io.adapter()
+ */
+function createMongoAdapter(collection) {
+    const { Adapter } = require('socket.io-adapter');
+
+    return class MongoAdapter extends Adapter {
+        constructor(nsp) {
+            super(nsp);
+            this.uid = lockService.INSTANCE_ID;
+            this.changeStream = null;
+            this.resumeToken = null;
+            this.closed = false;
+            this.watch();
+        }
+
+        watch() {
+            if (this.closed) return;
+
+            const pipeline = [{ $match: { operationType: 'insert', 'fullDocument.nsp': this.nsp.name } }];
+            const options = this.resumeToken ? { resumeAfter: this.resumeToken } : {};
+
+            this.changeStream = collection.watch(pipeline, options);
+            this.changeStream.on('change', change => {
+                this.resumeToken = change._id;
+                this.onRelayedEvent(change.fullDocument);
+            });
+            this.changeStream.on('error', error => {
+                console.error('❌ Socket adapter change stream error:', error.message);
+                this.changeStream.close().catch(() => {});
+                setTimeout(() => this.watch(), RESUME_DELAY);
+            });
+        }
+
+        onRelayedEvent(event) {
+            if (!event || event.uid === this.uid) return; // Already delivered locally
+
+            try {
+                super.broadcast(JSON.parse(event.packet), {
+                    rooms: new Set(event.rooms || []),
+                    except: new Set(event.except || []),
+                    flags: event.flags || {}
+                });
+            } catch (error) {
+                console.error('❌ Error delivering relayed socket event:', error.message);
+            }
+        }
+
+        broadcast(packet, opts) {
+            if (!opts.flags?.local) {
+                // Packets are stored as JSON - the same form clients receive (binary payloads are not relayed)
+                collection.insertOne({
+                    uid: this.uid,
+                    nsp: this.nsp.name,
+                    packet: JSON.stringify(packet),
+                    rooms: [...(opts.rooms || [])],
+                    except: [...(opts.except || [])],
+                    flags: opts.flags || {},
+                    createdAt: new Date()
+                }).catch(error => {
+                    console.error('❌ Error relaying socket event:', error.message);
+                });
+            }
+
+            super.broadcast(packet, opts);
+        }
+
+        close() {
+            this.closed = true;
+            if (this.changeStream) {
+                this.changeStream.close().catch(() => {});
+            }
+        }
+    };
+}
+
+/**
+ * Adapter setup signature: async (io) => void
+ */
+const adapters = {
+    memory: async () => {},
+    mongo: async (io) => {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('MongoDB is not connected');
+        }
+
+        const collection = mongoose.connection.db.collection(EVENTS_COLLECTION);
+        await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: EVENT_TTL_SECONDS });
+
+        io.adapter(createMongoAdapter(collection));
+    }
+};
+
+/**
+ * Register (or override) a Socket.IO adapter
+ * @param {string} name - Adapter name used in SOCKET_ADAPTER
+ * @param {function} setup - async (io) => void, calls io.adapter(...)
+ */
+function registerSocketAdapter(name, setup) {
+    adapters[name] = setup;
+    console.log(`🔌 Socket adapter registered: ${name}`);
+}
+
+/**
+ * Attach the configured adapter to the Socket.IO server (call once MongoDB is connected)
+ * Falls back to the in-memory adapter if setup fails, so the instance keeps serving its own sockets
+ * @param {object} io - Socket.IO server
+ */
+async function configureSocketAdapter(io) {
+    const name = process.env.SOCKET_ADAPTER || 'memory';
+    const setup = adapters[name];
+
+    if (!setup) {
+        console.error(`❌ Unknown socket adapter: ${name} - using in-memory adapter`);
+        return;
+    }
+
+    try {
+        await setup(io);
+        console.log(`✅ Socket.IO adapter: ${name}`);
+    } catch (error) {
+        console.error(`❌ Error configuring socket adapter ${name} - using in-memory adapter:`, error.message);
+    }
+}
+
+module.exports = {
+    configureSocketAdapter,
+    registerSocketAdapter,
+    createMongoAdapter
+};
@@ -0,0 +1,82 @@
+/**
+ * Socket Room Service
+ *
+ * Room layout for authenticated sockets (joined in services/socket.js from the JWT):
+ * - agent_<id>   - one agent's sockets
+ * - role_<role>  - every agent with that role (agent, supervisor, admin)
+ * - agents       - every authenticated agent
+ *
+ * Conversation events go to the agents allowed to see the conversation:
+ * - Unassigned (AI / waiting)  - every agent, anyone may pick it up
+ * - Assigned                   - the assigned agent, supervisors and admins
+ */
+
+const ALL_AGENTS_ROOM = 'agents';
+const SUPERVISOR_ROLES = ['supervisor', 'admin'];
+
+/**
+ * Room of a single agent
+ * @param {string|object} agentId
+ * @returns {string}
+ */
+function agentRoom(agentId) {
+    return `agent_${agentId}`;
+}
+
+/**
+ * Room of every agent with a role
+ * @param {string} role - agent | supervisor | admin
+ * @returns {string}
+ */
+function roleRoom(role) {
+    return `role_${role}`;
+}
+
+/**
+ * Rooms a conversation's events are delivered to
+ * @param {object|string} conversation - Conversation (document or lean) or its id
+ * @returns {Promise<Array<string>>}
+ */
+async function getConversationRooms(conversation) {
+    let assignedAgent;
+
+    if (conversation && typeof conversation === 'object' && conversation._id) {
+        assignedAgent = conversation.assignedAgent;
+    } else {
+        const Conversation = require('../models/Conversation');
+        const found = await Conversation.findById(conversation).select('assignedAgent').lean();
+        assignedAgent = found?.assignedAgent;
+    }
+
+    if (!assignedAgent) {
+        return [ALL_AGENTS_ROOM];
+    }
+
+    return [agentRoom(assignedAgent._id || assignedAgent), ...SUPERVISOR_ROLES.map(roleRoom)];
+}
+
+/**
+ * Emit a conversation event to the agents allowed to see it
+ * @param {object|string} conversation - Conversation (document or lean) or its id
+ * @param {string} event - Socket event name
+ * @param {object} data - Event payload
+ */
+async function emitToConversation(conversation, event, data) {
+    const { io } = require('../models/server');
+
+    try {
+        const rooms = await getConversationRooms(conversation);
+        io.to(rooms).emit(event, data);
+    } catch (error) {
+        console.error(`❌ Error emitting ${event}:`, error.message);
+    }
+}
+
+module.exports = {
+    ALL_AGENTS_ROOM,
+    SUPERVISOR_ROLES,
+    agentRoom,
+    roleRoom,
+    getConversationRooms,
+    emitToConversation
+};
@@ -1,50 +1,13 @@
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const CRMSettings = require('../models/CRMSettings');
+const { emitToConversation } = require('./socketRoomService');
 
-// Configuration
-const SUGGESTION_THRESHOLDS = {
-    LOW_CONFIDENCE: 0.5,  // AI confidence below this suggests takeover
-    NEGATIVE_SENTIMENT_COUNT: 2,  // Negative messages in a row
-    REPEATED_QUESTION_COUNT: 3,  // Same question asked multiple times
-    LONG_CONVERSATION: 15,  // Message count threshold
-    ESCALATION_KEYWORDS: [
-        // Spanish - explicit requests
-        'hablar con persona', 'hablar con humano', 'hablar con alguien',
-        'agente real', 'agente humano', 'persona real',
-        'gerente', 'supervisor', 'encargado', 'responsable',
-        'quiero hablar', 'necesito hablar', 'comunicar con',
-        'atención humana', 'ayuda humana', 'asistencia humana',
-        'contactar con', 'hablar directamente',
-        
-        // Spanish - dissatisfaction/urgency
-        'mal servicio', 'pésimo servicio', 'cancelar', 'denunciar',
-        'queja', 'reclamo', 'no funciona', 'no sirve',
-        'urgente', 'emergencia', 'inmediato',
-        'frustrado', 'molesto', 'enojado',
-        'ya basta', 'harto', 'cansado',
-        
-        // Spanish - AI not understanding
-        'no me entiendes', 'no entiendes', 'no comprendes',
-        'no ayudas', 'no sirves', 'no resuelves',
-        'no contestas', 'no respondes bien',
-        
-        // English equivalents
-        'speak to person', 'talk to human', 'talk to someone',
-        'real agent', 'human agent', 'real person',
-        'manager', 'supervisor',
-        'i want to speak', 'i need to speak', 'speak directly',
-        'human help', 'human assistance',
-        'bad service', 'cancel', 'complaint',
-        'not working', 'doesn\'t work', 'urgent', 'emergency',
-        'don\'t understand', 'not helpful', 'frustrated',
-        
-        // Common variations
-        'eres bot', 'eres robot', 'you\'re a bot',
-        'no eres real', 'you\'re not real',
-        'prefiero humano', 'prefer human',
-        'mejor persona', 'better person'
-    ]
-};
+// Phrases in the AI reply that show it could not help
+const AI_UNCERTAINTY_PHRASES = [
+    'no puedo', 'no estoy seguro', 'necesitas hablar con', 'te recomiendo hablar',
+    'i cannot', 'i\'m not sure'
+];
 
 /**
  * Use AI to intelligently detect customer request for human help
@@ -109,95 +72,192 @@ Respond with ONLY a JSON object:
 }
 
 /**
- * Analyze message for takeover triggers
+ * Takeover rules as a plain object (CRMSettings.aiBehavior)
+ * @param {object} settings - CRMSettings
+ * @returns {object}
  */
-async function analyzeForTakeover(conversationId, messageContent, aiResponse = null) {
-    const { io } = require('../models/server');
-
-    const conversation = await Conversation.findById(conversationId).populate('customerId');
+function getTakeoverRules(settings) {
+    const aiBehavior = settings.aiBehavior?.toObject ? settings.aiBehavior.toObject() : settings.aiBehavior;
+    return { ...aiBehavior, weights: { ...aiBehavior.weights } };
+}
 
-    if (!conversation || !conversation.isAIEnabled || conversation.assignedAgent) {
-        return null; // Already assigned or AI disabled
-    }
+/**
+ * Handoff keywords contained in a message
+ * @param {string} messageContent
+ * @param {Array<string>} keywords
+ * @returns {Array<string>}
+ */
+function findHandoffKeywords(messageContent, keywords = []) {
+    const text = (messageContent || '').toLowerCase();
+    return keywords.filter(keyword => keyword && text.includes(keyword.toLowerCase()));
+}
 
+/**
+ * Score a customer message against the takeover rules
+ * @param {object} input
+ * @param {string} input.messageContent - Latest customer message
+ * @param {string|null} input.aiResponse - AI reply to it, if any
+ * @param {object|null} input.aiDetection - detectHumanHelpRequest() result (null when AI detection is off)
+ * @param {Array<object>} input.recentMessages - Recent customer/AI messages, newest first
+ * @param {number} input.aiMessageCount - AI messages in the conversation
+ * @param {object} rules - CRMSettings.aiBehavior
+ * @returns {{score: number, triggers: Array<string>, matchedKeywords: Array<string>, explicitRequest: boolean, action: string}}
+ *          action: 'auto_assign' | 'suggest' | 'none'
+ */
+function scoreTakeover({ messageContent, aiResponse = null, aiDetection = null, recentMessages = [], aiMessageCount = 0 }, rules) {
+    const weights = rules.weights || {};
     const triggers = [];
-    let suggestionScore = 0;
+    let score = 0;
 
-    // Get recent messages for context
-    const recentMessages = await Message.find({
-        conversationId,
-        sender: { $in: ['customer', 'ai'] }
-    })
-        .sort({ timestamp: -1 })
-        .limit(10);
-
-    // 1. AI-POWERED DETECTION (Primary method)
-    const aiDetection = await detectHumanHelpRequest(messageContent, recentMessages);
-    
-    if (aiDetection.wants_human && aiDetection.confidence >= 60) {
+    // 1. AI-powered detection (primary method)
+    const aiDetected = !!(aiDetection?.wants_human && aiDetection.confidence >= rules.minAIConfidence);
+    if (aiDetected) {
         triggers.push(`ai_detected_request (${aiDetection.confidence}% confidence)`);
-        suggestionScore += Math.min(aiDetection.confidence, 70);
-        
-        console.log(`🤖 AI detected human help request: ${aiDetection.reason}`);
-        console.log(`   Urgency: ${aiDetection.urgency}, Confidence: ${aiDetection.confidence}%`);
+        score += Math.min(aiDetection.confidence, weights.aiDetection);
     }
 
-    // 2. KEYWORD FALLBACK (Secondary method)
-    const hasEscalationKeyword = SUGGESTION_THRESHOLDS.ESCALATION_KEYWORDS.some(keyword =>
-        messageContent.toLowerCase().includes(keyword)
-    );
-    
-    if (hasEscalationKeyword) {
+    // 2. Keyword fallback (secondary method)
+    const matchedKeywords = findHandoffKeywords(messageContent, rules.handoffKeywords);
+    if (matchedKeywords.length > 0) {
         triggers.push('escalation_keyword');
-        suggestionScore += 40;
+        score += weights.keyword;
     }
 
-    // 3. Check AI uncertainty in response
-    if (aiResponse && (
-        aiResponse.toLowerCase().includes('no puedo') ||
-        aiResponse.toLowerCase().includes('no estoy seguro') ||
-        aiResponse.toLowerCase().includes('necesitas hablar con') ||
-        aiResponse.toLowerCase().includes('te recomiendo hablar') ||
-        aiResponse.toLowerCase().includes('i cannot') ||
-        aiResponse.toLowerCase().includes('i\'m not sure')
-    )) {
+    // 3. AI uncertainty in its response
+    const reply = (aiResponse || '').toLowerCase();
+    if (reply && AI_UNCERTAINTY_PHRASES.some(phrase => reply.includes(phrase))) {
         triggers.push('ai_uncertainty');
-        suggestionScore += 30;
+        score += weights.aiUncertainty;
     }
 
-    // 4. Check message count (long conversations)
-    if (conversation.messageCount >= SUGGESTION_THRESHOLDS.LONG_CONVERSATION) {
-        triggers.push('long_conversation');
-        suggestionScore += 20;
+    // 4. Too many AI messages without solving it (0 = unlimited)
+    if (rules.maxAIMessages > 0 && aiMessageCount >= rules.maxAIMessages) {
+        triggers.push('max_ai_messages');
+        score += weights.maxAIMessages;
     }
 
-    // 5. Check for negative sentiment in recent messages
-    const negativeCount = recentMessages.filter(msg =>
-        msg.aiResponse?.sentiment === 'negative'
-    ).length;
-
-    if (negativeCount >= SUGGESTION_THRESHOLDS.NEGATIVE_SENTIMENT_COUNT) {
+    // 5. Negative sentiment in recent messages
+    const negativeCount = recentMessages.filter(msg => msg.aiResponse?.sentiment === 'negative').length;
+    if (rules.negativeSentimentCount > 0 && negativeCount >= rules.negativeSentimentCount) {
         triggers.push('negative_sentiment');
-        suggestionScore += 25;
+        score += weights.negativeSentiment;
     }
 
-    // 6. Check for repeated questions (customer asking same thing)
-    const repeatedPattern = checkRepeatedQuestions(recentMessages);
-    if (repeatedPattern) {
+    // 6. Repeated questions (customer asking the same thing)
+    if (checkRepeatedQuestions(recentMessages)) {
         triggers.push('repeated_questions');
-        suggestionScore += 35;
+        score += weights.repeatedQuestions;
+    }
+
+    // Only an explicit request (AI detection or keyword) is assigned; anything else is a suggestion
+    const explicitRequest = aiDetected || !!aiDetection?.wants_human || matchedKeywords.length > 0;
+    let action = 'none';
+    if (explicitRequest && score >= rules.autoAssignScore) {
+        action = rules.handoffMode === 'suggest_only' ? 'suggest' : 'auto_assign';
+    } else if (triggers.length > 0 && score >= rules.suggestScore) {
+        action = 'suggest';
     }
 
-    // AUTO-ASSIGN if high confidence human help request
-    if (suggestionScore >= 60 && (aiDetection.wants_human || hasEscalationKeyword)) {
+    return { score, triggers, matchedKeywords, explicitRequest, action };
+}
+
+/**
+ * Test a message against the takeover rules (settings page preview)
+ * Runs without conversation context: only the message itself (and optionally the AI detection) counts.
+ * @param {string} messageContent
+ * @param {object} options
+ * @param {object} options.rules - Unsaved aiBehavior values to try (merged over the saved ones)
+ * @param {boolean} options.useAI - Also run the AI detection (one model call)
+ * @param {number} options.aiMessageCount - Simulated AI messages in the conversation
+ * @returns {Promise<object>} - scoreTakeover() result plus aiDetection and the rules used
+ */
+async function previewTakeover(messageContent, { rules: overrides = {}, useAI = false, aiMessageCount = 0 } = {}) {
+    const settings = await CRMSettings.getSettings();
+    const savedRules = getTakeoverRules(settings);
+    const rules = { ...savedRules, ...overrides, weights: { ...savedRules.weights, ...overrides.weights } };
+
+    const aiDetection = useAI && rules.aiDetectionEnabled
+        ? await detectHumanHelpRequest(messageContent, [])
+        : null;
+
+    const result = scoreTakeover({ messageContent, aiDetection, aiMessageCount }, rules);
+
+    return {
+        ...result,
+        enabled: rules.autoHandoffToAgent,
+        action: rules.autoHandoffToAgent ? result.action : 'none',
+        aiDetection,
+        rules: {
+            handoffMode: rules.handoffMode,
+            suggestScore: rules.suggestScore,
+            autoAssignScore: rules.autoAssignScore
+        }
+    };
+}
+
+/**
+ * Analyze message for takeover triggers
+ */
+async function analyzeForTakeover(conversationId, messageContent, aiResponse = null) {
+    const conversation = await Conversation.findById(conversationId).populate('customerId');
+
+    if (!conversation || !conversation.isAIEnabled || conversation.assignedAgent) {
+        return null; // Already assigned or AI disabled
+    }
+
+    const settings = await CRMSettings.getSettings();
+    const rules = getTakeoverRules(settings);
+
+    if (!rules.autoHandoffToAgent) {
+        return null; // Takeover detection turned off
+    }
+
+    // Get recent messages for context
+    const [recentMessages, aiMessageCount] = await Promise.all([
+        Message.find({
+            conversationId,
+            sender: { $in: ['customer', 'ai'] }
+        })
+            .sort({ timestamp: -1 })
+            .limit(10),
+        rules.maxAIMessages > 0 ? Message.countDocuments({ conversationId, sender: 'ai' }) : 0
+    ]);
+
+    const aiDetection = rules.aiDetectionEnabled
+        ? await detectHumanHelpRequest(messageContent, recentMessages)
+        : null;
+
+    if (aiDetection?.wants_human) {
+        console.log(`🤖 AI detected human help request: ${aiDetection.reason}`);
+        console.log(`   Urgency: ${aiDetection.urgency}, Confidence: ${aiDetection.confidence}%`);
+    }
+
+    const { score: suggestionScore, triggers, action } = scoreTakeover(
+        { messageContent, aiResponse, aiDetection, recentMessages, aiMessageCount },
+        rules
+    );
+
+    // AUTO-ASSIGN if high confidence human help request (handoffMode 'suggest_only' never gets here)
+    if (action === 'auto_assign') {
         console.log(`🚨 High confidence human help request (score: ${suggestionScore}) - Auto-assigning conversation ${conversationId}`);
 
+        // Outside business hours nobody is assigned - tell the customer when we are back,
+        // queue the conversation for the next shift and leave a suggestion for the agents
+        const businessHoursService = require('./businessHoursService');
+        const waitingQueueService = require('./waitingQueueService');
+        if (!businessHoursService.isWithinBusinessHours(settings)) {
+            await businessHoursService.sendAfterHoursReply(conversation, conversation.customerId.phoneNumber, settings);
+            await waitingQueueService.enqueueConversation(conversationId, 'after_hours', { notifyCustomer: false });
+            return await createTakeoverSuggestion(conversation, triggers, suggestionScore, aiDetection);
+        }
+
         // Send friendly AI response before assigning
         const whatsappService = require('./whatsappService');
         const { buildTextJSON } = require('../shared/whatsappModels');
         const phoneNumber = conversation.customerId.phoneNumber;
+        const phoneNumberId = conversation.whatsappData?.phoneNumberId;
 
-        const urgencyMessage = aiDetection.urgency === 'high' 
+        const urgencyMessage = aiDetection?.urgency === 'high'
             ? '¡Entiendo que es urgente! ' 
             : '';
 
@@ -206,7 +266,7 @@ async function analyzeForTakeover(conversationId, messageContent, aiResponse = n
             `${urgencyMessage}¡Por supuesto! En unos momentos un agente de nuestro equipo será asignado a esta conversación para ayudarte. Gracias por tu paciencia. 😊`
         );
 
-        await whatsappService.sendWhatsappResponse(assignmentMessage);
+        await whatsappService.sendWhatsappResponse(assignmentMessage, phoneNumberId);
         console.log(`📤 Sent assignment notification to customer`);
 
         const agentAssignmentService = require('./agentAssignmentService');
@@ -221,19 +281,34 @@ async function analyzeForTakeover(conversationId, messageContent, aiResponse = n
                 aiAnalysis: aiDetection
             };
         } else {
-            console.log(`⚠️ No available agents for auto-assignment - creating suggestion`);
-
-            // Send fallback message if no agents available
-            const fallbackMessage = buildTextJSON(
-                phoneNumber,
-                'Lamento informarte que no hay agentes disponibles en este momento. Por favor, inténtalo más tarde o deja tu mensaje y te responderemos lo antes posible.'
-            );
-            await whatsappService.sendWhatsappResponse(fallbackMessage);
+            // Wait in the queue - assigned as soon as an agent is available
+            console.log(`⚠️ No available agents for auto-assignment - adding to the waiting queue`);
+            const { queued, position } = await waitingQueueService.enqueueConversation(conversationId, 'no_agent_available');
+
+            // Without the position message the customer would get no reply at all (the AI reply is skipped)
+            if (queued && !(settings.waitingQueue?.notifyPosition && settings.waitingQueue.positionMessage)) {
+                const fallbackMessage = buildTextJSON(
+                    phoneNumber,
+                    'Lamento informarte que no hay agentes disponibles en este momento. Por favor, inténtalo más tarde o deja tu mensaje y te responderemos lo antes posible.'
+                );
+                await whatsappService.sendWhatsappResponse(fallbackMessage, phoneNumberId);
+            }
+
+            if (queued) {
+                return {
+                    queued: true,
+                    position,
+                    trigger: 'customer_request',
+                    aiAnalysis: aiDetection
+                };
+            }
         }
+
+        return null;
     }
 
-    // Create suggestion if score is moderate (30-59)
-    if (suggestionScore >= 30 && suggestionScore < 60 && triggers.length > 0) {
+    // Suggest a takeover to the agents
+    if (action === 'suggest') {
         return await createTakeoverSuggestion(conversation, triggers, suggestionScore, aiDetection);
     }
 
@@ -247,7 +322,7 @@ function checkRepeatedQuestions(messages) {
     if (messages.length < 3) return false;
 
     const questionWords = messages.map(msg =>
-        msg.content.toLowerCase().split(' ').filter(w => w.length > 4)
+        (msg.content || '').toLowerCase().split(' ').filter(w => w.length > 4)
     );
 
     // Simple similarity check
@@ -278,8 +353,6 @@ function calculateSimilarity(words1, words2) {
  * Create and emit takeover suggestion
  */
 async function createTakeoverSuggestion(conversation, triggers, score, aiAnalysis = null) {
-    const { io } = require('../models/server');
-
     const suggestion = {
         conversationId: conversation._id,
         customerId: conversation.customerId?._id,
@@ -310,8 +383,8 @@ async function createTakeoverSuggestion(conversation, triggers, score, aiAnalysi
     });
     await conversation.save();
 
-    // Emit to all available agents
-    io.emit('takeover_suggested', {
+    // Emit to the agents who can see the conversation
+    emitToConversation(conversation, 'takeover_suggested', {
         ...suggestion,
         customerName: conversation.customerId?.firstName || 'Unknown',
         customerPhone: conversation.customerId?.phoneNumber,
@@ -330,5 +403,6 @@ async function createTakeoverSuggestion(conversation, triggers, score, aiAnalysi
 
 module.exports = {
     analyzeForTakeover,
-    SUGGESTION_THRESHOLDS
+    scoreTakeover,
+    previewTakeover
 };
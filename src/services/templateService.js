@@ -1,27 +1,163 @@
 const https = require('https');
 const Template = require('../models/Template');
+const Customer = require('../models/Customer');
+const Conversation = require('../models/Conversation');
+const slaService = require('./slaService');
+const whatsappNumberService = require('./whatsappNumberService');
 
 const URI = process.env.WHATSAPP_URI;
 const VERSION = process.env.WHATSAPP_VERSION;
-const TOKEN = process.env.WHATSAPP_API_TOKEN;
-const WABA_ID = process.env.WHATSAPP_BUSINESS_ACCOUNT_ID;
+
+// Meta's rules for template definitions
+// https://developers.facebook.com/docs/whatsapp/business-management-api/message-templates/components
+const TEMPLATE_LIMITS = {
+    NAME_PATTERN: /^[a-z0-9_]{1,512}$/,
+    LANGUAGE_PATTERN: /^[a-z]{2,3}(_[A-Z]{2})?$/,
+    HEADER_TEXT: 60,
+    BODY_TEXT: 1024,
+    FOOTER_TEXT: 60,
+    BUTTON_TEXT: 25,
+    BUTTONS: 10,
+    URL_BUTTONS: 2,
+    PHONE_BUTTONS: 1,
+    COPY_CODE_BUTTONS: 1,
+    COPY_CODE_EXAMPLE: 15,
+    URL_LENGTH: 2000,
+    PHONE_NUMBER_PATTERN: /^\+?[0-9]{6,20}$/
+};
+
+// Categories the builder can submit (authentication templates have a fixed OTP layout)
+const BUILDER_CATEGORIES = ['MARKETING', 'UTILITY'];
+const COMPONENT_TYPES = ['HEADER', 'BODY', 'FOOTER', 'BUTTONS'];
+const HEADER_FORMATS = ['TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT'];
+const BUTTON_TYPES = ['QUICK_REPLY', 'URL', 'PHONE_NUMBER', 'COPY_CODE'];
+
+// Accepted header sample files per format
+const HEADER_SAMPLE_TYPES = {
+    IMAGE: ['image/jpeg', 'image/png'],
+    VIDEO: ['video/mp4'],
+    DOCUMENT: ['application/pdf']
+};
+
+// Header formats whose media (or location) is provided when sending
+const HEADER_PARAMETER_TYPES = {
+    IMAGE: 'image',
+    VIDEO: 'video',
+    DOCUMENT: 'document',
+    LOCATION: 'location'
+};
+
+// Body variable types a template can declare (Template.parameters.type)
+const BODY_PARAMETER_TYPES = ['text', 'currency', 'date_time'];
+
+// WhatsApp limits for send-time parameters
+const PARAMETER_LIMITS = {
+    BUTTON_PAYLOAD: 128,
+    COUPON_CODE: 15,
+    CURRENCY_CODE_PATTERN: /^[A-Z]{3}$/
+};
+
+// Customer fields a send can map parameters from (plus any 'customFields.<key>')
+const CUSTOMER_PARAMETER_FIELDS = [
+    'firstName',
+    'lastName',
+    'email',
+    'phoneNumber',
+    'address.street',
+    'address.city',
+    'address.state',
+    'address.country',
+    'address.postalCode'
+];
+
+// Webhook template events -> stored status (events not listed leave the status alone)
+const STATUS_EVENTS = {
+    APPROVED: 'APPROVED',
+    REINSTATED: 'APPROVED',
+    PENDING: 'PENDING',
+    REJECTED: 'REJECTED',
+    DISABLED: 'DISABLED',
+    PENDING_DELETION: 'DISABLED',
+    DELETED: 'DISABLED',
+    PAUSED: 'PAUSED',
+    IN_APPEAL: 'IN_APPEAL'
+};
 
 /**
- * Fetch all templates from WhatsApp Business API
+ * Call the Graph API with a JSON body
+ * @param {string} method - HTTP method
+ * @param {string} path - Path after the API version (e.g. '/123/message_templates')
+ * @param {string} accessToken - Token with access to the WABA
+ * @param {Object} body - JSON body (optional)
+ * @returns {Promise<Object>} - Parsed response
+ */
+const graphRequest = (method, path, accessToken, body = null) => {
+    return new Promise((resolve, reject) => {
+        const payload = body ? JSON.stringify(body) : null;
+        const options = {
+            host: URI,
+            path: `/${VERSION}${path}`,
+            method,
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                ...(payload && {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(payload)
+                })
+            }
+        };
+
+        const req = https.request(options, res => {
+            let data = '';
+
+            res.on('data', chunk => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                try {
+                    const response = JSON.parse(data);
+                    if (response.error) {
+                        const apiError = response.error;
+                        reject(new Error(apiError.error_user_msg || apiError.error_data?.details || apiError.message || `HTTP ${res.statusCode}`));
+                    } else {
+                        resolve(response);
+                    }
+                } catch (error) {
+                    console.error('Error parsing Graph API response:', error);
+                    reject(error);
+                }
+            });
+        });
+
+        req.on('error', error => {
+            console.error(`Error calling Graph API ${method} ${path}:`, error);
+            reject(error);
+        });
+
+        if (payload) req.write(payload);
+        req.end();
+    });
+};
+
+/**
+ * Fetch all templates of a WhatsApp Business Account from WhatsApp Business API
+ * @param {string} businessAccountId - WABA ID
+ * @param {string} accessToken - Token with access to the WABA
  * @returns {Promise<Array>} - Array of templates
  */
-const fetchTemplatesFromMeta = async () => {
+const fetchTemplatesFromMeta = async (businessAccountId, accessToken) => {
     return new Promise((resolve, reject) => {
         const options = {
             host: URI,
-            path: `/${VERSION}/${WABA_ID}/message_templates?fields=name,status,category,language,components,id,rejected_reason`,
+            path: `/${VERSION}/${businessAccountId}/message_templates?fields=name,status,category,language,components,id,rejected_reason`,
             method: 'GET',
             headers: {
-                'Authorization': `Bearer ${TOKEN}`,
+                'Authorization': `Bearer ${accessToken}`,
             }
         };
 
-        console.log('Fetching templates from Meta WhatsApp API...');
+        console.log(`Fetching templates for WABA ${businessAccountId} from Meta WhatsApp API...`);
 
         const req = https.request(options, res => {
             let data = '';
@@ -57,93 +193,46 @@ const fetchTemplatesFromMeta = async () => {
 };
 
 /**
- * Sync templates from Meta API to local database
+ * Sync templates from Meta API to local database, for every WhatsApp Business Account
+ * in the number registry (plus the env WABA)
  * @returns {Promise<Object>} - Sync statistics
  */
 const syncTemplatesFromMeta = async () => {
     try {
-        const metaTemplates = await fetchTemplatesFromMeta();
+        const accounts = await whatsappNumberService.getBusinessAccounts();
+        if (accounts.length === 0) {
+            throw new Error('No WhatsApp Business Account configured');
+        }
 
         const stats = {
-            total: metaTemplates.length,
+            total: 0,
             created: 0,
             updated: 0,
             failed: 0,
-            errors: []
+            errors: [],
+            accounts: []
         };
 
-        for (const metaTemplate of metaTemplates) {
+        for (const account of accounts) {
             try {
-                const templateData = {
-                    name: metaTemplate.name,
-                    status: metaTemplate.status,
-                    category: metaTemplate.category,
-                    language: metaTemplate.language,
-                    components: metaTemplate.components || [],
-                    whatsappTemplateId: metaTemplate.id,
-                    rejectionReason: metaTemplate.rejected_reason,
-                    lastSyncedAt: new Date()
-                };
-
-                // Extract parameters from components
-                const parameters = [];
-                if (metaTemplate.components) {
-                    metaTemplate.components.forEach((component, index) => {
-                        if (component.type === 'BODY' && component.text) {
-                            const paramMatches = component.text.match(/\{\{(\d+)\}\}/g);
-                            if (paramMatches) {
-                                paramMatches.forEach((match, pos) => {
-                                    parameters.push({
-                                        name: `param${pos + 1}`,
-                                        type: 'text',
-                                        position: pos + 1,
-                                        component: 'BODY'
-                                    });
-                                });
-                            }
-                        }
-                        if (component.type === 'HEADER' && component.format !== 'TEXT' && component.format) {
-                            parameters.push({
-                                name: 'header',
-                                type: component.format.toLowerCase(),
-                                position: 0,
-                                component: 'HEADER'
-                            });
-                        }
-                    });
-                }
-                templateData.parameters = parameters;
-
-                // Update or create template
-                const existingTemplate = await Template.findOne({
-                    $or: [
-                        { whatsappTemplateId: metaTemplate.id },
-                        { name: metaTemplate.name }
-                    ]
-                });
-
-                if (existingTemplate) {
-                    await Template.updateOne(
-                        { _id: existingTemplate._id },
-                        { $set: templateData }
-                    );
-                    stats.updated++;
-                    console.log(`Updated template: ${metaTemplate.name}`);
-                } else {
-                    await Template.create(templateData);
-                    stats.created++;
-                    console.log(`Created template: ${metaTemplate.name}`);
-                }
+                const metaTemplates = await fetchTemplatesFromMeta(account.businessAccountId, account.accessToken);
+                await syncAccountTemplates(account.businessAccountId, metaTemplates, stats);
+                stats.total += metaTemplates.length;
+                stats.accounts.push({ businessAccountId: account.businessAccountId, total: metaTemplates.length });
             } catch (error) {
-                console.error(`Error syncing template ${metaTemplate.name}:`, error);
-                stats.failed++;
+                console.error(`Error syncing templates for WABA ${account.businessAccountId}:`, error);
                 stats.errors.push({
-                    template: metaTemplate.name,
+                    businessAccountId: account.businessAccountId,
                     error: error.message
                 });
             }
         }
 
+        // Every account failed - surface the error like a single-account sync would
+        if (stats.accounts.length === 0) {
+            throw new Error(stats.errors[0]?.error || 'Template sync failed');
+        }
+
         console.log('Template sync completed:', stats);
         return stats;
     } catch (error) {
@@ -152,6 +241,961 @@ const syncTemplatesFromMeta = async () => {
     }
 };
 
+/**
+ * Upsert the templates of one WhatsApp Business Account
+ * @param {string} businessAccountId - WABA ID
+ * @param {Array} metaTemplates - Templates returned by fetchTemplatesFromMeta
+ * @param {Object} stats - Sync statistics (updated in place)
+ */
+const syncAccountTemplates = async (businessAccountId, metaTemplates, stats) => {
+    for (const metaTemplate of metaTemplates) {
+        try {
+            const templateData = {
+                name: metaTemplate.name,
+                status: metaTemplate.status,
+                category: metaTemplate.category,
+                language: metaTemplate.language,
+                components: metaTemplate.components || [],
+                whatsappTemplateId: metaTemplate.id,
+                businessAccountId,
+                rejectionReason: metaTemplate.rejected_reason && metaTemplate.rejected_reason !== 'NONE' ? metaTemplate.rejected_reason : null,
+                lastSyncedAt: new Date()
+            };
+
+
+            // Update or create template (one row per name and language)
+            const match = [
+                { whatsappTemplateId: metaTemplate.id },
+                { name: metaTemplate.name, businessAccountId, language: metaTemplate.language }
+            ];
+            if (businessAccountId === process.env.WHATSAPP_BUSINESS_ACCOUNT_ID) {
+                // Templates synced before per-WABA support belong to the env WABA
+                match.push({ name: metaTemplate.name, businessAccountId: null, language: metaTemplate.language });
+            }
+            const existingTemplate = await Template.findOne({ $or: match });
+            templateData.parameters = mergeParameterSettings(existingTemplate?.parameters, extractParameters(metaTemplate.components));
+
+            if (existingTemplate) {
+                await Template.updateOne(
+                    { _id: existingTemplate._id },
+                    { $set: templateData }
+                );
+                stats.updated++;
+                console.log(`Updated template: ${metaTemplate.name} (${metaTemplate.language})`);
+            } else {
+                await Template.create(templateData);
+                stats.created++;
+                console.log(`Created template: ${metaTemplate.name} (${metaTemplate.language})`);
+            }
+        } catch (error) {
+            console.error(`Error syncing template ${metaTemplate.name}:`, error);
+            stats.failed++;
+            stats.errors.push({
+                template: metaTemplate.name,
+                businessAccountId,
+                error: error.message
+            });
+        }
+    }
+};
+
+/**
+ * Template variables (what a send must provide for HEADER, BODY and BUTTONS)
+ * @param {Array} components - Template components
+ * @returns {Array} - [{ name, type, position, component, buttonIndex, subType, optional }]
+ */
+const extractParameters = (components = []) => {
+    const parameters = [];
+
+    components.forEach(component => {
+        if (component.type === 'HEADER') {
+            if (HEADER_PARAMETER_TYPES[component.format]) {
+                parameters.push({
+                    name: 'header',
+                    type: HEADER_PARAMETER_TYPES[component.format],
+                    position: 0,
+                    component: 'HEADER'
+                });
+            } else if (getVariableNumbers(component.text).length > 0) {
+                parameters.push({ name: 'header', type: 'text', position: 1, component: 'HEADER' });
+            }
+        }
+        if (component.type === 'BODY' && component.text) {
+            getVariableNumbers(component.text).forEach((number, pos) => {
+                parameters.push({
+                    name: `param${pos + 1}`,
+                    type: 'text',
+                    position: pos + 1,
+                    component: 'BODY'
+                });
+            });
+        }
+        if (component.type === 'BUTTONS') {
+            (component.buttons || []).forEach((button, buttonIndex) => {
+                if (button.type === 'URL' && getVariableNumbers(button.url).length > 0) {
+                    parameters.push({ name: `button${buttonIndex + 1}`, type: 'text', position: 1, component: 'BUTTON', buttonIndex, subType: 'url' });
+                } else if (button.type === 'QUICK_REPLY') {
+                    parameters.push({ name: `button${buttonIndex + 1}`, type: 'payload', position: 1, component: 'BUTTON', buttonIndex, subType: 'quick_reply', optional: true });
+                } else if (button.type === 'COPY_CODE') {
+                    parameters.push({ name: `button${buttonIndex + 1}`, type: 'coupon_code', position: 1, component: 'BUTTON', buttonIndex, subType: 'copy_code' });
+                }
+            });
+        }
+    });
+
+    return parameters;
+};
+
+/**
+ * Keep CRM edits (body variable names and types) when a template is re-synced
+ * @param {Array} previous - Stored parameters
+ * @param {Array} parameters - Freshly extracted parameters
+ * @returns {Array}
+ */
+const mergeParameterSettings = (previous = [], parameters) => {
+    return parameters.map(parameter => {
+        if (parameter.component !== 'BODY') return parameter;
+
+        const stored = previous.find(p => p.component === 'BODY' && p.position === parameter.position);
+        return stored ? { ...parameter, name: stored.name || parameter.name, type: stored.type || parameter.type } : parameter;
+    });
+};
+
+/**
+ * Locale for formatting fallback values ('es_MX' → 'es-MX')
+ * @param {string} language - Template language code
+ * @returns {string}
+ */
+const getLocale = (language) => (language || 'es_MX').replace('_', '-');
+
+/**
+ * Build one body parameter (text, currency or date_time)
+ * @param {*} value - String, number, or { type, amount, code, value, fallback }
+ * @param {Object} slot - Template parameter
+ * @param {string} locale - Locale for fallback values
+ * @param {Array<string>} errors - Collected errors (updated in place)
+ * @returns {{ parameter: Object, display: string }|null}
+ */
+const buildBodyParameter = (value, slot, locale, errors) => {
+    const label = `Body {{${slot.position}}}`;
+    const options = value && typeof value === 'object' ? value : {};
+    const type = options.type || slot.type || 'text';
+
+    if (type === 'currency') {
+        const amount = Number(value && typeof value === 'object' ? options.amount : value);
+        const code = String(options.code || '').toUpperCase();
+        if (value === '' || value === null || !Number.isFinite(amount) || !PARAMETER_LIMITS.CURRENCY_CODE_PATTERN.test(code)) {
+            errors.push(`${label}: enter an amount and a 3-letter currency code`);
+            return null;
+        }
+        let fallback = options.fallback;
+        if (!fallback) {
+            try {
+                fallback = new Intl.NumberFormat(locale, { style: 'currency', currency: code }).format(amount);
+            } catch (error) {
+                fallback = `${code} ${amount.toFixed(2)}`;
+            }
+        }
+        return {
+            parameter: { type: 'currency', currency: { fallback_value: fallback, code, amount_1000: Math.round(amount * 1000) } },
+            display: fallback
+        };
+    }
+
+    if (type === 'date_time') {
+        const raw = value && typeof value === 'object' ? options.value : value;
+        const date = raw ? new Date(raw) : null;
+        if (!date || isNaN(date.getTime())) {
+            errors.push(`${label}: enter a valid date`);
+            return null;
+        }
+        // Date-only values ('2025-01-31') have no time to show
+        const hasTime = String(raw).includes('T');
+        const fallback = options.fallback || new Intl.DateTimeFormat(locale, {
+            dateStyle: 'long',
+            ...(hasTime && { timeStyle: 'short' }),
+            ...(!hasTime && { timeZone: 'UTC' })
+        }).format(date);
+        return {
+            parameter: { type: 'date_time', date_time: { fallback_value: fallback } },
+            display: fallback
+        };
+    }
+
+    const text = String(value && typeof value === 'object' ? options.text ?? '' : value ?? '').trim();
+    if (!text) {
+        errors.push(`${label}: a value is required`);
+        return null;
+    }
+    return { parameter: { type: 'text', text }, display: text };
+};
+
+/**
+ * Build the header parameter (text variable, media or location)
+ * @param {*} value - String (text or media URL), { link | id, filename } or { latitude, longitude, name, address }
+ * @param {Object} slot - Template parameter
+ * @param {Array<string>} errors - Collected errors (updated in place)
+ * @returns {{ parameter: Object, display: string|null, attachment: Object|null }|null}
+ */
+const buildHeaderParameter = (value, slot, errors) => {
+    if (slot.type === 'text') {
+        const text = String(typeof value === 'object' && value !== null ? value.text ?? '' : value ?? '').trim();
+        if (!text) {
+            errors.push('Header: a value is required');
+            return null;
+        }
+        if (text.length > TEMPLATE_LIMITS.HEADER_TEXT) {
+            errors.push(`Header: max ${TEMPLATE_LIMITS.HEADER_TEXT} characters`);
+            return null;
+        }
+        return { parameter: { type: 'text', text }, display: text, attachment: null };
+    }
+
+    if (slot.type === 'location') {
+        const latitude = Number(value?.latitude);
+        const longitude = Number(value?.longitude);
+        if (!value || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            errors.push('Header: a location needs latitude and longitude');
+            return null;
+        }
+        const location = { latitude, longitude };
+        if (value.name) location.name = String(value.name);
+        if (value.address) location.address = String(value.address);
+        return { parameter: { type: 'location', location }, display: value.name || value.address || `${latitude}, ${longitude}`, attachment: null };
+    }
+
+    // image / video / document
+    const media = typeof value === 'string' ? { link: value } : (value || {});
+    const link = media.link ? String(media.link).trim() : '';
+    if (!media.id && !/^https?:\/\/\S+$/i.test(link)) {
+        errors.push(`Header: upload a file or enter a public URL for the ${slot.type}`);
+        return null;
+    }
+
+    const mediaObject = media.id ? { id: String(media.id) } : { link };
+    if (slot.type === 'document' && media.filename) {
+        mediaObject.filename = String(media.filename);
+    }
+
+    return {
+        parameter: { type: slot.type, [slot.type]: mediaObject },
+        display: null,
+        attachment: link ? { type: slot.type, url: link, filename: media.filename } : null
+    };
+};
+
+/**
+ * Build one button parameter (URL suffix, quick reply payload or coupon code)
+ * @param {*} value - String value
+ * @param {Object} slot - Template parameter
+ * @param {Array<string>} errors - Collected errors (updated in place)
+ * @returns {Object|null} - Meta button component, null when left out
+ */
+const buildButtonParameter = (value, slot, errors) => {
+    const label = `Button ${slot.buttonIndex + 1}`;
+    const text = String(value ?? '').trim();
+
+    if (!text) {
+        if (!slot.optional) {
+            errors.push(`${label}: a value is required`);
+        }
+        return null;
+    }
+
+    let parameter;
+    if (slot.subType === 'quick_reply') {
+        if (text.length > PARAMETER_LIMITS.BUTTON_PAYLOAD) {
+            errors.push(`${label}: payload max ${PARAMETER_LIMITS.BUTTON_PAYLOAD} characters`);
+            return null;
+        }
+        parameter = { type: 'payload', payload: text };
+    } else if (slot.subType === 'copy_code') {
+        if (text.length > PARAMETER_LIMITS.COUPON_CODE) {
+            errors.push(`${label}: code max ${PARAMETER_LIMITS.COUPON_CODE} characters`);
+            return null;
+        }
+        parameter = { type: 'coupon_code', coupon_code: text };
+    } else {
+        parameter = { type: 'text', text };
+    }
+
+    return {
+        type: 'button',
+        sub_type: slot.subType,
+        index: String(slot.buttonIndex),
+        parameters: [parameter]
+    };
+};
+
+/**
+ * Normalize send values; a plain array is the body values (older clients)
+ * @param {Array|Object} parameters - [body values] or { header, body: [], buttons: { [buttonIndex]: value } }
+ * @returns {{ header: *, body: Array, buttons: Object }}
+ */
+const normalizeParameterValues = (parameters) => {
+    if (Array.isArray(parameters)) {
+        return { header: null, body: parameters, buttons: {} };
+    }
+    return {
+        header: parameters?.header ?? null,
+        body: Array.isArray(parameters?.body) ? parameters.body : [],
+        buttons: parameters?.buttons || {}
+    };
+};
+
+/**
+ * Build the Meta components of a template send and check them against the synced template
+ * @param {Object} template - Template (with parameters)
+ * @param {Array|Object} parameters - Send values (see normalizeParameterValues)
+ * @returns {{ components: Array, errors: Array<string>, display: { header, body: Array<string>, attachments: Array } }}
+ */
+const buildTemplateComponents = (template, parameters) => {
+    const values = normalizeParameterValues(parameters);
+    // Derived from the components so templates synced before button support still validate
+    const slots = mergeParameterSettings(template.parameters, extractParameters(template.components));
+    const locale = getLocale(template.language);
+    const errors = [];
+    const components = [];
+    const display = { header: null, body: [], attachments: [] };
+
+    // Header
+    const headerSlot = slots.find(slot => slot.component === 'HEADER');
+    if (headerSlot) {
+        const header = buildHeaderParameter(values.header, headerSlot, errors);
+        if (header) {
+            components.push({ type: 'header', parameters: [header.parameter] });
+            display.header = header.display;
+            if (header.attachment) display.attachments.push(header.attachment);
+        }
+    } else if (values.header) {
+        errors.push('Header: this template has no header variable');
+    }
+
+    // Body
+    const bodySlots = slots.filter(slot => slot.component === 'BODY').sort((a, b) => a.position - b.position);
+    if (values.body.length !== bodySlots.length) {
+        errors.push(`Body: expected ${bodySlots.length} parameter(s), got ${values.body.length}`);
+    } else if (bodySlots.length > 0) {
+        const bodyParameters = [];
+        bodySlots.forEach((slot, index) => {
+            const built = buildBodyParameter(values.body[index], slot, locale, errors);
+            if (built) {
+                bodyParameters.push(built.parameter);
+                display.body.push(built.display);
+            }
+        });
+        components.push({ type: 'body', parameters: bodyParameters });
+    }
+
+    // Buttons
+    slots.filter(slot => slot.component === 'BUTTON').forEach(slot => {
+        const button = buildButtonParameter(values.buttons[slot.buttonIndex], slot, errors);
+        if (button) components.push(button);
+    });
+
+    return { components, errors, display };
+};
+
+/**
+ * Whether a send value is taken from each recipient instead of typed once
+ * @param {*} value - Send value
+ * @returns {boolean}
+ */
+const isParameterMapping = (value) => {
+    return !!value && typeof value === 'object' && ['field', 'column'].includes(value.source);
+};
+
+/**
+ * Value of a customer field ('firstName', 'address.city', 'customFields.<key>')
+ * @param {Object} customer - Customer document or plain object
+ * @param {string} field - Field path
+ * @returns {*}
+ */
+const getCustomerFieldValue = (customer, field) => {
+    if (!customer || !field) return undefined;
+    if (field.startsWith('customFields.')) {
+        const key = field.slice('customFields.'.length);
+        const customFields = customer.customFields;
+        return customFields instanceof Map ? customFields.get(key) : customFields?.[key];
+    }
+    return field.split('.').reduce((value, key) => value?.[key], customer);
+};
+
+/**
+ * Spreadsheet dates in a format the date parameter accepts
+ * ('31/01/2025' → '2025-01-31', '31/01/2025 10:30' and '2025-01-31 10:30' → '2025-01-31T10:30')
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeDateText = (text) => {
+    const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+    if (dayFirst) {
+        const [, day, month, year, hours, minutes] = dayFirst;
+        const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        return hours ? `${date}T${hours.padStart(2, '0')}:${minutes}` : date;
+    }
+    return text.replace(/^(\d{4}-\d{2}-\d{2})\s+(\d{1,2}:\d{2})/, '$1T$2');
+};
+
+/**
+ * Replace mapped send values with the recipient's own values
+ * A value may be { source: 'field', field, fallback } (customer field) or { source: 'column', column, fallback }
+ * (recipients file column); body mappings take type 'currency' (with code) or 'date_time' for typed variables
+ * @param {Array|Object} parameters - Send values (see normalizeParameterValues)
+ * @param {Object} context - { customer, row } for a recipient, or { sample: true, columns } to only check the mappings
+ * @returns {{ parameters: Object, errors: Array<string> }}
+ */
+const resolveParameterMappings = (parameters, context = {}) => {
+    const values = normalizeParameterValues(parameters);
+    const errors = [];
+
+    const resolve = (value, label, sample) => {
+        if (!isParameterMapping(value)) return value;
+
+        const { source, field, column, fallback, type, code } = value;
+        if (source === 'field' && !CUSTOMER_PARAMETER_FIELDS.includes(field) && !/^customFields\.[^.]+$/.test(field || '')) {
+            errors.push(`${label}: unknown customer field ${field}`);
+            return '';
+        }
+        if (source === 'column' && context.sample && !(context.columns || []).includes(column)) {
+            errors.push(`${label}: the recipients file has no ${column} column`);
+            return '';
+        }
+
+        let raw;
+        if (context.sample) {
+            raw = type === 'currency' ? '1' : type === 'date_time' ? '2000-01-01' : sample;
+        } else {
+            raw = source === 'field' ? getCustomerFieldValue(context.customer, field) : context.row?.[column];
+        }
+
+        let text = raw === undefined || raw === null ? '' : String(raw).trim();
+        if (!text && fallback !== undefined && fallback !== null) {
+            text = String(fallback).trim();
+        }
+        if (!text) {
+            if (source === 'field') {
+                errors.push(`${label}: the customer has no ${field}`);
+            } else {
+                errors.push(context.row ? `${label}: the ${column} column is empty` : `${label}: the customer is not in the recipients file`);
+            }
+            return '';
+        }
+
+        if (type === 'currency') {
+            return { type, amount: Number(text.replace(/[^\d.-]/g, '')), code: String(code || '').toUpperCase() };
+        }
+        if (type === 'date_time') {
+            return { type, value: normalizeDateText(text) };
+        }
+        return text;
+    };
+
+    // Header mappings may hold a media URL
+    const header = resolve(values.header, 'Header', 'https://example.com/sample');
+    const body = values.body.map((value, index) => resolve(value, `Body {{${index + 1}}}`, 'sample'));
+    const buttons = {};
+    Object.entries(values.buttons).forEach(([buttonIndex, value]) => {
+        buttons[buttonIndex] = resolve(value, `Button ${Number(buttonIndex) + 1}`, 'sample');
+    });
+
+    return { parameters: { header, body, buttons }, errors };
+};
+
+/**
+ * Build the Meta components of one recipient's send: mapped values first, then the usual checks
+ * @param {Object} template - Template (with parameters)
+ * @param {Array|Object} parameters - Send values, possibly mapped (see resolveParameterMappings)
+ * @param {Object} context - { customer, row } for a recipient, or { sample: true, columns }
+ * @returns {{ components: Array, errors: Array<string>, display: { header, body: Array<string>, attachments: Array } }}
+ */
+const buildPersonalizedComponents = (template, parameters, context = {}) => {
+    const resolved = resolveParameterMappings(parameters, context);
+    if (resolved.errors.length > 0) {
+        return { components: [], errors: resolved.errors, display: { header: null, body: [], attachments: [] } };
+    }
+    return buildTemplateComponents(template, resolved.parameters);
+};
+
+/**
+ * Where send values can come from: customer fields and the custom field keys in use
+ * @returns {Promise<{ fields: Array<string>, customFields: Array<string> }>}
+ */
+const getParameterSources = async () => {
+    const keys = await Customer.aggregate([
+        { $match: { customFields: { $type: 'object' } } },
+        { $project: { keys: { $map: { input: { $objectToArray: '$customFields' }, in: '$$this.k' } } } },
+        { $unwind: '$keys' },
+        { $group: { _id: '$keys' } },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return {
+        fields: CUSTOMER_PARAMETER_FIELDS,
+        customFields: keys.map(key => key._id)
+    };
+};
+
+/**
+ * Numbers of the {{n}} variables in a text, in order of appearance
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+const getVariableNumbers = (text = '') => {
+    return (text.match(/\{\{(\d+)\}\}/g) || []).map(match => parseInt(match.slice(2, -2)));
+};
+
+/**
+ * Check that a text uses {{1}}..{{n}} placeholders, each once and in order
+ * @param {string} text
+ * @param {string} label - Component name for error messages
+ * @param {Array<string>} errors - Collected errors (updated in place)
+ * @returns {number} - Number of variables
+ */
+const validateVariables = (text, label, errors) => {
+    const numbers = getVariableNumbers(text);
+    const withoutVariables = text.replace(/\{\{\d+\}\}/g, '');
+
+    if (withoutVariables.includes('{{') || withoutVariables.includes('}}')) {
+        errors.push(`${label}: variables must be written as {{1}}, {{2}}...`);
+    }
+    if (numbers.some((number, index) => number !== index + 1)) {
+        errors.push(`${label}: variables must be numbered {{1}}, {{2}}... in order, without gaps or repeats`);
+    }
+
+    return numbers.length;
+};
+
+/**
+ * Keep only the fields Meta accepts for each component, trimming texts
+ * @param {Object} definition - { name, language, category, components } as sent by the builder
+ * @returns {Object} - Normalized definition
+ */
+const normalizeTemplateDefinition = (definition = {}) => {
+    const trim = value => (typeof value === 'string' ? value.trim() : value);
+    const components = (Array.isArray(definition.components) ? definition.components : []).map(component => {
+        const type = trim(component.type)?.toUpperCase();
+
+        if (type === 'HEADER') {
+            const format = trim(component.format)?.toUpperCase() || 'TEXT';
+            return format === 'TEXT'
+                ? { type, format, text: trim(component.text), example: component.example?.header_text ? { header_text: component.example.header_text.map(trim) } : undefined }
+                : { type, format, example: { header_handle: component.example?.header_handle || [] } };
+        }
+        if (type === 'BODY') {
+            return {
+                type,
+                text: trim(component.text),
+                example: component.example?.body_text ? { body_text: [(component.example.body_text[0] || []).map(trim)] } : undefined
+            };
+        }
+        if (type === 'FOOTER') {
+            return { type, text: trim(component.text) };
+        }
+        if (type === 'BUTTONS') {
+            return {
+                type,
+                buttons: (component.buttons || []).map(button => {
+                    const buttonType = trim(button.type)?.toUpperCase();
+                    switch (buttonType) {
+                        case 'URL':
+                            return { type: buttonType, text: trim(button.text), url: trim(button.url), example: button.example ? [].concat(button.example).map(trim) : undefined };
+                        case 'PHONE_NUMBER':
+                            return { type: buttonType, text: trim(button.text), phone_number: trim(button.phone_number) };
+                        case 'COPY_CODE':
+                            return { type: buttonType, example: trim([].concat(button.example)[0]) };
+                        default:
+                            return { type: buttonType, text: trim(button.text) };
+                    }
+                })
+            };
+        }
+        return { type };
+    });
+
+    // Drop undefined examples so they are not sent to Meta
+    components.forEach(component => {
+        if (component.example === undefined) delete component.example;
+        (component.buttons || []).forEach(button => {
+            if (button.example === undefined) delete button.example;
+        });
+    });
+
+    return {
+        name: trim(definition.name),
+        language: trim(definition.language),
+        category: trim(definition.category)?.toUpperCase(),
+        components
+    };
+};
+
+/**
+ * Validate a template definition against Meta's rules
+ * @param {Object} definition - Normalized definition (see normalizeTemplateDefinition)
+ * @returns {Array<string>} - Errors (empty when valid)
+ */
+const validateTemplateDefinition = (definition) => {
+    const errors = [];
+    const { name, language, category, components = [] } = definition;
+
+    if (!name || !TEMPLATE_LIMITS.NAME_PATTERN.test(name)) {
+        errors.push('Name: only lowercase letters, numbers and underscores (max 512 characters)');
+    }
+    if (!language || !TEMPLATE_LIMITS.LANGUAGE_PATTERN.test(language)) {
+        errors.push('Language: use a WhatsApp language code such as es_MX or en_US');
+    }
+    if (!BUILDER_CATEGORIES.includes(category)) {
+        errors.push(`Category: must be one of ${BUILDER_CATEGORIES.join(', ')}`);
+    }
+
+    const types = components.map(component => component.type);
+    types.filter(type => !COMPONENT_TYPES.includes(type)).forEach(type => {
+        errors.push(`Unknown component: ${type}`);
+    });
+    COMPONENT_TYPES.forEach(type => {
+        if (types.filter(t => t === type).length > 1) {
+            errors.push(`Only one ${type.toLowerCase()} component is allowed`);
+        }
+    });
+
+    const header = components.find(component => component.type === 'HEADER');
+    if (header) {
+        if (!HEADER_FORMATS.includes(header.format)) {
+            errors.push(`Header: format must be one of ${HEADER_FORMATS.join(', ')}`);
+        } else if (header.format === 'TEXT') {
+            if (!header.text) {
+                errors.push('Header: text is required');
+            } else {
+                if (header.text.length > TEMPLATE_LIMITS.HEADER_TEXT) {
+                    errors.push(`Header: max ${TEMPLATE_LIMITS.HEADER_TEXT} characters`);
+                }
+                const count = validateVariables(header.text, 'Header', errors);
+                if (count > 1) {
+                    errors.push('Header: only one variable ({{1}}) is allowed');
+                } else if (count === 1 && !header.example?.header_text?.[0]) {
+                    errors.push('Header: an example value for {{1}} is required');
+                }
+            }
+        } else if (!header.example?.header_handle?.[0]) {
+            errors.push(`Header: upload a sample ${header.format.toLowerCase()}`);
+        }
+    }
+
+    const body = components.find(component => component.type === 'BODY');
+    if (!body || !body.text) {
+        errors.push('Body: text is required');
+    } else {
+        if (body.text.length > TEMPLATE_LIMITS.BODY_TEXT) {
+            errors.push(`Body: max ${TEMPLATE_LIMITS.BODY_TEXT} characters`);
+        }
+        const count = validateVariables(body.text, 'Body', errors);
+        if (count > 0) {
+            if (/^\{\{\d+\}\}/.test(body.text) || /\{\{\d+\}\}$/.test(body.text)) {
+                errors.push('Body: cannot start or end with a variable');
+            }
+            if (/\}\}\s*\{\{/.test(body.text)) {
+                errors.push('Body: variables must be separated by text');
+            }
+            const examples = body.example?.body_text?.[0] || [];
+            if (examples.length !== count || examples.some(example => !example)) {
+                errors.push(`Body: an example value is required for each of the ${count} variable(s)`);
+            }
+        }
+    }
+
+    const footer = components.find(component => component.type === 'FOOTER');
+    if (footer) {
+        if (!footer.text) {
+            errors.push('Footer: text is required');
+        } else {
+            if (footer.text.length > TEMPLATE_LIMITS.FOOTER_TEXT) {
+                errors.push(`Footer: max ${TEMPLATE_LIMITS.FOOTER_TEXT} characters`);
+            }
+            if (/\{\{.*\}\}/.test(footer.text)) {
+                errors.push('Footer: variables are not allowed');
+            }
+        }
+    }
+
+    const buttonsComponent = components.find(component => component.type === 'BUTTONS');
+    if (buttonsComponent) {
+        const buttons = buttonsComponent.buttons || [];
+        const countOf = type => buttons.filter(button => button.type === type).length;
+
+        if (buttons.length === 0 || buttons.length > TEMPLATE_LIMITS.BUTTONS) {
+            errors.push(`Buttons: between 1 and ${TEMPLATE_LIMITS.BUTTONS} buttons`);
+        }
+        if (countOf('URL') > TEMPLATE_LIMITS.URL_BUTTONS) {
+            errors.push(`Buttons: max ${TEMPLATE_LIMITS.URL_BUTTONS} URL buttons`);
+        }
+        if (countOf('PHONE_NUMBER') > TEMPLATE_LIMITS.PHONE_BUTTONS) {
+            errors.push(`Buttons: max ${TEMPLATE_LIMITS.PHONE_BUTTONS} phone number button`);
+        }
+        if (countOf('COPY_CODE') > TEMPLATE_LIMITS.COPY_CODE_BUTTONS) {
+            errors.push(`Buttons: max ${TEMPLATE_LIMITS.COPY_CODE_BUTTONS} copy code button`);
+        }
+
+        // Quick replies must be grouped together (before or after the other buttons)
+        const quickReplyIndexes = buttons.map((button, index) => button.type === 'QUICK_REPLY' ? index : -1).filter(index => index >= 0);
+        if (quickReplyIndexes.length > 0 && quickReplyIndexes[quickReplyIndexes.length - 1] - quickReplyIndexes[0] + 1 !== quickReplyIndexes.length) {
+            errors.push('Buttons: quick reply buttons must be grouped together');
+        }
+
+        buttons.forEach((button, index) => {
+            const label = `Button ${index + 1}`;
+
+            if (!BUTTON_TYPES.includes(button.type)) {
+                errors.push(`${label}: type must be one of ${BUTTON_TYPES.join(', ')}`);
+                return;
+            }
+            if (button.type !== 'COPY_CODE') {
+                if (!button.text) {
+                    errors.push(`${label}: text is required`);
+                } else if (button.text.length > TEMPLATE_LIMITS.BUTTON_TEXT) {
+                    errors.push(`${label}: max ${TEMPLATE_LIMITS.BUTTON_TEXT} characters`);
+                }
+            }
+
+            if (button.type === 'URL') {
+                if (!button.url || !/^https?:\/\/\S+$/.test(button.url) || button.url.length > TEMPLATE_LIMITS.URL_LENGTH) {
+                    errors.push(`${label}: a valid http(s) URL is required`);
+                } else {
+                    const count = validateVariables(button.url, label, errors);
+                    if (count > 1 || (count === 1 && !button.url.endsWith('{{1}}'))) {
+                        errors.push(`${label}: only one variable ({{1}}) is allowed, at the end of the URL`);
+                    } else if (count === 1 && !button.example?.[0]) {
+                        errors.push(`${label}: an example URL is required for the variable`);
+                    }
+                }
+            }
+            if (button.type === 'PHONE_NUMBER' && !TEMPLATE_LIMITS.PHONE_NUMBER_PATTERN.test(button.phone_number || '')) {
+                errors.push(`${label}: a phone number with country code is required (e.g. +5219991234567)`);
+            }
+            if (button.type === 'COPY_CODE') {
+                if (!button.example || !/^[A-Za-z0-9]+$/.test(button.example) || button.example.length > TEMPLATE_LIMITS.COPY_CODE_EXAMPLE) {
+                    errors.push(`${label}: an example code of up to ${TEMPLATE_LIMITS.COPY_CODE_EXAMPLE} letters or numbers is required`);
+                }
+            }
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Create a template and submit it to Meta for review
+ * @param {Object} definition - { name, language, category, components } (Meta component format)
+ * @param {Object} options
+ * @param {string} options.businessAccountId - WABA to create it in (defaults to the default number's WABA)
+ * @param {string} options.createdBy - Agent ID
+ * @param {string} options.description - CRM description
+ * @param {Array<string>} options.tags - CRM tags
+ * @returns {Promise<Object>} - { template } or { errors } when the definition is invalid
+ */
+const createTemplate = async (definition, { businessAccountId = null, createdBy = null, description, tags } = {}) => {
+    const normalized = normalizeTemplateDefinition(definition);
+    const errors = validateTemplateDefinition(normalized);
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const number = await whatsappNumberService.getNumberForBusinessAccount(businessAccountId);
+    if (!number?.businessAccountId) {
+        throw new Error(businessAccountId
+            ? `No WhatsApp number configured for business account ${businessAccountId}`
+            : 'No WhatsApp Business Account configured');
+    }
+
+    const existing = await Template.findOne({
+        name: normalized.name,
+        businessAccountId: number.businessAccountId,
+        language: normalized.language
+    });
+    if (existing) {
+        return { errors: [`A template named "${normalized.name}" already exists in ${normalized.language} in this business account`] };
+    }
+
+    console.log(`Submitting template ${normalized.name} (${normalized.language}) to WABA ${number.businessAccountId}...`);
+    const response = await graphRequest('POST', `/${number.businessAccountId}/message_templates`, number.accessToken, normalized);
+
+    const now = new Date();
+    const template = await Template.create({
+        ...normalized,
+        // Meta may move the template to another category when allowed
+        category: response.category || normalized.category,
+        status: response.status || 'PENDING',
+        whatsappTemplateId: response.id,
+        businessAccountId: number.businessAccountId,
+        parameters: extractParameters(normalized.components),
+        description,
+        tags,
+        createdBy,
+        submittedAt: now,
+        statusUpdatedAt: now
+    });
+
+    console.log(`Template ${template.name} submitted (${template.status}, id ${template.whatsappTemplateId})`);
+    return { template };
+};
+
+/**
+ * Upload a sample file for a media header (IMAGE / VIDEO / DOCUMENT) with the Resumable Upload API
+ * Meta reviews templates with this sample; the returned handle goes in example.header_handle.
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - File MIME type
+ * @param {string} filename - Original filename
+ * @param {string} businessAccountId - WABA whose token is used (defaults to the default number's)
+ * @returns {Promise<string>} - Header handle
+ */
+const uploadHeaderSample = async (buffer, mimeType, filename, businessAccountId = null) => {
+    const appId = process.env.WHATSAPP_APP_ID;
+    if (!appId) {
+        throw new Error('WHATSAPP_APP_ID is not configured - it is required to upload header samples');
+    }
+
+    const number = await whatsappNumberService.getNumberForBusinessAccount(businessAccountId);
+    if (!number) {
+        throw new Error('No WhatsApp Business Account configured');
+    }
+
+    const query = new URLSearchParams({
+        file_name: filename || 'sample',
+        file_length: String(buffer.length),
+        file_type: mimeType
+    });
+    const session = await graphRequest('POST', `/${appId}/uploads?${query.toString()}`, number.accessToken);
+
+    return new Promise((resolve, reject) => {
+        const options = {
+            host: URI,
+            path: `/${VERSION}/${session.id}`,
+            method: 'POST',
+            headers: {
+                'Authorization': `OAuth ${number.accessToken}`,
+                'file_offset': '0',
+                'Content-Length': buffer.length
+            }
+        };
+
+        console.log(`Uploading template header sample: ${filename} (${mimeType}, ${(buffer.length / 1024).toFixed(2)} KB)`);
+
+        const req = https.request(options, res => {
+            let data = '';
+
+            res.on('data', chunk => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                try {
+                    const response = JSON.parse(data);
+                    if (response.h) {
+                        resolve(response.h);
+                    } else {
+                        console.error('Header sample upload failed:', response);
+                        reject(new Error(response.error?.message || `HTTP ${res.statusCode}`));
+                    }
+                } catch (error) {
+                    console.error('Error parsing header sample upload response:', error);
+                    reject(error);
+                }
+            });
+        });
+
+        req.on('error', error => {
+            console.error('Error uploading header sample:', error);
+            reject(error);
+        });
+
+        req.write(buffer);
+        req.end();
+    });
+};
+
+/**
+ * Apply template status webhooks (field message_template_status_update)
+ * @param {Array} updates - [{ businessAccountId, event, message_template_id, message_template_name, message_template_language, reason }]
+ * @returns {Promise<Array>} - Updated templates
+ */
+const applyTemplateStatusUpdates = async (updates) => {
+    const updated = [];
+
+    for (const update of updates) {
+        try {
+            const status = STATUS_EVENTS[update.event];
+            if (!status) {
+                console.log(`Template ${update.message_template_name}: ${update.event} event ignored`);
+                continue;
+            }
+
+            const match = [{ whatsappTemplateId: String(update.message_template_id) }];
+            if (update.businessAccountId && update.message_template_name) {
+                match.push({ name: update.message_template_name, businessAccountId: update.businessAccountId, language: update.message_template_language });
+            }
+
+            const template = await Template.findOneAndUpdate(
+                { $or: match },
+                {
+                    $set: {
+                        status,
+                        rejectionReason: status === 'REJECTED' && update.reason && update.reason !== 'NONE' ? update.reason : null,
+                        statusUpdatedAt: new Date(),
+                        ...(['PENDING_DELETION', 'DELETED'].includes(update.event) && { isActive: false })
+                    }
+                },
+                { new: true }
+            );
+
+            if (template) {
+                console.log(`Template ${template.name} (${template.language}) is now ${status}${template.rejectionReason ? `: ${template.rejectionReason}` : ''}`);
+                updated.push(template);
+            } else {
+                console.log(`Template status update for unknown template ${update.message_template_name} (${update.message_template_id})`);
+            }
+        } catch (error) {
+            console.error(`Error applying template status update for ${update.message_template_name}:`, error);
+        }
+    }
+
+    return updated;
+};
+
+/**
+ * Re-read a template's review status from Meta
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object|null>} - Updated template (null if not found)
+ */
+const refreshTemplateStatus = async (templateId) => {
+    const template = await Template.findById(templateId);
+    if (!template) return null;
+    if (!template.whatsappTemplateId) {
+        throw new Error('Template has not been submitted to WhatsApp');
+    }
+
+    const number = await whatsappNumberService.getNumberForBusinessAccount(template.businessAccountId);
+    if (!number) {
+        throw new Error(`No WhatsApp number configured for business account ${template.businessAccountId}`);
+    }
+
+    const response = await graphRequest(
+        'GET',
+        `/${template.whatsappTemplateId}?fields=status,category,rejected_reason`,
+        number.accessToken
+    );
+
+    const reason = response.rejected_reason && response.rejected_reason !== 'NONE' ? response.rejected_reason : null;
+    if (response.status !== template.status || reason !== (template.rejectionReason || null)) {
+        template.statusUpdatedAt = new Date();
+    }
+    template.status = response.status || template.status;
+    template.category = response.category || template.category;
+    template.rejectionReason = reason;
+    template.lastSyncedAt = new Date();
+    await template.save();
+
+    return template;
+};
+
 /**
  * Get all templates from local database
  * @param {Object} filters - Optional filters
@@ -170,6 +1214,9 @@ const getTemplates = async (filters = {}) => {
         if (filters.language) {
             query.language = filters.language;
         }
+        if (filters.businessAccountId) {
+            query.businessAccountId = filters.businessAccountId;
+        }
         if (filters.tags && filters.tags.length > 0) {
             query.tags = { $in: filters.tags };
         }
@@ -200,11 +1247,20 @@ const getTemplateById = async (templateId) => {
 /**
  * Get template by name
  * @param {string} name - Template name
+ * @param {string} businessAccountId - Optional WABA the template must belong to
+ * @param {string} language - Optional language variant (e.g. es_MX)
  * @returns {Promise<Object>} - Template object
  */
-const getTemplateByName = async (name) => {
+const getTemplateByName = async (name, businessAccountId = null, language = null) => {
     try {
-        const template = await Template.findOne({ name, isActive: true });
+        const query = { name, isActive: true };
+        if (businessAccountId) {
+            query.businessAccountId = businessAccountId;
+        }
+        if (language) {
+            query.language = language;
+        }
+        const template = await Template.findOne(query);
         return template;
     } catch (error) {
         console.error('Error getting template by name:', error);
@@ -213,7 +1269,94 @@ const getTemplateByName = async (name) => {
 };
 
 /**
- * Update template metadata (CRM fields only, not WhatsApp fields)
+ * Normalize a language code for comparison ('es-MX' → 'es_mx')
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+const normalizeLanguage = (language) => (language || '').trim().replace('-', '_').toLowerCase();
+
+/**
+ * Pick the variant for a language: exact code first, then the same base language
+ * ('es' matches es_MX, en_US matches en)
+ * @param {Array} variants - Templates sharing a name
+ * @param {string} language - Wanted language code
+ * @returns {Object|null} - Matching variant
+ */
+const findLanguageVariant = (variants, language) => {
+    const wanted = normalizeLanguage(language);
+    if (!wanted) return null;
+
+    const exact = variants.find(variant => normalizeLanguage(variant.language) === wanted);
+    if (exact) return exact;
+
+    const base = wanted.split('_')[0];
+    return variants.find(variant => normalizeLanguage(variant.language).split('_')[0] === base) || null;
+};
+
+/**
+ * Get the approved language variants of a template
+ * @param {string} name - Template name
+ * @param {string} businessAccountId - WABA the variants belong to
+ * @returns {Promise<Array>} - Approved, active templates with that name
+ */
+const getTemplateVariants = async (name, businessAccountId = null) => {
+    const query = { name, status: 'APPROVED', isActive: true };
+    if (businessAccountId) {
+        query.businessAccountId = businessAccountId;
+    }
+    return Template.find(query);
+};
+
+/**
+ * Choose which language variant of a template to send to a recipient
+ * Tries the recipient's language, then the fallback language (CRMSettings.templates),
+ * and otherwise keeps the given template.
+ * @param {Object} template - Template picked by the agent (any variant)
+ * @param {string} language - Recipient language (Customer.preferences.language)
+ * @param {Object} options - { variants, settings } to reuse across bulk sends
+ * @returns {Promise<Object>} - Template variant to send
+ */
+const resolveTemplateVariant = async (template, language, options = {}) => {
+    const CRMSettings = require('../models/CRMSettings');
+    const settings = options.settings || await CRMSettings.getSettings();
+
+    if (settings.templates?.matchCustomerLanguage === false) {
+        return template;
+    }
+
+    const variants = options.variants || await getTemplateVariants(template.name, template.businessAccountId);
+
+    return findLanguageVariant(variants, language)
+        || findLanguageVariant(variants, settings.templates?.fallbackLanguage)
+        || template;
+};
+
+/**
+ * Language to send a template in when only its name is known (agent notifications)
+ * Falls back to the requested language when no variant has been synced.
+ * @param {string} name - Template name
+ * @param {string} language - Preferred language code
+ * @param {string} businessAccountId - Optional WABA
+ * @returns {Promise<string>} - Language code of the variant to send
+ */
+const resolveTemplateLanguage = async (name, language, businessAccountId = null) => {
+    try {
+        const CRMSettings = require('../models/CRMSettings');
+        const settings = await CRMSettings.getSettings();
+        const variants = await getTemplateVariants(name, businessAccountId);
+
+        const variant = findLanguageVariant(variants, language)
+            || findLanguageVariant(variants, settings.templates?.fallbackLanguage);
+
+        return variant ? variant.language : language;
+    } catch (error) {
+        console.error(`Error resolving language for template ${name}:`, error);
+        return language;
+    }
+};
+
+/**
+ * Update template metadata (CRM fields and body variable names/types, not WhatsApp fields)
  * @param {string} templateId - Template ID
  * @param {Object} updates - Fields to update
  * @returns {Promise<Object>} - Updated template
@@ -232,6 +1375,25 @@ const updateTemplate = async (templateId, updates) => {
             allowedUpdates[key] === undefined && delete allowedUpdates[key]
         );
 
+        // Body variables can be renamed and typed (text, currency, date_time)
+        if (Array.isArray(updates.parameters)) {
+            const current = await Template.findById(templateId).select('parameters components').lean();
+            if (!current) return null;
+
+            const parameters = mergeParameterSettings(current.parameters, extractParameters(current.components));
+            allowedUpdates.parameters = parameters.map(parameter => {
+                const update = parameter.component === 'BODY'
+                    && updates.parameters.find(p => p.component === 'BODY' && Number(p.position) === parameter.position);
+                if (!update) return parameter;
+
+                return {
+                    ...parameter,
+                    name: update.name ? String(update.name).trim() : parameter.name,
+                    type: BODY_PARAMETER_TYPES.includes(update.type) ? update.type : parameter.type
+                };
+            });
+        }
+
         const template = await Template.findByIdAndUpdate(
             templateId,
             { $set: allowedUpdates },
@@ -305,12 +1467,155 @@ const getTemplateStats = async () => {
     }
 };
 
+/**
+ * Find the customer's active conversation on a number, or open one
+ * @param {string} customerId - Customer ID
+ * @param {object} sender - Number config the template is sent from
+ * @returns {Promise<object>} - Conversation document
+ */
+const findOrCreateTemplateConversation = async (customerId, sender) => {
+    const conversation = await Conversation.findOne({
+        customerId,
+        status: { $in: ['open', 'assigned'] },
+        'whatsappData.phoneNumberId': await whatsappNumberService.getPhoneNumberFilter(sender.phoneNumberId)
+    });
+
+    if (conversation) {
+        return conversation;
+    }
+
+    return Conversation.create({
+        customerId,
+        status: 'open',
+        priority: 'medium',
+        isAIEnabled: true,
+        lastMessageAt: new Date(),
+        whatsappData: {
+            phoneNumberId: sender.phoneNumberId,
+            businessAccountId: sender.businessAccountId
+        },
+        sla: await slaService.buildInitialSLA()
+    });
+};
+
+/**
+ * One recipient's template message: the variant in their language with their parameter values
+ * @param {Object} template - Selected template
+ * @param {Array|Object} parameters - Send values, possibly mapped
+ * @param {Object} customer - Recipient
+ * @param {Object} row - Recipient's recipients file row (optional)
+ * @param {Object} options - { variants, settings } (see resolveTemplateVariant)
+ * @returns {Promise<{ variant: Object, components: Array, errors: Array<string>, display: Object }>}
+ */
+const buildRecipientMessage = async (template, parameters, customer, row, options) => {
+    const variant = await resolveTemplateVariant(template, customer.preferences?.language, options);
+    if (variant.status !== 'APPROVED') {
+        return {
+            variant,
+            components: [],
+            errors: [`No approved variant of ${template.name} for language ${customer.preferences?.language}`],
+            display: { header: null, body: [], attachments: [] }
+        };
+    }
+
+    // Parameters are checked against the variant (languages may differ in layout)
+    const built = buildPersonalizedComponents(variant, parameters || [], { customer, row });
+    return {
+        variant,
+        ...built,
+        errors: built.errors.map(error => `${variant.language}: ${error}`)
+    };
+};
+
+/**
+ * Save one recipient's template message and hand it to the outbound queue (bulk sends and campaigns)
+ * @param {Object} options - { customer, variant, components, display, sender, agentId, source, priority }
+ * @param {Function} onSaved - Called with the Message before it is queued (links it before any status arrives)
+ * @returns {Promise<Object>} - Message document
+ */
+const queueTemplateMessage = async ({ customer, variant, components, display, sender, agentId, source, priority }, onSaved = null) => {
+    const Message = require('../models/Message');
+    const whatsappService = require('./whatsappService');
+    const { buildTemplateMessageJSON } = require('../shared/whatsappModels');
+    const { getTemplateDisplayContent } = require('../shared/processMessage');
+    const { emitToConversation } = require('./socketRoomService');
+
+    // Build template message
+    const templateMessage = buildTemplateMessageJSON(customer.phoneNumber, variant.name, components, variant.language);
+
+    // Find or create conversation on the sender number
+    const conversation = await findOrCreateTemplateConversation(customer._id, sender);
+
+    // Save message to database
+    const message = await Message.create({
+        conversationId: conversation._id,
+        customerId: customer._id,
+        content: getTemplateDisplayContent(variant, display.body, display.header),
+        type: 'template',
+        direction: 'outbound',
+        sender: 'system',
+        agentId,
+        status: 'pending',
+        attachments: display.attachments,
+        template: {
+            name: variant.name,
+            language: variant.language,
+            parameters: display.body,
+            category: variant.category
+        }
+    });
+
+    // Update conversation
+    await Conversation.findByIdAndUpdate(conversation._id, {
+        lastMessageAt: new Date(),
+        $inc: { messageCount: 1 }
+    });
+
+    // Emit Socket.io event
+    emitToConversation(conversation, 'new_message', {
+        conversationId: conversation._id,
+        message
+    });
+
+    if (onSaved) {
+        await onSaved(message);
+    }
+
+    // Send via WhatsApp (durable queue)
+    await whatsappService.queueWhatsappMessage(templateMessage, {
+        messageRef: message._id,
+        source,
+        priority,
+        phoneNumberId: sender.phoneNumberId
+    });
+
+    return message;
+};
+
 module.exports = {
+    HEADER_SAMPLE_TYPES,
+    BODY_PARAMETER_TYPES,
     fetchTemplatesFromMeta,
     syncTemplatesFromMeta,
+    normalizeTemplateDefinition,
+    validateTemplateDefinition,
+    createTemplate,
+    uploadHeaderSample,
+    buildTemplateComponents,
+    resolveParameterMappings,
+    buildPersonalizedComponents,
+    buildRecipientMessage,
+    findOrCreateTemplateConversation,
+    queueTemplateMessage,
+    getParameterSources,
+    applyTemplateStatusUpdates,
+    refreshTemplateStatus,
     getTemplates,
     getTemplateById,
     getTemplateByName,
+    getTemplateVariants,
+    resolveTemplateVariant,
+    resolveTemplateLanguage,
     updateTemplate,
     deleteTemplate,
     getTemplateStats
@@ -0,0 +1,128 @@
+/**
+ * Transcription Service
+ *
+ * Pluggable speech-to-text for inbound voice notes.
+ * Provider is chosen with TRANSCRIPTION_PROVIDER:
+ * - 'openai' - OpenAI Whisper API (default when OPENAI_API_KEY is set)
+ * - 'none'   - Transcription disabled, the audio is stored without a transcript (default without OPENAI_API_KEY)
+ * - 'stub'   - Returns TRANSCRIPTION_STUB_TEXT, for local development without API calls (must be set explicitly)
+ * Other providers can be plugged in with registerTranscriber().
+ */
+
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const WHISPER_MODEL = process.env.TRANSCRIPTION_MODEL || "whisper-1";
+
+/**
+ * Transcriber signature: async (filePath, { mimeType, language }) => { text, language }
+ */
+const transcribers = {
+  openai: transcribeWithOpenAI,
+  stub: transcribeWithStub,
+  none: async () => null
+};
+
+/**
+ * Register (or override) a transcription provider
+ * @param {string} name - Provider name used in TRANSCRIPTION_PROVIDER
+ * @param {function} transcriber - async (filePath, options) => { text, language }
+ */
+function registerTranscriber(name, transcriber) {
+  transcribers[name] = transcriber;
+  console.log(`🎙️  Transcriber registered: ${name}`);
+}
+
+/**
+ * Get the configured provider name
+ * @returns {string}
+ */
+function getProvider() {
+  return process.env.TRANSCRIPTION_PROVIDER || (OPENAI_API_KEY ? "openai" : "none");
+}
+
+/**
+ * Transcribe an audio file with the configured provider
+ * @param {string} filePath - Local path to the audio file
+ * @param {object} options - { mimeType, language }
+ * @returns {Promise<object>} - { text, language, provider, status: 'completed'|'failed'|'disabled', error }
+ */
+async function transcribeAudio(filePath, options = {}) {
+  const provider = getProvider();
+  const transcriber = transcribers[provider];
+
+  if (!transcriber) {
+    console.error(`❌ Unknown transcription provider: ${provider}`);
+    return { text: null, provider, status: "failed", error: `Unknown provider ${provider}` };
+  }
+
+  try {
+    console.log(`🎙️  Transcribing audio with ${provider}...`);
+    const startTime = Date.now();
+    const result = await transcriber(filePath, options);
+
+    if (!result) {
+      return { text: null, provider, status: "disabled" };
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ Transcription completed in ${duration}s (${result.text.length} chars)`);
+
+    return {
+      text: result.text.trim(),
+      language: result.language || options.language,
+      provider,
+      status: "completed"
+    };
+  } catch (error) {
+    console.error(`❌ Transcription error (${provider}):`, error.response?.data || error.message);
+    return { text: null, provider, status: "failed", error: error.message };
+  }
+}
+
+/**
+ * OpenAI Whisper transcription
+ */
+async function transcribeWithOpenAI(filePath, options = {}) {
+  if (!OPENAI_API_KEY) {
+    throw new Error("OpenAI config missing");
+  }
+
+  const mimeType = options.mimeType || "audio/ogg";
+  // Whisper infers the format from the filename extension
+  const extension = mimeType.split("/")[1]?.split(";")[0] || "ogg";
+
+  const form = new FormData();
+  form.append("file", new Blob([fs.readFileSync(filePath)], { type: mimeType }), `${path.basename(filePath)}.${extension}`);
+  form.append("model", WHISPER_MODEL);
+  if (options.language) {
+    form.append("language", options.language);
+  }
+
+  const response = await axios.post("https://api.openai.com/v1/audio/transcriptions", form, {
+    headers: {
+      Authorization: `Bearer ${OPENAI_API_KEY}`
+    },
+    timeout: 60000
+  });
+
+  return { text: response.data.text || "", language: options.language };
+}
+
+/**
+ * Local stub - no network calls
+ */
+async function transcribeWithStub(filePath, options = {}) {
+  return {
+    text: process.env.TRANSCRIPTION_STUB_TEXT || "[Transcripción de prueba de nota de voz]",
+    language: options.language
+  };
+}
+
+module.exports = {
+  transcribeAudio,
+  registerTranscriber,
+  getProvider
+};
@@ -0,0 +1,407 @@
+/**
+ * Waiting Queue Service
+ *
+ * Conversations handed over by the AI when no agent is available wait in a persistent queue
+ * (Conversation.queue) ordered by priority, then by time in the queue. The queue is drained:
+ * - when an agent goes online or frees capacity (release, close, AI resumed, transfer)
+ * - every minute on the leader instance, which also covers business hours opening
+ * Customers can be told their position and estimated wait over WhatsApp (CRMSettings.waitingQueue).
+ */
+
+const Conversation = require('../models/Conversation');
+const CRMSettings = require('../models/CRMSettings');
+const AgentAssignmentHistory = require('../models/AgentAssignmentHistory');
+const leaderElectionService = require('./leaderElectionService');
+const lockService = require('./lockService');
+const businessHoursService = require('./businessHoursService');
+const { roleRoom, SUPERVISOR_ROLES, emitToConversation } = require('./socketRoomService');
+
+const CHECK_INTERVAL = 60 * 1000; // Drain every minute
+const PROCESS_LOCK = 'waiting_queue';
+const PROCESS_LOCK_TTL = 5 * 60 * 1000;
+const QUEUE_STATUSES = ['open', 'waiting'];
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 };
+const HANDLING_SAMPLE_SIZE = 50; // Recent assignments used to estimate the wait
+
+let queueInterval = null;
+let unsubscribeLeadership = null; // Runs the first check when this instance is elected leader
+
+/**
+ * Conversations in the queue, in assignment order
+ * @returns {Promise<Array<object>>} - Lean conversations with customerId populated
+ */
+async function getQueuedConversations() {
+    const conversations = await Conversation.find({
+        'queue.enteredAt': { $ne: null },
+        assignedAgent: null,
+        status: { $in: QUEUE_STATUSES }
+    })
+        .populate('customerId', 'firstName lastName phoneNumber segment')
+        .lean();
+
+    return conversations.sort((a, b) =>
+        (PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.medium) - (PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.medium) ||
+        new Date(a.queue.enteredAt) - new Date(b.queue.enteredAt)
+    );
+}
+
+/**
+ * Average time an agent spends on a conversation (recent released assignments)
+ * @returns {Promise<number|null>} - Milliseconds, null without history
+ */
+async function getAverageHandlingTime() {
+    const recent = await AgentAssignmentHistory.find({ duration: { $gt: 0 } })
+        .sort({ releasedAt: -1 })
+        .limit(HANDLING_SAMPLE_SIZE)
+        .select('duration')
+        .lean();
+
+    if (recent.length === 0) return null;
+
+    const totalSeconds = recent.reduce((sum, assignment) => sum + assignment.duration, 0);
+    return Math.round(totalSeconds / recent.length) * 1000;
+}
+
+/**
+ * Estimated wait for a queue position: one average handling time per "round" of online agents
+ * @param {number} position - 1-based queue position
+ * @param {number|null} averageHandlingTime - ms
+ * @param {number} onlineAgents
+ * @returns {number|null} - Milliseconds, null when it can't be estimated
+ */
+function estimateWaitTime(position, averageHandlingTime, onlineAgents) {
+    if (!averageHandlingTime) return null;
+    return Math.ceil(position / Math.max(onlineAgents, 1)) * averageHandlingTime;
+}
+
+/**
+ * Supervisor view of the queue
+ * @returns {Promise<{entries: Array<object>, total: number, onlineAgents: number, averageHandlingTime: number|null}>}
+ */
+async function getQueue() {
+    const Agent = require('../models/Agent');
+
+    const [conversations, averageHandlingTime, onlineAgents] = await Promise.all([
+        getQueuedConversations(),
+        getAverageHandlingTime(),
+        Agent.countDocuments({ isActive: true, status: 'online', autoAssign: true })
+    ]);
+
+    const now = Date.now();
+    const entries = conversations.map((conversation, index) => ({
+        conversationId: conversation._id,
+        position: index + 1,
+        customer: conversation.customerId ? {
+            _id: conversation.customerId._id,
+            name: [conversation.customerId.firstName, conversation.customerId.lastName].filter(Boolean).join(' ') ||
+                conversation.customerId.phoneNumber,
+            phoneNumber: conversation.customerId.phoneNumber,
+            segment: conversation.customerId.segment
+        } : null,
+        priority: conversation.priority,
+        category: conversation.category,
+        language: conversation.language,
+        reason: conversation.queue.reason,
+        enteredAt: conversation.queue.enteredAt,
+        waitingTime: now - new Date(conversation.queue.enteredAt).getTime(),
+        estimatedWait: estimateWaitTime(index + 1, averageHandlingTime, onlineAgents),
+        lastMessage: conversation.lastMessage
+    }));
+
+    return { entries, total: entries.length, onlineAgents, averageHandlingTime };
+}
+
+/**
+ * Position of a conversation in the queue
+ * @param {string} conversationId
+ * @returns {Promise<number|null>} - 1-based, null if not queued
+ */
+async function getQueuePosition(conversationId) {
+    const conversations = await getQueuedConversations();
+    const index = conversations.findIndex(conversation => conversation._id.toString() === conversationId.toString());
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Human readable wait for the customer message
+ * @param {number|null} waitMs
+ * @returns {string}
+ */
+function formatWaitTime(waitMs) {
+    if (!waitMs) return 'unos minutos';
+
+    const minutes = Math.max(1, Math.round(waitMs / 60000));
+    if (minutes < 60) {
+        return `${minutes} ${minutes === 1 ? 'minuto' : 'minutos'}`;
+    }
+
+    const hours = Math.round(minutes / 60);
+    return `${hours} ${hours === 1 ? 'hora' : 'horas'}`;
+}
+
+/**
+ * Tell the customer their position and estimated wait (only when it changed since the last message)
+ * @param {object} conversation - Conversation with customerId populated
+ * @param {number} position
+ * @param {object} settings - CRMSettings
+ * @returns {Promise<boolean>} - True if a message was sent
+ */
+async function notifyPosition(conversation, position, settings) {
+    const queueSettings = settings.waitingQueue;
+    const phoneNumber = conversation.customerId?.phoneNumber;
+
+    if (!queueSettings?.notifyPosition || !queueSettings.positionMessage || !phoneNumber) {
+        return false;
+    }
+    if (conversation.queue?.notifiedPosition === position) {
+        return false;
+    }
+
+    const whatsappService = require('./whatsappService');
+    const { buildTextJSON } = require('../shared/whatsappModels');
+    const Agent = require('../models/Agent');
+    const Message = require('../models/Message');
+
+    const [averageHandlingTime, onlineAgents] = await Promise.all([
+        getAverageHandlingTime(),
+        Agent.countDocuments({ isActive: true, status: 'online', autoAssign: true })
+    ]);
+
+    const text = queueSettings.positionMessage
+        .replace(/\{position\}/g, position)
+        .replace(/\{wait\}/g, formatWaitTime(estimateWaitTime(position, averageHandlingTime, onlineAgents)));
+
+    const positionMessage = await Message.create({
+        conversationId: conversation._id,
+        customerId: conversation.customerId._id,
+        content: text,
+        type: 'text',
+        direction: 'outbound',
+        sender: 'system',
+        status: 'pending'
+    });
+
+    emitToConversation(conversation, 'new_message', {
+        chatId: conversation._id.toString(),
+        message: {
+            id: positionMessage._id.toString(),
+            text: positionMessage.content,
+            sender: 'me',
+            timestamp: positionMessage.timestamp,
+            type: 'text',
+            status: positionMessage.status
+        }
+    });
+
+    await whatsappService.queueWhatsappMessage(buildTextJSON(phoneNumber, text), {
+        messageRef: positionMessage._id,
+        source: 'waiting_queue',
+        priority: 10,
+        phoneNumberId: conversation.whatsappData?.phoneNumberId
+    });
+
+    await Conversation.updateOne(
+        { _id: conversation._id },
+        { $set: { 'queue.notifiedPosition': position, 'queue.notifiedAt': new Date() } }
+    );
+
+    console.log(`📨 Queue position ${position} sent for conversation ${conversation._id}`);
+    return true;
+}
+
+/**
+ * Broadcast the queue to supervisors and admins
+ */
+async function emitQueueUpdate() {
+    const { io } = require('../models/server');
+
+    try {
+        const queue = await getQueue();
+        io.to(SUPERVISOR_ROLES.map(roleRoom)).emit('waiting_queue_updated', queue);
+    } catch (error) {
+        console.error('❌ Error emitting waiting queue update:', error.message);
+    }
+}
+
+/**
+ * Put a conversation in the waiting queue (no-op if it is already queued or assigned)
+ * @param {string} conversationId
+ * @param {string} reason - Why it is waiting (no_agent_available, after_hours)
+ * @param {object} options
+ * @param {boolean} options.notifyCustomer - Send the position message (when enabled in settings)
+ * @returns {Promise<{queued: boolean, position: number|null}>}
+ */
+async function enqueueConversation(conversationId, reason = 'no_agent_available', { notifyCustomer = true } = {}) {
+    const result = await Conversation.updateOne(
+        { _id: conversationId, assignedAgent: null, 'queue.enteredAt': null },
+        { $set: { queue: { enteredAt: new Date(), reason } } }
+    );
+
+    const position = await getQueuePosition(conversationId);
+    if (position === null) {
+        return { queued: false, position: null };
+    }
+
+    if (result.modifiedCount > 0) {
+        console.log(`⏳ Conversation ${conversationId} queued at position ${position} (${reason})`);
+        emitQueueUpdate();
+    }
+
+    if (notifyCustomer) {
+        try {
+            const settings = await CRMSettings.getSettings();
+            const conversation = await Conversation.findById(conversationId).populate('customerId');
+            await notifyPosition(conversation, position, settings);
+        } catch (error) {
+            console.error('❌ Error sending queue position:', error.message);
+        }
+    }
+
+    return { queued: true, position };
+}
+
+/**
+ * Remove a conversation from the queue (assigned, closed, or cancelled by a supervisor)
+ * @param {string} conversationId
+ * @returns {Promise<boolean>} - True if it was queued
+ */
+async function dequeueConversation(conversationId) {
+    const result = await Conversation.updateOne(
+        { _id: conversationId, 'queue.enteredAt': { $ne: null } },
+        { $unset: { queue: 1 } }
+    );
+
+    if (result.modifiedCount > 0) {
+        emitQueueUpdate();
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Assign queued conversations, in order, while agents have capacity
+ * Only one instance drains at a time; a run that finds the lock taken is skipped
+ * (the running drain or the next sweep picks the work up).
+ * @returns {Promise<number>} - Conversations assigned
+ */
+async function processQueue() {
+    const { acquired, result } = await lockService.withLock(PROCESS_LOCK, PROCESS_LOCK_TTL, async () => {
+        const settings = await CRMSettings.getSettings();
+        if (!settings.agentAssignment.autoAssignEnabled || !businessHoursService.isWithinBusinessHours(settings)) {
+            return 0;
+        }
+
+        const conversations = await getQueuedConversations();
+        if (conversations.length === 0) return 0;
+
+        const agentAssignmentService = require('./agentAssignmentService');
+        let assigned = 0;
+
+        for (const conversation of conversations) {
+            // Same candidates as autoAssignConversation, so agents who opted out of auto-assign do not keep the loop going
+            const available = await agentAssignmentService.getAvailableAgents({ autoAssign: true }, settings);
+            if (available.length === 0) break;
+
+            try {
+                const assignment = await agentAssignmentService.autoAssignConversation(conversation._id);
+                if (assignment) {
+                    assigned++;
+                    console.log(`✅ Queued conversation ${conversation._id} assigned to ${assignment.agent.email}`);
+                }
+            } catch (error) {
+                console.error(`❌ Error assigning queued conversation ${conversation._id}:`, error.message);
+            }
+        }
+
+        return assigned;
+    });
+
+    if (!acquired) return 0;
+
+    if (result > 0) {
+        await notifyQueuedCustomers();
+    }
+    return result;
+}
+
+/**
+ * Send updated positions to customers still waiting (after the queue moved)
+ */
+async function notifyQueuedCustomers() {
+    try {
+        const settings = await CRMSettings.getSettings();
+        if (!settings.waitingQueue?.notifyPosition) return;
+
+        const conversations = await getQueuedConversations();
+        for (let i = 0; i < conversations.length; i++) {
+            await notifyPosition(conversations[i], i + 1, settings);
+        }
+    } catch (error) {
+        console.error('❌ Error notifying queued customers:', error.message);
+    }
+}
+
+/**
+ * Drain the queue without waiting for it (e.g. right after an agent frees capacity)
+ * @param {string} trigger - What freed capacity, for the logs
+ */
+function triggerQueueProcessing(trigger) {
+    processQueue()
+        .then(assigned => {
+            if (assigned > 0) {
+                console.log(`📥 Waiting queue: ${assigned} conversation(s) assigned after ${trigger}`);
+            }
+        })
+        .catch(error => console.error('❌ Error processing waiting queue:', error.message));
+}
+
+/**
+ * Start the periodic queue drain
+ */
+function startWaitingQueueService() {
+    if (queueInterval) {
+        console.log('⚠️  Waiting queue service already running');
+        return;
+    }
+
+    console.log('🚀 Starting waiting queue service...');
+
+    unsubscribeLeadership = leaderElectionService.onLeadershipAcquired(runScheduledCheck);
+    queueInterval = setInterval(runScheduledCheck, CHECK_INTERVAL);
+
+    console.log(`✅ Waiting queue service started (checking every ${CHECK_INTERVAL / 1000}s)`);
+}
+
+/**
+ * Stop the periodic queue drain
+ */
+function stopWaitingQueueService() {
+    if (queueInterval) {
+        clearInterval(queueInterval);
+        queueInterval = null;
+        unsubscribeLeadership();
+        unsubscribeLeadership = null;
+        console.log('🛑 Waiting queue service stopped');
+    }
+}
+
+/**
+ * Scheduled tick - only the cluster leader drains on schedule
+ */
+function runScheduledCheck() {
+    if (!leaderElectionService.isLeader()) return;
+    triggerQueueProcessing('scheduled check');
+}
+
+module.exports = {
+    startWaitingQueueService,
+    stopWaitingQueueService,
+    enqueueConversation,
+    dequeueConversation,
+    getQueue,
+    getQueuePosition,
+    processQueue,
+    triggerQueueProcessing,
+    emitQueueUpdate,
+    formatWaitTime
+};
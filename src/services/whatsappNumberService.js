@@ -0,0 +1,261 @@
+/**
+ * WhatsApp Number Service
+ *
+ * Resolves sender credentials (token, WABA, assistant) per Cloud API phone number.
+ * Numbers come from the WhatsAppNumber registry, with the env configuration
+ * (WHATSAPP_PHONE_NUMBER_ID / WHATSAPP_BUSINESS_ACCOUNT_ID / WHATSAPP_API_TOKEN)
+ * as the default number when the registry has no default of its own.
+ */
+
+const WhatsAppNumber = require('../models/WhatsAppNumber');
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+let cachedNumbers = null;
+let cachedAt = 0;
+
+/**
+ * Number defined by environment variables (single-number setups)
+ * @returns {object|null}
+ */
+function getEnvNumber() {
+    if (!process.env.WHATSAPP_PHONE_NUMBER_ID) {
+        return null;
+    }
+
+    return {
+        phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+        displayPhoneNumber: process.env.WHATSAPP_DISPLAY_PHONE_NUMBER || null,
+        name: process.env.WHATSAPP_NUMBER_NAME || 'Default',
+        businessAccountId: process.env.WHATSAPP_BUSINESS_ACCOUNT_ID,
+        accessToken: process.env.WHATSAPP_API_TOKEN,
+        defaultLanguage: 'es',
+        assistantId: process.env.OPENAI_ASSISTANT_ID,
+        isDefault: true,
+        source: 'env'
+    };
+}
+
+/**
+ * Load active registry numbers (cached)
+ * @param {boolean} force - Bypass the cache
+ * @returns {Promise<Array>}
+ */
+async function loadNumbers(force = false) {
+    if (!force && cachedNumbers && Date.now() - cachedAt < CACHE_TTL) {
+        return cachedNumbers;
+    }
+
+    try {
+        const numbers = await WhatsAppNumber.find({ isActive: true })
+            .select('+accessToken')
+            .lean();
+
+        cachedNumbers = numbers.map(number => ({ ...number, source: 'registry' }));
+        cachedAt = Date.now();
+    } catch (error) {
+        console.error('❌ Error loading WhatsApp numbers:', error.message);
+        cachedNumbers = cachedNumbers || [];
+    }
+
+    return cachedNumbers;
+}
+
+/**
+ * Drop the cache after registry changes
+ */
+function invalidateCache() {
+    cachedNumbers = null;
+    cachedAt = 0;
+}
+
+/**
+ * Fill registry gaps with the env configuration
+ */
+function withFallbacks(number) {
+    return {
+        ...number,
+        accessToken: number.accessToken || process.env.WHATSAPP_API_TOKEN,
+        businessAccountId: number.businessAccountId || process.env.WHATSAPP_BUSINESS_ACCOUNT_ID,
+        assistantId: number.assistantId || process.env.OPENAI_ASSISTANT_ID,
+        defaultLanguage: number.defaultLanguage || 'es'
+    };
+}
+
+/**
+ * Get all sender numbers: registry numbers plus the env number if it is not registered
+ * @returns {Promise<Array>} - Number configs (including tokens - never send to clients)
+ */
+async function getAllNumbers() {
+    const numbers = (await loadNumbers()).map(withFallbacks);
+    const envNumber = getEnvNumber();
+
+    if (envNumber && !numbers.some(n => n.phoneNumberId === envNumber.phoneNumberId)) {
+        // The env number is only the default when the registry doesn't define one
+        numbers.push({ ...envNumber, isDefault: !numbers.some(n => n.isDefault) });
+    }
+
+    return numbers;
+}
+
+/**
+ * Get the number used when there is no conversation context
+ * @returns {Promise<object|null>}
+ */
+async function getDefaultNumber() {
+    const numbers = await getAllNumbers();
+    return numbers.find(n => n.isDefault) || numbers[0] || null;
+}
+
+/**
+ * Get sender config for a phone number id
+ * Unknown ids keep the id (so replies go out from the number that received the message)
+ * and use the default number's credentials
+ * @param {string|null} phoneNumberId - Cloud API phone_number_id, or null for the default number
+ * @returns {Promise<object>} - { phoneNumberId, accessToken, businessAccountId, assistantId, defaultLanguage, ... }
+ */
+async function getNumberConfig(phoneNumberId = null) {
+    const numbers = await getAllNumbers();
+    const defaultNumber = numbers.find(n => n.isDefault) || numbers[0] || withFallbacks({});
+
+    if (!phoneNumberId) {
+        return defaultNumber;
+    }
+
+    const number = numbers.find(n => n.phoneNumberId === phoneNumberId);
+    if (number) {
+        return number;
+    }
+
+    console.warn(`⚠️  WhatsApp number ${phoneNumberId} is not registered - using default credentials`);
+    return {
+        ...defaultNumber,
+        phoneNumberId,
+        name: phoneNumberId,
+        displayPhoneNumber: null,
+        isDefault: false,
+        source: 'unregistered'
+    };
+}
+
+/**
+ * Access token for a sender number (used for media downloads)
+ * @param {string|null} phoneNumberId
+ * @returns {Promise<string>}
+ */
+async function getAccessToken(phoneNumberId = null) {
+    const number = await getNumberConfig(phoneNumberId);
+    return number.accessToken;
+}
+
+/**
+ * Sender number a conversation arrived on (null = default number)
+ * @param {object|string} conversationOrId - Conversation document or id
+ * @returns {Promise<string|null>}
+ */
+async function getConversationPhoneNumberId(conversationOrId) {
+    if (!conversationOrId) {
+        return null;
+    }
+
+    if (typeof conversationOrId === 'object' && conversationOrId._id) {
+        return conversationOrId.whatsappData?.phoneNumberId || null;
+    }
+
+    const Conversation = require('../models/Conversation');
+    const conversation = await Conversation.findById(conversationOrId)
+        .select('whatsappData')
+        .lean();
+
+    return conversation?.whatsappData?.phoneNumberId || null;
+}
+
+/**
+ * Mongo condition on whatsappData.phoneNumberId for a number
+ * Conversations created before the registry have no phoneNumberId and belong to the default number
+ * @param {string|null} phoneNumberId
+ * @returns {Promise<string|object>}
+ */
+async function getPhoneNumberFilter(phoneNumberId) {
+    const defaultNumber = await getDefaultNumber();
+    const id = phoneNumberId || defaultNumber?.phoneNumberId;
+
+    if (!id) {
+        return null;
+    }
+    if (defaultNumber && defaultNumber.phoneNumberId === id) {
+        return { $in: [id, null] };
+    }
+    return id;
+}
+
+/**
+ * Distinct WhatsApp Business Accounts with a token to query them
+ * @returns {Promise<Array>} - [{ businessAccountId, accessToken, phoneNumberIds }]
+ */
+async function getBusinessAccounts() {
+    const accounts = new Map();
+
+    for (const number of await getAllNumbers()) {
+        if (!number.businessAccountId) continue;
+
+        if (!accounts.has(number.businessAccountId)) {
+            accounts.set(number.businessAccountId, {
+                businessAccountId: number.businessAccountId,
+                accessToken: number.accessToken,
+                phoneNumberIds: []
+            });
+        }
+        accounts.get(number.businessAccountId).phoneNumberIds.push(number.phoneNumberId);
+    }
+
+    return Array.from(accounts.values());
+}
+
+/**
+ * Pick the number to send a template from
+ * Templates can only be sent by numbers of the WABA that owns them
+ * @param {string|null} businessAccountId - Template WABA (null for templates synced before per-WABA support)
+ * @param {string|null} preferredPhoneNumberId - Number to use if it belongs to the WABA (e.g. the conversation's number)
+ * @returns {Promise<object|null>} - Number config, or null if no number belongs to the WABA
+ */
+async function getNumberForBusinessAccount(businessAccountId, preferredPhoneNumberId = null) {
+    const numbers = await getAllNumbers();
+    const defaultNumber = await getDefaultNumber();
+    const wabaId = businessAccountId || defaultNumber?.businessAccountId;
+    const candidates = numbers.filter(n => n.businessAccountId === wabaId);
+
+    return candidates.find(n => n.phoneNumberId === preferredPhoneNumberId)
+        || candidates.find(n => n.isDefault)
+        || candidates[0]
+        || null;
+}
+
+/**
+ * Strip credentials before returning a number to clients
+ */
+function toPublicNumber(number) {
+    return {
+        _id: number._id,
+        phoneNumberId: number.phoneNumberId,
+        displayPhoneNumber: number.displayPhoneNumber,
+        name: number.name,
+        businessAccountId: number.businessAccountId,
+        defaultLanguage: number.defaultLanguage,
+        isDefault: number.isDefault,
+        source: number.source
+    };
+}
+
+module.exports = {
+    getAllNumbers,
+    getDefaultNumber,
+    getNumberConfig,
+    getAccessToken,
+    getConversationPhoneNumberId,
+    getPhoneNumberFilter,
+    getBusinessAccounts,
+    getNumberForBusinessAccount,
+    toPublicNumber,
+    invalidateCache
+};
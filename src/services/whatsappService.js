@@ -1,71 +1,172 @@
 const https = require('https');
+const whatsappNumberService = require('./whatsappNumberService');
 
 const URI = process.env.WHATSAPP_URI;
 const VERSION = process.env.WHATSAPP_VERSION
-const PHONE_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
-const TOKEN = process.env.WHATSAPP_API_TOKEN;
 
 /**
  * Send any message or status to WhatsApp Cloud API
  * @param {string} data - JSON string payload to send
+ * @param {string} phoneNumberId - Sender phone number ID (defaults to the default registry/env number)
+ * @returns {Promise<object>} - Send result. Never rejects:
+ *   { success: true, messageId, statusCode, response } on success
+ *   { success: false, messageId: null, statusCode, error: { code, subcode, type, title, message } } on failure
  */
-const sendWhatsappResponse = (data) => {
-
-    const options = {
-        host: `${URI}`,
-        path: `/${VERSION}/${PHONE_ID}/messages`,
-        method: 'POST',
-        body: data,
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${TOKEN}`,
-        }
-    };
+const sendWhatsappResponse = async (data, phoneNumberId = null) => {
+    const sender = await whatsappNumberService.getNumberConfig(phoneNumberId);
+
+    return new Promise((resolve) => {
+        const options = {
+            host: `${URI}`,
+            path: `/${VERSION}/${sender.phoneNumberId}/messages`,
+            method: 'POST',
+            body: data,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${sender.accessToken}`,
+            }
+        };
 
-    console.log({ options });
+        console.log({ options });
+
+        const req = https.request(options, res => {
+            let body = '';
+
+            res.on('data', chunk => {
+                body += chunk;
+            });
 
-    const req = https.request(options, res => {
-        res.on('data', data => {
-            process.stdout.write(data);
+            res.on('end', () => {
+                process.stdout.write(body);
+                resolve(parseSendResponse(res.statusCode, body));
+            });
+        });
+
+        req.on('error', error => {
+            console.error({ error });
+            resolve({
+                success: false,
+                messageId: null,
+                statusCode: null,
+                error: {
+                    code: error.code || null,
+                    subcode: null,
+                    type: 'NetworkError',
+                    title: error.message,
+                    message: error.message
+                }
+            });
         });
-    });
 
-    req.on('error', error => {
-        console.error({ error });
+        req.write(data);
+        req.end();
     });
+}
 
-    req.write(data);
-    req.end();
+/**
+ * Parse a Cloud API /messages response into a send result
+ * @param {number} statusCode - HTTP status code
+ * @param {string} body - Raw response body
+ * @returns {object} - Send result (see sendWhatsappResponse)
+ */
+const parseSendResponse = (statusCode, body) => {
+    let response = {};
+    try {
+        response = body ? JSON.parse(body) : {};
+    } catch (error) {
+        response = { error: { message: `Invalid response from WhatsApp API: ${body}` } };
+    }
+
+    if (response.error || statusCode >= 400) {
+        const apiError = response.error || {};
+        const title = apiError.error_data?.details || apiError.message || `HTTP ${statusCode}`;
+        return {
+            success: false,
+            messageId: null,
+            statusCode,
+            error: {
+                code: apiError.code || null,
+                subcode: apiError.error_subcode || null,
+                type: apiError.type || null,
+                title,
+                message: apiError.code ? `${apiError.code}: ${title}` : title
+            }
+        };
+    }
+
+    return {
+        success: true,
+        messageId: response.messages?.[0]?.id || null,
+        statusCode,
+        response
+    };
+}
+
+/**
+ * Queue a message for durable delivery (retries, backoff, rate limits)
+ * Use for sends that must survive transient API failures or restarts, e.g. AI replies and bulk sends
+ * @param {string} data - JSON string payload to send
+ * @param {object} options - { messageRef, source, priority, phoneNumberId }
+ * @returns {Promise<object>} - Created OutboundJob
+ */
+const queueWhatsappMessage = (data, options = {}) => {
+    const outboundQueueService = require('./outboundQueueService');
+    return outboundQueueService.enqueue(data, options);
+}
+
+/**
+ * Map a send result to the delivery fields stored on a Message
+ * @param {object} result - Result from sendWhatsappResponse
+ * @returns {object} - { whatsappMessageId, whatsappStatus, status, whatsappError }
+ */
+const getDeliveryFields = (result) => {
+    if (result && result.success) {
+        return {
+            whatsappMessageId: result.messageId,
+            whatsappStatus: 'sent',
+            status: 'sent'
+        };
+    }
+
+    return {
+        whatsappStatus: 'failed',
+        status: 'failed',
+        whatsappError: result?.error?.message || 'Unknown error'
+    };
 }
 
 /**
  * Mark message as read and show typing indicator
  * @param {string} messageId - The message ID to mark as read
  * @param {string} typingType - The typing indicator type (default: 'text')
+ * @param {string} phoneNumberId - Number that received the message (defaults to the default number)
  */
-const sendTypingIndicator = (messageId, typingType = 'text') => {
+const sendTypingIndicator = (messageId, typingType = 'text', phoneNumberId = null) => {
     const { buildReadWithTypingJSON } = require('../shared/whatsappModels');
     const data = buildReadWithTypingJSON(messageId, typingType);
     
     console.log(`Marking message ${messageId} as read and showing typing indicator`);
     
     // Reuse the main send method
-    sendWhatsappResponse(data);
+    sendWhatsappResponse(data, phoneNumberId);
 }
 
 /**
  * Get media URL from WhatsApp using media ID
  * @param {string} mediaId - The media ID from WhatsApp webhook
+ * @param {string} phoneNumberId - Number that received the media (its token is used)
  * @returns {Promise<string>} - The media URL (expires in a few minutes)
  */
-const getMediaUrl = async (mediaId) => {
+const getMediaUrl = async (mediaId, phoneNumberId = null) => {
+    const token = await whatsappNumberService.getAccessToken(phoneNumberId);
+
     return new Promise((resolve, reject) => {
         const options = {
             host: URI,
             path: `/${VERSION}/${mediaId}`,
             method: 'GET',
             headers: {
-                'Authorization': `Bearer ${TOKEN}`,
+                'Authorization': `Bearer ${token}`,
             }
         };
 
@@ -104,8 +205,98 @@ const getMediaUrl = async (mediaId) => {
     });
 }
 
+/**
+ * Upload a file to the WhatsApp media API so it can be sent by media ID
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - File MIME type (must be a type WhatsApp accepts)
+ * @param {string} filename - Original filename
+ * @param {string} phoneNumberId - Sender phone number ID (defaults to the default registry/env number)
+ * @returns {Promise<string>} - The WhatsApp media ID
+ */
+const uploadMedia = async (buffer, mimeType, filename, phoneNumberId = null) => {
+    const sender = await whatsappNumberService.getNumberConfig(phoneNumberId);
+
+    return new Promise((resolve, reject) => {
+        const boundary = `----WhatsAppMedia${Date.now().toString(16)}`;
+        const safeFilename = (filename || 'file').replace(/"/g, '');
+
+        const body = Buffer.concat([
+            Buffer.from(
+                `--${boundary}\r\n` +
+                `Content-Disposition: form-data; name="messaging_product"\r\n\r\nwhatsapp\r\n` +
+                `--${boundary}\r\n` +
+                `Content-Disposition: form-data; name="type"\r\n\r\n${mimeType}\r\n` +
+                `--${boundary}\r\n` +
+                `Content-Disposition: form-data; name="file"; filename="${safeFilename}"\r\n` +
+                `Content-Type: ${mimeType}\r\n\r\n`
+            ),
+            buffer,
+            Buffer.from(`\r\n--${boundary}--\r\n`)
+        ]);
+
+        const options = {
+            host: URI,
+            path: `/${VERSION}/${sender.phoneNumberId}/media`,
+            method: 'POST',
+            headers: {
+                'Content-Type': `multipart/form-data; boundary=${boundary}`,
+                'Content-Length': body.length,
+                'Authorization': `Bearer ${sender.accessToken}`,
+            }
+        };
+
+        console.log(`Uploading media to WhatsApp: ${safeFilename} (${mimeType}, ${(buffer.length / 1024).toFixed(2)} KB)`);
+
+        const req = https.request(options, res => {
+            let data = '';
+
+            res.on('data', chunk => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                try {
+                    const response = JSON.parse(data);
+                    if (response.id) {
+                        console.log(`Media uploaded to WhatsApp: ${response.id}`);
+                        resolve(response.id);
+                    } else {
+                        const apiError = response.error || {};
+                        console.error('WhatsApp media upload failed:', response);
+                        reject(new Error(apiError.error_data?.details || apiError.message || `HTTP ${res.statusCode}`));
+                    }
+                } catch (error) {
+                    console.error('Error parsing media upload response:', error);
+                    reject(error);
+                }
+            });
+        });
+
+        req.on('error', error => {
+            console.error('Error uploading media:', error);
+            reject(error);
+        });
+
+        req.write(body);
+        req.end();
+    });
+}
+
+/**
+ * Access token for a sender number (for authenticated media downloads)
+ * @param {string} phoneNumberId - Number that received the media (defaults to the default number)
+ * @returns {Promise<string>}
+ */
+const getAccessToken = (phoneNumberId = null) => {
+    return whatsappNumberService.getAccessToken(phoneNumberId);
+}
+
 module.exports = {
     sendWhatsappResponse,
+    getAccessToken,
+    queueWhatsappMessage,
+    getDeliveryFields,
     sendTypingIndicator,
     getMediaUrl,
+    uploadMedia,
 }
\ No newline at end of file
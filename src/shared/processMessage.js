@@ -66,10 +66,11 @@ const getLast10Digits = (phoneNumber) => {
 /**
  * Extract readable content from template components for display in chat
  * @param {Object} template - Template object with components array
- * @param {Array} parameters - Array of parameter values to replace placeholders
+ * @param {Array} parameters - Body parameter values to replace placeholders
+ * @param {String} header - Header text variable value (optional)
  * @returns {String} - Human-readable template content with parameters replaced
  */
-const getTemplateDisplayContent = (template, parameters = []) => {
+const getTemplateDisplayContent = (template, parameters = [], header = null) => {
   if (!template || !template.components || template.components.length === 0) {
     return `📄 Template: ${template?.name || 'Unknown'}`;
   }
@@ -81,8 +82,10 @@ const getTemplateDisplayContent = (template, parameters = []) => {
       let text = component.text;
       
       // Replace placeholders {{1}}, {{2}}, etc. with actual parameter values
-      if (parameters && parameters.length > 0) {
-        parameters.forEach((param, index) => {
+      const values = component.type === 'HEADER' ? (header ? [header] : []) :
+                     component.type === 'BODY' ? parameters : [];
+      if (values && values.length > 0) {
+        values.forEach((param, index) => {
           const placeholder = `{{${index + 1}}}`;
           text = text.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), param);
         });
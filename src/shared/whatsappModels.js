@@ -1,15 +1,36 @@
 
-const buildTextJSON = (number, text) => {
-    return JSON.stringify({
+/**
+ * Build JSON for a text message
+ * @param {string} number - Recipient phone number
+ * @param {string} text - Message body
+ * @param {string} replyToWamid - Optional WhatsApp message ID to quote (shown as a reply)
+ * @returns {string} JSON string for WhatsApp API
+ */
+const buildTextJSON = (number, text, replyToWamid = null) => {
+    const payload = {
         "messaging_product": "whatsapp",
         "to": number,
         "type": "text",
         "text": {
             "body": text
         }
-    });
+    };
+
+    if (replyToWamid) {
+        payload.context = { "message_id": replyToWamid };
+    }
+
+    return JSON.stringify(payload);
 }
 
+/**
+ * Build JSON for a template message with body parameters only
+ * @param {string} number - Recipient phone number
+ * @param {string} templateName - Template name
+ * @param {Array} parameters - Body parameters [{ type: 'text', text }]
+ * @param {string} language - Template language code
+ * @returns {string} JSON string for WhatsApp API
+ */
 const buildTemplateJSON = ( number, templateName, parameters, language ) => {
 
     let components = [];
@@ -22,6 +43,21 @@ const buildTemplateJSON = ( number, templateName, parameters, language ) => {
         ];
     }
 
+    return buildTemplateMessageJSON(number, templateName, components, language);
+
+}
+
+/**
+ * Build JSON for a template message with any components
+ * @param {string} number - Recipient phone number
+ * @param {string} templateName - Template name
+ * @param {Array} components - [{ type: 'header'|'body', parameters }, { type: 'button', sub_type, index, parameters }]
+ *                             (see templateService.buildTemplateComponents)
+ * @param {string} language - Template language code
+ * @returns {string} JSON string for WhatsApp API
+ */
+const buildTemplateMessageJSON = ( number, templateName, components, language ) => {
+
     return JSON.stringify({
         "messaging_product": "whatsapp",
         "to": number,
@@ -87,10 +123,44 @@ const buildInteractiveButtonJSON = (number, bodyText, buttons) => {
     });
 }
 
+/**
+ * Build JSON for a media message (image, document, audio, video)
+ * @param {string} number - Recipient phone number
+ * @param {string} mediaType - 'image' | 'document' | 'audio' | 'video'
+ * @param {string} mediaId - Media ID returned by the WhatsApp media upload
+ * @param {object} options - { caption, filename, replyToWamid } (captions are not supported for audio, filename only for documents)
+ * @returns {string} JSON string for WhatsApp API
+ */
+const buildMediaJSON = (number, mediaType, mediaId, options = {}) => {
+    const media = { "id": mediaId };
+
+    if (options.caption && mediaType !== 'audio') {
+        media.caption = options.caption;
+    }
+    if (options.filename && mediaType === 'document') {
+        media.filename = options.filename;
+    }
+
+    const payload = {
+        "messaging_product": "whatsapp",
+        "to": number,
+        "type": mediaType,
+        [mediaType]: media
+    };
+
+    if (options.replyToWamid) {
+        payload.context = { "message_id": options.replyToWamid };
+    }
+
+    return JSON.stringify(payload);
+}
+
 
 module.exports = {
     buildTextJSON,
     buildTemplateJSON,
+    buildTemplateMessageJSON,
     buildReadWithTypingJSON,
     buildInteractiveButtonJSON,
+    buildMediaJSON,
 }
\ No newline at end of file
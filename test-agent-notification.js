@@ -3,7 +3,7 @@
  * Run with: node test-agent-notification.js
  */
 
-const { getAgentLanguage, getAssignmentTemplateName } = require('./src/services/agentNotificationService');
+const { getAgentLanguage } = require('./src/services/agentNotificationService');
 
 console.log('=== Testing Agent Notification Language Detection ===\n');
 
@@ -12,44 +12,37 @@ const testCases = [
     {
         name: 'Agent with English preference',
         agent: { email: 'test@example.com', languages: ['en'] },
-        expectedLang: 'en_US',
-        expectedTemplate: 'agent_assignment_notification_en'
+        expectedLang: 'en_US'
     },
     {
         name: 'Agent with Spanish preference',
         agent: { email: 'test@example.com', languages: ['es'] },
-        expectedLang: 'es_MX',
-        expectedTemplate: 'agent_assignment_notification_es'
+        expectedLang: 'es_MX'
     },
     {
         name: 'Agent with multiple languages (English first)',
         agent: { email: 'test@example.com', languages: ['en', 'es'] },
-        expectedLang: 'en_US',
-        expectedTemplate: 'agent_assignment_notification_en'
+        expectedLang: 'en_US'
     },
     {
         name: 'Agent with multiple languages (Spanish first)',
         agent: { email: 'test@example.com', languages: ['es', 'en'] },
-        expectedLang: 'es_MX',
-        expectedTemplate: 'agent_assignment_notification_es'
+        expectedLang: 'es_MX'
     },
     {
         name: 'Agent with no language configured',
         agent: { email: 'test@example.com', languages: [] },
-        expectedLang: 'es_MX',
-        expectedTemplate: 'agent_assignment_notification_es'
+        expectedLang: 'es_MX'
     },
     {
         name: 'Agent with undefined languages',
         agent: { email: 'test@example.com' },
-        expectedLang: 'es_MX',
-        expectedTemplate: 'agent_assignment_notification_es'
+        expectedLang: 'es_MX'
     },
     {
         name: 'Agent with unknown language (fallback)',
         agent: { email: 'test@example.com', languages: ['fr'] },
-        expectedLang: 'es_MX',
-        expectedTemplate: 'agent_assignment_notification_es'
+        expectedLang: 'es_MX'
     }
 ];
 
@@ -60,20 +53,14 @@ testCases.forEach((test, index) => {
     console.log(`Test ${index + 1}: ${test.name}`);
 
     const language = getAgentLanguage(test.agent);
-    const template = getAssignmentTemplateName(language);
 
-    const langMatch = language === test.expectedLang;
-    const templateMatch = template === test.expectedTemplate;
-
-    if (langMatch && templateMatch) {
+    if (language === test.expectedLang) {
         console.log(`  ✅ PASSED`);
         console.log(`     Language: ${language}`);
-        console.log(`     Template: ${template}`);
         passed++;
     } else {
         console.log(`  ❌ FAILED`);
         console.log(`     Expected Language: ${test.expectedLang}, Got: ${language}`);
-        console.log(`     Expected Template: ${test.expectedTemplate}, Got: ${template}`);
         failed++;
     }
     console.log('');
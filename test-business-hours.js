@@ -0,0 +1,121 @@
+/**
+ * Test script for business-time arithmetic
+ * Checks open/closed moments, elapsed business time and due dates in the configured
+ * timezone (holidays and DST included). No database access needed.
+ * Run with: node test-business-hours.js
+ */
+
+const businessHoursService = require('./src/services/businessHoursService');
+
+let passed = 0;
+let failed = 0;
+
+const check = (name, condition, detail) => {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${name}`);
+        if (detail !== undefined) console.log(`     Got: ${JSON.stringify(detail)}`);
+        failed++;
+    }
+};
+
+const HOUR = 60 * 60 * 1000;
+const weekdays = { start: '09:00', end: '18:00', enabled: true };
+const closed = { start: '09:00', end: '18:00', enabled: false };
+
+// Same shape as CRMSettings.businessHours
+const settingsFor = (timezone, holidays = []) => ({
+    businessHours: {
+        enabled: true,
+        timezone,
+        schedule: {
+            monday: weekdays,
+            tuesday: weekdays,
+            wednesday: weekdays,
+            thursday: weekdays,
+            friday: weekdays,
+            saturday: closed,
+            sunday: closed
+        },
+        holidays
+    }
+});
+
+// America/Mexico_City is UTC-6 all year (no DST)
+const mexico = settingsFor('America/Mexico_City', [
+    { date: '2025-12-25', name: 'Navidad', closed: true },
+    { date: '2025-01-01', name: 'Año nuevo', closed: true, recurring: true },
+    { date: '2025-12-24', name: 'Nochebuena', closed: false, start: '09:00', end: '13:00' }
+]);
+const mexicoTime = (date, time) => new Date(`${date}T${time}:00-06:00`);
+
+console.log('=== Testing Business Hours ===\n');
+
+console.log('isWithinBusinessHours');
+check('Weekday inside the schedule is open', businessHoursService.isWithinBusinessHours(mexico, mexicoTime('2025-03-03', '10:00')));
+check('Before opening is closed', !businessHoursService.isWithinBusinessHours(mexico, mexicoTime('2025-03-03', '08:59')));
+check('Closing time itself is closed', !businessHoursService.isWithinBusinessHours(mexico, mexicoTime('2025-03-03', '18:00')));
+check('Saturday is closed', !businessHoursService.isWithinBusinessHours(mexico, mexicoTime('2025-03-08', '10:00')));
+check('Schedule is read in the business timezone, not UTC', businessHoursService.isWithinBusinessHours(mexico, new Date('2025-03-04T02:30:00Z')) === false &&
+    businessHoursService.isWithinBusinessHours(mexico, new Date('2025-03-03T23:30:00Z')) === true);
+check('Holiday is closed', !businessHoursService.isWithinBusinessHours(mexico, mexicoTime('2025-12-25', '10:00')));
+check('Recurring holiday is closed the following years', !businessHoursService.isWithinBusinessHours(mexico, mexicoTime('2027-01-01', '10:00')));
+check('Exception hours replace the schedule', businessHoursService.isWithinBusinessHours(mexico, mexicoTime('2025-12-24', '12:00')) &&
+    !businessHoursService.isWithinBusinessHours(mexico, mexicoTime('2025-12-24', '14:00')));
+check('Disabled business hours are always open', businessHoursService.isWithinBusinessHours({ businessHours: { ...mexico.businessHours, enabled: false } }, mexicoTime('2025-03-08', '03:00')));
+
+console.log('\ngetBusinessTimeBetween');
+{
+    const elapsed = businessHoursService.getBusinessTimeBetween(mexico, mexicoTime('2025-03-07', '17:00'), mexicoTime('2025-03-10', '10:00'));
+    check('Friday 17:00 → Monday 10:00 counts 2 hours', elapsed === 2 * HOUR, elapsed / HOUR);
+}
+{
+    const elapsed = businessHoursService.getBusinessTimeBetween(mexico, mexicoTime('2025-03-03', '07:00'), mexicoTime('2025-03-03', '20:00'));
+    check('A whole weekday counts its 9 open hours', elapsed === 9 * HOUR, elapsed / HOUR);
+}
+{
+    const elapsed = businessHoursService.getBusinessTimeBetween(mexico, mexicoTime('2025-12-24', '08:00'), mexicoTime('2025-12-26', '10:00'));
+    check('Exception hours and holidays are applied', elapsed === 5 * HOUR, elapsed / HOUR);
+}
+check('End before start counts nothing', businessHoursService.getBusinessTimeBetween(mexico, mexicoTime('2025-03-03', '12:00'), mexicoTime('2025-03-03', '11:00')) === 0);
+
+console.log('\naddBusinessTime');
+{
+    const due = businessHoursService.addBusinessTime(mexico, mexicoTime('2025-03-07', '17:00'), 2 * HOUR);
+    check('2 hours from Friday 17:00 are due Monday 10:00', due.getTime() === mexicoTime('2025-03-10', '10:00').getTime(), due.toISOString());
+}
+{
+    const due = businessHoursService.addBusinessTime(mexico, mexicoTime('2025-03-03', '07:00'), HOUR);
+    check('The clock starts at opening time', due.getTime() === mexicoTime('2025-03-03', '10:00').getTime(), due.toISOString());
+}
+{
+    const due = businessHoursService.addBusinessTime(mexico, mexicoTime('2025-12-24', '12:00'), 2 * HOUR);
+    check('Holidays are skipped', due.getTime() === mexicoTime('2025-12-26', '10:00').getTime(), due.toISOString());
+}
+{
+    const start = mexicoTime('2025-03-03', '10:00');
+    const due = businessHoursService.addBusinessTime(mexico, start, 30 * HOUR);
+    check('addBusinessTime and getBusinessTimeBetween agree', businessHoursService.getBusinessTimeBetween(mexico, start, due) === 30 * HOUR, due.toISOString());
+}
+
+console.log('\nDaylight saving time');
+// America/New_York switches to EDT on 2025-03-09
+const newYork = settingsFor('America/New_York');
+{
+    const friday = new Date('2025-03-07T22:00:00Z'); // 17:00 EST
+    const monday = new Date('2025-03-10T14:00:00Z'); // 10:00 EDT
+    const elapsed = businessHoursService.getBusinessTimeBetween(newYork, friday, monday);
+    check('Weekend across the DST change counts 2 hours', elapsed === 2 * HOUR, elapsed / HOUR);
+
+    const due = businessHoursService.addBusinessTime(newYork, friday, 2 * HOUR);
+    check('Due date after the DST change uses the new offset', due.getTime() === monday.getTime(), due.toISOString());
+}
+{
+    const opening = businessHoursService.zonedTimeToDate(2025, 3, 10, '09:00', 'America/New_York');
+    check('zonedTimeToDate resolves local time with the offset of that day', opening.toISOString() === '2025-03-10T13:00:00.000Z', opening.toISOString());
+}
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
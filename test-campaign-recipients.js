@@ -0,0 +1,82 @@
+/**
+ * Test script for campaign audience builds surviving a restart
+ * Builds the same campaign's recipients twice (as the runner does after an interrupted build)
+ * and checks the second run stores nothing new and does not throw.
+ * Run with: node test-campaign-recipients.js (needs MONGODB in .env)
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Customer = require('./src/models/Customer');
+const Campaign = require('./src/models/Campaign');
+const CampaignRecipient = require('./src/models/CampaignRecipient');
+const { buildRecipients } = require('./src/services/campaignService');
+
+const TEST_TAG = `campaign-test-${Date.now()}`;
+
+async function testCampaignRecipients() {
+  let passed = 0;
+  let failed = 0;
+  const check = (name, condition) => {
+    console.log(`${condition ? '✅' : '❌'} ${name}`);
+    condition ? passed++ : failed++;
+  };
+
+  await mongoose.connect(process.env.MONGODB);
+  console.log('Connected to MongoDB\n');
+
+  let campaign;
+  try {
+    await Customer.create([
+      { phoneNumber: `5299900${Date.now() % 100000}1`, tags: [TEST_TAG] },
+      { phoneNumber: `5299900${Date.now() % 100000}2`, tags: [TEST_TAG] },
+      { phoneNumber: `5299900${Date.now() % 100000}3`, tags: [TEST_TAG], optedOut: true }
+    ]);
+
+    campaign = await Campaign.create({
+      name: 'Recipient build test',
+      templateId: new mongoose.Types.ObjectId(),
+      audience: { tags: [TEST_TAG] },
+      throttlePerMinute: 60,
+      status: 'running'
+    });
+
+    const firstRun = await buildRecipients(campaign);
+    check('First build stores every customer of the audience', firstRun === 3);
+
+    // Restart in the middle of a build: the runner builds again over the stored recipients
+    campaign.audienceBuiltAt = undefined;
+    let secondRun = null;
+    try {
+      secondRun = await buildRecipients(campaign);
+    } catch (error) {
+      console.error('   Second build threw:', error.message);
+    }
+    check('Second build does not throw', secondRun !== null);
+    check('Second build stores no duplicates', secondRun === 0);
+
+    const total = await CampaignRecipient.countDocuments({ campaignId: campaign._id });
+    check('Campaign keeps one recipient per customer', total === 3);
+
+    const skipped = await CampaignRecipient.countDocuments({ campaignId: campaign._id, status: 'skipped' });
+    check('Opted-out customer is stored as skipped', skipped === 1);
+
+    check('Audience is marked as built', !!campaign.audienceBuiltAt);
+  } finally {
+    if (campaign) {
+      await CampaignRecipient.deleteMany({ campaignId: campaign._id });
+      await Campaign.deleteOne({ _id: campaign._id });
+    }
+    await Customer.deleteMany({ tags: TEST_TAG });
+    await mongoose.connection.close();
+  }
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  if (failed > 0) process.exit(1);
+}
+
+testCampaignRecipients().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,222 @@
+/**
+ * Test script for the template payload builder
+ * Checks send values (text, currency, date_time, header, buttons), customer/column mappings
+ * and template definition validation. No database or WhatsApp access needed.
+ * Run with: node test-template-parameters.js
+ */
+
+const {
+    buildTemplateComponents,
+    resolveParameterMappings,
+    validateTemplateDefinition
+} = require('./src/services/templateService');
+
+let passed = 0;
+let failed = 0;
+
+const check = (name, condition, detail) => {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.log(`  ❌ ${name}`);
+        if (detail !== undefined) console.log(`     Got: ${JSON.stringify(detail)}`);
+        failed++;
+    }
+};
+
+// Synced template with a typed body ({{2}} currency, {{3}} date) and an image header
+const template = {
+    name: 'order_update',
+    language: 'es_MX',
+    components: [
+        { type: 'HEADER', format: 'IMAGE' },
+        { type: 'BODY', text: 'Hola {{1}}, tu total es {{2}} y llega el {{3}}.' },
+        {
+            type: 'BUTTONS',
+            buttons: [
+                { type: 'URL', text: 'Ver pedido', url: 'https://example.com/orders/{{1}}' },
+                { type: 'QUICK_REPLY', text: 'Ayuda' }
+            ]
+        }
+    ],
+    parameters: [
+        { component: 'BODY', position: 2, name: 'total', type: 'currency' },
+        { component: 'BODY', position: 3, name: 'eta', type: 'date_time' }
+    ]
+};
+
+const sendValues = (body, overrides = {}) => ({
+    header: 'https://example.com/order.png',
+    body,
+    buttons: { 0: 'A-1001' },
+    ...overrides
+});
+
+console.log('=== Testing Template Payload Builder ===\n');
+
+console.log('buildTemplateComponents');
+{
+    const { components, errors, display } = buildTemplateComponents(template, sendValues([
+        'Ana',
+        { type: 'currency', amount: 1250.5, code: 'mxn' },
+        '2025-01-31'
+    ]));
+    const body = components.find(component => component.type === 'body');
+    const header = components.find(component => component.type === 'header');
+    const buttons = components.filter(component => component.type === 'button');
+
+    check('Valid values build without errors', errors.length === 0, errors);
+    check('Header image is sent as a link', header?.parameters[0].image?.link === 'https://example.com/order.png', header);
+    check('Text variable is sent as text', body?.parameters[0].type === 'text' && body.parameters[0].text === 'Ana', body?.parameters[0]);
+    check('Currency amount is sent in thousandths', body?.parameters[1].currency?.amount_1000 === 1250500, body?.parameters[1]);
+    check('Currency code is upper-cased', body?.parameters[1].currency?.code === 'MXN', body?.parameters[1]);
+    check('Currency fallback is formatted in the template locale', body?.parameters[1].currency?.fallback_value === '$1,250.50', body?.parameters[1]);
+    check('Date-only fallback has no time and no timezone shift', body?.parameters[2].date_time?.fallback_value === '31 de enero de 2025', body?.parameters[2]);
+    check('Display shows the fallback values', display.body.join(' | ') === 'Ana | $1,250.50 | 31 de enero de 2025', display.body);
+    check('URL button gets its suffix', buttons.length === 1 && buttons[0].sub_type === 'url' && buttons[0].parameters[0].text === 'A-1001', buttons);
+}
+{
+    const { components, errors } = buildTemplateComponents(template, sendValues([
+        'Ana',
+        { type: 'currency', amount: 10, code: 'USD', fallback: 'diez dólares' },
+        { type: 'date_time', value: '2025-01-31', fallback: 'mañana' }
+    ]));
+    const body = components.find(component => component.type === 'body');
+    check('Explicit fallbacks are kept', errors.length === 0 &&
+        body.parameters[1].currency.fallback_value === 'diez dólares' &&
+        body.parameters[2].date_time.fallback_value === 'mañana', body?.parameters);
+}
+{
+    const { errors } = buildTemplateComponents(template, sendValues(['Ana', '100', '2025-01-31']));
+    check('Currency without a code is rejected', errors.includes('Body {{2}}: enter an amount and a 3-letter currency code'), errors);
+}
+{
+    const { errors } = buildTemplateComponents(template, sendValues(['Ana', { type: 'currency', amount: 1, code: 'MXN' }, 'not a date']));
+    check('Invalid date is rejected', errors.includes('Body {{3}}: enter a valid date'), errors);
+}
+{
+    const { errors } = buildTemplateComponents(template, sendValues(['Ana']));
+    check('Wrong number of body values is rejected', errors.includes('Body: expected 3 parameter(s), got 1'), errors);
+}
+{
+    const { errors } = buildTemplateComponents(template, sendValues(['Ana', { type: 'currency', amount: 1, code: 'MXN' }, '2025-01-31'], { header: 'order.png' }));
+    check('Header media needs a public URL', errors.includes('Header: upload a file or enter a public URL for the image'), errors);
+}
+{
+    const plain = { language: 'en_US', components: [{ type: 'BODY', text: 'Hi {{1}}, welcome.' }] };
+    const { components, errors } = buildTemplateComponents(plain, ['Bob']);
+    check('Plain array of body values is accepted', errors.length === 0 && components[0].parameters[0].text === 'Bob', { components, errors });
+}
+
+console.log('\nresolveParameterMappings');
+const customer = {
+    firstName: 'Ana',
+    address: { city: 'Mérida' },
+    customFields: new Map([['plan', 'Pro']])
+};
+{
+    const { parameters, errors } = resolveParameterMappings([
+        { source: 'field', field: 'firstName' },
+        { source: 'field', field: 'address.city' },
+        { source: 'field', field: 'customFields.plan' },
+        { source: 'field', field: 'lastName', fallback: 'cliente' },
+        'typed once'
+    ], { customer });
+    check('Customer fields are resolved', errors.length === 0 &&
+        parameters.body.join('|') === 'Ana|Mérida|Pro|cliente|typed once', { parameters, errors });
+}
+{
+    const { errors } = resolveParameterMappings([{ source: 'field', field: 'lastName' }], { customer });
+    check('Missing field without fallback is reported', errors.includes('Body {{1}}: the customer has no lastName'), errors);
+}
+{
+    const { errors } = resolveParameterMappings([{ source: 'field', field: 'password' }], { customer });
+    check('Unknown customer field is rejected', errors.includes('Body {{1}}: unknown customer field password'), errors);
+}
+{
+    const { parameters, errors } = resolveParameterMappings([
+        { source: 'column', column: 'total', type: 'currency', code: 'mxn' },
+        { source: 'column', column: 'eta', type: 'date_time' }
+    ], { row: { total: '$1,200.00', eta: '31/01/2025 10:30' } });
+    check('Currency column is parsed to an amount', errors.length === 0 &&
+        parameters.body[0].amount === 1200 && parameters.body[0].code === 'MXN', parameters.body[0]);
+    check('Day-first spreadsheet date is normalized', parameters.body[1].value === '2025-01-31T10:30', parameters.body[1]);
+}
+{
+    const { errors } = resolveParameterMappings([{ source: 'column', column: 'total' }], { row: { total: '' } });
+    check('Empty column is reported', errors.includes('Body {{1}}: the total column is empty'), errors);
+}
+{
+    const { errors } = resolveParameterMappings([{ source: 'column', column: 'total' }], { sample: true, columns: ['name'] });
+    check('Sample check reports a column missing from the file', errors.includes('Body {{1}}: the recipients file has no total column'), errors);
+}
+{
+    const resolved = resolveParameterMappings(sendValues([
+        { source: 'field', field: 'firstName' },
+        { source: 'column', column: 'total', type: 'currency', code: 'MXN' },
+        { source: 'column', column: 'eta', type: 'date_time' }
+    ]), { sample: true, columns: ['total', 'eta'] });
+    const { errors } = buildTemplateComponents(template, resolved.parameters);
+    check('Sample values pass the builder checks', resolved.errors.length === 0 && errors.length === 0, { mapping: resolved.errors, builder: errors });
+}
+
+console.log('\nvalidateTemplateDefinition');
+const definition = (overrides = {}) => ({
+    name: 'order_update',
+    language: 'es_MX',
+    category: 'UTILITY',
+    components: [
+        { type: 'HEADER', format: 'TEXT', text: 'Pedido {{1}}', example: { header_text: ['A-1001'] } },
+        { type: 'BODY', text: 'Hola {{1}}, tu pedido llega el {{2}}.', example: { body_text: [['Ana', 'lunes']] } },
+        { type: 'FOOTER', text: 'Gracias por tu compra' },
+        {
+            type: 'BUTTONS',
+            buttons: [
+                { type: 'QUICK_REPLY', text: 'Sí' },
+                { type: 'QUICK_REPLY', text: 'No' },
+                { type: 'URL', text: 'Ver pedido', url: 'https://example.com/orders/{{1}}', example: ['https://example.com/orders/A-1001'] }
+            ]
+        }
+    ],
+    ...overrides
+});
+const withComponent = (type, component) => definition({
+    components: definition().components.map(existing => existing.type === type ? component : existing)
+});
+{
+    const errors = validateTemplateDefinition(definition());
+    check('Valid definition has no errors', errors.length === 0, errors);
+}
+{
+    const errors = validateTemplateDefinition(definition({ name: 'Order Update', language: 'spanish', category: 'AUTHENTICATION' }));
+    check('Name, language and category are checked', errors.length === 3, errors);
+}
+{
+    const errors = validateTemplateDefinition(withComponent('BODY', { type: 'BODY', text: '{{1}} tu pedido {{3}} llegó', example: { body_text: [['Ana', 'x']] } }));
+    check('Body cannot start with a variable', errors.includes('Body: cannot start or end with a variable'), errors);
+    check('Body variables must be in order', errors.includes('Body: variables must be numbered {{1}}, {{2}}... in order, without gaps or repeats'), errors);
+}
+{
+    const errors = validateTemplateDefinition(withComponent('BODY', { type: 'BODY', text: 'Hola {{1}}, llega el {{2}}.', example: { body_text: [['Ana']] } }));
+    check('Every body variable needs an example', errors.includes('Body: an example value is required for each of the 2 variable(s)'), errors);
+}
+{
+    const errors = validateTemplateDefinition(withComponent('FOOTER', { type: 'FOOTER', text: 'Hasta {{1}}' }));
+    check('Footer variables are rejected', errors.includes('Footer: variables are not allowed'), errors);
+}
+{
+    const errors = validateTemplateDefinition(withComponent('BUTTONS', {
+        type: 'BUTTONS',
+        buttons: [
+            { type: 'QUICK_REPLY', text: 'Sí' },
+            { type: 'URL', text: 'Ver', url: 'https://example.com/{{1}}/detalle', example: ['https://example.com/1/detalle'] },
+            { type: 'QUICK_REPLY', text: 'No' }
+        ]
+    }));
+    check('Quick replies must be grouped', errors.includes('Buttons: quick reply buttons must be grouped together'), errors);
+    check('URL variable must be at the end', errors.includes('Button 2: only one variable ({{1}}) is allowed, at the end of the URL'), errors);
+}
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);